@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { 
   StyleSheet, 
   Text, 
@@ -13,35 +13,43 @@ import {
 import { StatusBar } from 'expo-status-bar';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import * as Location from 'expo-location';
+import sessionStore from './src/services/sessionStore';
+import processingPipeline from './src/services/processingPipeline';
+import datasetExport from './src/services/datasetExport';
+import provenance from './src/services/provenance';
+import anchoring from './src/services/anchoring';
+import arweaveStorage, { ARCHIVE_STATUS } from './src/services/arweaveStorage';
+import { ERROR_TYPES } from './src/services/errors';
+import gpsTrackRecorder from './src/services/gpsTrackRecorder';
+import gnssReceiver from './src/services/gnssReceiver';
+import ntripClient, { NTRIP_STATUS } from './src/services/ntripClient';
+import gcpCapture from './src/services/gcpCapture';
+import captureController, { CAPTURE_EVENTS } from './src/services/captureController';
+import mediaImport from './src/services/mediaImport';
+import autoCapture, { AUTO_CAPTURE_MODES, HOLD_REASONS, getDefaultInterval, formatInterval } from './src/services/autoCapture';
+import settings from './src/services/settings';
+import wallet, { WALLET_STATUS, formatPublicKey } from './src/services/wallet';
+import { getAvailableBackends } from './src/services/backends';
+import { OUTPUT_STATUS } from './src/utils/jobOutputs';
+import ProcessingPanel from './src/components/ProcessingPanel';
+import ModelViewer from './src/components/ModelViewer';
+import GcpPanel from './src/components/GcpPanel';
+import SettingsPanel from './src/components/SettingsPanel';
+import CoverageMap from './src/components/CoverageMap';
+import ImportPanel from './src/components/ImportPanel';
+import { COLORS } from './src/constants/theme';
+import { FIX_QUALITY, FIX_LABELS } from './src/utils/nmea';
+import { computeCoverage, getAzimuth } from './src/utils/coverage';
+import { getVerticalDatum } from './src/utils/surveyMetadata';
 
 const { width, height } = Dimensions.get('window');
 
-// MVP Configuration for omniSplat Spatial Capture
-const CAPTURE_CONFIG = {
-  MAX_PHOTOS: 1000,
-  MAX_VIDEO_DURATION: 600, // 10 minutes
-  MIN_PHOTOS_FOR_PROCESSING: 8,
-  BURST_COUNT: 20,
-  GPS_UPDATE_INTERVAL: 1000, // 1 second
-  GPS_DISTANCE_INTERVAL: 0.1, // 10cm
-  RTK_ACCURACY_THRESHOLD: 1.0 // meters
-};
-
-// Design System - Holographic Tech Gradient
-const COLORS = {
-  background: '#1a0b2e',
-  backgroundDark: '#0f0619',
-  primary: '#14F195', // Electric green
-  secondary: '#9945FF', // Solana purple
-  tertiary: '#00d4ff', // Cyan
-  text: '#f0f0f0',
-  textSecondary: '#b0b0b0',
-  glass: 'rgba(255, 255, 255, 0.05)',
-  glassBorder: 'rgba(255, 255, 255, 0.1)',
-  success: '#14F195',
-  warning: '#FF9500',
-  error: '#FF4444',
-  recording: '#FF6B6B'
+// The phone's fused location never has RTK corrections, whatever its reported accuracy
+const DEVICE_FIX = {
+  source: 'device',
+  quality: FIX_QUALITY.AUTONOMOUS,
+  label: FIX_LABELS[FIX_QUALITY.AUTONOMOUS],
+  isRTK: false
 };
 
 export default function App() {
@@ -53,17 +61,23 @@ export default function App() {
   const [cameraReady, setCameraReady] = useState(false);
   const [facing, setFacing] = useState('back');
   
+  // Settings state (defaults until the persisted overrides load)
+  const [config, setConfig] = useState(settings.getAll());
+
   // Location states
   const [currentLocation, setCurrentLocation] = useState(null);
   const [locationAccuracy, setLocationAccuracy] = useState(null);
-  const [isRTKEnabled, setIsRTKEnabled] = useState(false);
+  const [gnssFix, setGnssFix] = useState(null);
+  const isRTKEnabled = Boolean(gnssFix && gnssFix.isRTK);
   
   // Capture states
   const [capturedPhotos, setCapturedPhotos] = useState([]);
   const [capturedVideos, setCapturedVideos] = useState([]);
-  const [isCapturing, setIsCapturing] = useState(false);
-  const [isRecording, setIsRecording] = useState(false);
+  const [gcps, setGcps] = useState([]);
+  const [linkedGcpId, setLinkedGcpId] = useState(null);
+  const [captureState, setCaptureState] = useState(captureController.getState());
   const [recordingDuration, setRecordingDuration] = useState(0);
+  const { isCapturing, isRecording } = captureState;
   
   // Session states
   const [captureSession, setCaptureSession] = useState({
@@ -73,13 +87,51 @@ export default function App() {
     baseLocation: null
   });
   
+  // Processing states
+  const [processingState, setProcessingState] = useState(processingPipeline.getState());
+  const [ntripState, setNtripState] = useState(ntripClient.getState());
+  const [gcpState, setGcpState] = useState(gcpCapture.getState());
+  const [autoCaptureState, setAutoCaptureState] = useState(autoCapture.getState());
+  const [walletState, setWalletState] = useState(wallet.getState());
+  const [archiveState, setArchiveState] = useState(arweaveStorage.getState());
+  const [showGcp, setShowGcp] = useState(false);
+  const [showProcessing, setShowProcessing] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showViewer, setShowViewer] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importProgress, setImportProgress] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [isAnchoring, setIsAnchoring] = useState(false);
+  
   // Animation values
   const pulseAnim = useRef(new Animated.Value(1)).current;
   
   // Refs
   const cameraRef = useRef(null);
-  const recordingTimer = useRef(null);
   const locationWatcher = useRef(null);
+  const headingWatcher = useRef(null);
+
+  // Orbit coverage around the subject (defaults to the session base)
+  const coverageSubject = captureSession.subjectLocation || captureSession.baseLocation;
+  const coverage = useMemo(() => (
+    coverageSubject
+      ? computeCoverage(capturedPhotos, coverageSubject, {
+        azimuthSectors: config.COVERAGE.AZIMUTH_SECTORS,
+        elevationBands: config.COVERAGE.ELEVATION_BANDS,
+        targetOverlap: config.COVERAGE.TARGET_OVERLAP,
+        facingTolerance: config.COVERAGE.FACING_TOLERANCE,
+        minSubjectDistance: config.COVERAGE.MIN_SUBJECT_DISTANCE
+      })
+      : null
+  ), [capturedPhotos, coverageSubject, config]);
+
+  // Results of the pipeline run for this session, else whatever an earlier run stored
+  const processedResults = processingState.sessionId === captureSession.id && processingState.results
+    ? processingState.results
+    : captureSession.processing && captureSession.processing.results;
+  const hasModels = Boolean(processedResults && (processedResults.outputs || [])
+    .some(output => output.status === OUTPUT_STATUS.DOWNLOADED));
 
   // Pulse animation for capture button
   useEffect(() => {
@@ -99,28 +151,114 @@ export default function App() {
     ).start();
   }, []);
 
+  // Mirror reconstruction job progress into component state
+  useEffect(() => processingPipeline.subscribe(setProcessingState), []);
+
+  // Mirror NTRIP correction stream health into component state
+  useEffect(() => ntripClient.subscribe(setNtripState), []);
+
+  // Mirror persisted settings into component state
+  useEffect(() => settings.subscribe(setConfig), []);
+
+  // Mirror the wallet connection into component state
+  useEffect(() => wallet.subscribe(setWalletState), []);
+
+  // Mirror Arweave upload progress into component state
+  useEffect(() => arweaveStorage.subscribe(setArchiveState), []);
+
+  // An authorization is tied to one cluster and wallet; pick up the stored one that matches
+  useEffect(() => {
+    wallet.restore();
+  }, [config.SOLANA.NETWORK, config.SOLANA.WALLET]);
+
+  // The phone's location watcher takes its intervals at creation; restart it when they change
+  useEffect(() => {
+    if (!locationWatcher.current) return;
+    locationWatcher.current.remove();
+    locationWatcher.current = null;
+    startPositionWatch();
+  }, [config.CAPTURE.GPS_UPDATE_INTERVAL, config.CAPTURE.GPS_DISTANCE_INTERVAL]);
+
+  // Mirror ground control averaging into component state
+  useEffect(() => gcpCapture.subscribe(setGcpState), []);
+
+  // Mirror the interval trigger into component state
+  useEffect(() => autoCapture.subscribe(setAutoCaptureState), []);
+
+  // Mirror the shutter queue and append whatever it captures
+  useEffect(() => {
+    const unsubscribers = [
+      captureController.subscribe(setCaptureState),
+      captureController.on(CAPTURE_EVENTS.PHOTO, asset => {
+        setCapturedPhotos(prev => [...prev, asset]);
+        setCaptureSession(prev => ({ ...prev, totalAssets: prev.totalAssets + 1 }));
+      }),
+      captureController.on(CAPTURE_EVENTS.VIDEO, asset => {
+        setCapturedVideos(prev => [...prev, asset]);
+        setCaptureSession(prev => ({ ...prev, totalAssets: prev.totalAssets + 1 }));
+      }),
+      captureController.on(CAPTURE_EVENTS.ERROR, error => {
+        // Auto capture reports its own stop reason; don't stack alerts behind it
+        if (!autoCapture.isActive()) Alert.alert(error.title, error.message);
+      })
+    ];
+    captureController.attachCamera(cameraRef);
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, []);
+
+  // Shots taken while a marker is linked are tagged with it
+  useEffect(() => captureController.setLinkedGcp(linkedGcpId), [linkedGcpId]);
+
+  // Elapsed recording time, from the controller's start timestamp
+  useEffect(() => {
+    if (!captureState.recordingStartedAt) {
+      setRecordingDuration(0);
+      return undefined;
+    }
+    const startedAt = captureState.recordingStartedAt;
+    const timer = setInterval(() => {
+      setRecordingDuration(Math.floor((Date.now() - startedAt) / 1000));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [captureState.recordingStartedAt]);
+
+  // Tell the operator why auto capture stopped on its own
+  useEffect(() => {
+    if (!autoCaptureState.active && autoCaptureState.error) {
+      Alert.alert('Auto Capture Stopped', `${autoCaptureState.error} after ${autoCaptureState.captured} photos`);
+    }
+  }, [autoCaptureState.active, autoCaptureState.error]);
+
   // Initialize permissions and location tracking
   useEffect(() => {
+    const unsubscribeReceiver = gnssReceiver.subscribe(location => applyLocation(location, location.fix));
     initializeApp();
     
     return () => {
+      unsubscribeReceiver();
+      autoCapture.stop();
+      ntripClient.disconnect();
+      gnssReceiver.disconnect();
       if (locationWatcher.current) {
         locationWatcher.current.remove();
       }
-      if (recordingTimer.current) {
-        clearInterval(recordingTimer.current);
+      if (headingWatcher.current) {
+        headingWatcher.current.remove();
       }
     };
   }, []);
 
   const initializeApp = async () => {
     try {
-      // Request camera permission (v17 style)
+      // Persisted settings first; everything below reads them
+      await settings.load();
+
+      // Request camera permission (v17 style). Without it only live capture is lost;
+      // importing and browsing existing sessions still work
       if (!cameraPermission?.granted) {
         const result = await requestCameraPermission();
         if (!result.granted) {
           Alert.alert('Camera Permission Required', 'Please enable camera access for spatial capture');
-          return;
         }
       }
 
@@ -130,30 +268,64 @@ export default function App() {
       
       if (locationStatus.status !== 'granted') {
         Alert.alert('Location Permission Required', 'Please enable location access for georeferencing');
-        return;
+      } else {
+        // Start high-precision location tracking
+        await startLocationTracking();
+      }
+
+      // Prefer an external RTK receiver when one is configured
+      if (settings.get('GNSS.RECEIVER_URL')) {
+        const receiver = await gnssReceiver.connect();
+        if (!receiver.success) {
+          Alert.alert('GNSS Receiver', `Using phone GPS: ${receiver.error}`);
+        }
       }
 
-      // Start high-precision location tracking
-      await startLocationTracking();
+      // Stream RTK corrections to the receiver when a caster is configured
+      if (settings.get('NTRIP.HOST')) {
+        const corrections = await ntripClient.connect();
+        if (!corrections.success) {
+          Alert.alert('NTRIP', `No RTK corrections: ${corrections.error}`);
+        }
+      }
+
+      // Offer to pick up a survey interrupted by a crash or restart
+      await offerSessionResume();
       
     } catch (error) {
       console.error('App initialization failed:', error);
       Alert.alert('Initialization Error', 'Failed to initialize app permissions');
+      setHasLocationPermission(granted => granted ?? false);
     }
   };
 
   const startLocationTracking = async () => {
+    await startPositionWatch();
+
+    // Compass heading tells coverage which way the camera faced; GPS course cannot
+    try {
+      headingWatcher.current = await Location.watchHeadingAsync(heading => {
+        const compass = heading.trueHeading >= 0 ? heading.trueHeading : heading.magHeading;
+        captureController.updateHeading({ heading: compass, accuracy: heading.accuracy });
+        autoCapture.addHeading(compass);
+      });
+    } catch (error) {
+      console.error('Heading tracking failed:', error);
+    }
+  };
+
+  const startPositionWatch = async () => {
     try {
       locationWatcher.current = await Location.watchPositionAsync(
         {
           accuracy: Location.Accuracy.BestForNavigation,
-          timeInterval: CAPTURE_CONFIG.GPS_UPDATE_INTERVAL,
-          distanceInterval: CAPTURE_CONFIG.GPS_DISTANCE_INTERVAL,
+          timeInterval: settings.get('CAPTURE.GPS_UPDATE_INTERVAL'),
+          distanceInterval: settings.get('CAPTURE.GPS_DISTANCE_INTERVAL'),
         },
         (location) => {
-          setCurrentLocation(location);
-          setLocationAccuracy(location.coords.accuracy);
-          setIsRTKEnabled(location.coords.accuracy < CAPTURE_CONFIG.RTK_ACCURACY_THRESHOLD);
+          // A live external receiver takes precedence over the phone
+          if (gnssReceiver.getLiveFix()) return;
+          applyLocation(location, DEVICE_FIX);
         }
       );
     } catch (error) {
@@ -162,106 +334,150 @@ export default function App() {
     }
   };
 
-  // Start new capture session
-  const startCaptureSession = async () => {
-    if (!currentLocation) {
-      Alert.alert('GPS Required', 'Waiting for GPS lock before starting session...');
-      return;
+  // Single entry point for fixes from the phone or an external receiver
+  const applyLocation = (location, fix) => {
+    setCurrentLocation(location);
+    setLocationAccuracy(location.coords.accuracy);
+    setGnssFix(fix);
+    captureController.updateFix(location, fix);
+    gpsTrackRecorder.addFix(location);
+    gcpCapture.addSample(location, fix);
+    autoCapture.addFix(location);
+    ntripClient.setPosition(location);
+  };
+
+  // Prompt to resume the most recent unfinished session
+  const offerSessionResume = async () => {
+    const result = await sessionStore.findUnfinishedSessions();
+    if (!result.success || result.sessions.length === 0) return;
+
+    const record = result.sessions[0];
+    Alert.alert(
+      'Resume Session?',
+      `${record.session.id}\n` +
+      `${record.photos.length} photos, ${record.videos.length} videos captured`,
+      [
+        {
+          text: 'End Session',
+          style: 'destructive',
+          onPress: () => finishSession(record.session.id)
+        },
+        { text: 'Resume', onPress: () => restoreSession(record) }
+      ]
+    );
+  };
+
+  // Restore a persisted session exactly as it was captured
+  const restoreSession = (record) => {
+    processingPipeline.reset();
+    captureController.setSession(record.session, { photos: record.photos, videos: record.videos });
+    setCaptureSession(record.session);
+    setCapturedPhotos(record.photos);
+    setCapturedVideos(record.videos);
+    setGcps(record.gcps || []);
+    setLinkedGcpId(null);
+  };
+
+  // Close a session and seal its captures in a provenance manifest
+  const finishSession = async (sessionId) => {
+    await sessionStore.closeSession(sessionId);
+    const loaded = await sessionStore.loadSession(sessionId);
+    if (loaded.success) {
+      await provenance.buildManifest(loaded.record);
     }
+  };
 
-    const sessionId = `omni_${Date.now()}`;
-    const baseLocation = {
+  // The live fix as a session base, or null before the first fix
+  const getBaseLocation = () => (currentLocation
+    ? {
       latitude: currentLocation.coords.latitude,
       longitude: currentLocation.coords.longitude,
       altitude: currentLocation.coords.altitude || 0,
       accuracy: currentLocation.coords.accuracy,
       timestamp: currentLocation.timestamp,
-      isRTK: isRTKEnabled
-    };
+      isRTK: isRTKEnabled,
+      fixQuality: gnssFix.quality,
+      verticalDatum: getVerticalDatum(gnssFix.source)
+    }
+    : null);
+
+  // Close any current session and open a new, empty one
+  const openSession = async (baseLocation) => {
+    if (captureSession.id) {
+      await finishSession(captureSession.id);
+    }
+    processingPipeline.reset();
+    autoCapture.stop();
 
-    setCaptureSession({
-      id: sessionId,
+    const session = {
+      id: `omni_${Date.now()}`,
       startTime: Date.now(),
       totalAssets: 0,
-      baseLocation: baseLocation
-    });
+      baseLocation: baseLocation,
+      backend: config.PROCESSING.DEFAULT_BACKEND
+    };
+
+    const saved = await sessionStore.createSession(session);
+    if (!saved.success) {
+      Alert.alert('Storage Error', 'Session will not survive an app restart');
+    }
+
+    captureController.setSession(session);
+    setCaptureSession(session);
     
     setCapturedPhotos([]);
     setCapturedVideos([]);
+    setGcps([]);
+    setLinkedGcpId(null);
+    return session;
+  };
+
+  // Start new capture session
+  const startCaptureSession = async () => {
+    if (!currentLocation) {
+      Alert.alert('GPS Required', 'Waiting for GPS lock before starting session...');
+      return;
+    }
+
+    const baseLocation = getBaseLocation();
+    const session = await openSession(baseLocation);
     
     Alert.alert(
       '✓ Session Started', 
-      `${sessionId}\n` +
+      `${session.id}\n` +
       `${baseLocation.latitude.toFixed(6)}, ${baseLocation.longitude.toFixed(6)}\n` +
       `Accuracy: ${baseLocation.accuracy.toFixed(1)}m ${isRTKEnabled ? '(RTK)' : ''}`
     );
   };
 
-  // Capture georeferenced photo
-  const capturePhoto = async () => {
-    if (!cameraRef.current || !cameraReady || !currentLocation) {
-      if (!currentLocation) {
-        Alert.alert('GPS Required', 'Waiting for GPS location...');
-      }
+  // Add existing photos and videos; without a session one is opened, based on the
+  // live fix if there is one and otherwise on the first geotagged file
+  const importMedia = async (source) => {
+    setImportResult(null);
+    const picked = await mediaImport.pick(source);
+    if (!picked.success) {
+      setImportResult({ error: picked.error });
       return;
     }
+    if (picked.files.length === 0) return;
 
-    if (capturedPhotos.length >= CAPTURE_CONFIG.MAX_PHOTOS) {
-      Alert.alert('Limit Reached', `Maximum ${CAPTURE_CONFIG.MAX_PHOTOS} photos captured`);
-      return;
+    if (!captureSession.id) {
+      await openSession(getBaseLocation());
     }
 
-    setIsCapturing(true);
-    try {
-      const photo = await cameraRef.current.takePictureAsync({
-        quality: 0.8,
-        base64: false,
-        exif: true,
-      });
-      
-      // Create comprehensive georeferenced metadata
-      const geoReferencedPhoto = {
-        ...photo,
-        timestamp: Date.now(),
-        sessionId: captureSession.id,
-        index: capturedPhotos.length + 1,
-        gpsData: {
-          latitude: currentLocation.coords.latitude,
-          longitude: currentLocation.coords.longitude,
-          altitude: currentLocation.coords.altitude || 0,
-          accuracy: currentLocation.coords.accuracy,
-          heading: currentLocation.coords.heading || 0,
-          speed: currentLocation.coords.speed || 0,
-          timestamp: currentLocation.timestamp,
-          isRTK: isRTKEnabled
-        },
-        surveyMetadata: {
-          relativeToBase: {
-            deltaLat: currentLocation.coords.latitude - captureSession.baseLocation.latitude,
-            deltaLon: currentLocation.coords.longitude - captureSession.baseLocation.longitude,
-            deltaAlt: (currentLocation.coords.altitude || 0) - captureSession.baseLocation.altitude
-          },
-          captureQuality: {
-            gpsAccuracy: currentLocation.coords.accuracy,
-            isRTKEnabled: isRTKEnabled,
-            coordinateSystem: 'WGS84'
-          }
-        }
-      };
-      
-      setCapturedPhotos(prev => [...prev, geoReferencedPhoto]);
-      setCaptureSession(prev => ({
-        ...prev,
-        totalAssets: prev.totalAssets + 1
-      }));
-      
-    } catch (error) {
-      console.error('Photo capture failed:', error);
-      Alert.alert('Capture Error', 'Failed to capture georeferenced photo');
+    const result = await mediaImport.importFiles(picked.files, source, { onProgress: setImportProgress });
+    setImportProgress(null);
+    if (!result.success) {
+      setImportResult({ error: result.error });
+      return;
     }
-    setIsCapturing(false);
+    setCaptureSession(prev => ({ ...prev, baseLocation: result.session.baseLocation }));
+    setImportResult(result);
   };
 
+  // Capture georeferenced photo; the controller snapshots the fix at shutter time
+  const capturePhoto = () => captureController.capturePhoto();
+
   // Burst capture mode
   const startBurstCapture = async () => {
     if (!currentLocation) {
@@ -269,8 +485,8 @@ export default function App() {
       return;
     }
 
-    const remainingCapacity = CAPTURE_CONFIG.MAX_PHOTOS - capturedPhotos.length;
-    const burstCount = Math.min(CAPTURE_CONFIG.BURST_COUNT, remainingCapacity);
+    const remainingCapacity = config.CAPTURE.MAX_PHOTOS - capturedPhotos.length;
+    const burstCount = Math.min(config.CAPTURE.BURST_COUNT, remainingCapacity);
     
     if (burstCount === 0) {
       Alert.alert('Storage Full', 'Maximum photo capacity reached');
@@ -279,77 +495,298 @@ export default function App() {
 
     Alert.alert('Burst Mode', `Capturing ${burstCount} georeferenced photos...`);
     
-    for (let i = 0; i < burstCount; i++) {
-      await capturePhoto();
-      await new Promise(resolve => setTimeout(resolve, 300));
+    const burst = await captureController.captureBurst(burstCount);
+    if (burst.success) {
+      Alert.alert('✓ Burst Complete', `Captured ${burst.captured} photos`);
     }
-    
-    Alert.alert('✓ Burst Complete', `Captured ${burstCount} photos`);
   };
 
-  // Start video recording
-  const startVideoRecording = async () => {
-    if (!cameraRef.current || !cameraReady || isRecording || !currentLocation) {
-      if (!currentLocation) {
-        Alert.alert('GPS Required', 'GPS location required for georeferenced video');
+  // Offer burst or one of the automatic interval modes
+  const showCaptureModes = () => {
+    if (autoCapture.isActive()) {
+      autoCapture.stop();
+      return;
+    }
+
+    const autoMode = (mode) => ({
+      text: `Every ${formatInterval(mode, getDefaultInterval(mode))}`,
+      onPress: () => startAutoCapture(mode)
+    });
+
+    Alert.alert('Capture Mode', 'Auto modes run until stopped or the photo limit is reached.', [
+      { text: `Burst (${config.CAPTURE.BURST_COUNT})`, onPress: startBurstCapture },
+      autoMode(AUTO_CAPTURE_MODES.DISTANCE),
+      autoMode(AUTO_CAPTURE_MODES.ANGLE),
+      autoMode(AUTO_CAPTURE_MODES.TIME),
+      { text: 'Cancel', style: 'cancel' }
+    ]);
+  };
+
+  // Hand the camera to the interval trigger
+  const startAutoCapture = (mode) => {
+    const remaining = config.CAPTURE.MAX_PHOTOS - capturedPhotos.length;
+    if (remaining <= 0) {
+      Alert.alert('Storage Full', 'Maximum photo capacity reached');
+      return;
+    }
+    if (mode === AUTO_CAPTURE_MODES.ANGLE && !coverageSubject) {
+      Alert.alert('Subject Required', 'Start a session or set a subject to capture by angle around it');
+      return;
+    }
+
+    autoCapture.start(mode, {
+      capture: () => captureController.capturePhoto().then(result => result.success),
+      remaining,
+      subject: coverageSubject
+    });
+  };
+
+  // Start video recording; resolves once the clip and its GPS track are stored
+  const startVideoRecording = () => captureController.startRecording();
+
+  // Stop video recording
+  const stopVideoRecording = () => captureController.stopRecording();
+
+  // Store an averaged control point with the session
+  const saveGcp = async (gcp) => {
+    const saved = await sessionStore.addGcp(captureSession.id, gcp);
+    if (!saved.success) {
+      Alert.alert('Storage Error', 'Failed to save ground control point');
+      return;
+    }
+    setGcps(prev => [...prev, gcp]);
+    setLinkedGcpId(gcp.id);
+    gcpCapture.cancel();
+  };
+
+  // Explain the coverage map and let the operator move the subject to where they stand
+  const showCoverageDetails = () => {
+    const details = [
+      `${coverage.usableCount} of ${capturedPhotos.length} photos face the subject`,
+      coverage.tooCloseCount > 0 ? `${coverage.tooCloseCount} too close to the subject` : null,
+      coverage.facingAwayCount > 0 ? `${coverage.facingAwayCount} facing away` : null,
+      ...coverage.suggestions
+    ].filter(Boolean);
+
+    Alert.alert('Coverage', details.join('\n'), [
+      { text: 'Set Subject Here', onPress: setSubjectHere },
+      { text: 'OK', style: 'cancel' }
+    ]);
+  };
+
+  // The subject is what the orbit is centred on; capture it by standing on it
+  const setSubjectHere = async () => {
+    if (!currentLocation) return;
+    const subjectLocation = {
+      latitude: currentLocation.coords.latitude,
+      longitude: currentLocation.coords.longitude,
+      altitude: currentLocation.coords.altitude || 0,
+      accuracy: currentLocation.coords.accuracy
+    };
+    setCaptureSession(prev => ({ ...prev, subjectLocation }));
+    await sessionStore.updateSession(captureSession.id, { subjectLocation });
+  };
+
+  // Validate and persist edits from the settings screen
+  const saveSettings = async (draft) => {
+    const caster = JSON.stringify(settings.get('NTRIP'));
+    const result = await settings.update(draft);
+    if (!result.success && !result.errors) {
+      Alert.alert('Settings', `Failed to save settings: ${result.error}`);
+    }
+
+    // New caster details take effect now rather than at the next launch
+    if (result.success && JSON.stringify(settings.get('NTRIP')) !== caster) {
+      if (settings.get('NTRIP.HOST')) {
+        ntripClient.connect().then(corrections => {
+          if (!corrections.success) {
+            Alert.alert('NTRIP', `No RTK corrections: ${corrections.error}`);
+          }
+        });
+      } else {
+        ntripClient.disconnect();
       }
+    }
+    return result;
+  };
+
+  // Connect the wallet, or offer to disconnect the current one
+  const handleWalletPress = async () => {
+    if (walletState.status === WALLET_STATUS.CONNECTING) return;
+
+    if (walletState.status === WALLET_STATUS.CONNECTED) {
+      Alert.alert(
+        walletState.label || 'Wallet',
+        `${walletState.publicKey}\n${walletState.cluster}`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Disconnect', style: 'destructive', onPress: () => wallet.disconnect() }
+        ]
+      );
       return;
     }
 
-    setIsRecording(true);
-    setRecordingDuration(0);
-    
-    recordingTimer.current = setInterval(() => {
-      setRecordingDuration(prev => {
-        if (prev >= CAPTURE_CONFIG.MAX_VIDEO_DURATION) {
-          stopVideoRecording();
-          return prev;
-        }
-        return prev + 1;
-      });
-    }, 1000);
+    const result = await wallet.connect();
+    if (!result.success) {
+      Alert.alert('Wallet', `Could not connect: ${result.error}`);
+    }
+  };
 
-    try {
-      const video = await cameraRef.current.recordAsync();
-      
-      const geoReferencedVideo = {
-        ...video,
-        timestamp: Date.now(),
-        sessionId: captureSession.id,
-        duration: recordingDuration,
-        gpsData: {
-          startLocation: {
-            latitude: currentLocation.coords.latitude,
-            longitude: currentLocation.coords.longitude,
-            altitude: currentLocation.coords.altitude || 0,
-            accuracy: currentLocation.coords.accuracy,
-            timestamp: currentLocation.timestamp,
-            isRTK: isRTKEnabled
+  // Pick the reconstruction backend for this session; stored so a reopened session keeps it
+  const selectBackend = async (backend) => {
+    setCaptureSession(prev => ({ ...prev, backend }));
+    await sessionStore.updateSession(captureSession.id, { backend });
+  };
+
+  // Upload the session and run it through the chosen reconstruction backend
+  const startProcessing = async () => {
+    const backend = captureSession.backend || config.PROCESSING.DEFAULT_BACKEND;
+    await sessionStore.updateSession(captureSession.id, { backend });
+
+    const loaded = await sessionStore.loadSession(captureSession.id);
+    const record = loaded.success
+      ? loaded.record
+      : { session: captureSession, photos: capturedPhotos, videos: capturedVideos };
+
+    await processingPipeline.start(record, backend);
+  };
+
+  // Bundle the session for COLMAP / nerfstudio / ODM and share it
+  const exportSession = async () => {
+    if (exportProgress !== null) return;
+    setExportProgress(0);
+
+    const loaded = await sessionStore.loadSession(captureSession.id);
+    const record = loaded.success
+      ? loaded.record
+      : { session: captureSession, photos: capturedPhotos, videos: capturedVideos };
+
+    const result = await datasetExport.exportSession(record, {
+      onProgress: ({ processedBytes, totalBytes }) => {
+        setExportProgress(totalBytes > 0 ? processedBytes / totalBytes : 0);
+      }
+    });
+    setExportProgress(null);
+
+    if (!result.success) {
+      Alert.alert('Export Failed', result.error);
+      return;
+    }
+
+    const shared = await datasetExport.shareExport(result.uri);
+    if (!shared.success) {
+      Alert.alert('✓ Export Saved', `${result.uri}\n${shared.error}`);
+    }
+  };
+
+  // Record the session's provenance root on Solana, or check the existing anchor
+  const anchorSession = async () => {
+    if (isAnchoring) return;
+    setIsAnchoring(true);
+
+    const loaded = await sessionStore.loadSession(captureSession.id);
+    const record = loaded.success
+      ? loaded.record
+      : { session: captureSession, photos: capturedPhotos, videos: capturedVideos };
+
+    const result = await anchoring.anchorSession(record);
+    if (result.alreadyAnchored) {
+      const verified = await anchoring.verifyAnchor(record);
+      setIsAnchoring(false);
+      if (!verified.success) {
+        Alert.alert('Anchor', `Could not verify: ${verified.error}`);
+        return;
+      }
+      const failed = Object.keys(verified.checks).filter(check => !verified.checks[check]);
+      Alert.alert(
+        verified.valid ? '✓ Anchor Verified' : 'Anchor Mismatch',
+        `${result.anchor.signature}\n` +
+        (verified.blockTime ? `Anchored ${new Date(verified.blockTime).toLocaleString()}\n` : '') +
+        (failed.length > 0 ? `Failed: ${failed.join(', ')}` : 'Manifest, wallet and chain agree')
+      );
+      return;
+    }
+    setIsAnchoring(false);
+
+    if (result.success) {
+      setCaptureSession(prev => ({ ...prev, anchor: result.anchor }));
+      Alert.alert('✓ Session Anchored', `${result.anchor.cluster}\n${result.anchor.signature}`);
+      return;
+    }
+
+    // Test clusters hand out fee SOL for free
+    if (result.errorType === ERROR_TYPES.QUOTA && config.SOLANA.NETWORK !== 'mainnet-beta') {
+      Alert.alert('No SOL', `${result.error}. Request an airdrop?`, [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Airdrop 1 SOL',
+          onPress: async () => {
+            const airdrop = await wallet.requestAirdrop(1);
+            Alert.alert('Airdrop', airdrop.success ? 'Received 1 SOL; anchor again' : airdrop.error);
           }
         }
-      };
-      
-      setCapturedVideos(prev => [...prev, geoReferencedVideo]);
-      setCaptureSession(prev => ({
-        ...prev,
-        totalAssets: prev.totalAssets + 1
-      }));
-      
-    } catch (error) {
-      console.error('Video recording failed:', error);
-      Alert.alert('Recording Error', 'Failed to record georeferenced video');
+      ]);
+      return;
     }
+
+    Alert.alert('Anchor Failed', result.error);
   };
 
-  // Stop video recording
-  const stopVideoRecording = () => {
-    if (cameraRef.current && isRecording) {
-      cameraRef.current.stopRecording();
-      setIsRecording(false);
-      if (recordingTimer.current) {
-        clearInterval(recordingTimer.current);
+  // Upload the manifest (and optionally the photos) to Arweave, or check on past uploads
+  const showArchiveOptions = () => {
+    const archiveWith = async (includePhotos) => {
+      const loaded = await sessionStore.loadSession(captureSession.id);
+      if (!loaded.success) {
+        Alert.alert('Archive Failed', loaded.error);
+        return;
       }
+
+      const manifest = await arweaveStorage.archiveManifest(loaded.record);
+      const photos = manifest.success && includePhotos
+        ? await arweaveStorage.archiveCaptures(loaded.record, loaded.record.photos)
+        : null;
+      const failed = !manifest.success ? manifest : photos && !photos.success ? photos : null;
+
+      if (failed) {
+        Alert.alert('Archive Failed', `${failed.error}\nRun it again to resume.`);
+        return;
+      }
+      const refreshed = await sessionStore.loadSession(captureSession.id);
+      if (refreshed.success) setCaptureSession(refreshed.record.session);
+      Alert.alert('✓ Archived', `Manifest: ${manifest.uploads[0].txId}` +
+        (photos ? `\n${photos.uploads.length} photos uploaded` : '') +
+        (captureSession.anchor ? '\nAnchor again to link the manifest on-chain' : ''));
+    };
+
+    const checkStatus = async () => {
+      const result = await arweaveStorage.refreshStatus(captureSession.id);
+      if (!result.success) {
+        Alert.alert('Arweave', result.error);
+        return;
+      }
+      const confirmed = result.uploads.filter(upload => upload.status === ARCHIVE_STATUS.CONFIRMED).length;
+      const missing = result.uploads.filter(upload => upload.status === ARCHIVE_STATUS.NOT_FOUND).length;
+      Alert.alert('Arweave', `${confirmed}/${result.uploads.length} uploads confirmed` +
+        (missing > 0 ? `\n${missing} not found by the gateway; archive again` : ''));
+    };
+
+    const options = [
+      { text: 'Manifest', onPress: () => archiveWith(false) },
+      { text: `Manifest + ${capturedPhotos.length} Photos`, onPress: () => archiveWith(true) },
+      { text: 'Check Status', onPress: checkStatus }
+    ];
+    if (arweaveStorage.isLocalGateway()) {
+      options.push({
+        text: 'Mint Test AR',
+        onPress: async () => {
+          const minted = await arweaveStorage.mintTestTokens(1);
+          Alert.alert('Arweave', minted.success ? `Minted 1 AR to ${minted.address}` : minted.error);
+        }
+      });
     }
+    options.push({ text: 'Cancel', style: 'cancel' });
+
+    Alert.alert('Archive to Arweave', `${config.ARWEAVE.PROTOCOL}://${config.ARWEAVE.HOST}:${config.ARWEAVE.PORT}`, options);
   };
 
   // Reset session
@@ -363,8 +800,17 @@ export default function App() {
           text: 'Reset',
           style: 'destructive',
           onPress: () => {
+            if (captureSession.id) {
+              sessionStore.deleteSession(captureSession.id);
+            }
+            processingPipeline.reset();
+            gcpCapture.cancel();
+            autoCapture.stop();
+            captureController.setSession(null);
             setCapturedPhotos([]);
             setCapturedVideos([]);
+            setGcps([]);
+            setLinkedGcpId(null);
             setCaptureSession({
               id: null,
               startTime: null,
@@ -377,6 +823,16 @@ export default function App() {
     );
   };
 
+  // Correction age and data rate, e.g. "1s · 0.5kB/s"; the receiver's own age wins when it reports one
+  const formatCorrections = () => {
+    if (ntripState.status !== NTRIP_STATUS.STREAMING) return null;
+    const age = gnssFix && gnssFix.ageOfCorrections != null
+      ? gnssFix.ageOfCorrections
+      : ntripState.correctionAge;
+    const rate = `${(ntripState.dataRate / 1024).toFixed(1)}kB/s`;
+    return age == null ? rate : `${Math.round(age)}s · ${rate}`;
+  };
+
   // Format time
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -388,11 +844,29 @@ export default function App() {
   const getGPSStatusColor = () => {
     if (!currentLocation) return COLORS.error;
     if (isRTKEnabled) return COLORS.primary;
-    if (locationAccuracy < 5) return COLORS.success;
-    if (locationAccuracy < 15) return COLORS.warning;
+    if (locationAccuracy < config.CAPTURE.GPS_ACCURACY_THRESHOLD) return COLORS.success;
+    if (locationAccuracy < config.CAPTURE.GPS_ACCURACY_THRESHOLD * 3) return COLORS.warning;
     return COLORS.error;
   };
 
+  // Get wallet status color
+  const getWalletStatusColor = () => {
+    switch (walletState.status) {
+      case WALLET_STATUS.CONNECTED: return COLORS.success;
+      case WALLET_STATUS.CONNECTING: return COLORS.warning;
+      case WALLET_STATUS.ERROR: return COLORS.error;
+      default: return COLORS.textSecondary;
+    }
+  };
+
+  const getWalletText = () => {
+    switch (walletState.status) {
+      case WALLET_STATUS.CONNECTED: return `${formatPublicKey(walletState.publicKey)} · ${walletState.cluster}`;
+      case WALLET_STATUS.CONNECTING: return 'Connecting...';
+      default: return 'Connect Wallet';
+    }
+  };
+
   // Permission check
   if (!cameraPermission || hasLocationPermission === null) {
     return (
@@ -402,17 +876,6 @@ export default function App() {
     );
   }
 
-  if (!cameraPermission.granted || hasLocationPermission === false) {
-    return (
-      <View style={styles.container}>
-        <Text style={styles.errorText}>Camera and Location permissions are required</Text>
-        <TouchableOpacity style={styles.retryButton} onPress={initializeApp}>
-          <Text style={styles.buttonText}>Grant Permissions</Text>
-        </TouchableOpacity>
-      </View>
-    );
-  }
-
   return (
     <View style={styles.container}>
       <StatusBar style="light" />
@@ -420,21 +883,24 @@ export default function App() {
       {/* Header with gradient background */}
       <View style={styles.header}>
         <Text style={styles.logo}>omniSplat</Text>
-        <View style={styles.walletIndicator}>
-          <View style={[styles.statusDot, { backgroundColor: COLORS.success }]} />
-          <Text style={styles.walletText}>Connected</Text>
-        </View>
+        <TouchableOpacity style={styles.walletIndicator} onPress={handleWalletPress}>
+          <View style={[styles.statusDot, { backgroundColor: getWalletStatusColor() }]} />
+          <Text style={styles.walletText}>{getWalletText()}</Text>
+        </TouchableOpacity>
       </View>
 
       {/* GPS Status Bar */}
       <View style={[styles.statusBar, { borderLeftColor: getGPSStatusColor() }]}>
         <View style={styles.statusSection}>
           <Text style={[styles.statusLabel, { color: getGPSStatusColor() }]}>
-            {isRTKEnabled ? '● RTK' : '◐ GPS'}
+            {isRTKEnabled ? '●' : '◐'} {gnssFix ? gnssFix.label : 'GPS'}
           </Text>
           <Text style={styles.statusValue}>
             {locationAccuracy ? `${locationAccuracy.toFixed(1)}m` : '--'}
           </Text>
+          {formatCorrections() && (
+            <Text style={styles.statusDetail}>{formatCorrections()}</Text>
+          )}
         </View>
         
         <View style={styles.statusDivider} />
@@ -451,28 +917,53 @@ export default function App() {
         <View style={styles.statusSection}>
           <Text style={styles.statusLabel}>STORAGE</Text>
           <Text style={styles.statusValue}>
-            {Math.round((capturedPhotos.length / CAPTURE_CONFIG.MAX_PHOTOS) * 100)}%
+            {Math.round((capturedPhotos.length / config.CAPTURE.MAX_PHOTOS) * 100)}%
           </Text>
         </View>
       </View>
 
       {/* Camera Viewfinder */}
       <View style={styles.cameraContainer}>
-        <CameraView
-          ref={cameraRef}
-          style={styles.camera}
-          facing={facing}
-          onCameraReady={() => setCameraReady(true)}
-        >
-          {/* Coverage Overlay */}
-          {capturedPhotos.length > 0 && (
-            <View style={styles.coverageOverlay}>
-              <Text style={styles.coverageText}>
-                Coverage: {Math.min(Math.round((capturedPhotos.length / 60) * 100), 100)}%
-              </Text>
-            </View>
-          )}
-        </CameraView>
+        {/* Without a camera (denied, or the web) only the live-capture controls are lost */}
+        {!cameraPermission.granted && (
+          <View style={styles.cameraUnavailable}>
+            <Text style={styles.cameraUnavailableText}>
+              No camera access. Import existing photos and videos, or grant access to capture.
+            </Text>
+            <TouchableOpacity style={styles.retryButton} onPress={initializeApp}>
+              <Text style={styles.buttonText}>Grant Permissions</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        {cameraPermission.granted && (
+          <CameraView
+            ref={cameraRef}
+            style={styles.camera}
+            facing={facing}
+            onCameraReady={() => {
+              setCameraReady(true);
+              captureController.setCameraReady(true);
+            }}
+          >
+            {/* Coverage Overlay */}
+            {coverage && capturedPhotos.length > 0 && (
+              <CoverageMap
+                coverage={coverage}
+                operatorAzimuth={currentLocation ? getAzimuth(currentLocation.coords, coverageSubject) : null}
+                onPress={showCoverageDetails}
+              />
+            )}
+            {/* GCP crosshair: centre the marker so its pixel position is known */}
+            {linkedGcpId && (
+              <View style={styles.gcpCrosshair} pointerEvents="none">
+                <Text style={styles.gcpCrosshairMark}>+</Text>
+                <Text style={styles.gcpCrosshairLabel}>
+                  {(gcps.find(gcp => gcp.id === linkedGcpId) || {}).name}
+                </Text>
+              </View>
+            )}
+          </CameraView>
+        )}
       </View>
 
       {/* Capture Controls */}
@@ -485,14 +976,26 @@ export default function App() {
           </Animated.View>
         )}
 
+        {/* Auto capture indicator */}
+        {autoCaptureState.active && (
+          <View style={styles.recordingIndicator}>
+            <View style={[styles.recordingDot, styles.autoCaptureDot]} />
+            <Text style={[styles.recordingText, styles.autoCaptureText]}>
+              AUTO {autoCaptureState.captured} · every {formatInterval(autoCaptureState.mode, autoCaptureState.interval)}
+              {autoCaptureState.held === HOLD_REASONS.MOVING && ' · HOLD: slow down'}
+              {autoCaptureState.held === HOLD_REASONS.ROTATING && ' · HOLD: steady'}
+            </Text>
+          </View>
+        )}
+
         {/* Main capture button */}
         <View style={styles.captureRow}>
           <TouchableOpacity
-            style={styles.secondaryButton}
-            onPress={startBurstCapture}
+            style={[styles.secondaryButton, autoCaptureState.active && styles.secondaryButtonActive]}
+            onPress={showCaptureModes}
             disabled={!cameraReady || !currentLocation || isRecording}
           >
-            <Text style={styles.secondaryButtonText}>⚡</Text>
+            <Text style={styles.secondaryButtonText}>{autoCaptureState.active ? '■' : '⚡'}</Text>
           </TouchableOpacity>
 
           <TouchableOpacity
@@ -517,7 +1020,7 @@ export default function App() {
           <TouchableOpacity
             style={styles.secondaryButton}
             onPress={isRecording ? stopVideoRecording : startVideoRecording}
-            disabled={!cameraReady || !currentLocation}
+            disabled={!cameraReady || !currentLocation || autoCaptureState.active}
           >
             <Text style={styles.secondaryButtonText}>
               {isRecording ? '■' : '▶'}
@@ -544,20 +1047,82 @@ export default function App() {
 
           <TouchableOpacity
             style={styles.actionButton}
-            onPress={() => Alert.alert('Process', 'Processing pipeline coming soon!')}
-            disabled={capturedPhotos.length < CAPTURE_CONFIG.MIN_PHOTOS_FOR_PROCESSING}
+            onPress={() => setShowImport(true)}
+          >
+            <Text style={styles.actionButtonText}>
+              {importProgress !== null ? `⇣ ${importProgress.processed}/${importProgress.total}` : '⇣ Import'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => setShowProcessing(true)}
+            disabled={capturedPhotos.length < config.CAPTURE.MIN_PHOTOS_FOR_PROCESSING}
+          >
+            <Text style={styles.actionButtonText}>
+              {processingPipeline.isActive()
+                ? `⚙ ${Math.round(processingState.progress)}%`
+                : `⚙ Process (${capturedPhotos.length})`}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, linkedGcpId && styles.actionButtonPrimary]}
+            onPress={() => setShowGcp(true)}
+            disabled={!captureSession.id}
+          >
+            <Text style={styles.actionButtonText}>
+              {gcpCapture.isAveraging()
+                ? `⌖ ${gcpState.sampleCount} samples`
+                : `⌖ GCP (${gcps.length})`}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={exportSession}
+            disabled={capturedPhotos.length === 0 || exportProgress !== null}
+          >
+            <Text style={styles.actionButtonText}>
+              {exportProgress !== null ? `↗ ${Math.round(exportProgress * 100)}%` : '↗ Export'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, captureSession.anchor && styles.actionButtonPrimary]}
+            onPress={anchorSession}
+            disabled={capturedPhotos.length === 0 || isAnchoring}
+          >
+            <Text style={styles.actionButtonText}>
+              {isAnchoring ? '⚓ Anchoring...' : captureSession.anchor ? '⚓ Anchored' : '⚓ Anchor'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={showArchiveOptions}
+            disabled={capturedPhotos.length === 0 || archiveState.active}
           >
             <Text style={styles.actionButtonText}>
-              ⚙ Process ({capturedPhotos.length})
+              {archiveState.active
+                ? `◎ ${archiveState.completed + 1}/${archiveState.total} ${Math.round(archiveState.progress * 100)}%`
+                : '◎ Archive'}
             </Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={[styles.actionButton, hasModels && styles.actionButtonPrimary]}
+            onPress={() => setShowViewer(true)}
+            disabled={!hasModels}
+          >
+            <Text style={styles.actionButtonText}>◈ View</Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.actionButton}
-            onPress={() => Alert.alert('Export', 'Export functionality coming soon!')}
-            disabled={capturedPhotos.length === 0}
+            onPress={() => setShowSettings(true)}
           >
-            <Text style={styles.actionButtonText}>↗ Export</Text>
+            <Text style={styles.actionButtonText}>☰ Settings</Text>
           </TouchableOpacity>
 
           <TouchableOpacity
@@ -570,6 +1135,61 @@ export default function App() {
         </ScrollView>
       </View>
 
+      <ImportPanel
+        visible={showImport}
+        formats={config.RENDER_NETWORK.SUPPORTED_FORMATS}
+        progress={importProgress}
+        result={importResult}
+        onPick={importMedia}
+        onClose={() => setShowImport(false)}
+      />
+
+      <GcpPanel
+        visible={showGcp}
+        state={gcpState}
+        gcps={gcps}
+        linkedGcpId={linkedGcpId}
+        onStart={(name) => gcpCapture.start(name)}
+        onFinish={() => gcpCapture.finish()}
+        onCancel={() => gcpCapture.cancel()}
+        onSave={saveGcp}
+        onLink={setLinkedGcpId}
+        onClose={() => setShowGcp(false)}
+      />
+
+      <SettingsPanel
+        visible={showSettings}
+        settings={settings}
+        onSave={saveSettings}
+        onReset={() => settings.reset()}
+        onClose={() => setShowSettings(false)}
+      />
+
+      <ProcessingPanel
+        visible={showProcessing}
+        state={processingState}
+        backends={getAvailableBackends()}
+        selectedBackend={captureSession.backend || config.PROCESSING.DEFAULT_BACKEND}
+        onSelectBackend={selectBackend}
+        onStart={startProcessing}
+        onCancel={() => processingPipeline.cancel()}
+        onRetry={() => processingPipeline.retry()}
+        onView={() => {
+          setShowProcessing(false);
+          setShowViewer(true);
+        }}
+        onClose={() => setShowProcessing(false)}
+      />
+
+      <ModelViewer
+        visible={showViewer}
+        results={processedResults}
+        backendType={processingState.backend || (captureSession.processing && captureSession.processing.backend)}
+        photos={capturedPhotos}
+        baseLocation={captureSession.baseLocation}
+        onClose={() => setShowViewer(false)}
+      />
+
       {/* Footer badge */}
       <View style={styles.footer}>
         <Text style={styles.footerText}>
@@ -679,6 +1299,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginTop: 2,
   },
+  statusDetail: {
+    color: COLORS.textSecondary,
+    fontSize: 10,
+    marginTop: 1,
+  },
   statusDivider: {
     width: 1,
     height: 30,
@@ -697,18 +1322,34 @@ const styles = StyleSheet.create({
   camera: {
     flex: 1,
   },
-  coverageOverlay: {
+  cameraUnavailable: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 30,
+  },
+  cameraUnavailableText: {
+    color: COLORS.textSecondary,
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  gcpCrosshair: {
     position: 'absolute',
-    top: 20,
-    left: 20,
-    backgroundColor: 'rgba(20, 241, 149, 0.2)',
-    paddingHorizontal: 12,
-    paddingVertical: 6,
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: COLORS.primary,
+    top: 0,
+    bottom: 0,
+    left: 0,
+    right: 0,
+    alignItems: 'center',
+    justifyContent: 'center',
   },
-  coverageText: {
+  gcpCrosshairMark: {
+    color: COLORS.primary,
+    fontSize: 48,
+    fontWeight: '200',
+  },
+  gcpCrosshairLabel: {
+    position: 'absolute',
+    top: '50%',
+    marginTop: 30,
     color: COLORS.primary,
     fontSize: 12,
     fontWeight: 'bold',
@@ -736,6 +1377,12 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  autoCaptureDot: {
+    backgroundColor: COLORS.primary,
+  },
+  autoCaptureText: {
+    color: COLORS.primary,
+  },
   captureRow: {
     flexDirection: 'row',
     justifyContent: 'center',
@@ -753,6 +1400,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginHorizontal: 20,
   },
+  secondaryButtonActive: {
+    borderColor: COLORS.primary,
+  },
   secondaryButtonText: {
     fontSize: 24,
     color: COLORS.text,
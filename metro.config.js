@@ -0,0 +1,18 @@
+// metro.config.js
+const path = require('path');
+const { getDefaultConfig } = require('expo/metro-config');
+
+const config = getDefaultConfig(__dirname);
+
+// arweave's react-native entry is its Node build, which requires Node's crypto module.
+// Native bundles resolve that to a stub; the browser build keeps WebCrypto.
+const NODE_CRYPTO_SHIM = path.resolve(__dirname, 'src/shims/nodeCrypto.js');
+
+config.resolver.resolveRequest = (context, moduleName, platform) => {
+  if (moduleName === 'crypto' && platform !== 'web') {
+    return { type: 'sourceFile', filePath: NODE_CRYPTO_SHIM };
+  }
+  return context.resolveRequest(context, moduleName, platform);
+};
+
+module.exports = config;
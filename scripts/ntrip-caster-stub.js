@@ -0,0 +1,148 @@
+// scripts/ntrip-caster-stub.js
+// Minimal NTRIP caster stand-in for exercising the app's NTRIP client without a real
+// correction service. Serves one mountpoint with synthetic, CRC-valid RTCM3 frames.
+//
+//   node scripts/ntrip-caster-stub.js [--port 2101] [--mountpoint TEST] [--user u --password p]
+//
+// Point the app at it by setting the NTRIP caster host to this machine's LAN IP and the
+// mountpoint to TEST in settings. GGA sentences sent by the client are logged.
+const net = require('net');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+};
+
+const PORT = Number(option('port', 2101));
+const MOUNTPOINT = option('mountpoint', 'TEST');
+const USER = option('user', null);
+const PASSWORD = option('password', '');
+const FRAME_INTERVAL = 1000;
+
+const CRC24Q_POLY = 0x1864CFB;
+const crc24q = (bytes) => {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= CRC24Q_POLY;
+    }
+  }
+  return crc & 0xFFFFFF;
+};
+
+// RTCM3 frame with the given message type and filler payload
+const buildFrame = (messageType, payloadLength) => {
+  const payload = Buffer.alloc(payloadLength);
+  payload[0] = messageType >> 4;
+  payload[1] = (messageType & 0x0F) << 4;
+  for (let i = 2; i < payloadLength; i++) payload[i] = (i * 31) & 0xFF;
+
+  const header = Buffer.from([0xD3, (payloadLength >> 8) & 0x03, payloadLength & 0xFF]);
+  const body = Buffer.concat([header, payload]);
+  const crc = crc24q(body);
+  return Buffer.concat([body, Buffer.from([(crc >> 16) & 0xFF, (crc >> 8) & 0xFF, crc & 0xFF])]);
+};
+
+// One epoch: station position (1005) plus GPS and GLONASS MSM7 observations
+const buildEpoch = () => Buffer.concat([
+  buildFrame(1005, 19),
+  buildFrame(1077, 420),
+  buildFrame(1087, 310)
+]);
+
+const sourceTable = () => {
+  const body = `STR;${MOUNTPOINT};Stub;RTCM 3.2;1005(10),1077(1),1087(1);2;GPS+GLO;STUB;XXX;0.00;0.00;1;0;omniSplat;none;N;N;0;\r\nENDSOURCETABLE\r\n`;
+  return `SOURCETABLE 200 OK\r\nContent-Type: text/plain\r\nContent-Length: ${body.length}\r\n\r\n${body}`;
+};
+
+const isAuthorized = (headers) => {
+  if (!USER) return true;
+  const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString('base64')}`;
+  return headers.authorization === expected;
+};
+
+const server = net.createServer(socket => {
+  const client = `${socket.remoteAddress}:${socket.remotePort}`;
+  let request = '';
+  let timer = null;
+  let chunked = false;
+
+  const send = (bytes) => {
+    if (!chunked) {
+      socket.write(bytes);
+      return;
+    }
+    socket.write(`${bytes.length.toString(16)}\r\n`);
+    socket.write(bytes);
+    socket.write('\r\n');
+  };
+
+  socket.on('data', data => {
+    if (timer) {
+      data.toString('latin1').split(/\r?\n/).filter(line => line.startsWith('$')).forEach(line => {
+        console.log(`[${client}] ${line}`);
+      });
+      return;
+    }
+
+    request += data.toString('latin1');
+    const headerEnd = request.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return;
+
+    const [requestLine, ...headerLines] = request.slice(0, headerEnd).split('\r\n');
+    const headers = {};
+    headerLines.forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+    const mountpoint = requestLine.split(' ')[1].replace(/^\//, '');
+    const isV2 = (headers['ntrip-version'] || '').includes('2.0');
+    console.log(`[${client}] ${requestLine} (NTRIP ${isV2 ? 2 : 1})`);
+    if (headers['ntrip-gga']) console.log(`[${client}] ${headers['ntrip-gga']}`);
+
+    if (mountpoint !== MOUNTPOINT) {
+      socket.end(sourceTable());
+      return;
+    }
+    if (!isAuthorized(headers)) {
+      socket.end(isV2
+        ? 'HTTP/1.1 401 Unauthorized\r\nNtrip-Version: Ntrip/2.0\r\nContent-Length: 0\r\n\r\n'
+        : 'ERROR - Bad Password\r\n');
+      return;
+    }
+
+    if (isV2) {
+      chunked = true;
+      socket.write('HTTP/1.1 200 OK\r\nNtrip-Version: Ntrip/2.0\r\nContent-Type: gnss/data\r\nTransfer-Encoding: chunked\r\n\r\n');
+    } else {
+      socket.write('ICY 200 OK\r\n');
+    }
+
+    // Anything after the header block is the client's first GGA (NTRIP v1)
+    const rest = request.slice(headerEnd + 4);
+    rest.split(/\r?\n/).filter(line => line.startsWith('$')).forEach(line => {
+      console.log(`[${client}] ${line}`);
+    });
+
+    send(buildEpoch());
+    timer = setInterval(() => send(buildEpoch()), FRAME_INTERVAL);
+  });
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+  socket.on('close', () => {
+    stop();
+    console.log(`[${client}] disconnected`);
+  });
+  socket.on('error', stop);
+});
+
+server.listen(PORT, () => {
+  console.log(`NTRIP caster stub on :${PORT}, mountpoint /${MOUNTPOINT}${USER ? ` (user ${USER})` : ''}`);
+});
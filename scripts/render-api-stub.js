@@ -0,0 +1,302 @@
+// scripts/render-api-stub.js
+// Minimal Render Network API stand-in for exercising the processing pipeline without
+// the real service. Accepts uploads, runs each job on a timer and serves small but
+// valid PLY and .splat models with their SHA-256 hashes.
+//
+//   node scripts/render-api-stub.js [--port 4000] [--api-key KEY] [--job-duration 10000]
+//
+// Point the app at it by setting the Render API URL to http://<this machine's LAN IP>:4000/v1
+// in settings, with the same API key (any key when --api-key is not given).
+const http = require('http');
+const crypto = require('crypto');
+
+const BASE_PATH = '/v1';
+const POINT_COUNT = 500;
+const METHODS = ['gaussian_splatting', 'convex_splatting'];
+const STAGES = ['feature_extraction', 'sparse_reconstruction', 'training', 'exporting'];
+
+const sha256 = (bytes) => crypto.createHash('sha256').update(bytes).digest('hex');
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+};
+
+// Splats on a 5 m hemisphere: [x, y, z, r, g, b, opacity, scale] per point
+const buildSplats = (seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: POINT_COUNT }, () => {
+    const azimuth = random() * 2 * Math.PI;
+    const elevation = random() * Math.PI / 2;
+    return [
+      5 * Math.cos(elevation) * Math.cos(azimuth),
+      5 * Math.cos(elevation) * Math.sin(azimuth),
+      5 * Math.sin(elevation),
+      random(), random(), random(),
+      0.9,
+      0.05
+    ];
+  });
+};
+
+const PLY_PROPERTIES = [
+  'x', 'y', 'z', 'f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity',
+  'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'
+];
+const SH_C0 = 0.28209479177387814;
+
+// Binary 3DGS PLY: logit opacity, log scales, DC colour coefficients
+const writePly = (splats) => {
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    `element vertex ${splats.length}`,
+    ...PLY_PROPERTIES.map(name => `property float ${name}`),
+    'end_header',
+    ''
+  ].join('\n');
+  const body = Buffer.alloc(splats.length * PLY_PROPERTIES.length * 4);
+  splats.forEach(([x, y, z, r, g, b, opacity, scale], i) => {
+    const logScale = Math.log(scale);
+    const values = [
+      x, y, z,
+      (r - 0.5) / SH_C0, (g - 0.5) / SH_C0, (b - 0.5) / SH_C0,
+      Math.log(opacity / (1 - opacity)),
+      logScale, logScale, logScale,
+      1, 0, 0, 0
+    ];
+    values.forEach((value, k) => body.writeFloatLE(value, (i * PLY_PROPERTIES.length + k) * 4));
+  });
+  return Buffer.concat([Buffer.from(header, 'latin1'), body]);
+};
+
+// antimatter15 .splat: 3 position floats, 3 scale floats, RGBA bytes, quaternion bytes
+const writeSplat = (splats) => {
+  const body = Buffer.alloc(splats.length * 32);
+  splats.forEach(([x, y, z, r, g, b, opacity, scale], i) => {
+    const offset = i * 32;
+    [x, y, z, scale, scale, scale].forEach((value, k) => body.writeFloatLE(value, offset + k * 4));
+    [r, g, b, opacity].forEach((value, k) => body.writeUInt8(Math.round(value * 255), offset + 24 + k));
+    [255, 128, 128, 128].forEach((value, k) => body.writeUInt8(value, offset + 28 + k));
+  });
+  return body;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const parseJson = (body) => {
+  try {
+    return body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+  } catch (error) {
+    return null;
+  }
+};
+
+const send = (res, status, body, contentType = 'application/json') => {
+  const payload = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+  res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': payload.length });
+  res.end(payload);
+};
+
+// `apiKey` of null accepts any bearer token; `jobDuration` is ms from submit to results
+const createRenderApiStub = ({ apiKey = null, jobDuration = 10000, log = console.log } = {}) => {
+  const uploads = new Map();
+  const jobs = new Map();
+  const files = new Map(); // path -> bytes
+  const idempotentResponses = new Map(); // `${route}:${key}` -> response body
+  let nextId = 1;
+
+  const newId = (prefix) => `${prefix}_${String(nextId++).padStart(4, '0')}`;
+
+  const jobStatus = (job) => {
+    if (job.cancelled) return { status: 'cancelled', progress: job.progress, currentStage: null };
+    const fraction = Math.min((Date.now() - job.createdAt) / jobDuration, 1);
+    job.progress = Math.round(fraction * 100);
+    if (fraction >= 1) return { status: 'completed', progress: 100, currentStage: null };
+    return {
+      status: fraction === 0 ? 'queued' : 'running',
+      progress: job.progress,
+      currentStage: STAGES[Math.min(Math.floor(fraction * STAGES.length), STAGES.length - 1)],
+      estimatedTimeRemaining: Math.ceil((jobDuration - (Date.now() - job.createdAt)) / 1000)
+    };
+  };
+
+  // Model files are built once, on the first results request
+  const buildResults = (job, origin) => {
+    const outputs = {};
+    METHODS.forEach((method, m) => {
+      const splats = buildSplats(job.seed + m);
+      const formats = {};
+      [['ply', writePly(splats)], ['splat', writeSplat(splats)]].forEach(([format, bytes]) => {
+        const path = `${BASE_PATH}/files/${job.id}/${method}.${format}`;
+        files.set(path, bytes);
+        formats[format] = { url: `${origin}${path}`, hash: `sha256:${sha256(bytes)}`, fileSize: bytes.length };
+      });
+      outputs[method] = { formats, pointCount: POINT_COUNT };
+    });
+    return {
+      outputs,
+      cameras: [],
+      processingTime: jobDuration / 1000,
+      renderNodes: 1,
+      qualityScore: 0.9
+    };
+  };
+
+  const routes = [
+    ['GET', /^\/status$/, () => [200, { status: 'ok', service: 'render-api-stub' }]],
+
+    ['POST', /^\/upload$/, (req, body) => {
+      const uploadId = newId('upl');
+      uploads.set(uploadId, { size: body.length, complete: true });
+      log(`upload ${uploadId} (${body.length} bytes)`);
+      return [200, { uploadId, uri: `render://uploads/${uploadId}` }];
+    }],
+
+    ['POST', /^\/uploads$/, (req, body) => {
+      const request = parseJson(body);
+      if (!request || !Number.isFinite(request.size)) return [400, { message: 'size is required' }];
+      const uploadId = newId('upl');
+      uploads.set(uploadId, { size: request.size, receivedBytes: 0, complete: false });
+      return [200, { uploadId }];
+    }],
+
+    ['GET', /^\/uploads\/([\w-]+)$/, (req, body, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      return upload ? [200, { uploadId, receivedBytes: upload.receivedBytes }] : [404, { message: 'Unknown upload' }];
+    }],
+
+    ['PUT', /^\/uploads\/([\w-]+)\/chunks$/, (req, body, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return [404, { message: 'Unknown upload' }];
+      const range = /bytes (\d+)-(\d+)\/(\d+)/.exec(req.headers['content-range'] || '');
+      if (!range || Number(range[1]) !== upload.receivedBytes) {
+        return [416, { message: 'Chunk does not continue the upload', receivedBytes: upload.receivedBytes }];
+      }
+      upload.receivedBytes = Number(range[2]) + 1;
+      return [200, { receivedBytes: upload.receivedBytes }];
+    }],
+
+    ['POST', /^\/uploads\/([\w-]+)\/complete$/, (req, body, [uploadId]) => {
+      const upload = uploads.get(uploadId);
+      if (!upload) return [404, { message: 'Unknown upload' }];
+      if (upload.receivedBytes < upload.size) return [409, { message: 'Upload is incomplete' }];
+      upload.complete = true;
+      log(`upload ${uploadId} (${upload.size} bytes, chunked)`);
+      return [200, { uploadId, uri: `render://uploads/${uploadId}` }];
+    }],
+
+    ['POST', /^\/jobs\/submit$/, (req, body) => {
+      const request = parseJson(body);
+      if (!request || !request.assets) return [400, { message: 'assets are required' }];
+      const photos = request.assets.photos || [];
+      const videos = request.assets.videos || [];
+      if (photos.length + videos.length === 0) return [400, { message: 'The job has no assets' }];
+
+      const jobId = newId('job');
+      jobs.set(jobId, {
+        id: jobId,
+        createdAt: Date.now(),
+        seed: nextId,
+        assetCount: photos.length + videos.length,
+        cancelled: false,
+        progress: 0,
+        results: null
+      });
+      log(`job ${jobId} submitted (${photos.length} photos, ${videos.length} videos)`);
+      return [200, { jobId, estimatedTime: jobDuration / 1000, cost: 0 }];
+    }],
+
+    ['GET', /^\/jobs\/([\w-]+)\/status$/, (req, body, [jobId]) => {
+      const job = jobs.get(jobId);
+      return job ? [200, jobStatus(job)] : [404, { message: 'Unknown job' }];
+    }],
+
+    ['POST', /^\/jobs\/([\w-]+)\/cancel$/, (req, body, [jobId]) => {
+      const job = jobs.get(jobId);
+      if (!job) return [404, { message: 'Unknown job' }];
+      if (jobStatus(job).status !== 'completed') {
+        job.cancelled = true;
+        log(`job ${jobId} cancelled`);
+      }
+      return [200, { status: jobStatus(job).status }];
+    }],
+
+    ['GET', /^\/jobs\/([\w-]+)\/results$/, (req, body, [jobId]) => {
+      const job = jobs.get(jobId);
+      if (!job) return [404, { message: 'Unknown job' }];
+      if (jobStatus(job).status !== 'completed') return [409, { message: 'Job has not completed' }];
+      if (!job.results) job.results = buildResults(job, `http://${req.headers.host}`);
+      return [200, job.results];
+    }]
+  ];
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    const body = await readBody(req);
+
+    // Result files are public to whoever holds the job's URLs, like signed bucket links
+    if (req.method === 'GET' && files.has(url.pathname)) {
+      send(res, 200, files.get(url.pathname), 'application/octet-stream');
+      return;
+    }
+
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      send(res, 401, { message: 'Invalid API key' });
+      return;
+    }
+
+    const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : null;
+    const route = path !== null && routes.find(([method, pattern]) => method === req.method && pattern.test(path));
+    if (!route) {
+      send(res, 404, { message: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    // A repeated Idempotency-Key gets the first response back instead of a new resource
+    const key = req.headers['idempotency-key'];
+    const replayKey = key ? `${req.method} ${path}:${key}` : null;
+    if (replayKey && idempotentResponses.has(replayKey)) {
+      send(res, 200, idempotentResponses.get(replayKey));
+      return;
+    }
+
+    const [, pattern, handler] = route;
+    const [status, response] = handler(req, body, pattern.exec(path).slice(1));
+    if (replayKey && status === 200) idempotentResponses.set(replayKey, response);
+    send(res, status, response);
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { message: error.message }));
+  });
+  return { server, uploads, jobs };
+};
+
+module.exports = { createRenderApiStub };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+
+  const port = Number(option('port', 4000));
+  const apiKey = option('api-key', null);
+  const { server } = createRenderApiStub({
+    apiKey,
+    jobDuration: Number(option('job-duration', 10000))
+  });
+  server.listen(port, () => {
+    console.log(`Render API stub on :${port}${BASE_PATH}${apiKey ? ' (API key required)' : ''}`);
+  });
+}
@@ -0,0 +1,155 @@
+// src/components/CoverageMap.js
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+import { COLORS } from '../constants/theme';
+
+const SIZE = 96;
+const RADIUS = SIZE / 2;
+const RIM_TICKS = 36;
+const DOT_SIZE = 6;
+
+// Outer ring is ground level, inner rings are higher viewpoints
+const ringRadius = (band, bandCount) => RADIUS * (1 - band / (bandCount + 0.5)) - DOT_SIZE;
+
+const isInGap = (azimuth, gaps) => gaps.some(gap => (
+  gap.from <= gap.to
+    ? azimuth >= gap.from && azimuth < gap.to
+    : azimuth >= gap.from || azimuth < gap.to
+));
+
+// Position a square of `size` at `radius` from the centre, north up and clockwise
+const polar = (azimuth, radius, size) => {
+  const angle = azimuth * Math.PI / 180;
+  return {
+    left: RADIUS + radius * Math.sin(angle) - size / 2,
+    top: RADIUS - radius * Math.cos(angle) - size / 2
+  };
+};
+
+export default function CoverageMap({ coverage, operatorAzimuth, onPress }) {
+  const bandCount = coverage.bandCoverage.length;
+  const needed = coverage.gaps.slice(0, 3).map(gap => gap.direction);
+
+  return (
+    <TouchableOpacity style={styles.container} onPress={onPress} activeOpacity={0.8}>
+      <View style={styles.dial}>
+        {Array.from({ length: bandCount }, (_, band) => {
+          const size = (ringRadius(band, bandCount) + DOT_SIZE / 2) * 2;
+          return (
+            <View
+              key={`ring-${band}`}
+              style={[styles.ring, { width: size, height: size, borderRadius: size / 2, ...polar(0, 0, size) }]}
+            />
+          );
+        })}
+
+        {Array.from({ length: RIM_TICKS }, (_, index) => {
+          const azimuth = (index + 0.5) * (360 / RIM_TICKS);
+          const missing = isInGap(azimuth, coverage.gaps);
+          return (
+            <View
+              key={`tick-${index}`}
+              style={[styles.tick, missing && styles.tickMissing, polar(azimuth, RADIUS - 2, 4)]}
+            />
+          );
+        })}
+
+        {coverage.viewpoints.map(view => (
+          <View
+            key={`view-${view.index}`}
+            style={[
+              styles.dot,
+              (view.tooClose || view.facingAway) && styles.dotRejected,
+              polar(view.azimuth, ringRadius(view.band, bandCount), DOT_SIZE)
+            ]}
+          />
+        ))}
+
+        {operatorAzimuth !== null && (
+          <View style={[styles.operator, polar(operatorAzimuth, RADIUS - 2, 10)]} />
+        )}
+
+        <Text style={[styles.north, polar(0, RADIUS - 14, 12)]}>N</Text>
+      </View>
+
+      <Text style={styles.summary}>
+        {Math.round(coverage.coveredFraction * 100)}%
+        {coverage.overlap.mean !== null ? ` · ${Math.round(coverage.overlap.mean * 100)}% overlap` : ''}
+      </Text>
+      {needed.length > 0 && (
+        <Text style={styles.needed}>Need: {needed.join(', ')}</Text>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    alignItems: 'center',
+    backgroundColor: 'rgba(20, 241, 149, 0.2)',
+    padding: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  dial: {
+    width: SIZE,
+    height: SIZE,
+  },
+  ring: {
+    position: 'absolute',
+    borderWidth: 1,
+    borderColor: 'rgba(20, 241, 149, 0.35)',
+  },
+  tick: {
+    position: 'absolute',
+    width: 4,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: COLORS.primary,
+  },
+  tickMissing: {
+    backgroundColor: COLORS.error,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    backgroundColor: COLORS.tertiary,
+  },
+  dotRejected: {
+    backgroundColor: COLORS.textSecondary,
+  },
+  operator: {
+    position: 'absolute',
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 2,
+    borderColor: COLORS.text,
+  },
+  north: {
+    position: 'absolute',
+    width: 12,
+    textAlign: 'center',
+    color: COLORS.textSecondary,
+    fontSize: 9,
+    fontWeight: 'bold',
+  },
+  summary: {
+    color: COLORS.primary,
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 6,
+  },
+  needed: {
+    color: COLORS.warning,
+    fontSize: 11,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,290 @@
+// src/components/GcpPanel.js
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, TextInput, ScrollView } from 'react-native';
+import { GCP_STAGES } from '../services/gcpCapture';
+import { FIX_LABELS } from '../utils/nmea';
+import { COLORS } from '../constants/theme';
+
+const formatStd = (metres) => (metres === null || metres === undefined ? '--' : `${(metres * 100).toFixed(1)}cm`);
+
+export default function GcpPanel({
+  visible,
+  state,
+  gcps,
+  linkedGcpId,
+  onStart,
+  onFinish,
+  onCancel,
+  onSave,
+  onLink,
+  onClose
+}) {
+  const [name, setName] = useState('');
+
+  // Suggest the next free marker name each time the panel opens
+  useEffect(() => {
+    if (visible && state.stage === GCP_STAGES.IDLE) {
+      setName(`GCP-${gcps.length + 1}`);
+    }
+  }, [visible, state.stage, gcps.length]);
+
+  const elapsed = state.startedAt ? Date.now() - state.startedAt : 0;
+  const progress = state.stage === GCP_STAGES.AVERAGING
+    ? Math.min(elapsed / state.duration, 1) * 100
+    : 0;
+  const result = state.result;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Ground Control</Text>
+
+          {state.stage === GCP_STAGES.IDLE && (
+            <View>
+              <Text style={styles.hint}>
+                Stand on the marker and hold the device still while positions are averaged.
+              </Text>
+              <TextInput
+                style={styles.input}
+                value={name}
+                onChangeText={setName}
+                placeholder="Marker name"
+                placeholderTextColor={COLORS.textSecondary}
+                autoCapitalize="characters"
+              />
+            </View>
+          )}
+
+          {state.stage === GCP_STAGES.AVERAGING && (
+            <View>
+              <Text style={styles.stage}>Averaging {state.name}</Text>
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressFill, { width: `${progress}%` }]} />
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>SAMPLES</Text>
+                <Text style={styles.value}>{state.sampleCount}</Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>SPREAD</Text>
+                <Text style={styles.value}>{formatStd(state.horizontalStd)}</Text>
+              </View>
+            </View>
+          )}
+
+          {state.stage === GCP_STAGES.DONE && result && (
+            <View>
+              <Text style={styles.stage}>✓ {result.name}</Text>
+              <View style={styles.row}>
+                <Text style={styles.label}>POSITION</Text>
+                <Text style={styles.value}>
+                  {result.latitude.toFixed(8)}, {result.longitude.toFixed(8)}
+                </Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>ALTITUDE</Text>
+                <Text style={styles.value}>{result.altitude.toFixed(3)}m</Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>STD E / N / U</Text>
+                <Text style={styles.value}>
+                  {formatStd(result.stdEast)} / {formatStd(result.stdNorth)} / {formatStd(result.stdUp)}
+                </Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>SAMPLES</Text>
+                <Text style={styles.value}>
+                  {result.sampleCount} kept, {result.rejectedCount} rejected
+                </Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>FIX</Text>
+                <Text style={styles.value}>{FIX_LABELS[result.fixQuality]}</Text>
+              </View>
+            </View>
+          )}
+
+          {state.error && <Text style={styles.errorText}>{state.error}</Text>}
+
+          {gcps.length > 0 && state.stage === GCP_STAGES.IDLE && (
+            <ScrollView style={styles.list}>
+              {gcps.map(gcp => (
+                <TouchableOpacity
+                  key={gcp.id}
+                  style={[styles.gcpOption, gcp.id === linkedGcpId && styles.gcpOptionSelected]}
+                  onPress={() => onLink(gcp.id === linkedGcpId ? null : gcp.id)}
+                >
+                  <Text style={styles.gcpName}>{gcp.name}</Text>
+                  <Text style={styles.gcpDetail}>
+                    ±{formatStd(gcp.horizontalStd)} · {FIX_LABELS[gcp.fixQuality]}
+                    {gcp.id === linkedGcpId ? ' · linking photos' : ' · tap to link photos'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+
+          <View style={styles.buttons}>
+            {state.stage === GCP_STAGES.IDLE && (
+              <TouchableOpacity
+                style={[styles.button, styles.buttonPrimary]}
+                onPress={() => onStart(name.trim())}
+                disabled={name.trim().length === 0}
+              >
+                <Text style={styles.buttonText}>Start Averaging</Text>
+              </TouchableOpacity>
+            )}
+            {state.stage === GCP_STAGES.AVERAGING && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={onFinish}>
+                <Text style={styles.buttonText}>Finish Now</Text>
+              </TouchableOpacity>
+            )}
+            {state.stage === GCP_STAGES.DONE && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={() => onSave(result)}>
+                <Text style={styles.buttonText}>Save</Text>
+              </TouchableOpacity>
+            )}
+            {state.stage !== GCP_STAGES.IDLE && (
+              <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={onCancel}>
+                <Text style={styles.buttonText}>{state.stage === GCP_STAGES.AVERAGING ? 'Cancel' : 'Discard'}</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>{state.stage === GCP_STAGES.AVERAGING ? 'Hide' : 'Close'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  panel: {
+    backgroundColor: COLORS.background,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 20,
+  },
+  title: {
+    color: COLORS.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: -0.5,
+    marginBottom: 10,
+  },
+  hint: {
+    color: COLORS.textSecondary,
+    fontSize: 12,
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    color: COLORS.text,
+    fontSize: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  stage: {
+    color: COLORS.primary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 15,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.glass,
+    overflow: 'hidden',
+    marginBottom: 15,
+  },
+  progressFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    color: COLORS.textSecondary,
+    fontSize: 10,
+    fontWeight: '700',
+    letterSpacing: 0.5,
+  },
+  value: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: 'bold',
+    maxWidth: '70%',
+  },
+  errorText: {
+    color: COLORS.error,
+    fontSize: 12,
+    marginTop: 8,
+  },
+  list: {
+    maxHeight: 180,
+    marginTop: 15,
+  },
+  gcpOption: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 12,
+    marginBottom: 8,
+  },
+  gcpOptionSelected: {
+    borderColor: COLORS.primary,
+  },
+  gcpName: {
+    color: COLORS.text,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  gcpDetail: {
+    color: COLORS.textSecondary,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  button: {
+    backgroundColor: COLORS.glass,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.secondary,
+    borderColor: COLORS.secondary,
+  },
+  buttonDanger: {
+    borderColor: COLORS.error,
+  },
+  buttonText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,175 @@
+// src/components/ImportPanel.js
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, ScrollView } from 'react-native';
+import { IMPORT_SOURCES } from '../services/mediaImport';
+import { COLORS } from '../constants/theme';
+
+// Source choice, progress and outcome of an import. A panel rather than an Alert:
+// react-native-web drops Alert buttons, and the web app has nothing but import.
+export default function ImportPanel({ visible, formats, progress, result, onPick, onClose }) {
+  const isImporting = progress !== null;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Import Media</Text>
+          <Text style={styles.hint}>
+            Add existing photos and videos ({formats.join(', ')}). Positions are read from their
+            EXIF, XMP or QuickTime metadata.
+          </Text>
+
+          {isImporting && (
+            <View>
+              <Text style={styles.stage}>Importing {Math.min(progress.processed + 1, progress.total)} of {progress.total}</Text>
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressFill, { width: `${(progress.processed / Math.max(progress.total, 1)) * 100}%` }]} />
+              </View>
+              {progress.name && <Text style={styles.detail}>{progress.name}</Text>}
+            </View>
+          )}
+
+          {!isImporting && result && result.error && (
+            <Text style={styles.errorText}>{result.error}</Text>
+          )}
+
+          {!isImporting && result && !result.error && (
+            <ScrollView style={styles.list}>
+              <Text style={styles.stage}>
+                {result.unlocated.length + result.rejected.length === 0 ? '✓ ' : ''}
+                {result.imported.length} of {result.total} files imported
+              </Text>
+              {result.unlocated.length > 0 && (
+                <View style={styles.group}>
+                  <Text style={styles.label}>NO POSITION (KEPT, NOT GEOREFERENCED)</Text>
+                  {result.unlocated.map(name => (
+                    <Text key={name} style={styles.warningText}>{name}</Text>
+                  ))}
+                </View>
+              )}
+              {result.rejected.length > 0 && (
+                <View style={styles.group}>
+                  <Text style={styles.label}>SKIPPED</Text>
+                  {result.rejected.map(file => (
+                    <Text key={file.name} style={styles.errorText}>{file.name}: {file.reason}</Text>
+                  ))}
+                </View>
+              )}
+            </ScrollView>
+          )}
+
+          <View style={styles.buttons}>
+            {!isImporting && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={() => onPick(IMPORT_SOURCES.LIBRARY)}>
+                <Text style={styles.buttonText}>Photo Library</Text>
+              </TouchableOpacity>
+            )}
+            {!isImporting && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={() => onPick(IMPORT_SOURCES.FILES)}>
+                <Text style={styles.buttonText}>Files</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>{isImporting ? 'Hide' : 'Close'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  panel: {
+    backgroundColor: COLORS.background,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 20,
+  },
+  title: {
+    color: COLORS.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: -0.5,
+    marginBottom: 10,
+  },
+  hint: {
+    color: COLORS.textSecondary,
+    fontSize: 12,
+    marginBottom: 12,
+  },
+  stage: {
+    color: COLORS.primary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 15,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.glass,
+    overflow: 'hidden',
+    marginBottom: 10,
+  },
+  progressFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  detail: {
+    color: COLORS.textSecondary,
+    fontSize: 12,
+  },
+  list: {
+    maxHeight: 260,
+  },
+  group: {
+    marginBottom: 12,
+  },
+  label: {
+    color: COLORS.textSecondary,
+    fontSize: 10,
+    fontWeight: '700',
+    letterSpacing: 0.5,
+    marginBottom: 4,
+  },
+  warningText: {
+    color: COLORS.warning,
+    fontSize: 12,
+  },
+  errorText: {
+    color: COLORS.error,
+    fontSize: 12,
+    marginTop: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  button: {
+    backgroundColor: COLORS.glass,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.secondary,
+    borderColor: COLORS.secondary,
+  },
+  buttonText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,362 @@
+// src/components/ModelViewer.js
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, PanResponder, ActivityIndicator, Platform } from 'react-native';
+import SplatViewer from './SplatViewer';
+import modelConverter from '../services/modelConverter';
+import settings from '../services/settings';
+import { getBackend } from '../services/backends';
+import { OUTPUT_STATUS, RECONSTRUCTION_METHODS, METHOD_LABELS } from '../utils/jobOutputs';
+import { SPLAT_FORMATS, getSplatBounds } from '../utils/splatFormats';
+import {
+  buildSplatAttributes,
+  buildCaptureFrustums,
+  fitCameraToBounds,
+  MODEL_FRAMES,
+  orbitCamera,
+  panCamera,
+  zoomCamera
+} from '../utils/splatView';
+import { COLORS } from '../constants/theme';
+
+const ORBIT_SPEED = 0.008; // radians per pixel dragged
+const ZOOM_STEP = 0.8;
+// Smallest files load fastest; all are shown without view-dependent colour
+const VIEWABLE_FORMATS = [SPLAT_FORMATS.SPLAT, SPLAT_FORMATS.SPZ, SPLAT_FORMATS.PLY];
+
+// One viewable output per method, georeferenced where possible so it lines up with
+// the capture cameras. The web build has no local files, so it streams the backend's
+// copy instead.
+const pickModels = (results) => Object.values(RECONSTRUCTION_METHODS)
+  .map(method => {
+    const candidates = ((results && results.outputs) || [])
+      .filter(output => output.method === method && VIEWABLE_FORMATS.includes(output.format))
+      .map(output => {
+        const downloaded = output.status === OUTPUT_STATUS.DOWNLOADED;
+        return {
+          ...output,
+          uri: downloaded
+            ? output.georeferencedUri || output.localUri
+            : Platform.OS === 'web' ? output.url : null,
+          frame: downloaded && output.georeferencedUri ? MODEL_FRAMES.ENU : MODEL_FRAMES.RECONSTRUCTION
+        };
+      })
+      .filter(output => output.uri)
+      .sort((a, b) => VIEWABLE_FORMATS.indexOf(a.format) - VIEWABLE_FORMATS.indexOf(b.format));
+    return candidates[0] || { method, label: METHOD_LABELS[method], uri: null };
+  });
+
+export default function ModelViewer({ visible, results, backendType, photos, baseLocation, onClose }) {
+  const models = useMemo(() => pickModels(results), [results]);
+  const [method, setMethod] = useState(null);
+  const [splats, setSplats] = useState(null);
+  const [modelInfo, setModelInfo] = useState(null);
+  const [camera, setCamera] = useState(null);
+  const [homeCamera, setHomeCamera] = useState(null);
+  const [showCameras, setShowCameras] = useState(true);
+  const [panMode, setPanMode] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const cameraRef = useRef(null);
+  const panModeRef = useRef(false);
+  const viewHeightRef = useRef(1);
+  const gestureRef = useRef({ dx: 0, dy: 0, pinch: null });
+  cameraRef.current = camera;
+  panModeRef.current = panMode;
+
+  const selected = models.find(candidate => candidate.method === method);
+
+  // Georeferenced models are in ENU about the registration origin, where the capture
+  // cameras can be drawn; an unregistered model's frame is unrelated to it
+  const frame = selected ? selected.frame : MODEL_FRAMES.ENU;
+  const origin = (results && results.georegistration && results.georegistration.origin) || baseLocation;
+  const frustums = useMemo(() => (
+    visible && frame === MODEL_FRAMES.ENU ? buildCaptureFrustums(photos || [], origin) : null
+  ), [visible, photos, origin, frame]);
+
+  // Open on the first available model; the camera is kept when switching methods so
+  // the two reconstructions can be compared from the same viewpoint (if in one frame)
+  useEffect(() => {
+    if (!visible) {
+      setSplats(null);
+      setCamera(null);
+      setHomeCamera(null);
+      setMethod(null);
+      setError(null);
+      return;
+    }
+    const first = models.find(model => model.uri);
+    setMethod(first ? first.method : null);
+    if (!first) setError('No downloaded models for this session');
+  }, [visible]);
+
+  useEffect(() => {
+    const model = models.find(candidate => candidate.method === method);
+    if (!visible || !model || !model.uri) return undefined;
+
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      const headers = backendType ? getBackend(backendType).getDownloadHeaders() : {};
+      const loaded = await modelConverter.loadModel(model.uri, {
+        minOpacity: settings.get('MODELS.PREVIEW_MIN_OPACITY'),
+        shDegree: 0
+      }, { headers });
+      if (cancelled) return;
+      setLoading(false);
+
+      if (!loaded.success) {
+        setError(loaded.error);
+        return;
+      }
+      setSplats(buildSplatAttributes(loaded.cloud));
+      setModelInfo({ count: loaded.cloud.count, format: loaded.format, size: loaded.size });
+      if (!cameraRef.current || cameraRef.current.frame !== model.frame) {
+        const fitted = fitCameraToBounds(getSplatBounds(loaded.cloud), { frame: model.frame });
+        setCamera(fitted);
+        setHomeCamera(fitted);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [visible, method]);
+
+  const updateCamera = (next) => {
+    cameraRef.current = next;
+    setCamera(next);
+  };
+
+  // One finger orbits (or pans in pan mode); two fingers pinch to zoom and drag to pan.
+  // Mouse drags on the web arrive as single touches.
+  const panResponder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      gestureRef.current = { dx: 0, dy: 0, pinch: null };
+    },
+    onPanResponderMove: (event, gesture) => {
+      const current = cameraRef.current;
+      const last = gestureRef.current;
+      if (!current) return;
+
+      const touches = event.nativeEvent.touches || [];
+      const moveX = gesture.dx - last.dx;
+      const moveY = gesture.dy - last.dy;
+      last.dx = gesture.dx;
+      last.dy = gesture.dy;
+
+      if (touches.length >= 2) {
+        const [a, b] = touches;
+        const pinch = {
+          spread: Math.hypot(a.pageX - b.pageX, a.pageY - b.pageY),
+          x: (a.pageX + b.pageX) / 2,
+          y: (a.pageY + b.pageY) / 2
+        };
+        if (last.pinch && pinch.spread > 0) {
+          const zoomed = zoomCamera(current, last.pinch.spread / pinch.spread);
+          updateCamera(panCamera(
+            zoomed,
+            (pinch.x - last.pinch.x) / viewHeightRef.current,
+            (pinch.y - last.pinch.y) / viewHeightRef.current
+          ));
+        }
+        last.pinch = pinch;
+        return;
+      }
+
+      last.pinch = null;
+      updateCamera(panModeRef.current
+        ? panCamera(current, moveX / viewHeightRef.current, moveY / viewHeightRef.current)
+        : orbitCamera(current, -moveX * ORBIT_SPEED, moveY * ORBIT_SPEED));
+    }
+  })).current;
+
+  const share = async () => {
+    const model = models.find(candidate => candidate.method === method);
+    if (!model || !model.localUri) return;
+
+    setSharing(true);
+    const copy = await modelConverter.createSharingCopy(model.georeferencedUri || model.localUri);
+    const shared = copy.success ? await modelConverter.shareModel(copy.uri) : copy;
+    setSharing(false);
+    if (!shared.success) setError(shared.error);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        <View
+          style={styles.canvas}
+          onLayout={event => { viewHeightRef.current = event.nativeEvent.layout.height || 1; }}
+          {...panResponder.panHandlers}
+        >
+          {camera && (
+            <SplatViewer
+              style={styles.canvas}
+              splats={splats}
+              frustums={showCameras ? frustums : null}
+              camera={camera}
+              onError={renderError => setError(`Viewer unavailable: ${renderError.message}`)}
+            />
+          )}
+        </View>
+
+        <View style={styles.header} pointerEvents="box-none">
+          <Text style={styles.title}>Model</Text>
+          <View style={styles.methods}>
+            {models.map(model => (
+              <TouchableOpacity
+                key={model.method}
+                style={[
+                  styles.chip,
+                  model.method === method && styles.chipSelected,
+                  !model.uri && styles.chipDisabled
+                ]}
+                onPress={() => setMethod(model.method)}
+                disabled={!model.uri || loading}
+              >
+                <Text style={styles.chipText}>{model.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {modelInfo && selected && (
+            <Text style={styles.info}>
+              {modelInfo.count.toLocaleString()} splats · .{modelInfo.format}
+              {frustums && frustums.count > 0 ? ` · ${frustums.count} cameras` : ''}
+            </Text>
+          )}
+          {error && <Text style={styles.errorText}>{error}</Text>}
+        </View>
+
+        {loading && (
+          <View style={styles.loading} pointerEvents="none">
+            <ActivityIndicator color={COLORS.primary} size="large" />
+          </View>
+        )}
+
+        <View style={styles.toolbar}>
+          <TouchableOpacity style={[styles.button, panMode && styles.buttonActive]} onPress={() => setPanMode(!panMode)}>
+            <Text style={styles.buttonText}>{panMode ? '✥ Pan' : '⟳ Orbit'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => camera && updateCamera(zoomCamera(camera, 1 / ZOOM_STEP))}>
+            <Text style={styles.buttonText}>−</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => camera && updateCamera(zoomCamera(camera, ZOOM_STEP))}>
+            <Text style={styles.buttonText}>+</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => homeCamera && updateCamera(homeCamera)}>
+            <Text style={styles.buttonText}>⌂</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, showCameras && styles.buttonActive]}
+            onPress={() => setShowCameras(!showCameras)}
+            disabled={!frustums || frustums.count === 0}
+          >
+            <Text style={styles.buttonText}>◫ Cameras</Text>
+          </TouchableOpacity>
+          {selected && selected.localUri && (
+            <TouchableOpacity style={styles.button} onPress={share} disabled={sharing}>
+              <Text style={styles.buttonText}>{sharing ? '↗ ...' : '↗ Share'}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={onClose}>
+            <Text style={styles.buttonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  canvas: {
+    ...StyleSheet.absoluteFillObject,
+  },
+  header: {
+    position: 'absolute',
+    top: Platform.OS === 'ios' ? 50 : 30,
+    left: 20,
+    right: 20,
+  },
+  title: {
+    color: COLORS.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: -0.5,
+  },
+  methods: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  chip: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  chipSelected: {
+    borderColor: COLORS.primary,
+  },
+  chipDisabled: {
+    opacity: 0.4,
+  },
+  chipText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  info: {
+    color: COLORS.textSecondary,
+    fontSize: 11,
+    marginTop: 8,
+  },
+  errorText: {
+    color: COLORS.error,
+    fontSize: 12,
+    marginTop: 8,
+  },
+  loading: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  toolbar: {
+    position: 'absolute',
+    bottom: 30,
+    left: 10,
+    right: 10,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+  },
+  button: {
+    backgroundColor: COLORS.glass,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 20,
+    margin: 4,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  buttonActive: {
+    borderColor: COLORS.primary,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.secondary,
+    borderColor: COLORS.secondary,
+  },
+  buttonText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,327 @@
+// src/components/ProcessingPanel.js
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal } from 'react-native';
+import { PROCESSING_STAGES } from '../services/processingPipeline';
+import { ERROR_TYPES } from '../services/errors';
+import { OUTPUT_STATUS } from '../utils/jobOutputs';
+import { COLORS } from '../constants/theme';
+
+const STAGE_LABELS = {
+  [PROCESSING_STAGES.IDLE]: 'Choose a processing backend',
+  [PROCESSING_STAGES.CONNECTING]: 'Connecting',
+  [PROCESSING_STAGES.UPLOADING]: 'Uploading captures',
+  [PROCESSING_STAGES.SUBMITTING]: 'Submitting reconstruction job',
+  [PROCESSING_STAGES.PROCESSING]: 'Processing',
+  [PROCESSING_STAGES.RETRIEVING]: 'Retrieving results',
+  [PROCESSING_STAGES.DOWNLOADING]: 'Downloading models',
+  [PROCESSING_STAGES.GEOREGISTERING]: 'Georeferencing models',
+  [PROCESSING_STAGES.COMPLETED]: '✓ Complete',
+  [PROCESSING_STAGES.FAILED]: '✕ Failed',
+  [PROCESSING_STAGES.CANCELLED]: 'Cancelled'
+};
+
+const ERROR_HINTS = {
+  [ERROR_TYPES.AUTH]: name => `Check your ${name} API key.`,
+  [ERROR_TYPES.QUOTA]: name => `${name} limit reached. Wait or top up credits, then retry.`,
+  [ERROR_TYPES.VALIDATION]: () => 'The job was rejected. Check the session captures.',
+  [ERROR_TYPES.NETWORK]: name => `No connection to ${name}. Retry when back online.`,
+  [ERROR_TYPES.SERVER]: name => `${name} had a problem. Retry in a few minutes.`
+};
+
+const formatSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`
+);
+
+const formatOutput = (output) => {
+  const name = `${output.label} .${output.format}`;
+  if (output.status === OUTPUT_STATUS.FAILED) return `✕ ${name}: ${output.error}`;
+  const details = [
+    output.pointCount ? `${output.pointCount} splats` : null,
+    output.size ? formatSize(output.size) : null,
+    output.status === OUTPUT_STATUS.DOWNLOADED && !output.verified ? 'unverified' : null,
+    output.georeferencedUri ? 'georeferenced' : null
+  ].filter(Boolean).join(', ');
+  return `${output.verified ? '✓' : '⚠'} ${name}${details ? ` (${details})` : ''}`;
+};
+
+const formatMissing = (missing) => (
+  `– ${missing.label}${missing.format ? ` .${missing.format}` : ''}: ${missing.reason}`
+);
+
+const formatGeoregistration = (georegistration) => (
+  georegistration.error
+    ? `Not georeferenced: ${georegistration.error}`
+    : `Georeferenced: ${georegistration.rmsError.toFixed(2)} m RMS, ${georegistration.inlierCount}/${georegistration.cameraCount} cameras`
+);
+
+const formatRemaining = (seconds) => {
+  if (seconds === null || seconds === undefined) return '--';
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return hours > 0
+    ? `${hours}h ${mins.toString().padStart(2, '0')}m`
+    : `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+export default function ProcessingPanel({
+  visible,
+  state,
+  backends,
+  selectedBackend,
+  onSelectBackend,
+  onStart,
+  onCancel,
+  onRetry,
+  onView,
+  onClose
+}) {
+  const isActive = [
+    PROCESSING_STAGES.CONNECTING,
+    PROCESSING_STAGES.UPLOADING,
+    PROCESSING_STAGES.SUBMITTING,
+    PROCESSING_STAGES.PROCESSING,
+    PROCESSING_STAGES.RETRIEVING,
+    PROCESSING_STAGES.DOWNLOADING,
+    PROCESSING_STAGES.GEOREGISTERING
+  ].includes(state.stage);
+  const isIdle = state.stage === PROCESSING_STAGES.IDLE;
+  const canRetry = state.stage === PROCESSING_STAGES.FAILED || state.stage === PROCESSING_STAGES.CANCELLED
+    || (state.stage === PROCESSING_STAGES.COMPLETED && state.downloadErrors > 0);
+  const canView = state.stage === PROCESSING_STAGES.COMPLETED && Boolean(state.results)
+    && (state.results.outputs || []).some(output => output.status === OUTPUT_STATUS.DOWNLOADED);
+  const errorHint = ERROR_HINTS[state.errorType];
+  const progress = Math.min(Math.max(state.progress || 0, 0), 100);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Reconstruction</Text>
+          <Text style={[
+            styles.stage,
+            state.stage === PROCESSING_STAGES.FAILED && styles.stageError
+          ]}>
+            {STAGE_LABELS[state.stage]}
+            {state.stage === PROCESSING_STAGES.CONNECTING ? ` to ${state.backendName}` : ''}
+          </Text>
+
+          {isIdle && backends.map(backend => (
+            <TouchableOpacity
+              key={backend.type}
+              style={[
+                styles.backendOption,
+                backend.type === selectedBackend && styles.backendOptionSelected
+              ]}
+              onPress={() => onSelectBackend(backend.type)}
+            >
+              <Text style={styles.backendName}>{backend.name}</Text>
+              <Text style={styles.backendDescription} numberOfLines={1}>{backend.description}</Text>
+            </TouchableOpacity>
+          ))}
+
+          {!isIdle && (
+            <View>
+              <View style={styles.progressTrack}>
+                <View style={[styles.progressFill, { width: `${progress}%` }]} />
+              </View>
+
+              <View style={styles.row}>
+                <Text style={styles.label}>PROGRESS</Text>
+                <Text style={styles.value}>{Math.round(progress)}%</Text>
+              </View>
+              {state.stage === PROCESSING_STAGES.UPLOADING && (
+                <View style={styles.row}>
+                  <Text style={styles.label}>FILES</Text>
+                  <Text style={styles.value}>{state.uploadedFiles} / {state.totalFiles}</Text>
+                </View>
+              )}
+              <View style={styles.row}>
+                <Text style={styles.label}>STAGE</Text>
+                <Text style={styles.value}>{state.currentStage || '--'}</Text>
+              </View>
+              <View style={styles.row}>
+                <Text style={styles.label}>REMAINING</Text>
+                <Text style={styles.value}>{formatRemaining(state.estimatedTimeRemaining)}</Text>
+              </View>
+              {state.jobId && (
+                <View style={styles.row}>
+                  <Text style={styles.label}>JOB</Text>
+                  <Text style={styles.value} numberOfLines={1}>{state.jobId}</Text>
+                </View>
+              )}
+            </View>
+          )}
+
+          {state.error && (
+            <Text style={styles.errorText}>
+              {state.error}
+              {errorHint ? `\n${errorHint(state.backendName)}` : ''}
+            </Text>
+          )}
+
+          {state.results && (
+            <Text style={styles.resultsText}>
+              {[
+                ...(state.results.outputs || []).map(formatOutput),
+                ...(state.results.missing || []).map(formatMissing),
+                ...(state.results.georegistration ? [formatGeoregistration(state.results.georegistration)] : [])
+              ].join('\n')}
+            </Text>
+          )}
+
+          <View style={styles.buttons}>
+            {isIdle && (
+              <TouchableOpacity
+                style={[styles.button, styles.buttonPrimary]}
+                onPress={onStart}
+                disabled={!selectedBackend}
+              >
+                <Text style={styles.buttonText}>Start</Text>
+              </TouchableOpacity>
+            )}
+            {isActive && (
+              <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={onCancel}>
+                <Text style={styles.buttonText}>Cancel Job</Text>
+              </TouchableOpacity>
+            )}
+            {canRetry && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={onRetry}>
+                <Text style={styles.buttonText}>
+                  {state.stage === PROCESSING_STAGES.COMPLETED ? 'Retry Downloads' : 'Retry'}
+                </Text>
+              </TouchableOpacity>
+            )}
+            {canView && (
+              <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={onView}>
+                <Text style={styles.buttonText}>View</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>{isActive ? 'Hide' : 'Close'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  panel: {
+    backgroundColor: COLORS.background,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 20,
+  },
+  title: {
+    color: COLORS.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: -0.5,
+  },
+  stage: {
+    color: COLORS.primary,
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 4,
+    marginBottom: 15,
+  },
+  stageError: {
+    color: COLORS.error,
+  },
+  backendOption: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 12,
+    marginBottom: 8,
+  },
+  backendOptionSelected: {
+    borderColor: COLORS.primary,
+  },
+  backendName: {
+    color: COLORS.text,
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  backendDescription: {
+    color: COLORS.textSecondary,
+    fontSize: 11,
+    marginTop: 2,
+  },
+  progressTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.glass,
+    overflow: 'hidden',
+    marginBottom: 15,
+  },
+  progressFill: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: COLORS.primary,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  label: {
+    color: COLORS.textSecondary,
+    fontSize: 10,
+    fontWeight: '700',
+    letterSpacing: 0.5,
+  },
+  value: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: 'bold',
+    maxWidth: '70%',
+  },
+  errorText: {
+    color: COLORS.error,
+    fontSize: 12,
+    marginTop: 8,
+  },
+  resultsText: {
+    color: COLORS.text,
+    fontSize: 12,
+    marginTop: 8,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  button: {
+    backgroundColor: COLORS.glass,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.secondary,
+    borderColor: COLORS.secondary,
+  },
+  buttonDanger: {
+    borderColor: COLORS.error,
+  },
+  buttonText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,226 @@
+// src/components/SettingsPanel.js
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, Modal, TextInput, ScrollView } from 'react-native';
+import { SETTINGS_SCHEMA, SETTINGS_SECTIONS, SETTING_TYPES } from '../constants/settingsSchema';
+import { COLORS } from '../constants/theme';
+
+const toDraft = (value) => (value === null || value === undefined ? '' : String(value));
+
+export default function SettingsPanel({ visible, settings, onSave, onReset, onClose }) {
+  const [draft, setDraft] = useState({});
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Start from the stored values every time the panel opens
+  useEffect(() => {
+    if (visible) {
+      setDraft(Object.fromEntries(SETTINGS_SCHEMA.map(entry => [entry.key, toDraft(settings.get(entry.key))])));
+      setErrors({});
+    }
+  }, [visible]);
+
+  const setValue = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setErrors(prev => ({ ...prev, [key]: null }));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const result = await onSave(draft);
+    setSaving(false);
+    if (result.success) {
+      onClose();
+    } else {
+      setErrors(result.errors || {});
+    }
+  };
+
+  const reset = async () => {
+    const result = await onReset();
+    if (result.success) {
+      setDraft(Object.fromEntries(SETTINGS_SCHEMA.map(entry => [entry.key, toDraft(settings.get(entry.key))])));
+      setErrors({});
+    }
+  };
+
+  const renderField = (entry) => {
+    if (entry.type === SETTING_TYPES.CHOICE) {
+      return (
+        <View style={styles.choices}>
+          {entry.options.map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.choice, draft[entry.key] === option && styles.choiceSelected]}
+              onPress={() => setValue(entry.key, option)}
+            >
+              <Text style={styles.choiceText}>{option}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    const numeric = entry.type === SETTING_TYPES.NUMBER || entry.type === SETTING_TYPES.INTEGER;
+    return (
+      <TextInput
+        style={[styles.input, errors[entry.key] && styles.inputError]}
+        value={draft[entry.key]}
+        onChangeText={value => setValue(entry.key, value)}
+        keyboardType={numeric ? 'decimal-pad' : 'default'}
+        secureTextEntry={entry.type === SETTING_TYPES.SECRET}
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder={entry.nullable ? 'Not set' : ''}
+        placeholderTextColor={COLORS.textSecondary}
+      />
+    );
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.panel}>
+          <Text style={styles.title}>Settings</Text>
+
+          <ScrollView style={styles.list}>
+            {SETTINGS_SECTIONS.map(section => (
+              <View key={section}>
+                <Text style={styles.sectionTitle}>{section.toUpperCase()}</Text>
+                {SETTINGS_SCHEMA.filter(entry => entry.section === section).map(entry => (
+                  <View key={entry.key} style={styles.field}>
+                    <Text style={styles.label}>
+                      {entry.label}{entry.unit ? ` (${entry.unit})` : ''}
+                    </Text>
+                    {renderField(entry)}
+                    {errors[entry.key] && <Text style={styles.errorText}>{errors[entry.key]}</Text>}
+                  </View>
+                ))}
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={[styles.button, styles.buttonDanger]} onPress={reset}>
+              <Text style={styles.buttonText}>Defaults</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.button} onPress={onClose}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.buttonPrimary]} onPress={save} disabled={saving}>
+              <Text style={styles.buttonText}>{saving ? 'Saving...' : 'Save'}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  panel: {
+    backgroundColor: COLORS.background,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    color: COLORS.text,
+    fontSize: 20,
+    fontWeight: 'bold',
+    letterSpacing: -0.5,
+    marginBottom: 10,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  sectionTitle: {
+    color: COLORS.primary,
+    fontSize: 11,
+    fontWeight: '700',
+    letterSpacing: 0.5,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  field: {
+    marginBottom: 10,
+  },
+  label: {
+    color: COLORS.textSecondary,
+    fontSize: 11,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    color: COLORS.text,
+    fontSize: 14,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  inputError: {
+    borderColor: COLORS.error,
+  },
+  choices: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  choice: {
+    backgroundColor: COLORS.glass,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  choiceSelected: {
+    borderColor: COLORS.primary,
+  },
+  choiceText: {
+    color: COLORS.text,
+    fontSize: 12,
+  },
+  errorText: {
+    color: COLORS.error,
+    fontSize: 11,
+    marginTop: 4,
+  },
+  buttons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 20,
+  },
+  button: {
+    backgroundColor: COLORS.glass,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    marginLeft: 8,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  buttonPrimary: {
+    backgroundColor: COLORS.secondary,
+    borderColor: COLORS.secondary,
+  },
+  buttonDanger: {
+    borderColor: COLORS.error,
+  },
+  buttonText: {
+    color: COLORS.text,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
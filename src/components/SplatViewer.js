@@ -0,0 +1,291 @@
+// src/components/SplatViewer.js
+import React, { useEffect, useRef } from 'react';
+import { GLView } from 'expo-gl';
+import {
+  SPLAT_STRIDE,
+  getCameraPose,
+  getViewMatrix,
+  getProjectionMatrix,
+  getFocalLengths,
+  sortSplats,
+  packSortedSplats
+} from '../utils/splatView';
+
+// Each splat is a screen-aligned quad stretched along the 2D projection of its
+// covariance (the EWA approximation the reference 3DGS renderer uses)
+const SPLAT_VERTEX_SHADER = `#version 300 es
+precision highp float;
+uniform mat4 projection;
+uniform mat4 view;
+uniform vec2 focal;
+uniform vec2 viewport;
+in vec2 corner;
+in vec3 center;
+in vec4 color;
+in vec3 covarianceA;
+in vec3 covarianceB;
+out vec4 vColor;
+out vec2 vPosition;
+
+void main() {
+  vec4 cam = view * vec4(center, 1.0);
+  vec4 clip = projection * cam;
+  mat3 sigma = mat3(
+    covarianceA.x, covarianceA.y, covarianceA.z,
+    covarianceA.y, covarianceB.x, covarianceB.y,
+    covarianceA.z, covarianceB.y, covarianceB.z
+  );
+  mat3 jacobian = mat3(
+    focal.x / cam.z, 0.0, -(focal.x * cam.x) / (cam.z * cam.z),
+    0.0, focal.y / cam.z, -(focal.y * cam.y) / (cam.z * cam.z),
+    0.0, 0.0, 0.0
+  );
+  mat3 t = transpose(mat3(view)) * jacobian;
+  mat3 cov2d = transpose(t) * sigma * t;
+
+  float mid = (cov2d[0][0] + cov2d[1][1]) / 2.0;
+  float radius = length(vec2((cov2d[0][0] - cov2d[1][1]) / 2.0, cov2d[0][1]));
+  float lambda1 = mid + radius;
+  float lambda2 = max(mid - radius, 0.1);
+  vec2 axis = normalize(vec2(cov2d[0][1], lambda1 - cov2d[0][0]));
+  vec2 major = min(sqrt(2.0 * lambda1), 1024.0) * axis;
+  vec2 minor = min(sqrt(2.0 * lambda2), 1024.0) * vec2(axis.y, -axis.x);
+
+  vColor = color;
+  vPosition = corner;
+  vec2 ndc = clip.xy / clip.w;
+  // Pixel offsets are y-down; flip to clip space
+  vec2 offset = (corner.x * major + corner.y * minor) / viewport * vec2(2.0, -2.0);
+  gl_Position = vec4(ndc + offset, 0.0, 1.0);
+}`;
+
+const SPLAT_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+in vec4 vColor;
+in vec2 vPosition;
+out vec4 fragColor;
+
+void main() {
+  float power = -dot(vPosition, vPosition);
+  if (power < -4.0) discard;
+  float alpha = exp(power) * vColor.a;
+  fragColor = vec4(vColor.rgb * alpha, alpha);
+}`;
+
+const LINE_VERTEX_SHADER = `#version 300 es
+precision highp float;
+uniform mat4 projection;
+uniform mat4 view;
+in vec3 position;
+
+void main() {
+  gl_Position = projection * view * vec4(position, 1.0);
+}`;
+
+const LINE_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform vec4 lineColor;
+out vec4 fragColor;
+
+void main() {
+  fragColor = lineColor;
+}`;
+
+const FRUSTUM_COLOR = [0.0, 0.83, 1.0, 0.9];
+const QUAD_CORNERS = new Float32Array([-2, -2, 2, -2, 2, 2, -2, 2]);
+
+const compileProgram = (gl, vertexSource, fragmentSource) => {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
+  };
+
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+};
+
+const createScene = (gl) => {
+  const splatProgram = compileProgram(gl, SPLAT_VERTEX_SHADER, SPLAT_FRAGMENT_SHADER);
+  const lineProgram = compileProgram(gl, LINE_VERTEX_SHADER, LINE_FRAGMENT_SHADER);
+
+  const splatVao = gl.createVertexArray();
+  gl.bindVertexArray(splatVao);
+
+  const cornerBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, QUAD_CORNERS, gl.STATIC_DRAW);
+  const cornerLocation = gl.getAttribLocation(splatProgram, 'corner');
+  gl.enableVertexAttribArray(cornerLocation);
+  gl.vertexAttribPointer(cornerLocation, 2, gl.FLOAT, false, 0, 0);
+
+  // One interleaved instance buffer, re-packed in depth order after every sort
+  const instanceBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+  [['center', 3, 0], ['color', 4, 3], ['covarianceA', 3, 7], ['covarianceB', 3, 10]].forEach(([name, size, offset]) => {
+    const location = gl.getAttribLocation(splatProgram, name);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, SPLAT_STRIDE * 4, offset * 4);
+    gl.vertexAttribDivisor(location, 1);
+  });
+
+  const lineVao = gl.createVertexArray();
+  gl.bindVertexArray(lineVao);
+  const lineBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, lineBuffer);
+  const positionLocation = gl.getAttribLocation(lineProgram, 'position');
+  gl.enableVertexAttribArray(positionLocation);
+  gl.vertexAttribPointer(positionLocation, 3, gl.FLOAT, false, 0, 0);
+  gl.bindVertexArray(null);
+
+  return {
+    splatProgram,
+    lineProgram,
+    splatVao,
+    lineVao,
+    instanceBuffer,
+    lineBuffer,
+    uniforms: {
+      splat: ['projection', 'view', 'focal', 'viewport'].reduce((all, name) => ({
+        ...all, [name]: gl.getUniformLocation(splatProgram, name)
+      }), {}),
+      line: ['projection', 'view', 'lineColor'].reduce((all, name) => ({
+        ...all, [name]: gl.getUniformLocation(lineProgram, name)
+      }), {})
+    },
+    packed: new Float32Array(0),
+    sortScratch: {},
+    lineCount: 0,
+    splats: null,
+    frustums: null
+  };
+};
+
+// GL view of a splat model plus optional capture frustums. `splats` comes from
+// buildSplatAttributes, `frustums` from buildCaptureFrustums; redraws when `camera` changes.
+export default function SplatViewer({ splats, frustums, camera, style, onError }) {
+  const glRef = useRef(null);
+  const sceneRef = useRef(null);
+  const frameRef = useRef(null);
+  const propsRef = useRef({});
+  propsRef.current = { splats, frustums, camera };
+
+  const upload = () => {
+    const gl = glRef.current;
+    const scene = sceneRef.current;
+    if (!gl || !scene) return;
+
+    if (scene.splats !== propsRef.current.splats) {
+      scene.splats = propsRef.current.splats;
+      const total = scene.splats ? scene.splats.count : 0;
+      scene.packed = new Float32Array(total * SPLAT_STRIDE);
+      scene.sortScratch = {};
+      gl.bindBuffer(gl.ARRAY_BUFFER, scene.instanceBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, scene.packed.byteLength || 4, gl.DYNAMIC_DRAW);
+    }
+
+    if (scene.frustums !== propsRef.current.frustums) {
+      scene.frustums = propsRef.current.frustums;
+      const lines = scene.frustums ? scene.frustums.lines : new Float32Array(0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, scene.lineBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, lines.byteLength ? lines : 4, gl.STATIC_DRAW);
+      scene.lineCount = lines.length / 3;
+    }
+  };
+
+  const draw = () => {
+    const gl = glRef.current;
+    const scene = sceneRef.current;
+    const { camera: current } = propsRef.current;
+    if (!gl || !scene || !current) return;
+
+    upload();
+    const width = gl.drawingBufferWidth;
+    const height = gl.drawingBufferHeight;
+    const focal = getFocalLengths(current, width, height);
+    const pose = getCameraPose(current);
+    const view = getViewMatrix(pose);
+    const projection = getProjectionMatrix({ ...focal, width, height });
+
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    if (scene.splats && scene.splats.count > 0) {
+      const sorted = sortSplats(scene.splats.centers, scene.splats.count, pose, { ...focal, width, height }, scene.sortScratch);
+      scene.sortScratch = sorted.scratch;
+      packSortedSplats(scene.splats, sorted.order, sorted.count, scene.packed);
+
+      gl.useProgram(scene.splatProgram);
+      gl.uniformMatrix4fv(scene.uniforms.splat.projection, false, projection);
+      gl.uniformMatrix4fv(scene.uniforms.splat.view, false, view);
+      gl.uniform2f(scene.uniforms.splat.focal, focal.fx, focal.fy);
+      gl.uniform2f(scene.uniforms.splat.viewport, width, height);
+      gl.bindVertexArray(scene.splatVao);
+      gl.bindBuffer(gl.ARRAY_BUFFER, scene.instanceBuffer);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, scene.packed.subarray(0, sorted.count * SPLAT_STRIDE));
+      gl.drawArraysInstanced(gl.TRIANGLE_FAN, 0, 4, sorted.count);
+    }
+
+    if (scene.lineCount > 0) {
+      gl.useProgram(scene.lineProgram);
+      gl.uniformMatrix4fv(scene.uniforms.line.projection, false, projection);
+      gl.uniformMatrix4fv(scene.uniforms.line.view, false, view);
+      gl.uniform4fv(scene.uniforms.line.lineColor, FRUSTUM_COLOR);
+      gl.bindVertexArray(scene.lineVao);
+      gl.drawArrays(gl.LINES, 0, scene.lineCount);
+    }
+
+    gl.bindVertexArray(null);
+    gl.flush();
+    if (gl.endFrameEXP) gl.endFrameEXP();
+  };
+
+  // Coalesce bursts of gesture updates into one sort and draw per frame
+  const requestDraw = () => {
+    if (frameRef.current !== null) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      try {
+        draw();
+      } catch (error) {
+        console.error('Splat render failed:', error);
+        if (onError) onError(error);
+      }
+    });
+  };
+
+  const onContextCreate = (gl) => {
+    try {
+      glRef.current = gl;
+      sceneRef.current = createScene(gl);
+      requestDraw();
+    } catch (error) {
+      console.error('Splat viewer setup failed:', error);
+      if (onError) onError(error);
+    }
+  };
+
+  useEffect(() => {
+    requestDraw();
+  }, [splats, frustums, camera]);
+
+  useEffect(() => () => {
+    if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  return <GLView style={style} onContextCreate={onContextCreate} />;
+}
@@ -1,29 +1,118 @@
 // src/constants/config.js
 export const APP_CONFIG = {
   RENDER_NETWORK: {
-    API_KEY: null, // Will be set by user or environment
+    API_KEY: null, // entered in settings and kept in the secure store, never bundled
+    API_BASE_URL: process.env.EXPO_PUBLIC_RENDER_API_URL || null, // e.g. http://<LAN IP>:4000/v1 for scripts/render-api-stub.js
+    POLL_INTERVAL: 5000,
     TIMEOUT: 30000,
+    UPLOAD_TIMEOUT: 120000,
+    UPLOAD_CONCURRENCY: 4,
     RETRY_ATTEMPTS: 3,
     SUPPORTED_FORMATS: ['jpg', 'jpeg', 'png', 'mp4', 'mov']
   },
   
+  PROCESSING: {
+    DEFAULT_BACKEND: 'render_network', // 'render_network' | 'self_hosted' | 'mock' (development builds)
+    SELF_HOSTED_URL: process.env.EXPO_PUBLIC_PROCESSING_SERVER_URL || 'http://192.168.1.100:7007/api',
+    SELF_HOSTED_API_KEY: null, // entered in settings, like the Render API key
+    SELF_HOSTED_TIMEOUT: 15000,
+    SELF_HOSTED_UPLOAD_TIMEOUT: 120000, // ms per file; a stalled server fails the upload instead of hanging it
+    SELF_HOSTED_UPLOAD_CONCURRENCY: 8,
+    MOCK_JOB_DURATION: 30000,
+    MOCK_UPLOAD_DELAY: 50
+  },
+  
+  MODELS: {
+    PREVIEW_FORMAT: 'splat', // loads fastest in viewers; colour is view-independent
+    PREVIEW_MIN_OPACITY: 0.1, // 0-1; fainter splats are dropped from previews
+    SHARE_FORMAT: 'spz',
+    SHARE_SH_DEGREE: 3, // 0-3; lower bands shrink the file at the cost of view-dependent colour
+    MAX_CONVERT_SIZE: 512 * 1024 * 1024 // bytes; conversion holds the whole model in memory
+  },
+  
+  GEOREGISTRATION: {
+    INLIER_THRESHOLD: 3, // metres; cameras further from their GPS fix are rejected
+    MIN_CAMERAS: 4 // matched cameras needed before a fit is trusted
+  },
+  
   ARWEAVE: {
-    HOST: 'arweave.net',
-    PORT: 443,
-    PROTOCOL: 'https'
+    HOST: process.env.EXPO_PUBLIC_ARWEAVE_HOST || 'arweave.net', // e.g. 10.0.2.2 for arlocal
+    PORT: Number(process.env.EXPO_PUBLIC_ARWEAVE_PORT) || 443, // arlocal listens on 1984
+    PROTOCOL: process.env.EXPO_PUBLIC_ARWEAVE_PROTOCOL || 'https',
+    TIMEOUT: 30000,
+    MIN_CONFIRMATIONS: 10, // blocks before an upload counts as permanent
+    MAX_FILE_SIZE: 200 * 1024 * 1024 // bytes; uploads are signed in memory
   },
   
   SOLANA: {
     NETWORK: 'devnet', // Change to 'mainnet-beta' for production
-    COMMITMENT: 'confirmed'
+    COMMITMENT: 'confirmed',
+    RPC_URL: process.env.EXPO_PUBLIC_SOLANA_RPC_URL || null, // e.g. http://10.0.2.2:8899 for solana-test-validator
+    WALLET: 'mwa', // 'mock' signs with an in-app keypair for simulators and local testing
+    ANCHOR_GEOHASH_PRECISION: 5 // geohash characters published on-chain; 5 is a ~5 km cell
   },
   
   CAPTURE: {
     MAX_PHOTOS: 1000,
-    MAX_VIDEO_DURATION: 600,
+    MAX_VIDEO_DURATION: 600, // seconds
     MIN_PHOTOS_FOR_PROCESSING: 8,
-    BATCH_SIZE: 50,
+    PHOTO_QUALITY: 0.8, // JPEG quality, 0-1
+    BURST_COUNT: 20,
+    GPS_UPDATE_INTERVAL: 1000, // ms between phone location updates
+    GPS_DISTANCE_INTERVAL: 0.1, // metres moved before the phone reports again
     GPS_ACCURACY_THRESHOLD: 5.0, // meters
-    RTK_ACCURACY_THRESHOLD: 1.0  // meters
+    TRACK_SAMPLE_INTERVAL: 500   // ms between GPS samples while recording video
+  },
+
+  GNSS: {
+    RECEIVER_URL: process.env.EXPO_PUBLIC_GNSS_RECEIVER_URL || null, // NMEA over WebSocket, e.g. ws://192.168.4.1:8080
+    STALE_FIX_TIMEOUT: 3000, // ms without a sentence before falling back to the phone
+    CONNECT_TIMEOUT: 10000, // ms to open the receiver's socket before using the phone
+    REPLAY_RATE: 1 // 1 = recorded speed
+  },
+
+  NTRIP: {
+    HOST: process.env.EXPO_PUBLIC_NTRIP_HOST || null, // e.g. localhost for scripts/ntrip-caster-stub.js
+    PORT: Number(process.env.EXPO_PUBLIC_NTRIP_PORT) || 2101,
+    MOUNTPOINT: process.env.EXPO_PUBLIC_NTRIP_MOUNTPOINT || null,
+    USERNAME: null,
+    PASSWORD: null, // entered in settings and kept in the secure store
+    VERSION: 2,
+    USE_TLS: false,
+    GGA_INTERVAL: 10000, // ms between position reports to the caster
+    RECONNECT_DELAY: 5000,
+    CONNECT_TIMEOUT: 10000, // ms for the caster to answer before the attempt is dropped
+    RATE_WINDOW: 5000 // ms averaged for the data rate readout
+  },
+
+  GCP: {
+    AVERAGING_DURATION: 30000, // ms of samples per control point
+    MIN_SAMPLES: 10,
+    OUTLIER_THRESHOLD: 3, // robust standard deviations
+    MIN_OUTLIER_DISTANCE: 0.05 // metres; keeps tight RTK clusters intact
+  },
+
+  COVERAGE: {
+    AZIMUTH_SECTORS: 12, // 30° each
+    ELEVATION_BANDS: [15, 45], // degrees; splits low / mid / high viewpoints
+    TARGET_OVERLAP: 0.7, // fraction shared by neighbouring shots
+    FACING_TOLERANCE: 45, // degrees a heading may be off the subject and still count
+    MIN_SUBJECT_DISTANCE: 1 // metres; closer shots have no meaningful azimuth
+  },
+
+  AUTO_CAPTURE: {
+    DISTANCE_INTERVAL: 1, // metres moved between shots
+    ANGLE_INTERVAL: 10, // degrees swept around the subject between shots
+    TIME_INTERVAL: 2000, // ms between shots
+    MAX_SPEED: 1.5, // m/s; faster walking blurs the frame
+    MAX_ROTATION_RATE: 30, // degrees per second of panning before the shot is held
+    MOTION_WINDOW: 1000, // ms of compass history used for the rotation rate
+    TICK_INTERVAL: 250 // ms between trigger checks when no new fix arrives
+  },
+
+  STORAGE: {
+    SESSIONS_DIRECTORY: 'sessions/',
+    EXPORTS_DIRECTORY: 'exports/',
+    SETTINGS_FILE: 'settings.json'
   }
 };
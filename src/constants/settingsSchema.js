@@ -0,0 +1,75 @@
+// src/constants/settingsSchema.js
+// User-editable settings. Defaults come from APP_CONFIG; each entry here only says
+// how a value may be edited and validated. Keys are APP_CONFIG paths.
+
+export const SETTING_TYPES = {
+  NUMBER: 'number',
+  INTEGER: 'integer',
+  CHOICE: 'choice',
+  TEXT: 'text',
+  SECRET: 'secret'
+};
+
+export const SETTINGS_SECTIONS = ['Capture', 'Auto Capture', 'NTRIP', 'Processing', 'Solana', 'Arweave'];
+
+export const SETTINGS_SCHEMA = [
+  // Capture
+  { key: 'CAPTURE.PHOTO_QUALITY', section: 'Capture', label: 'Photo quality', type: SETTING_TYPES.NUMBER, min: 0.1, max: 1 },
+  { key: 'CAPTURE.BURST_COUNT', section: 'Capture', label: 'Burst count', type: SETTING_TYPES.INTEGER, min: 1, max: 100 },
+  { key: 'CAPTURE.MAX_PHOTOS', section: 'Capture', label: 'Photo limit', type: SETTING_TYPES.INTEGER, min: 10, max: 5000 },
+  { key: 'CAPTURE.MAX_VIDEO_DURATION', section: 'Capture', label: 'Max video length', unit: 's', type: SETTING_TYPES.INTEGER, min: 5, max: 3600 },
+  { key: 'CAPTURE.MIN_PHOTOS_FOR_PROCESSING', section: 'Capture', label: 'Min photos to process', type: SETTING_TYPES.INTEGER, min: 3, max: 500 },
+  { key: 'CAPTURE.GPS_ACCURACY_THRESHOLD', section: 'Capture', label: 'Good GPS accuracy', unit: 'm', type: SETTING_TYPES.NUMBER, min: 0.01, max: 100 },
+  { key: 'CAPTURE.GPS_UPDATE_INTERVAL', section: 'Capture', label: 'GPS update interval', unit: 'ms', type: SETTING_TYPES.INTEGER, min: 100, max: 10000 },
+  { key: 'CAPTURE.GPS_DISTANCE_INTERVAL', section: 'Capture', label: 'GPS distance filter', unit: 'm', type: SETTING_TYPES.NUMBER, min: 0, max: 10 },
+
+  // Auto capture
+  { key: 'AUTO_CAPTURE.DISTANCE_INTERVAL', section: 'Auto Capture', label: 'Distance between shots', unit: 'm', type: SETTING_TYPES.NUMBER, min: 0.1, max: 100 },
+  { key: 'AUTO_CAPTURE.ANGLE_INTERVAL', section: 'Auto Capture', label: 'Angle between shots', unit: '°', type: SETTING_TYPES.NUMBER, min: 1, max: 90 },
+  { key: 'AUTO_CAPTURE.TIME_INTERVAL', section: 'Auto Capture', label: 'Time between shots', unit: 'ms', type: SETTING_TYPES.INTEGER, min: 250, max: 60000 },
+  { key: 'AUTO_CAPTURE.MAX_SPEED', section: 'Auto Capture', label: 'Hold above speed', unit: 'm/s', type: SETTING_TYPES.NUMBER, min: 0.1, max: 20 },
+
+  // NTRIP corrections
+  { key: 'NTRIP.HOST', section: 'NTRIP', label: 'Caster host', type: SETTING_TYPES.TEXT, nullable: true, pattern: /^[\w.-]+$/ },
+  { key: 'NTRIP.PORT', section: 'NTRIP', label: 'Caster port', type: SETTING_TYPES.INTEGER, min: 1, max: 65535 },
+  { key: 'NTRIP.MOUNTPOINT', section: 'NTRIP', label: 'Mountpoint', type: SETTING_TYPES.TEXT, nullable: true, pattern: /^[\w.-]+$/ },
+  { key: 'NTRIP.USERNAME', section: 'NTRIP', label: 'Username', type: SETTING_TYPES.TEXT, nullable: true },
+  { key: 'NTRIP.PASSWORD', section: 'NTRIP', label: 'Password', type: SETTING_TYPES.SECRET, nullable: true },
+
+  // Processing
+  {
+    key: 'PROCESSING.DEFAULT_BACKEND',
+    section: 'Processing',
+    label: 'Default backend',
+    type: SETTING_TYPES.CHOICE,
+    // The simulated backend is for development builds only
+    options: ['render_network', 'self_hosted', ...(__DEV__ ? ['mock'] : [])]
+  },
+  { key: 'RENDER_NETWORK.API_KEY', section: 'Processing', label: 'Render API key', type: SETTING_TYPES.SECRET, nullable: true },
+  { key: 'RENDER_NETWORK.API_BASE_URL', section: 'Processing', label: 'Render API URL', type: SETTING_TYPES.TEXT, nullable: true, pattern: /^https?:\/\// },
+  { key: 'PROCESSING.SELF_HOSTED_URL', section: 'Processing', label: 'Self-hosted server URL', type: SETTING_TYPES.TEXT, pattern: /^https?:\/\// },
+  { key: 'PROCESSING.SELF_HOSTED_API_KEY', section: 'Processing', label: 'Self-hosted API key', type: SETTING_TYPES.SECRET, nullable: true },
+  { key: 'MODELS.PREVIEW_FORMAT', section: 'Processing', label: 'Preview format', type: SETTING_TYPES.CHOICE, options: ['splat', 'spz', 'ply'] },
+  { key: 'MODELS.PREVIEW_MIN_OPACITY', section: 'Processing', label: 'Preview min opacity', type: SETTING_TYPES.NUMBER, min: 0, max: 0.99 },
+  { key: 'MODELS.SHARE_FORMAT', section: 'Processing', label: 'Sharing format', type: SETTING_TYPES.CHOICE, options: ['spz', 'splat', 'ply'] },
+  { key: 'MODELS.SHARE_SH_DEGREE', section: 'Processing', label: 'Sharing SH degree', type: SETTING_TYPES.INTEGER, min: 0, max: 3 },
+  { key: 'GEOREGISTRATION.INLIER_THRESHOLD', section: 'Processing', label: 'Georef inlier threshold (m)', type: SETTING_TYPES.NUMBER, min: 0.05, max: 50 },
+  { key: 'GEOREGISTRATION.MIN_CAMERAS', section: 'Processing', label: 'Georef min cameras', type: SETTING_TYPES.INTEGER, min: 3, max: 100 },
+
+  // Solana
+  {
+    key: 'SOLANA.NETWORK',
+    section: 'Solana',
+    label: 'Network',
+    type: SETTING_TYPES.CHOICE,
+    options: ['devnet', 'testnet', 'mainnet-beta']
+  },
+  { key: 'SOLANA.RPC_URL', section: 'Solana', label: 'RPC URL', type: SETTING_TYPES.TEXT, nullable: true, pattern: /^https?:\/\// },
+  { key: 'SOLANA.WALLET', section: 'Solana', label: 'Wallet', type: SETTING_TYPES.CHOICE, options: ['mwa', 'mock'] },
+  { key: 'SOLANA.ANCHOR_GEOHASH_PRECISION', section: 'Solana', label: 'Anchored location precision', type: SETTING_TYPES.INTEGER, min: 1, max: 9, unit: 'geohash chars' },
+
+  // Arweave
+  { key: 'ARWEAVE.HOST', section: 'Arweave', label: 'Gateway host', type: SETTING_TYPES.TEXT, pattern: /^[\w.-]+$/ },
+  { key: 'ARWEAVE.PORT', section: 'Arweave', label: 'Gateway port', type: SETTING_TYPES.INTEGER, min: 1, max: 65535 },
+  { key: 'ARWEAVE.PROTOCOL', section: 'Arweave', label: 'Gateway protocol', type: SETTING_TYPES.CHOICE, options: ['https', 'http'] }
+];
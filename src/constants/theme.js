@@ -0,0 +1,17 @@
+// src/constants/theme.js
+// Design System - Holographic Tech Gradient
+export const COLORS = {
+  background: '#1a0b2e',
+  backgroundDark: '#0f0619',
+  primary: '#14F195', // Electric green
+  secondary: '#9945FF', // Solana purple
+  tertiary: '#00d4ff', // Cyan
+  text: '#f0f0f0',
+  textSecondary: '#b0b0b0',
+  glass: 'rgba(255, 255, 255, 0.05)',
+  glassBorder: 'rgba(255, 255, 255, 0.1)',
+  success: '#14F195',
+  warning: '#FF9500',
+  error: '#FF4444',
+  recording: '#FF6B6B'
+};
@@ -0,0 +1,42 @@
+// src/services/__tests__/gnssReceiver.test.js
+import fs from 'fs';
+import path from 'path';
+import gnssReceiver, { RECEIVER_STATUS } from '../gnssReceiver';
+import { FIX_QUALITY } from '../../utils/nmea';
+
+const log = fs.readFileSync(path.join(__dirname, '../../utils/__tests__/fixtures/receiver.nmea'), 'latin1');
+
+describe('gnssReceiver.replay', () => {
+  afterEach(() => gnssReceiver.disconnect());
+
+  it('emits one fix per epoch with a position, paced by GGA time', async () => {
+    const fixes = [];
+    const unsubscribe = gnssReceiver.subscribe(location => fixes.push(location));
+    const startedAt = Date.now();
+
+    const result = await gnssReceiver.replay(log, { rate: 100 });
+    unsubscribe();
+
+    expect(result.success).toBe(true);
+    expect(result.invalid).toBe(1);
+    expect(fixes.map(fix => fix.fix.quality)).toEqual([
+      FIX_QUALITY.AUTONOMOUS,
+      FIX_QUALITY.DGPS,
+      FIX_QUALITY.RTK_FLOAT,
+      FIX_QUALITY.RTK_FIXED,
+      FIX_QUALITY.RTK_FIXED
+    ]);
+    // 7 s of GGA time at 100x
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(60);
+    expect(gnssReceiver.getStatus().status).toBe(RECEIVER_STATUS.DISCONNECTED);
+    expect(gnssReceiver.getLiveFix().fix.quality).toBe(FIX_QUALITY.RTK_FIXED);
+  });
+
+  it('stops when disconnected mid-replay', async () => {
+    const replay = gnssReceiver.replay(log, { rate: 10 });
+    expect(gnssReceiver.getStatus().status).toBe(RECEIVER_STATUS.REPLAYING);
+    gnssReceiver.disconnect();
+
+    expect(await replay).toEqual({ success: false, error: 'Replay stopped' });
+  });
+});
@@ -0,0 +1,256 @@
+// src/services/__tests__/processingPipeline.test.js
+// Drives the Render Network job lifecycle end to end against scripts/render-api-stub.js
+import pipeline, { PROCESSING_STAGES } from '../processingPipeline';
+import settings from '../settings';
+import { getBackend } from '../backends';
+import { ERROR_TYPES } from '../errors';
+import { OUTPUT_STATUS } from '../../utils/jobOutputs';
+
+const { createRenderApiStub } = require('../../../scripts/render-api-stub');
+
+// Files live in memory; downloads go over real HTTP to the stub
+jest.mock('expo-file-system/legacy', () => {
+  const http = require('http');
+  const files = new Map();
+  return {
+    __files: files,
+    documentDirectory: 'file:///documents/',
+    getInfoAsync: async (uri) => (files.has(uri) ? { exists: true, size: files.get(uri).length } : { exists: false }),
+    makeDirectoryAsync: async () => {},
+    deleteAsync: async (uri) => {
+      files.delete(uri);
+    },
+    createDownloadResumable: (url, destination, { headers }) => ({
+      downloadAsync: () => new Promise((resolve, reject) => {
+        http.get(url, { headers }, res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => {
+            files.set(destination, new Uint8Array(Buffer.concat(chunks)));
+            resolve({ status: res.statusCode, uri: destination });
+          });
+        }).on('error', reject);
+      })
+    })
+  };
+});
+
+jest.mock('expo-file-system', () => {
+  const { __files: files } = require('expo-file-system/legacy');
+  return {
+    File: class {
+      constructor(uri) {
+        this.bytes = files.get(uri);
+        this.exists = Boolean(this.bytes);
+        this.size = this.bytes ? this.bytes.length : 0;
+      }
+
+      open() {
+        let position = 0;
+        return {
+          readBytes: (length) => {
+            const chunk = this.bytes.subarray(position, position + length);
+            position += chunk.length;
+            return chunk;
+          },
+          close: () => {}
+        };
+      }
+    }
+  };
+});
+
+jest.mock('../sessionStore', () => ({
+  __esModule: true,
+  default: {
+    updateSession: jest.fn(async () => {}),
+    getSessionDirectory: (sessionId) => `file:///documents/sessions/${sessionId}/`,
+    ensureDirectory: async () => {}
+  }
+}));
+
+const { __files: files } = require('expo-file-system/legacy');
+const sessionStore = require('../sessionStore').default;
+
+const API_KEY = 'stub-key';
+const JOB_DURATION = 300; // ms
+const POLL_INTERVAL = 25; // ms
+
+const createRecord = (sessionId) => {
+  const photos = [0, 1, 2].map(index => {
+    const uri = `file:///documents/sessions/${sessionId}/photos/photo_${index}.jpg`;
+    files.set(uri, new Uint8Array(1024).fill(index));
+    return {
+      uri,
+      index,
+      timestamp: 1700000000000 + index * 1000,
+      gpsData: { latitude: 52.1 + index * 1e-5, longitude: 4.3, altitude: 10, accuracy: 0.02 }
+    };
+  });
+  return {
+    session: { id: sessionId, baseLocation: { latitude: 52.1, longitude: 4.3, altitude: 10 } },
+    photos,
+    videos: []
+  };
+};
+
+const waitForStage = (...stages) => new Promise(resolve => {
+  const unsubscribe = pipeline.subscribe(state => {
+    if (stages.includes(state.stage)) {
+      setTimeout(() => unsubscribe(), 0);
+      resolve(state);
+    }
+  });
+});
+
+describe('processing pipeline against the Render API stub', () => {
+  let stub;
+
+  beforeAll(async () => {
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+    stub = createRenderApiStub({ apiKey: API_KEY, jobDuration: JOB_DURATION, log: () => {} });
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+
+    settings.apply({
+      'RENDER_NETWORK.API_KEY': API_KEY,
+      'RENDER_NETWORK.API_BASE_URL': `http://127.0.0.1:${stub.server.address().port}/v1`
+    });
+    const get = settings.get.bind(settings);
+    jest.spyOn(settings, 'get').mockImplementation(key => (
+      key === 'RENDER_NETWORK.POLL_INTERVAL' ? POLL_INTERVAL : get(key)
+    ));
+  });
+
+  afterAll(async () => {
+    pipeline.reset();
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    pipeline.reset();
+    sessionStore.updateSession.mockClear();
+  });
+
+  it('uploads, submits, polls and downloads verified outputs', async () => {
+    const record = createRecord('session-a');
+    const started = await pipeline.start(record, 'render_network');
+    expect(started.success).toBe(true);
+
+    const state = await waitForStage(PROCESSING_STAGES.COMPLETED, PROCESSING_STAGES.FAILED);
+    expect(state.error).toBeNull();
+    expect(state.stage).toBe(PROCESSING_STAGES.COMPLETED);
+    expect(state.uploads).toHaveLength(3);
+    expect(stub.jobs.get(state.jobId).assetCount).toBe(3);
+
+    const { outputs, missing } = state.results;
+    expect(outputs).toHaveLength(4);
+    outputs.forEach(output => {
+      expect(output.status).toBe(OUTPUT_STATUS.DOWNLOADED);
+      expect(output.verified).toBe(true);
+      expect(files.has(output.localUri)).toBe(true);
+    });
+    expect(missing.map(entry => entry.format).sort()).toEqual(['gltf', 'gltf', 'obj', 'obj']);
+
+    const persisted = sessionStore.updateSession.mock.calls.map(([, changes]) => changes.processing.status);
+    expect(persisted).toEqual(['submitted', 'completed']);
+  });
+
+  it('lists outputs downloaded without a checksum as unverified', async () => {
+    const backend = getBackend('render_network');
+    const getJobResults = backend.getJobResults.bind(backend);
+    jest.spyOn(backend, 'getJobResults').mockImplementationOnce(async (jobId) => {
+      const result = await getJobResults(jobId);
+      const outputs = result.results.outputs.map(output => (
+        output.format === 'splat' ? { ...output, hash: null } : output
+      ));
+      return { ...result, results: { ...result.results, outputs } };
+    });
+
+    await pipeline.start(createRecord('session-e'), 'render_network');
+    const state = await waitForStage(PROCESSING_STAGES.COMPLETED, PROCESSING_STAGES.FAILED);
+    expect(state.stage).toBe(PROCESSING_STAGES.COMPLETED);
+
+    const { outputs, missing } = state.results;
+    const splats = outputs.filter(output => output.format === 'splat');
+    expect(splats).toHaveLength(2);
+    splats.forEach(output => {
+      expect(output.status).toBe(OUTPUT_STATUS.DOWNLOADED);
+      expect(output.verified).toBe(false);
+    });
+    expect(missing.filter(entry => entry.format === 'splat').map(entry => entry.reason)).toEqual([
+      'No checksum from Render Network; not verified',
+      'No checksum from Render Network; not verified'
+    ]);
+  });
+
+  it('cancels the remote job and retries with a new job', async () => {
+    const record = createRecord('session-b');
+    await pipeline.start(record, 'render_network');
+    const processing = await waitForStage(PROCESSING_STAGES.PROCESSING);
+    const firstJobId = processing.jobId;
+
+    expect((await pipeline.cancel()).success).toBe(true);
+    expect(pipeline.getState().stage).toBe(PROCESSING_STAGES.CANCELLED);
+    expect(stub.jobs.get(firstJobId).cancelled).toBe(true);
+
+    const uploadsBefore = stub.uploads.size;
+    expect((await pipeline.retry()).success).toBe(true);
+    const state = await waitForStage(PROCESSING_STAGES.COMPLETED, PROCESSING_STAGES.FAILED);
+
+    expect(state.stage).toBe(PROCESSING_STAGES.COMPLETED);
+    expect(state.jobId).not.toBe(firstJobId);
+    expect(state.submitAttempt).toBe(2);
+    expect(stub.uploads.size).toBe(uploadsBefore); // uploads are reused
+    expect(stub.jobs.get(firstJobId).cancelled).toBe(true);
+  });
+
+  it('stores an upload resent after a lost response once', async () => {
+    const backend = getBackend('render_network');
+    expect((await backend.initialize()).success).toBe(true);
+    const [photo] = createRecord('session-d').photos;
+
+    const first = await backend.uploadAssets([photo]);
+    const uploadsAfterFirst = stub.uploads.size;
+    const resent = await backend.uploadAssets([photo]);
+
+    expect(resent.uploads[0].uploadId).toBe(first.uploads[0].uploadId);
+    expect(stub.uploads.size).toBe(uploadsAfterFirst);
+  });
+
+  it('fails with an auth error when the stub rejects the key', async () => {
+    const useKey = (key) => {
+      settings.apply({ ...settings.getOverrides(), 'RENDER_NETWORK.API_KEY': key });
+      settings.notify();
+    };
+    useKey('wrong-key');
+    try {
+      const result = await pipeline.start(createRecord('session-c'), 'render_network');
+      expect(result.success).toBe(false);
+      expect(result.errorType).toBe(ERROR_TYPES.AUTH);
+      expect(pipeline.getState().failedStage).toBe(PROCESSING_STAGES.CONNECTING);
+    } finally {
+      useKey(API_KEY);
+    }
+  });
+});
+
+describe('processing pipeline after an app restart', () => {
+  afterEach(() => {
+    pipeline.reset();
+  });
+
+  it('submits a new mock job instead of polling one lost with the old process', async () => {
+    const record = createRecord('session-m');
+    record.session.processing = { backend: 'mock', status: 'submitted', jobId: 'mock_job_1', submitAttempt: 1 };
+
+    await pipeline.start(record, 'mock');
+    const state = await waitForStage(PROCESSING_STAGES.PROCESSING, PROCESSING_STAGES.FAILED);
+
+    expect(state.stage).toBe(PROCESSING_STAGES.PROCESSING);
+    expect(state.jobId).not.toBe('mock_job_1');
+    expect(state.submitAttempt).toBe(2);
+    expect(getBackend('mock').canResumeJob(state.jobId)).toBe(true);
+    expect(getBackend('mock').canResumeJob('mock_job_1')).toBe(false);
+    expect((await pipeline.cancel()).success).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+// src/services/anchoring.js
+import { Buffer } from 'buffer';
+import { PublicKey, TransactionInstruction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import wallet from './wallet';
+import provenance from './provenance';
+import sessionStore from './sessionStore';
+import settings from './settings';
+import { ERROR_TYPES } from './errors';
+import { buildAnchorPayload, encodeAnchorMemo, parseAnchorMemo, checkAnchorPayload } from '../utils/anchor';
+import { PROVENANCE_FILE } from '../utils/provenance';
+
+// SPL Memo v2; deployed on every public cluster and preloaded by solana-test-validator
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const SIGNATURE_SEARCH_LIMIT = 100;
+const CLOCK_TOLERANCE = 60 * 1000; // ms of phone clock drift allowed against block time
+
+// Records a session's provenance root on Solana as a memo signed by the connected
+// wallet, and reads it back so anyone can check when and roughly where it was captured
+class AnchorService {
+  buildMemoInstruction(memo, signer) {
+    return new TransactionInstruction({
+      programId: MEMO_PROGRAM_ID,
+      // Listing the wallet as a signer makes the Memo program check its signature
+      keys: [{ pubkey: signer, isSigner: true, isWritable: false }],
+      data: Buffer.from(memo, 'utf8')
+    });
+  }
+
+  async anchorSession(record) {
+    if (!wallet.isConnected()) {
+      const connected = await wallet.connect();
+      if (!connected.success) return connected;
+    }
+
+    // Rebuilding is cheap (capture-time hashes are reused) and keeps the root current
+    const sealed = await provenance.buildManifest(record);
+    if (!sealed.success) return sealed;
+
+    const { manifest } = sealed;
+    const existing = record.session.anchor;
+    const archived = (record.session.arweave || {})[PROVENANCE_FILE];
+    const arweaveTx = archived && archived.merkleRoot === manifest.merkleRoot ? archived.txId : null;
+    if (existing && existing.merkleRoot === manifest.merkleRoot && existing.cluster === wallet.getCluster()
+      && (existing.payload.ar || null) === arweaveTx) {
+      return { success: true, anchor: existing, alreadyAnchored: true };
+    }
+
+    try {
+      const payer = wallet.getPublicKey();
+      const connection = wallet.getConnection();
+
+      const balance = await connection.getBalance(payer);
+      if (balance === 0) {
+        return {
+          success: false,
+          error: `${wallet.getCluster()} wallet has no SOL to pay the transaction fee`,
+          errorType: ERROR_TYPES.QUOTA
+        };
+      }
+
+      const payload = buildAnchorPayload(manifest, {
+        geohashPrecision: settings.get('SOLANA.ANCHOR_GEOHASH_PRECISION'),
+        arweaveTx
+      });
+      const { blockhash } = await connection.getLatestBlockhash();
+      const message = new TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: blockhash,
+        instructions: [this.buildMemoInstruction(encodeAnchorMemo(payload), payer)]
+      }).compileToV0Message();
+
+      const sent = await wallet.signAndSendTransaction(new VersionedTransaction(message));
+      if (!sent.success) return sent;
+
+      const anchor = {
+        signature: sent.signature,
+        cluster: wallet.getCluster(),
+        wallet: payer.toBase58(),
+        merkleRoot: manifest.merkleRoot,
+        payload,
+        anchoredAt: Date.now()
+      };
+      await sessionStore.updateSession(record.session.id, { anchor });
+
+      return { success: true, anchor };
+    } catch (error) {
+      console.error('Session anchoring failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  // Fetch an anchor transaction and decode its omniSplat memo
+  async lookupAnchor(signature) {
+    try {
+      const transaction = await wallet.getConnection().getTransaction(signature, {
+        commitment: settings.get('SOLANA.COMMITMENT'),
+        maxSupportedTransactionVersion: 0
+      });
+      if (!transaction) {
+        return { success: false, error: 'Transaction not found on this cluster', errorType: ERROR_TYPES.VALIDATION };
+      }
+
+      const { message } = transaction.transaction;
+      const accountKeys = message.staticAccountKeys;
+      const memo = message.compiledInstructions.find(instruction => (
+        accountKeys[instruction.programIdIndex].equals(MEMO_PROGRAM_ID)
+      ));
+      const payload = memo ? parseAnchorMemo(Buffer.from(memo.data).toString('utf8')) : null;
+      if (!payload) {
+        return { success: false, error: 'Transaction carries no omniSplat anchor', errorType: ERROR_TYPES.VALIDATION };
+      }
+
+      const signers = memo.accountKeyIndexes
+        .filter(index => message.isAccountSigner(index))
+        .map(index => accountKeys[index].toBase58());
+
+      return {
+        success: true,
+        signature,
+        payload,
+        signers,
+        slot: transaction.slot,
+        blockTime: transaction.blockTime ? transaction.blockTime * 1000 : null,
+        failed: Boolean(transaction.meta && transaction.meta.err)
+      };
+    } catch (error) {
+      console.error('Anchor lookup failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  // Find a session's anchor among a wallet's recent transactions, e.g. when the
+  // signature was lost with the device
+  async findAnchor(walletAddress, sessionId) {
+    try {
+      const signatures = await wallet.getConnection().getSignaturesForAddress(
+        new PublicKey(walletAddress),
+        { limit: SIGNATURE_SEARCH_LIMIT }
+      );
+
+      for (const info of signatures) {
+        if (info.err || !info.memo || !info.memo.includes(sessionId)) continue;
+        const found = await this.lookupAnchor(info.signature);
+        if (found.success && found.payload.session === sessionId) return found;
+      }
+
+      return { success: false, error: 'No anchor found for this session', errorType: ERROR_TYPES.VALIDATION };
+    } catch (error) {
+      console.error('Anchor search failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  // Check a stored anchor against the chain and the session's manifest
+  async verifyAnchor(record) {
+    const anchor = record.session.anchor;
+    if (!anchor) {
+      return { success: false, error: 'Session has not been anchored', errorType: ERROR_TYPES.VALIDATION };
+    }
+    if (anchor.cluster !== wallet.getCluster()) {
+      return { success: false, error: `Anchored on ${anchor.cluster}; switch networks to verify`, errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const loaded = await provenance.loadManifest(record.session.id);
+    if (!loaded.success) return loaded;
+
+    const found = await this.lookupAnchor(anchor.signature);
+    if (!found.success) return found;
+
+    const { checks } = checkAnchorPayload(found.payload, loaded.manifest);
+    checks.transactionSucceeded = !found.failed;
+    checks.signedByWallet = found.signers.includes(anchor.wallet);
+    // The chain's clock must not predate the last capture it vouches for
+    checks.anchoredAfterCapture = found.blockTime === null || found.blockTime + CLOCK_TOLERANCE >= found.payload.to;
+
+    return {
+      success: true,
+      valid: Object.values(checks).every(Boolean),
+      checks,
+      slot: found.slot,
+      blockTime: found.blockTime
+    };
+  }
+}
+
+export default new AnchorService();
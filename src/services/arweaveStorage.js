@@ -0,0 +1,375 @@
+// src/services/arweaveStorage.js
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { File } from 'expo-file-system';
+import sessionStore from './sessionStore';
+import provenance from './provenance';
+import settings from './settings';
+import { ERROR_TYPES } from './errors';
+import { hashBytes } from '../utils/hashing';
+import { ArweaveCryptoDriver } from '../utils/arweaveCrypto';
+import { getFileName, getMimeType } from '../utils/media';
+import { PROVENANCE_FILE } from '../utils/provenance';
+
+const APP_NAME = 'omniSplat';
+const WALLET_FILE = 'arweave-wallet.json';
+const UPLOAD_STATE_FOLDER = 'arweave/';
+const PUBLIC_GATEWAY = 'arweave.net';
+const MAX_CHUNK_FAILURES = 3; // consecutive; the upload then stops and resumes on the next try
+
+export const ARCHIVE_KINDS = {
+  MANIFEST: 'manifest',
+  CAPTURE: 'capture',
+  MODEL: 'model'
+};
+
+export const ARCHIVE_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  NOT_FOUND: 'not_found'
+};
+
+const createInitialState = () => ({
+  active: false,
+  name: null,
+  completed: 0,
+  total: 0,
+  progress: 0, // 0-1 of the current file
+  error: null
+});
+
+// Captures and the manifest are WGS 84; models sit in the session's local ENU frame
+const WGS84_TAG = 'EPSG:4326';
+const enuTag = (origin) => (
+  origin ? `ENU ${origin.latitude},${origin.longitude},${origin.altitude || 0}` : 'unknown'
+);
+
+// Uploads session manifests, captures and models to Arweave as tagged transactions.
+// Chunk progress is saved after every chunk, so an interrupted upload resumes where it stopped.
+class ArweaveStorageService {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.arweave = null;
+    this.client = null;
+    this.clientKey = null;
+    this.key = null;
+    this.walletPath = `${FileSystem.documentDirectory}${WALLET_FILE}`;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Loaded on first use rather than with the app. Native builds get arweave's Node
+  // build (see metro.config.js), whose Node-crypto driver is swapped for a pure-JS one.
+  async loadArweave() {
+    if (!this.arweave) {
+      const { default: Arweave } = await import('arweave');
+      if (Platform.OS !== 'web') {
+        Arweave.crypto = new ArweaveCryptoDriver();
+      }
+      this.arweave = Arweave;
+    }
+    return this.arweave;
+  }
+
+  // Rebuilt whenever the gateway settings change
+  async getClient() {
+    const Arweave = await this.loadArweave();
+    const config = {
+      host: settings.get('ARWEAVE.HOST'),
+      port: settings.get('ARWEAVE.PORT'),
+      protocol: settings.get('ARWEAVE.PROTOCOL'),
+      timeout: settings.get('ARWEAVE.TIMEOUT')
+    };
+    const clientKey = JSON.stringify(config);
+    if (this.clientKey !== clientKey) {
+      this.client = Arweave.init(config);
+      this.clientKey = clientKey;
+    }
+    return this.client;
+  }
+
+  // arlocal and other private gateways mint test tokens and mine on request
+  isLocalGateway() {
+    return settings.get('ARWEAVE.HOST') !== PUBLIC_GATEWAY;
+  }
+
+  // The device's Arweave keyfile, created on first use
+  async loadKey() {
+    if (this.key) return this.key;
+
+    // In the browser, key generation and signing are RSA-PSS through WebCrypto
+    if (Platform.OS === 'web' && (!globalThis.crypto || !globalThis.crypto.subtle)) {
+      throw new Error('Arweave signing needs WebCrypto (crypto.subtle), which this runtime does not provide');
+    }
+
+    const info = await FileSystem.getInfoAsync(this.walletPath);
+    if (info.exists) {
+      this.key = JSON.parse(await FileSystem.readAsStringAsync(this.walletPath));
+    } else {
+      this.key = await (await this.getClient()).wallets.generate();
+      await FileSystem.writeAsStringAsync(this.walletPath, JSON.stringify(this.key));
+    }
+    return this.key;
+  }
+
+  async getWallet() {
+    try {
+      const client = await this.getClient();
+      const address = await client.wallets.jwkToAddress(await this.loadKey());
+      const winston = await client.wallets.getBalance(address);
+      return { success: true, address, balance: client.ar.winstonToAr(winston) };
+    } catch (error) {
+      console.error('Arweave wallet lookup failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  // arlocal only: credit the device wallet and mine a block
+  async mintTestTokens(ar = 1) {
+    if (!this.isLocalGateway()) {
+      return { success: false, error: 'Minting is only available on a local gateway', errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    try {
+      const client = await this.getClient();
+      const address = await client.wallets.jwkToAddress(await this.loadKey());
+      await client.api.get(`mint/${address}/${client.ar.arToWinston(String(ar))}`);
+      await client.api.get('mine');
+      return { success: true, address };
+    } catch (error) {
+      console.error('Arweave mint failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  buildTags({ sessionId, kind, name, contentType, sha256, coordinateSystem, extraTags = {} }) {
+    return {
+      'App-Name': APP_NAME,
+      'Content-Type': contentType,
+      'Session-Id': sessionId,
+      'Archive-Kind': kind,
+      'File-Name': name,
+      'Content-SHA256': sha256,
+      'Coordinate-System': coordinateSystem,
+      ...extraTags
+    };
+  }
+
+  getUploadStatePath(sessionId, name) {
+    return `${sessionStore.getSessionDirectory(sessionId)}${UPLOAD_STATE_FOLDER}${name}.upload.json`;
+  }
+
+  // Upload one blob, resuming a saved uploader for the same content if there is one
+  async uploadBytes({ sessionId, kind, name, bytes, contentType, coordinateSystem, extraTags }) {
+    const client = await this.getClient();
+    const { sha256, size } = hashBytes(bytes);
+    const statePath = this.getUploadStatePath(sessionId, name);
+
+    let uploader = null;
+    const info = await FileSystem.getInfoAsync(statePath);
+    if (info.exists) {
+      const saved = JSON.parse(await FileSystem.readAsStringAsync(statePath));
+      // A changed file gets a new transaction; the old partial upload is abandoned
+      if (saved.sha256 === sha256) {
+        uploader = await client.transactions.getUploader(saved.uploader, bytes);
+      }
+    }
+
+    if (!uploader) {
+      const key = await this.loadKey();
+      const transaction = await client.createTransaction({ data: bytes }, key);
+      const tags = this.buildTags({ sessionId, kind, name, contentType, sha256, coordinateSystem, extraTags });
+      Object.entries(tags).forEach(([tag, value]) => transaction.addTag(tag, String(value)));
+      await client.transactions.sign(transaction, key);
+      uploader = await client.transactions.getUploader(transaction, bytes);
+    }
+
+    const directory = `${sessionStore.getSessionDirectory(sessionId)}${UPLOAD_STATE_FOLDER}`;
+    const directoryInfo = await FileSystem.getInfoAsync(directory);
+    if (!directoryInfo.exists) {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    }
+
+    // The uploader backs off and retries failed chunks by itself, indefinitely
+    let failures = 0;
+    while (!uploader.isComplete) {
+      await uploader.uploadChunk();
+      await FileSystem.writeAsStringAsync(statePath, JSON.stringify({ sha256, uploader: uploader.toJSON() }));
+
+      failures = uploader.lastResponseStatus === 200 ? 0 : failures + 1;
+      if (failures >= MAX_CHUNK_FAILURES) {
+        throw new Error(`Upload of ${name} stalled: ${uploader.lastResponseError || uploader.lastResponseStatus}`);
+      }
+      this.setState({ progress: uploader.pctComplete / 100 });
+    }
+
+    await FileSystem.deleteAsync(statePath, { idempotent: true });
+
+    return {
+      name,
+      kind,
+      txId: uploader.toJSON().transaction.id,
+      sha256,
+      size,
+      contentType,
+      status: ARCHIVE_STATUS.PENDING,
+      confirmations: 0,
+      uploadedAt: Date.now()
+    };
+  }
+
+  // Merge upload entries into the session record, keyed by file name
+  async recordUploads(sessionId, uploads) {
+    const loaded = await sessionStore.loadSession(sessionId);
+    if (!loaded.success) return loaded;
+
+    const archive = loaded.record.session.arweave || {};
+    const merged = { ...archive };
+    uploads.forEach(upload => {
+      merged[upload.name] = upload;
+    });
+    return sessionStore.updateSession(sessionId, { arweave: merged });
+  }
+
+  // Upload a list of { name, kind, load(), contentType, coordinateSystem, extraTags, metadata }
+  // items, skipping any whose content is already archived; metadata is kept on the record
+  async archive(record, items) {
+    if (this.state.active) {
+      return { success: false, error: 'An upload is already running', errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const sessionId = record.session.id;
+    const existing = record.session.arweave || {};
+    const uploads = [];
+    this.setState({ ...createInitialState(), active: true, total: items.length });
+
+    try {
+      for (const item of items) {
+        this.setState({ name: item.name, progress: 0 });
+        const bytes = await item.load();
+
+        if (bytes.length > settings.get('ARWEAVE.MAX_FILE_SIZE')) {
+          throw new Error(`${item.name} is too large to archive from the phone`);
+        }
+
+        const previous = existing[item.name];
+        if (previous && previous.sha256 === hashBytes(bytes).sha256) {
+          uploads.push(previous);
+        } else {
+          const upload = { ...(await this.uploadBytes({ sessionId, bytes, ...item })), ...item.metadata };
+          uploads.push(upload);
+          // Record as we go so finished files survive a failure later in the batch
+          await this.recordUploads(sessionId, [upload]);
+        }
+
+        this.setState({ completed: this.state.completed + 1 });
+      }
+
+      this.setState({ active: false, name: null });
+      return { success: true, uploads };
+    } catch (error) {
+      console.error('Arweave upload failed:', error);
+      this.setState({ active: false, error: error.message });
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK, uploads };
+    }
+  }
+
+  // The provenance manifest; its transaction id is carried by the Solana anchor
+  async archiveManifest(record) {
+    const sealed = await provenance.buildManifest(record);
+    if (!sealed.success) return sealed;
+
+    // The manifest's timestamp changes on every rebuild; its root only when captures do
+    const previous = (record.session.arweave || {})[PROVENANCE_FILE];
+    if (previous && previous.merkleRoot === sealed.manifest.merkleRoot) {
+      return { success: true, uploads: [previous] };
+    }
+
+    const text = JSON.stringify(sealed.manifest, null, 2);
+    return this.archive(record, [{
+      name: PROVENANCE_FILE,
+      kind: ARCHIVE_KINDS.MANIFEST,
+      load: async () => new TextEncoder().encode(text),
+      contentType: 'application/json',
+      coordinateSystem: WGS84_TAG,
+      extraTags: { 'Merkle-Root': sealed.manifest.merkleRoot },
+      metadata: { merkleRoot: sealed.manifest.merkleRoot }
+    }]);
+  }
+
+  // Raw photos and videos, e.g. only the keyframes worth keeping forever
+  async archiveCaptures(record, assets) {
+    return this.archive(record, assets.map(asset => ({
+      name: getFileName(asset.uri),
+      kind: ARCHIVE_KINDS.CAPTURE,
+      load: () => new File(asset.uri).bytes(),
+      contentType: getMimeType(asset.uri),
+      coordinateSystem: WGS84_TAG
+    })));
+  }
+
+  // A finished splat model stored on the device
+  async archiveModel(record, { uri, method }) {
+    return this.archive(record, [{
+      name: getFileName(uri),
+      kind: ARCHIVE_KINDS.MODEL,
+      load: () => new File(uri).bytes(),
+      contentType: getMimeType(uri),
+      coordinateSystem: enuTag(record.session.baseLocation),
+      extraTags: method ? { 'Reconstruction-Method': method } : {}
+    }]);
+  }
+
+  // Refresh confirmation depth for every upload of a session
+  async refreshStatus(sessionId) {
+    try {
+      const loaded = await sessionStore.loadSession(sessionId);
+      if (!loaded.success) return loaded;
+
+      const client = await this.getClient();
+      const uploads = [];
+      for (const upload of Object.values(loaded.record.session.arweave || {})) {
+        if (upload.status === ARCHIVE_STATUS.CONFIRMED) {
+          uploads.push(upload);
+          continue;
+        }
+
+        const { status, confirmed } = await client.transactions.getStatus(upload.txId);
+        const confirmations = confirmed ? confirmed.number_of_confirmations : 0;
+        uploads.push({
+          ...upload,
+          confirmations,
+          status: status === 404
+            ? ARCHIVE_STATUS.NOT_FOUND
+            : confirmations >= settings.get('ARWEAVE.MIN_CONFIRMATIONS')
+              ? ARCHIVE_STATUS.CONFIRMED
+              : ARCHIVE_STATUS.PENDING,
+          blockHeight: confirmed ? confirmed.block_height : null
+        });
+      }
+
+      await this.recordUploads(sessionId, uploads);
+      return { success: true, uploads };
+    } catch (error) {
+      console.error('Arweave status check failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+}
+
+export default new ArweaveStorageService();
@@ -0,0 +1,224 @@
+// src/services/autoCapture.js
+import settings from './settings';
+import { wgs84ToEnu } from '../utils/geodesy';
+import { getAzimuth } from '../utils/coverage';
+
+export const AUTO_CAPTURE_MODES = {
+  DISTANCE: 'distance',
+  ANGLE: 'angle',
+  TIME: 'time'
+};
+
+export const HOLD_REASONS = {
+  MOVING: 'moving',
+  ROTATING: 'rotating'
+};
+
+const UNITS = {
+  [AUTO_CAPTURE_MODES.DISTANCE]: 'm',
+  [AUTO_CAPTURE_MODES.ANGLE]: '°',
+  [AUTO_CAPTURE_MODES.TIME]: 's'
+};
+
+const INTERVAL_SETTINGS = {
+  [AUTO_CAPTURE_MODES.DISTANCE]: 'AUTO_CAPTURE.DISTANCE_INTERVAL',
+  [AUTO_CAPTURE_MODES.ANGLE]: 'AUTO_CAPTURE.ANGLE_INTERVAL',
+  [AUTO_CAPTURE_MODES.TIME]: 'AUTO_CAPTURE.TIME_INTERVAL'
+};
+
+export const getDefaultInterval = (mode) => settings.get(INTERVAL_SETTINGS[mode]);
+
+const angleDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+export const formatInterval = (mode, interval) => (
+  mode === AUTO_CAPTURE_MODES.TIME ? `${interval / 1000}${UNITS[mode]}` : `${interval}${UNITS[mode]}`
+);
+
+const createInitialState = () => ({
+  active: false,
+  mode: null,
+  interval: null,
+  captured: 0,
+  remaining: 0,
+  progress: 0,
+  held: null,
+  error: null
+});
+
+// Fires the camera every N metres moved, N degrees swept around the subject, or N
+// seconds, holding the shot while the device moves fast enough to blur it
+class AutoCaptureService {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.capture = null;
+    this.subject = null;
+    this.location = null;
+    this.headings = [];
+    this.lastShot = null;
+    this.busy = false;
+    this.timer = null;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isActive() {
+    return this.state.active;
+  }
+
+  // `capture` takes one photo and resolves true on success; `remaining` is the
+  // photo budget left before MAX_PHOTOS
+  start(mode, { capture, remaining, subject = null, interval = getDefaultInterval(mode) }) {
+    this.stop();
+    this.capture = capture;
+    this.subject = subject;
+    this.lastShot = null;
+    this.setState({
+      ...createInitialState(),
+      active: true,
+      mode,
+      interval,
+      remaining
+    });
+
+    this.timer = setInterval(() => this.evaluate(), settings.get('AUTO_CAPTURE.TICK_INTERVAL'));
+    this.evaluate();
+  }
+
+  stop(error = null) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.capture = null;
+    if (this.state.active) {
+      this.setState({ active: false, held: null, error });
+    }
+  }
+
+  // Feed every fix from the location stream
+  addFix(location) {
+    this.location = location;
+    if (this.state.active) this.evaluate();
+  }
+
+  // Feed compass headings; used for the rotation guard and for angle mode without a subject
+  addHeading(heading) {
+    const now = Date.now();
+    this.headings.push({ heading, timestamp: now });
+    this.headings = this.headings.filter(
+      sample => now - sample.timestamp <= settings.get('AUTO_CAPTURE.MOTION_WINDOW')
+    );
+    if (this.state.active) this.evaluate();
+  }
+
+  // Why the shot must wait, or null when the device is steady enough
+  getHoldReason() {
+    const speed = this.location ? this.location.coords.speed : null;
+    if (typeof speed === 'number' && speed > settings.get('AUTO_CAPTURE.MAX_SPEED')) {
+      return HOLD_REASONS.MOVING;
+    }
+
+    // The compass only reports changes, so drop samples that aged out since the last one
+    const now = Date.now();
+    const recent = this.headings.filter(sample => now - sample.timestamp <= settings.get('AUTO_CAPTURE.MOTION_WINDOW'));
+    if (recent.length >= 2) {
+      const first = recent[0];
+      const last = recent[recent.length - 1];
+      const elapsed = (last.timestamp - first.timestamp) / 1000;
+      if (elapsed > 0 && angleDifference(last.heading, first.heading) / elapsed > settings.get('AUTO_CAPTURE.MAX_ROTATION_RATE')) {
+        return HOLD_REASONS.ROTATING;
+      }
+    }
+
+    return null;
+  }
+
+  // Snapshot of where the device is, in the units each mode measures
+  getPose() {
+    const coords = this.location ? this.location.coords : null;
+    const heading = this.headings.length > 0 ? this.headings[this.headings.length - 1].heading : null;
+    return {
+      timestamp: Date.now(),
+      position: coords ? { latitude: coords.latitude, longitude: coords.longitude, altitude: coords.altitude || 0 } : null,
+      azimuth: coords && this.subject ? getAzimuth(coords, this.subject) : heading
+    };
+  }
+
+  // Fraction of the interval covered since the last shot
+  getProgress(pose) {
+    if (!this.lastShot) return 1;
+    const { mode, interval } = this.state;
+
+    if (mode === AUTO_CAPTURE_MODES.TIME) {
+      return (pose.timestamp - this.lastShot.timestamp) / interval;
+    }
+    if (mode === AUTO_CAPTURE_MODES.DISTANCE) {
+      if (!pose.position || !this.lastShot.position) return 0;
+      // Straight-line displacement, so GPS jitter while standing still does not add up
+      const enu = wgs84ToEnu(pose.position, this.lastShot.position);
+      return Math.hypot(enu.east, enu.north) / interval;
+    }
+    if (pose.azimuth === null || this.lastShot.azimuth === null) return 0;
+    return angleDifference(pose.azimuth, this.lastShot.azimuth) / interval;
+  }
+
+  evaluate() {
+    if (!this.state.active || this.busy) return;
+
+    const pose = this.getPose();
+    const progress = this.getProgress(pose);
+    const held = progress >= 1 ? this.getHoldReason() : null;
+
+    if (progress < 1 || held) {
+      if (held !== this.state.held || Math.abs(progress - this.state.progress) >= 0.05) {
+        this.setState({ progress: Math.min(progress, 1), held });
+      }
+      return;
+    }
+
+    this.trigger(pose);
+  }
+
+  async trigger(pose) {
+    this.busy = true;
+    this.setState({ progress: 1, held: null });
+
+    try {
+      const captured = await this.capture();
+      if (!this.state.active) return;
+      if (!captured) {
+        this.stop('Capture failed');
+        return;
+      }
+
+      this.lastShot = pose;
+      const remaining = this.state.remaining - 1;
+      this.setState({ captured: this.state.captured + 1, remaining, progress: 0 });
+      if (remaining <= 0) {
+        this.stop('Photo limit reached');
+      }
+    } catch (error) {
+      console.error('Auto capture failed:', error);
+      this.stop(error.message);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+export default new AutoCaptureService();
@@ -0,0 +1,70 @@
+// src/services/backends/index.js
+import RenderNetworkService from '../renderNetwork';
+import SelfHostedBackend from './selfHostedBackend';
+import MockBackend from './mockBackend';
+import { BACKEND_TYPES } from './reconstructionBackend';
+import settings from '../settings';
+
+export { BACKEND_TYPES, JOB_STATUS } from './reconstructionBackend';
+
+const BACKENDS = {
+  [BACKEND_TYPES.RENDER_NETWORK]: {
+    create: () => new RenderNetworkService(),
+    description: 'Decentralized GPU rendering',
+    connectionSettings: ['RENDER_NETWORK.API_KEY', 'RENDER_NETWORK.API_BASE_URL']
+  },
+  [BACKEND_TYPES.SELF_HOSTED]: {
+    create: () => new SelfHostedBackend(),
+    get description() {
+      return settings.get('PROCESSING.SELF_HOSTED_URL');
+    },
+    connectionSettings: ['PROCESSING.SELF_HOSTED_URL', 'PROCESSING.SELF_HOSTED_API_KEY']
+  },
+  [BACKEND_TYPES.MOCK]: {
+    create: () => new MockBackend(),
+    description: 'Simulated job for development',
+    devOnly: true
+  }
+};
+
+const instances = new Map();
+const connections = new Map(); // type -> connection settings the instance was last checked against
+
+const describeConnection = (type) => JSON.stringify(
+  (BACKENDS[type].connectionSettings || []).map(key => settings.get(key))
+);
+
+// Backends read their key and URL when they connect, so a change disconnects the
+// cached instance and its next use (see processingPipeline.connect) reconnects
+settings.subscribe(() => {
+  instances.forEach((backend, type) => {
+    const connection = describeConnection(type);
+    if (connections.get(type) !== connection) {
+      connections.set(type, connection);
+      backend.disconnect();
+    }
+  });
+});
+
+// One instance per backend type, created on first use
+export const getBackend = (type = settings.get('PROCESSING.DEFAULT_BACKEND')) => {
+  const entry = BACKENDS[type];
+  if (!entry) {
+    throw new Error(`Unknown reconstruction backend: ${type}`);
+  }
+
+  if (!instances.has(type)) {
+    instances.set(type, entry.create());
+    connections.set(type, describeConnection(type));
+  }
+  return instances.get(type);
+};
+
+// Backends the user can pick for a session
+export const getAvailableBackends = () => Object.keys(BACKENDS)
+  .filter(type => !BACKENDS[type].devOnly || __DEV__)
+  .map(type => ({
+    type,
+    name: getBackend(type).name,
+    description: BACKENDS[type].description
+  }));
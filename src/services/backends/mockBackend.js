@@ -0,0 +1,218 @@
+// src/services/backends/mockBackend.js
+import { File } from 'expo-file-system';
+import settings from '../settings';
+import { ERROR_TYPES } from '../errors';
+import { hashBytes } from '../../utils/hashing';
+import { listJobOutputs, listJobCameras, RECONSTRUCTION_METHODS } from '../../utils/jobOutputs';
+import { createSplatCloud, transformSplats, writePly } from '../../utils/splatFormats';
+import { wgs84ToEnu } from '../../utils/geodesy';
+import { getFileName } from '../../utils/media';
+import ReconstructionBackend, { BACKEND_TYPES, JOB_STATUS } from './reconstructionBackend';
+
+const MOCK_STAGES = [
+  'feature_extraction',
+  'sparse_reconstruction',
+  'gaussian_training',
+  'convex_training',
+  'exporting'
+];
+
+const MOCK_MAX_POINTS = 20000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Real reconstructions come back in an arbitrary frame; the mock's is this similarity
+// away from the session's ENU metres (x_local = scale * R x_enu + translation)
+const MOCK_FRAME = {
+  scale: 0.2,
+  rotation: [0.6, -0.8, 0, 0, 0, -1, 0.8, 0.6, 0],
+  translation: [1.5, -0.4, 2]
+};
+
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+};
+
+const toMockFrame = (point) => [0, 1, 2].map(axis => (
+  MOCK_FRAME.scale * MOCK_FRAME.rotation.slice(axis * 3, axis * 3 + 3).reduce((sum, value, k) => sum + value * point[k], 0)
+    + MOCK_FRAME.translation[axis]
+));
+
+// ENU positions of the job's geotagged photos about the session origin
+const getPhotoPositions = (photos, origin) => photos
+  .filter(photo => origin && photo.gpsData && Number.isFinite(photo.gpsData.latitude))
+  .map(photo => {
+    const enu = wgs84ToEnu(photo.gpsData, origin);
+    return { name: getFileName(photo.uri), position: [enu.east, enu.north, enu.up] };
+  });
+
+// A seeded cloud of splats on a 10 m hemisphere about `center` (ENU), delivered in
+// the mock frame, so downloads, hashing, viewers and georegistration get a real
+// binary PLY to work with
+const buildMockPly = (pointCount, seed, center = [0, 0, 0]) => {
+  const random = createRandom(seed);
+  const cloud = createSplatCloud(pointCount);
+  for (let i = 0; i < pointCount; i++) {
+    const azimuth = random() * 2 * Math.PI;
+    const elevation = random() * Math.PI / 2;
+    cloud.positions.set([
+      center[0] + 10 * Math.cos(elevation) * Math.cos(azimuth),
+      center[1] + 10 * Math.cos(elevation) * Math.sin(azimuth),
+      center[2] + 10 * Math.sin(elevation)
+    ], i * 3);
+    cloud.colors.set([random() - 0.5, random() - 0.5, random() - 0.5], i * 3);
+    cloud.scales.set([-3, -3, -3], i * 3);
+    cloud.rotations.set([1, 0, 0, 0], i * 4);
+    cloud.opacities[i] = 2;
+  }
+  return writePly(transformSplats(cloud, MOCK_FRAME));
+};
+
+// In-process fake for development: no network, jobs finish after JOB_DURATION
+class MockBackend extends ReconstructionBackend {
+  constructor() {
+    super({ type: BACKEND_TYPES.MOCK, name: 'Mock Backend' });
+    this.jobs = new Map();
+  }
+
+  async initialize() {
+    this.initialized = true;
+    return { success: true, data: { status: 'ok', mock: true } };
+  }
+
+  // Pretend each file takes a short moment to upload
+  async uploadAssets(assets, options = {}) {
+    return this.uploadBatch(assets, options, async (asset, size, onProgress) => {
+      await delay(settings.get('PROCESSING.MOCK_UPLOAD_DELAY'));
+      onProgress(size);
+      return {
+        originalUri: asset.uri,
+        remoteUri: `mock://uploads/${asset.uri.split('/').pop()}`,
+        uploadId: `mock_upload_${asset.index || 0}`
+      };
+    });
+  }
+
+  async submitReconstructionJob(photos, videos, sessionMetadata) {
+    const jobId = `mock_job_${Date.now()}`;
+    this.jobs.set(jobId, {
+      startedAt: Date.now(),
+      cancelled: false,
+      assetCount: photos.length + videos.length,
+      sessionId: sessionMetadata.sessionId,
+      photoPositions: getPhotoPositions(photos, sessionMetadata.baseLocation || (photos[0] && photos[0].gpsData))
+    });
+
+    return {
+      success: true,
+      jobId,
+      estimatedTime: settings.get('PROCESSING.MOCK_JOB_DURATION') / 1000,
+      cost: 0
+    };
+  }
+
+  async checkJobStatus(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: `Unknown job ${jobId}`, errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const duration = settings.get('PROCESSING.MOCK_JOB_DURATION');
+    const elapsed = Date.now() - job.startedAt;
+    const fraction = Math.min(elapsed / duration, 1);
+    const stageIndex = Math.min(Math.floor(fraction * MOCK_STAGES.length), MOCK_STAGES.length - 1);
+
+    let status = fraction >= 1 ? JOB_STATUS.COMPLETED : JOB_STATUS.RUNNING;
+    if (job.cancelled) status = JOB_STATUS.CANCELLED;
+
+    return {
+      success: true,
+      status,
+      progress: Math.round(fraction * 100),
+      estimatedTimeRemaining: Math.max(0, (duration - elapsed) / 1000),
+      currentStage: MOCK_STAGES[stageIndex]
+    };
+  }
+
+  // Jobs live in memory, so none survive an app restart
+  canResumeJob(jobId) {
+    return this.jobs.has(jobId);
+  }
+
+  async getJobResults(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { success: false, error: `Unknown job ${jobId}`, errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const pointCount = Math.min(job.assetCount * 500, MOCK_MAX_POINTS) || 1;
+    const positions = job.photoPositions || [];
+    const center = positions.length > 0
+      ? [0, 1].map(axis => positions.reduce((sum, photo) => sum + photo.position[axis], 0) / positions.length).concat(0)
+      : [0, 0, 0];
+    job.files = job.files || {};
+    const entries = {};
+    Object.values(RECONSTRUCTION_METHODS).forEach((method, index) => {
+      const url = `mock://results/${jobId}/${method}.ply`;
+      if (!job.files[url]) {
+        job.files[url] = buildMockPly(pointCount, job.startedAt + index, center);
+      }
+      const { sha256, size } = hashBytes(job.files[url]);
+      entries[method] = { url, sha256, size, pointCount };
+    });
+    const { outputs, missing } = listJobOutputs(entries, {
+      formats: ['ply'],
+      readFile: file => ({ url: file.url, hash: file.sha256, size: file.size, pointCount: file.pointCount })
+    });
+
+    // Camera centres in the mock frame with a few decimetres of solver noise
+    const random = createRandom(job.startedAt);
+    const cameras = listJobCameras(positions, photo => ({
+      name: photo.name,
+      position: toMockFrame(photo.position.map(value => value + (random() - 0.5) * 0.6))
+    }));
+
+    return {
+      success: true,
+      results: {
+        outputs,
+        missing,
+        cameras,
+        metadata: {
+          processingTime: (Date.now() - job.startedAt) / 1000,
+          renderNodes: 0,
+          qualityScore: null,
+          geoReferenced: false
+        }
+      }
+    };
+  }
+
+  // Results exist only in memory; write the generated bytes where the file would land
+  async downloadOutput(output, destination, onProgress = () => {}) {
+    const job = this.jobs.get(output.url.split('/')[3]);
+    const bytes = job && job.files && job.files[output.url];
+    if (!bytes) {
+      return { success: false, error: `Unknown result ${output.url}`, errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    await delay(settings.get('PROCESSING.MOCK_UPLOAD_DELAY'));
+    new File(destination).write(bytes);
+    onProgress(bytes.length, bytes.length);
+    return { success: true, uri: destination };
+  }
+
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.cancelled = true;
+    }
+    return { success: true, status: JOB_STATUS.CANCELLED };
+  }
+}
+
+export default MockBackend;
@@ -0,0 +1,201 @@
+// src/services/backends/reconstructionBackend.js
+import * as FileSystem from 'expo-file-system/legacy';
+import { ERROR_TYPES, errorTypeForStatus, toErrorResult } from '../errors';
+import { mapWithConcurrency } from '../../utils/concurrency';
+import { hashText } from '../../utils/hashing';
+
+export const BACKEND_TYPES = {
+  RENDER_NETWORK: 'render_network',
+  SELF_HOSTED: 'self_hosted',
+  MOCK: 'mock'
+};
+
+// Job states every backend reports from checkJobStatus
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Contract shared by every reconstruction backend. Like the other services,
+// methods resolve to { success: true, ... } or { success: false, error, errorType }
+// instead of throwing, so the processing pipeline can drive any of them.
+export default class ReconstructionBackend {
+  constructor({ type, name }) {
+    this.type = type;
+    this.name = name;
+    this.initialized = false;
+  }
+
+  isInitialized() {
+    return this.initialized;
+  }
+
+  // Forget the connection so the next job re-validates credentials
+  disconnect() {
+    this.initialized = false;
+  }
+
+  notImplemented(method) {
+    return {
+      success: false,
+      error: `${this.name} does not support ${method}`,
+      errorType: ERROR_TYPES.VALIDATION
+    };
+  }
+
+  // Connect and validate credentials
+  async initialize() {
+    return this.notImplemented('initialize');
+  }
+
+  // Upload captures -> { uploads: [{ originalUri, remoteUri, uploadId }], failures }
+  async uploadAssets(assets, options = {}) {
+    return this.notImplemented('uploadAssets');
+  }
+
+  // Submit uploaded captures -> { jobId, estimatedTime, cost }. Send
+  // sessionMetadata.idempotencyKey with the request: it names this submit attempt.
+  async submitReconstructionJob(photos, videos, sessionMetadata) {
+    return this.notImplemented('submitReconstructionJob');
+  }
+
+  // Poll a job -> { status: JOB_STATUS, progress, currentStage, estimatedTimeRemaining }
+  async checkJobStatus(jobId) {
+    return this.notImplemented('checkJobStatus');
+  }
+
+  // Fetch outputs -> { results: { outputs, missing, cameras, metadata } } (see utils/jobOutputs);
+  // cameras are the reconstructed photo positions used for georegistration
+  async getJobResults(jobId) {
+    return this.notImplemented('getJobResults');
+  }
+
+  async cancelJob(jobId) {
+    return this.notImplemented('cancelJob');
+  }
+
+  // Whether a job submitted before the app last closed can still be polled
+  canResumeJob(jobId) {
+    return Boolean(jobId);
+  }
+
+  // Headers a result download needs, e.g. the API key for a private bucket
+  getDownloadHeaders() {
+    return {};
+  }
+
+  // Download one output file to `destination`; onProgress(bytesWritten, bytesExpected)
+  async downloadOutput(output, destination, onProgress = () => {}) {
+    try {
+      const download = FileSystem.createDownloadResumable(
+        output.url,
+        destination,
+        { headers: this.getDownloadHeaders() },
+        ({ totalBytesWritten, totalBytesExpectedToWrite }) => onProgress(totalBytesWritten, totalBytesExpectedToWrite)
+      );
+      const result = await download.downloadAsync();
+      if (!result || result.status < 200 || result.status >= 300) {
+        await FileSystem.deleteAsync(destination, { idempotent: true });
+        return {
+          success: false,
+          error: `Download failed with HTTP ${result ? result.status : 'error'}`,
+          errorType: result ? errorTypeForStatus(result.status) : ERROR_TYPES.NETWORK
+        };
+      }
+      return { success: true, uri: result.uri };
+    } catch (error) {
+      console.error('Output download failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  async getFileSize(uri) {
+    const info = await FileSystem.getInfoAsync(uri);
+    return info.exists && info.size ? info.size : 0;
+  }
+
+  // Idempotency-Key for one asset's upload: a resend after a lost response or a
+  // retried 5xx gets the stored asset back instead of creating a duplicate
+  getUploadKey(asset) {
+    return `upload:${hashText(asset.uri).sha256}`;
+  }
+
+  getAssetMetadata(asset) {
+    return {
+      gpsData: asset.gpsData,
+      timestamp: asset.timestamp,
+      index: asset.index
+    };
+  }
+
+  // Shared batch runner for uploadAssets implementations: bounded concurrency,
+  // per-file and total progress, and one failed file does not sink the batch.
+  // uploadFile(asset, size, onProgress) resolves to an upload entry or throws.
+  async uploadBatch(assets, options, uploadFile) {
+    const {
+      concurrency = 4,
+      onFileProgress = () => {},
+      onProgress = () => {}
+    } = options;
+
+    try {
+      const sizes = await Promise.all(assets.map(asset => this.getFileSize(asset.uri)));
+      const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+      const loadedBytes = new Array(assets.length).fill(0);
+      let completedFiles = 0;
+
+      const reportProgress = (index, bytes) => {
+        loadedBytes[index] = bytes;
+        onFileProgress({
+          index,
+          uri: assets[index].uri,
+          loadedBytes: bytes,
+          totalBytes: sizes[index]
+        });
+        onProgress({
+          loadedBytes: loadedBytes.reduce((sum, loaded) => sum + loaded, 0),
+          totalBytes,
+          completedFiles,
+          totalFiles: assets.length
+        });
+      };
+
+      const results = await mapWithConcurrency(assets, concurrency, async (asset, index) => {
+        const handleProgress = bytes => reportProgress(index, Math.min(bytes, sizes[index]));
+
+        try {
+          const upload = await uploadFile(asset, sizes[index], handleProgress);
+          completedFiles += 1;
+          reportProgress(index, sizes[index]);
+          return { upload };
+        } catch (error) {
+          console.error(`Upload of ${asset.uri} failed:`, error);
+          return {
+            failure: { uri: asset.uri, error: error.message, errorType: error.type }
+          };
+        }
+      });
+
+      const uploads = results.filter(result => result.upload).map(result => result.upload);
+      const failures = results.filter(result => result.failure).map(result => result.failure);
+
+      if (failures.length > 0) {
+        return {
+          success: false,
+          error: `${failures.length} of ${assets.length} uploads failed`,
+          errorType: failures[0].errorType,
+          uploads,
+          failures
+        };
+      }
+
+      return { success: true, uploads, failures };
+    } catch (error) {
+      console.error('Asset upload failed:', error);
+      return { ...toErrorResult(error), uploads: [], failures: [] };
+    }
+  }
+}
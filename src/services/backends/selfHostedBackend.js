@@ -0,0 +1,197 @@
+// src/services/backends/selfHostedBackend.js
+import settings from '../settings';
+import { HttpClient } from '../httpClient';
+import { toErrorResult } from '../errors';
+import { getFileName, getMimeType } from '../../utils/media';
+import { listJobOutputs, listJobCameras } from '../../utils/jobOutputs';
+import ReconstructionBackend, { BACKEND_TYPES, JOB_STATUS } from './reconstructionBackend';
+
+// Status strings used by common nerfstudio / OpenSplat job wrappers
+const STATUS_MAP = {
+  pending: JOB_STATUS.QUEUED,
+  queued: JOB_STATUS.QUEUED,
+  running: JOB_STATUS.RUNNING,
+  training: JOB_STATUS.RUNNING,
+  exporting: JOB_STATUS.RUNNING,
+  done: JOB_STATUS.COMPLETED,
+  completed: JOB_STATUS.COMPLETED,
+  error: JOB_STATUS.FAILED,
+  failed: JOB_STATUS.FAILED,
+  cancelled: JOB_STATUS.CANCELLED
+};
+
+const OUTPUT_FORMATS = ['ply', 'splat'];
+
+// Talks to a processing box on the LAN (e.g. a nerfstudio or OpenSplat wrapper)
+class SelfHostedBackend extends ReconstructionBackend {
+  constructor() {
+    super({ type: BACKEND_TYPES.SELF_HOSTED, name: 'Self-Hosted Server' });
+    this.apiKey = null;
+    this.client = new HttpClient({
+      baseUrl: settings.get('PROCESSING.SELF_HOSTED_URL'),
+      serviceName: 'Processing server',
+      timeout: settings.get('PROCESSING.SELF_HOSTED_TIMEOUT'),
+      retryAttempts: settings.get('RENDER_NETWORK.RETRY_ATTEMPTS'),
+      getHeaders: () => (this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+    });
+  }
+
+  // Check the server is reachable; an API key is optional on a trusted LAN
+  async initialize(baseUrl = settings.get('PROCESSING.SELF_HOSTED_URL'), apiKey = settings.get('PROCESSING.SELF_HOSTED_API_KEY')) {
+    try {
+      this.client.baseUrl = baseUrl;
+      this.apiKey = apiKey;
+
+      const data = await this.client.get('/health');
+
+      console.log('Processing server connected:', data);
+      this.initialized = true;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Processing server connection failed:', error);
+      this.initialized = false;
+      return toErrorResult(error);
+    }
+  }
+
+  // One multipart POST per file; LAN uploads do not need chunking
+  async uploadAssets(assets, options = {}) {
+    return this.uploadBatch(
+      assets,
+      { concurrency: settings.get('PROCESSING.SELF_HOSTED_UPLOAD_CONCURRENCY'), ...options },
+      async (asset, size, onProgress) => {
+        const formData = new FormData();
+        formData.append('file', {
+          uri: asset.uri,
+          type: getMimeType(asset.uri),
+          name: getFileName(asset.uri)
+        });
+        formData.append('metadata', JSON.stringify(this.getAssetMetadata(asset)));
+
+        const data = await this.client.post('/files', formData, {
+          idempotent: true,
+          timeout: settings.get('PROCESSING.SELF_HOSTED_UPLOAD_TIMEOUT'),
+          headers: { 'Content-Type': 'multipart/form-data', 'Idempotency-Key': this.getUploadKey(asset) },
+          onUploadProgress: event => onProgress(event.loaded)
+        });
+
+        return {
+          originalUri: asset.uri,
+          remoteUri: data.fileId,
+          uploadId: data.fileId
+        };
+      }
+    );
+  }
+
+  // Submit a splatting job; the server picks its own trainer for each method
+  async submitReconstructionJob(photos, videos, sessionMetadata) {
+    try {
+      const data = await this.client.post('/jobs', {
+        sessionId: sessionMetadata.sessionId,
+        methods: ['gaussian_splatting', 'convex_splatting'],
+        images: photos.map(photo => ({
+          fileId: photo.uri,
+          index: photo.index,
+          timestamp: photo.timestamp,
+          gpsData: photo.gpsData,
+          surveyMetadata: photo.surveyMetadata
+        })),
+        videos: videos.map(video => ({
+          fileId: video.uri,
+          timestamp: video.timestamp,
+          duration: video.duration,
+          gpsData: video.gpsData,
+          surveyMetadata: video.surveyMetadata
+        })),
+        baseLocation: sessionMetadata.baseLocation,
+        coordinateSystem: sessionMetadata.coordinateSystem,
+        outputFormats: OUTPUT_FORMATS
+      }, {
+        idempotent: true,
+        headers: { 'Idempotency-Key': sessionMetadata.idempotencyKey }
+      });
+
+      return {
+        success: true,
+        jobId: data.jobId,
+        estimatedTime: data.estimatedTime,
+        cost: 0
+      };
+    } catch (error) {
+      console.error('Job submission failed:', error);
+      return toErrorResult(error);
+    }
+  }
+
+  async checkJobStatus(jobId) {
+    try {
+      const data = await this.client.get(`/jobs/${jobId}`);
+
+      return {
+        success: true,
+        status: STATUS_MAP[data.status] || JOB_STATUS.RUNNING,
+        progress: data.progress,
+        estimatedTimeRemaining: data.eta,
+        currentStage: data.stage
+      };
+    } catch (error) {
+      console.error('Status check failed:', error);
+      return toErrorResult(error);
+    }
+  }
+
+  getDownloadHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  async getJobResults(jobId) {
+    try {
+      const data = await this.client.get(`/jobs/${jobId}/results`);
+      const { outputs, missing } = listJobOutputs(data.outputs, {
+        formats: OUTPUT_FORMATS,
+        readFile: (file, entry) => ({
+          url: file.path ? `${this.client.baseUrl}${file.path}` : null,
+          hash: file.sha256,
+          size: file.size,
+          pointCount: file.splatCount || entry.splatCount
+        })
+      });
+      // Camera centres from the sparse reconstruction, keyed by uploaded file name
+      const cameras = listJobCameras(data.cameras, camera => ({
+        name: camera.file,
+        position: camera.center
+      }));
+
+      return {
+        success: true,
+        results: {
+          outputs,
+          missing,
+          cameras,
+          metadata: {
+            processingTime: data.processingTime,
+            renderNodes: 1,
+            qualityScore: data.psnr,
+            geoReferenced: true
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Results retrieval failed:', error);
+      return toErrorResult(error);
+    }
+  }
+
+  async cancelJob(jobId) {
+    try {
+      const data = await this.client.post(`/jobs/${jobId}/cancel`, {}, { idempotent: true });
+      return { success: true, status: STATUS_MAP[data.status] || JOB_STATUS.CANCELLED };
+    } catch (error) {
+      console.error('Job cancellation failed:', error);
+      return toErrorResult(error);
+    }
+  }
+}
+
+export default SelfHostedBackend;
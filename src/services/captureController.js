@@ -0,0 +1,366 @@
+// src/services/captureController.js
+import settings from './settings';
+import sessionStore from './sessionStore';
+import geotagging from './geotagging';
+import provenance from './provenance';
+import gpsTrackRecorder from './gpsTrackRecorder';
+import { buildSurveyMetadata, getVerticalDatum } from '../utils/surveyMetadata';
+
+export const CAPTURE_EVENTS = {
+  PHOTO: 'photo',
+  VIDEO: 'video',
+  ERROR: 'error'
+};
+
+const createInitialState = () => ({
+  isCapturing: false,
+  pending: 0,
+  isRecording: false,
+  recordingStartedAt: null,
+  photoCount: 0,
+  videoCount: 0
+});
+
+const nextIndex = (assets) => assets.reduce((highest, asset) => Math.max(highest, asset.index || 0), 0) + 1;
+
+// Owns the camera shutter: every photo and video goes through one serial queue that
+// reads the live fix and session at shutter time instead of a render's snapshot
+class CaptureController {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.eventListeners = new Map();
+    this.queue = Promise.resolve();
+    this.camera = null;
+    this.cameraReady = false;
+    this.session = null;
+    this.location = null;
+    this.fix = null;
+    this.heading = null;
+    this.linkedGcpId = null;
+    this.recordingQueued = false;
+    this.nextPhotoIndex = 1;
+    this.nextVideoIndex = 1;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Listen for one of CAPTURE_EVENTS; returns an unsubscribe function
+  on(event, listener) {
+    if (!this.eventListeners.has(event)) this.eventListeners.set(event, new Set());
+    this.eventListeners.get(event).add(listener);
+    return () => this.eventListeners.get(event).delete(listener);
+  }
+
+  emit(event, payload) {
+    (this.eventListeners.get(event) || []).forEach(listener => listener(payload));
+  }
+
+  // --- Inputs pushed from the UI and sensors ---
+
+  // `camera` is the CameraView ref object; `.current` is read at shutter time
+  attachCamera(camera) {
+    this.camera = camera;
+  }
+
+  setCameraReady(ready) {
+    this.cameraReady = ready;
+  }
+
+  updateFix(location, fix) {
+    this.location = location;
+    this.fix = fix;
+  }
+
+  updateHeading(heading) {
+    this.heading = heading;
+  }
+
+  setLinkedGcp(gcpId) {
+    this.linkedGcpId = gcpId;
+  }
+
+  // Start numbering after whatever the session already holds (new or restored)
+  setSession(session, { photos = [], videos = [] } = {}) {
+    this.session = session;
+    this.nextPhotoIndex = nextIndex(photos);
+    this.nextVideoIndex = nextIndex(videos);
+    this.setState({ photoCount: photos.length, videoCount: videos.length });
+  }
+
+  // Fields set on the session after it started, e.g. a base taken from imported files
+  updateSession(changes) {
+    if (this.session) this.session = { ...this.session, ...changes };
+  }
+
+  // Photos and videos share the camera, so one runs at a time
+  enqueue(task) {
+    this.setState({ pending: this.state.pending + 1 });
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {}).then(() => this.setState({ pending: this.state.pending - 1 }));
+    return run;
+  }
+
+  fail(title, message, errorType) {
+    this.emit(CAPTURE_EVENTS.ERROR, { title, message, errorType });
+    return { success: false, error: message, errorType };
+  }
+
+  // Reason the shutter cannot fire right now, or null
+  checkReady() {
+    if (!this.camera || !this.camera.current || !this.cameraReady) {
+      return { title: 'Camera Not Ready', message: 'Camera is still starting', errorType: 'camera' };
+    }
+    if (!this.location) {
+      return { title: 'GPS Required', message: 'Waiting for GPS location...', errorType: 'gps' };
+    }
+    return null;
+  }
+
+  // The latest fix as stored with an asset
+  snapshotFix() {
+    const { coords, timestamp } = this.location;
+    return {
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      altitude: coords.altitude || 0,
+      accuracy: coords.accuracy,
+      altitudeAccuracy: coords.altitudeAccuracy,
+      heading: coords.heading || 0,
+      speed: coords.speed || 0,
+      cameraHeading: this.heading ? this.heading.heading : null,
+      cameraHeadingAccuracy: this.heading ? this.heading.accuracy : null,
+      timestamp,
+      isRTK: Boolean(this.fix && this.fix.isRTK),
+      fixQuality: this.fix ? this.fix.quality : null,
+      fixSource: this.fix ? this.fix.source : null
+    };
+  }
+
+  snapshotSurvey() {
+    const { coords } = this.location;
+    return buildSurveyMetadata(
+      coords,
+      this.session ? this.session.baseLocation : null,
+      {
+        accuracy: coords.accuracy,
+        isRTK: Boolean(this.fix && this.fix.isRTK),
+        verticalDatum: getVerticalDatum(this.fix ? this.fix.source : null)
+      }
+    );
+  }
+
+  // Queue one georeferenced photo
+  capturePhoto() {
+    return this.enqueue(() => this.takePhoto());
+  }
+
+  async takePhoto() {
+    const notReady = this.checkReady();
+    if (notReady) return this.fail(notReady.title, notReady.message, notReady.errorType);
+
+    if (this.state.photoCount >= settings.get('CAPTURE.MAX_PHOTOS')) {
+      return this.fail('Limit Reached', `Maximum ${settings.get('CAPTURE.MAX_PHOTOS')} photos captured`, 'limit');
+    }
+
+    this.setState({ isCapturing: true });
+    try {
+      // Claim the index and the fix before the shutter so neither can shift under us
+      const index = this.nextPhotoIndex++;
+      const gpsData = this.snapshotFix();
+      const surveyMetadata = this.snapshotSurvey();
+      const gcpId = this.linkedGcpId;
+
+      const photo = await this.camera.current.takePictureAsync({
+        quality: settings.get('CAPTURE.PHOTO_QUALITY'),
+        base64: false,
+        exif: true,
+      });
+
+      const geoReferencedPhoto = {
+        ...photo,
+        timestamp: Date.now(),
+        sessionId: this.session ? this.session.id : null,
+        index,
+        gpsData,
+        surveyMetadata
+      };
+
+      // The marker is aimed at the crosshair, i.e. the image centre
+      if (gcpId) {
+        geoReferencedPhoto.gcp = {
+          id: gcpId,
+          pixel: { x: photo.width / 2, y: photo.height / 2 }
+        };
+      }
+
+      // Embed the fix in the file itself so it survives outside our manifest
+      const tagged = await geotagging.geotagPhoto(photo.uri, gpsData);
+      geoReferencedPhoto.geotagged = tagged.success;
+
+      // Hash the final bytes; the provenance manifest commits to this
+      const integrity = await provenance.hashAsset(photo.uri);
+      if (integrity.success) {
+        geoReferencedPhoto.sha256 = integrity.sha256;
+        geoReferencedPhoto.size = integrity.size;
+      }
+
+      const saved = this.session
+        ? await sessionStore.addPhoto(this.session.id, geoReferencedPhoto)
+        : { success: false };
+      const asset = saved.success ? saved.asset : geoReferencedPhoto;
+
+      this.setState({ photoCount: this.state.photoCount + 1 });
+      this.emit(CAPTURE_EVENTS.PHOTO, asset);
+      return { success: true, asset };
+    } catch (error) {
+      console.error('Photo capture failed:', error);
+      return this.fail('Capture Error', 'Failed to capture georeferenced photo', 'capture');
+    } finally {
+      this.setState({ isCapturing: false });
+    }
+  }
+
+  // Queue `count` photos `spacing` ms apart; stops at the first failure
+  async captureBurst(count, spacing = 300) {
+    let captured = 0;
+    for (let i = 0; i < count; i++) {
+      const result = await this.capturePhoto();
+      if (!result.success) break;
+      captured += 1;
+      if (i < count - 1) await new Promise(resolve => setTimeout(resolve, spacing));
+    }
+    return { success: captured === count, captured };
+  }
+
+  // Record until stopRecording() or MAX_VIDEO_DURATION; resolves once the video is stored.
+  // isRecording is only set once the queued job runs, so a queued start also counts.
+  startRecording() {
+    if (this.state.isRecording || this.recordingQueued) {
+      return Promise.resolve({ success: false, error: 'Already recording', errorType: 'busy' });
+    }
+    this.recordingQueued = true;
+    return this.enqueue(() => {
+      this.recordingQueued = false;
+      return this.recordVideo();
+    });
+  }
+
+  async recordVideo() {
+    const notReady = this.checkReady();
+    if (notReady) return this.fail(notReady.title, notReady.message, notReady.errorType);
+
+    const index = this.nextVideoIndex++;
+    const startLocation = this.snapshotFix();
+    const surveyMetadata = this.snapshotSurvey();
+    const startedAt = Date.now();
+
+    try {
+      this.setState({ isRecording: true, recordingStartedAt: startedAt });
+
+      // Sample GPS for the whole recording so every frame can be positioned
+      await gpsTrackRecorder.start(startedAt);
+      const video = await this.camera.current.recordAsync({
+        maxDuration: settings.get('CAPTURE.MAX_VIDEO_DURATION')
+      });
+      const endedAt = Date.now();
+      const track = await gpsTrackRecorder.stop();
+
+      const geoReferencedVideo = {
+        ...video,
+        timestamp: endedAt,
+        sessionId: this.session ? this.session.id : null,
+        index,
+        duration: Math.round((endedAt - startedAt) / 1000),
+        track,
+        gpsData: { startLocation },
+        surveyMetadata
+      };
+
+      const integrity = await provenance.hashAsset(video.uri);
+      if (integrity.success) {
+        geoReferencedVideo.sha256 = integrity.sha256;
+        geoReferencedVideo.size = integrity.size;
+      }
+
+      const saved = this.session
+        ? await sessionStore.addVideo(this.session.id, geoReferencedVideo)
+        : { success: false };
+      const asset = saved.success ? saved.asset : geoReferencedVideo;
+
+      this.setState({ videoCount: this.state.videoCount + 1 });
+      this.emit(CAPTURE_EVENTS.VIDEO, asset);
+      return { success: true, asset };
+    } catch (error) {
+      if (gpsTrackRecorder.isRecording()) {
+        await gpsTrackRecorder.stop();
+      }
+      console.error('Video recording failed:', error);
+      return this.fail('Recording Error', 'Failed to record georeferenced video', 'capture');
+    } finally {
+      this.setState({ isRecording: false, recordingStartedAt: null });
+    }
+  }
+
+  stopRecording() {
+    if (this.state.isRecording && this.camera && this.camera.current) {
+      this.camera.current.stopRecording();
+    }
+  }
+
+  // Queue an existing photo or video (already georeferenced by mediaImport) into the
+  // session, numbered after the live captures
+  importAsset(type, asset) {
+    return this.enqueue(() => this.storeImported(type, asset));
+  }
+
+  // Reason an import of `type` would be refused right now, or null
+  checkImportable(type) {
+    if (!this.session) {
+      return { success: false, error: 'No active session', errorType: 'session' };
+    }
+    if (type === CAPTURE_EVENTS.PHOTO && this.state.photoCount >= settings.get('CAPTURE.MAX_PHOTOS')) {
+      return { success: false, error: `Maximum ${settings.get('CAPTURE.MAX_PHOTOS')} photos captured`, errorType: 'limit' };
+    }
+    return null;
+  }
+
+  async storeImported(type, asset) {
+    const refused = this.checkImportable(type);
+    if (refused) return refused;
+
+    const isPhoto = type === CAPTURE_EVENTS.PHOTO;
+    const record = {
+      ...asset,
+      sessionId: this.session.id,
+      index: isPhoto ? this.nextPhotoIndex++ : this.nextVideoIndex++
+    };
+    // As with live captures, an asset that cannot be persisted (e.g. on web) is kept in memory
+    const saved = isPhoto
+      ? await sessionStore.addPhoto(this.session.id, record)
+      : await sessionStore.addVideo(this.session.id, record);
+    const stored = saved.success ? saved.asset : record;
+
+    this.setState(isPhoto
+      ? { photoCount: this.state.photoCount + 1 }
+      : { videoCount: this.state.videoCount + 1 });
+    this.emit(type, stored);
+    return { success: true, asset: stored };
+  }
+}
+
+export default new CaptureController();
@@ -0,0 +1,229 @@
+// src/services/datasetExport.js
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import sessionStore from './sessionStore';
+import gpsTrackRecorder from './gpsTrackRecorder';
+import provenance from './provenance';
+import settings from './settings';
+import { writeZipArchive } from '../utils/zipArchive';
+import { getFileName, hasPosition } from '../utils/media';
+import { buildGpx, buildTrackCsv } from '../utils/gpsTrack';
+import { describeSessionCoordinateSystems } from '../utils/surveyMetadata';
+import {
+  buildColmapGpsPriors,
+  buildColmapEnuPriors,
+  buildOdmGeoTxt,
+  buildNerfstudioTransforms,
+  buildOdmGcpList,
+  buildGcpCsv
+} from '../utils/datasetFormats';
+
+const DATASET_FORMAT = 'omnisplat-dataset';
+const DATASET_VERSION = 3;
+
+const README = `omniSplat dataset bundle
+
+images/                  Captured photos
+videos/                  Captured videos
+videos/*.gpx, *.csv      GPS track per video (csv video_time_ms = video timeline)
+videos/*.track.json      GPS track per video as recorded
+manifest.json            Session, GPS and survey metadata for every asset
+provenance.json          SHA-256 of every file and their Merkle root, taken at capture
+colmap/ref_images.txt    model_aligner priors: name lat lon alt (--ref_is_gps 1)
+colmap/ref_images_enu.txt  model_aligner priors in ENU metres from the base (--ref_is_gps 0)
+nerfstudio/transforms.json Camera skeleton with GPS positions in ENU metres
+odm/geo.txt              OpenDroneMap geolocation file (copy next to the images)
+odm/gcp_list.txt         OpenDroneMap ground control (pixels assume the marker was centred)
+gcps.csv                 Averaged ground control points with standard deviations
+`;
+
+// Packages a capture session as a dataset desktop pipelines can consume
+class DatasetExportService {
+  constructor() {
+    this.exportDirectory = `${FileSystem.documentDirectory}${settings.get('STORAGE.EXPORTS_DIRECTORY')}`;
+  }
+
+  // Load each video's GPS track, keyed by video uri
+  async loadVideoTracks(record) {
+    const tracks = new Map();
+    for (const video of record.videos) {
+      if (!video.trackUri) continue;
+      const loaded = await gpsTrackRecorder.loadTrack(video.trackUri);
+      if (loaded.success) {
+        tracks.set(video.uri, loaded.track);
+      }
+    }
+    return tracks;
+  }
+
+  // Build manifest and pipeline inputs for a session record ({ session, photos, videos })
+  buildBundleFiles(record, tracks = new Map()) {
+    const { session } = record;
+    const photos = record.photos.map(photo => ({ ...photo, fileName: getFileName(photo.uri) }));
+    const videos = record.videos.map(video => {
+      const fileName = getFileName(video.uri);
+      const trackBase = fileName.replace(/\.[^.]+$/, '');
+      return {
+        ...video,
+        fileName,
+        track: tracks.get(video.uri) || null,
+        gpxFile: `videos/${trackBase}.gpx`,
+        csvFile: `videos/${trackBase}.csv`
+      };
+    });
+    const gcps = record.gcps || [];
+    // Imported photos without a position are bundled but left out of the priors
+    const located = photos.filter(hasPosition);
+    const origin = session.baseLocation || (located[0] ? located[0].gpsData : null);
+
+    const manifest = {
+      format: DATASET_FORMAT,
+      version: DATASET_VERSION,
+      exportedAt: new Date().toISOString(),
+      coordinateSystem: describeSessionCoordinateSystems(origin),
+      session: {
+        id: session.id,
+        startTime: session.startTime,
+        endTime: session.endTime || null,
+        baseLocation: session.baseLocation,
+        totalAssets: photos.length + videos.length
+      },
+      photos: photos.map(photo => ({
+        file: `images/${photo.fileName}`,
+        index: photo.index,
+        timestamp: photo.timestamp,
+        width: photo.width,
+        height: photo.height,
+        geotagged: Boolean(photo.geotagged),
+        gcp: photo.gcp || null,
+        gpsData: photo.gpsData,
+        surveyMetadata: photo.surveyMetadata
+      })),
+      videos: videos.map(video => ({
+        file: `videos/${video.fileName}`,
+        timestamp: video.timestamp,
+        duration: video.duration,
+        gpsData: video.gpsData,
+        track: video.track
+          ? {
+            gpx: video.gpxFile,
+            csv: video.csvFile,
+            startTime: video.track.startTime,
+            pointCount: video.track.points.length
+          }
+          : null,
+        surveyMetadata: video.surveyMetadata
+      })),
+      gcps
+    };
+
+    const trackFiles = videos
+      .filter(video => video.track)
+      .flatMap(video => [
+        { name: video.gpxFile, text: buildGpx(video.track, video.fileName) },
+        { name: video.csvFile, text: buildTrackCsv(video.track) }
+      ]);
+
+    const gcpFiles = gcps.length > 0
+      ? [
+        { name: 'odm/gcp_list.txt', text: buildOdmGcpList(gcps, photos) },
+        { name: 'gcps.csv', text: buildGcpCsv(gcps, photos) }
+      ]
+      : [];
+
+    return {
+      photos,
+      videos,
+      textFiles: [
+        { name: 'README.txt', text: README },
+        { name: 'manifest.json', text: JSON.stringify(manifest, null, 2) },
+        { name: 'colmap/ref_images.txt', text: buildColmapGpsPriors(located) },
+        ...(origin
+          ? [
+            { name: 'colmap/ref_images_enu.txt', text: buildColmapEnuPriors(located, origin) },
+            {
+              name: 'nerfstudio/transforms.json',
+              text: JSON.stringify(buildNerfstudioTransforms(located, origin), null, 2)
+            }
+          ]
+          : []),
+        { name: 'odm/geo.txt', text: buildOdmGeoTxt(located) },
+        ...gcpFiles,
+        ...trackFiles
+      ]
+    };
+  }
+
+  // Write the session bundle to a single zip archive
+  async exportSession(record, { onProgress = () => {} } = {}) {
+    try {
+      if (record.photos.length === 0) {
+        return { success: false, error: 'Session has no photos to export' };
+      }
+
+      const info = await FileSystem.getInfoAsync(this.exportDirectory);
+      if (!info.exists) {
+        await FileSystem.makeDirectoryAsync(this.exportDirectory, { intermediates: true });
+      }
+
+      const sealed = await provenance.buildManifest(record);
+      if (!sealed.success) {
+        return { success: false, error: `Provenance manifest failed: ${sealed.error}` };
+      }
+
+      const tracks = await this.loadVideoTracks(record);
+      const { photos, videos, textFiles } = this.buildBundleFiles(record, tracks);
+      const root = record.session.id;
+      const entries = [
+        ...textFiles.map(file => ({ ...file, name: `${root}/${file.name}` })),
+        { name: `${root}/provenance.json`, text: JSON.stringify(sealed.manifest, null, 2) },
+        ...photos.map(photo => ({ name: `${root}/images/${photo.fileName}`, uri: photo.uri })),
+        ...videos.map(video => ({ name: `${root}/videos/${video.fileName}`, uri: video.uri })),
+        ...videos
+          .filter(video => video.trackUri)
+          .map(video => ({ name: `${root}/videos/${getFileName(video.trackUri)}`, uri: video.trackUri }))
+      ];
+
+      const archive = await writeZipArchive(
+        `${this.exportDirectory}${root}_dataset.zip`,
+        entries,
+        { onProgress }
+      );
+
+      await sessionStore.updateSession(record.session.id, {
+        lastExport: {
+          uri: archive.uri,
+          size: archive.size,
+          format: DATASET_FORMAT,
+          createdAt: Date.now()
+        }
+      });
+
+      return { success: true, uri: archive.uri, size: archive.size };
+    } catch (error) {
+      console.error('Dataset export failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Hand the archive to the OS share sheet
+  async shareExport(uri) {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, error: 'Sharing is not available on this device' };
+      }
+
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/zip',
+        dialogTitle: 'Share omniSplat dataset',
+        UTI: 'public.zip-archive'
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Dataset share failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new DatasetExportService();
@@ -0,0 +1,44 @@
+// src/services/errors.js
+export const ERROR_TYPES = {
+  AUTH: 'auth',             // Missing, invalid or revoked credentials
+  QUOTA: 'quota',           // Rate limited or out of credits
+  VALIDATION: 'validation', // The request itself was rejected
+  NETWORK: 'network',       // No response: offline, DNS, timeout
+  SERVER: 'server',         // The remote service failed
+  CANCELLED: 'cancelled',   // Aborted by the caller
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE_TYPES = [ERROR_TYPES.NETWORK, ERROR_TYPES.SERVER];
+
+// Error carrying a type the UI can branch on instead of parsing messages
+export class ServiceError extends Error {
+  constructor(type, message, { status = null, retryAfter = null, details = null } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+
+  get retryable() {
+    return RETRYABLE_TYPES.includes(this.type) || this.status === 429;
+  }
+}
+
+// Map an HTTP status code to an error type
+export const errorTypeForStatus = (status) => {
+  if (status === 401 || status === 403) return ERROR_TYPES.AUTH;
+  if (status === 402 || status === 429) return ERROR_TYPES.QUOTA;
+  if (status >= 400 && status < 500) return ERROR_TYPES.VALIDATION;
+  if (status >= 500) return ERROR_TYPES.SERVER;
+  return ERROR_TYPES.UNKNOWN;
+};
+
+// Shape a ServiceError into the { success: false } result services return
+export const toErrorResult = (error) => ({
+  success: false,
+  error: error.message,
+  errorType: error.type || ERROR_TYPES.UNKNOWN
+});
@@ -0,0 +1,145 @@
+// src/services/gcpCapture.js
+import settings from './settings';
+import { averagePositions } from '../utils/positionAveraging';
+import { FIX_QUALITY } from '../utils/nmea';
+
+export const GCP_STAGES = {
+  IDLE: 'idle',
+  AVERAGING: 'averaging',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Worst first; a GCP is only as good as its weakest sample
+const FIX_RANK = [
+  FIX_QUALITY.NO_FIX,
+  FIX_QUALITY.AUTONOMOUS,
+  FIX_QUALITY.DGPS,
+  FIX_QUALITY.RTK_FLOAT,
+  FIX_QUALITY.RTK_FIXED
+];
+
+const createInitialState = () => ({
+  stage: GCP_STAGES.IDLE,
+  name: null,
+  startedAt: null,
+  duration: settings.get('GCP.AVERAGING_DURATION'),
+  sampleCount: 0,
+  horizontalStd: null,
+  result: null,
+  error: null
+});
+
+const averagingOptions = () => ({
+  threshold: settings.get('GCP.OUTLIER_THRESHOLD'),
+  minDistance: settings.get('GCP.MIN_OUTLIER_DISTANCE')
+});
+
+// Averages the location stream while the user stands on a ground control marker
+class GcpCaptureService {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.samples = [];
+    this.timer = null;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isAveraging() {
+    return this.state.stage === GCP_STAGES.AVERAGING;
+  }
+
+  // Begin collecting samples for a named marker
+  start(name, { duration = settings.get('GCP.AVERAGING_DURATION') } = {}) {
+    this.clearTimer();
+    this.samples = [];
+    this.state = createInitialState();
+    this.setState({
+      stage: GCP_STAGES.AVERAGING,
+      name,
+      startedAt: Date.now(),
+      duration
+    });
+    this.timer = setTimeout(() => this.finish(), duration);
+  }
+
+  // Feed every fix from the location stream (phone or external receiver)
+  addSample(location, fix) {
+    if (!this.isAveraging()) return;
+
+    this.samples.push({
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      altitude: location.coords.altitude || 0,
+      accuracy: location.coords.accuracy,
+      fixQuality: fix ? fix.quality : FIX_QUALITY.AUTONOMOUS,
+      timestamp: location.timestamp
+    });
+
+    const preview = averagePositions(this.samples, averagingOptions());
+    this.setState({
+      sampleCount: this.samples.length,
+      horizontalStd: preview.horizontalStd
+    });
+  }
+
+  // Close the averaging window and compute the control point
+  finish() {
+    if (!this.isAveraging()) return;
+    this.clearTimer();
+
+    if (this.samples.length < settings.get('GCP.MIN_SAMPLES')) {
+      this.setState({
+        stage: GCP_STAGES.FAILED,
+        error: `Only ${this.samples.length} GPS samples; need ${settings.get('GCP.MIN_SAMPLES')}. Hold still and try again.`
+      });
+      return;
+    }
+
+    const averaged = averagePositions(this.samples, averagingOptions());
+    const worstRank = Math.min(...this.samples.map(sample => FIX_RANK.indexOf(sample.fixQuality)));
+
+    this.setState({
+      stage: GCP_STAGES.DONE,
+      result: {
+        id: `gcp_${Date.now()}`,
+        name: this.state.name,
+        ...averaged,
+        fixQuality: FIX_RANK[Math.max(worstRank, 0)],
+        startedAt: this.state.startedAt,
+        endedAt: Date.now()
+      }
+    });
+  }
+
+  cancel() {
+    this.clearTimer();
+    this.samples = [];
+    this.state = createInitialState();
+    this.setState({});
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new GcpCaptureService();
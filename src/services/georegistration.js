@@ -0,0 +1,107 @@
+// src/services/georegistration.js
+import sessionStore from './sessionStore';
+import modelConverter from './modelConverter';
+import settings from './settings';
+import { ERROR_TYPES } from './errors';
+import { enuFrame } from '../utils/geodesy';
+import { OUTPUT_STATUS } from '../utils/jobOutputs';
+import { SPLAT_FORMATS } from '../utils/splatFormats';
+import { applySimilarity, estimateSimilarity, matchCameras } from '../utils/georegistration';
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// Places a session's reconstructions in metric East-North-Up coordinates: fits the
+// backend's camera centres to where the photos were taken, writes georeferenced
+// copies of the downloaded splat models beside the originals and stores the
+// transform with the session
+class GeoregistrationService {
+  // Fit the model -> ENU similarity for a session record ({ session, photos }) and
+  // the cameras a job returned
+  solve(record, cameras) {
+    const { session, photos } = record;
+    const origin = session.baseLocation || (photos.find(photo => photo.gpsData) || {}).gpsData;
+    if (!origin) {
+      return { success: false, error: 'No geotagged photos to register against', errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const pairs = matchCameras(cameras || [], photos, origin);
+    const minCameras = Math.max(settings.get('GEOREGISTRATION.MIN_CAMERAS'), 3);
+    if (pairs.length < minCameras) {
+      return {
+        success: false,
+        error: `Only ${pairs.length} reconstructed cameras match geotagged photos (need ${minCameras})`,
+        errorType: ERROR_TYPES.VALIDATION
+      };
+    }
+
+    try {
+      const threshold = settings.get('GEOREGISTRATION.INLIER_THRESHOLD');
+      const fit = estimateSimilarity(pairs.map(pair => pair.source), pairs.map(pair => pair.target), { threshold });
+
+      return {
+        success: true,
+        georegistration: {
+          coordinateSystem: enuFrame(origin),
+          transform: fit.transform,
+          rmsError: fit.rmsError,
+          threshold,
+          cameraCount: pairs.length,
+          inlierCount: fit.inlierCount,
+          // Where each camera lands after the fit, relative to its GPS fix, in metres
+          residuals: pairs.map((pair, k) => {
+            const predicted = applySimilarity(fit.transform, pair.source);
+            return {
+              name: pair.name,
+              error: round(fit.residuals[k]),
+              east: round(predicted[0] - pair.target[0]),
+              north: round(predicted[1] - pair.target[1]),
+              up: round(predicted[2] - pair.target[2]),
+              inlier: fit.inliers[k]
+            };
+          }),
+          registeredAt: Date.now()
+        }
+      };
+    } catch (error) {
+      console.error('Georegistration failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.VALIDATION };
+    }
+  }
+
+  // Solve, then write `<method>.georef.<format>` for every downloaded splat output.
+  // Returns the outputs with georeferencedUri set where a copy was written.
+  async registerOutputs(record, results) {
+    const solved = this.solve(record, results.cameras);
+    if (!solved.success) return solved;
+
+    const { georegistration } = solved;
+    const outputs = [];
+    for (const output of results.outputs) {
+      if (output.status !== OUTPUT_STATUS.DOWNLOADED || !Object.values(SPLAT_FORMATS).includes(output.format)) {
+        outputs.push(output);
+        continue;
+      }
+
+      const converted = await modelConverter.convertModel(output.localUri, {
+        to: output.format,
+        suffix: '.georef',
+        transform: georegistration.transform
+      });
+      outputs.push(converted.success
+        ? { ...output, georeferencedUri: converted.uri, georeferenceError: null }
+        : { ...output, georeferencedUri: null, georeferenceError: converted.error });
+    }
+
+    if (!outputs.some(output => output.georeferencedUri)) {
+      return { success: false, error: 'No splat models could be georeferenced', errorType: ERROR_TYPES.UNKNOWN, outputs };
+    }
+
+    const stored = await sessionStore.updateSession(record.session.id, { georegistration });
+    if (!stored.success) {
+      return { success: false, error: stored.error, errorType: ERROR_TYPES.UNKNOWN, outputs };
+    }
+    return { success: true, georegistration, outputs };
+  }
+}
+
+export default new GeoregistrationService();
@@ -0,0 +1,27 @@
+// src/services/geotagging.js
+import { File } from 'expo-file-system';
+import { geotagJpeg } from '../utils/jpegGeotag';
+import { getMimeType } from '../utils/media';
+
+// Embeds capture GNSS data into photo files so any photogrammetry tool can read it
+class GeotaggingService {
+  // Rewrite the photo at `uri` in place with EXIF GPS and XMP accuracy tags
+  async geotagPhoto(uri, gpsData) {
+    try {
+      if (getMimeType(uri) !== 'image/jpeg') {
+        return { success: false, error: 'Only JPEG photos can be geotagged' };
+      }
+
+      const file = new File(uri);
+      const original = await file.bytes();
+      file.write(geotagJpeg(original, gpsData));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Photo geotagging failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new GeotaggingService();
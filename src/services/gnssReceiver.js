@@ -0,0 +1,174 @@
+// src/services/gnssReceiver.js
+import * as FileSystem from 'expo-file-system/legacy';
+import settings from './settings';
+import { NmeaStreamParser, parseSentence, FIX_QUALITY } from '../utils/nmea';
+
+export const RECEIVER_STATUS = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  REPLAYING: 'replaying'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// External GNSS receiver fed by an NMEA 0183 stream (live socket or recorded log)
+class GnssReceiverService {
+  constructor() {
+    this.listeners = new Set();
+    this.parser = new NmeaStreamParser();
+    this.socket = null;
+    this.replayId = 0;
+    this.lastFix = null;
+    this.status = RECEIVER_STATUS.DISCONNECTED;
+    this.source = null;
+  }
+
+  // Listen for fixes in expo-location shape plus a `fix` block; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      source: this.source,
+      lastFix: this.lastFix,
+      ...this.parser.stats
+    };
+  }
+
+  // Latest fix, or null once the stream has gone quiet
+  getLiveFix() {
+    if (!this.lastFix) return null;
+    const age = Date.now() - this.lastFix.timestamp;
+    return age <= settings.get('GNSS.STALE_FIX_TIMEOUT') ? this.lastFix : null;
+  }
+
+  // Push raw NMEA text from any transport. Epochs without a fix are dropped so the
+  // app falls back to the phone until the receiver recovers.
+  feed(chunk) {
+    this.parser.push(chunk).forEach(location => {
+      if (location.fix.quality === FIX_QUALITY.NO_FIX) return;
+      this.lastFix = location;
+      this.listeners.forEach(listener => listener(location));
+    });
+  }
+
+  reset(status, source) {
+    this.disconnect();
+    this.parser = new NmeaStreamParser();
+    this.lastFix = null;
+    this.status = status;
+    this.source = source;
+  }
+
+  // Forward RTCM correction bytes upstream to the receiver; false when none is attached
+  sendCorrections(bytes) {
+    if (!this.socket || this.status !== RECEIVER_STATUS.CONNECTED) {
+      return false;
+    }
+    this.socket.send(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+    return true;
+  }
+
+  // Connect to a receiver (or serial/Bluetooth bridge) streaming NMEA over WebSocket.
+  // Gives up after CONNECT_TIMEOUT, since startup waits on it.
+  connect(url = settings.get('GNSS.RECEIVER_URL')) {
+    if (!url) {
+      return Promise.resolve({ success: false, error: 'No GNSS receiver URL configured' });
+    }
+
+    this.reset(RECEIVER_STATUS.CONNECTING, url);
+
+    return new Promise(resolve => {
+      const socket = new WebSocket(url);
+      this.socket = socket;
+
+      let settled = false;
+      const settle = (result) => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          resolve(result);
+        }
+      };
+      const timer = setTimeout(() => {
+        settle({ success: false, error: 'Receiver did not respond in time' });
+        if (this.socket === socket) this.disconnect();
+      }, settings.get('GNSS.CONNECT_TIMEOUT'));
+
+      socket.onopen = () => {
+        this.status = RECEIVER_STATUS.CONNECTED;
+        settle({ success: true });
+      };
+      socket.onmessage = (event) => {
+        if (typeof event.data === 'string') {
+          this.feed(event.data);
+        }
+      };
+      socket.onerror = (event) => {
+        console.error('GNSS receiver connection failed:', event.message);
+        settle({ success: false, error: event.message || 'Receiver connection failed' });
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.status = RECEIVER_STATUS.DISCONNECTED;
+        }
+      };
+    });
+  }
+
+  // Replay a recorded NMEA log, pacing epochs by their GGA timestamps
+  async replay(text, { rate = settings.get('GNSS.REPLAY_RATE'), loop = false } = {}) {
+    this.reset(RECEIVER_STATUS.REPLAYING, 'replay');
+    const replayId = ++this.replayId;
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+
+    do {
+      let previousTime = null;
+      for (const line of lines) {
+        if (replayId !== this.replayId) return { success: false, error: 'Replay stopped' };
+
+        const sentence = parseSentence(line);
+        if (sentence && sentence.type === 'GGA' && sentence.timeOfDay !== null) {
+          if (previousTime !== null && sentence.timeOfDay > previousTime) {
+            await sleep((sentence.timeOfDay - previousTime) / rate);
+          }
+          previousTime = sentence.timeOfDay;
+        }
+
+        if (replayId !== this.replayId) return { success: false, error: 'Replay stopped' };
+        this.feed(`${line}\n`);
+      }
+    } while (loop && replayId === this.replayId);
+
+    this.status = RECEIVER_STATUS.DISCONNECTED;
+    return { success: true, ...this.parser.stats };
+  }
+
+  // Replay a log file from disk
+  async replayFile(uri, options) {
+    try {
+      const text = await FileSystem.readAsStringAsync(uri);
+      return this.replay(text, options);
+    } catch (error) {
+      console.error('NMEA replay failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  disconnect() {
+    this.replayId += 1;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.status = RECEIVER_STATUS.DISCONNECTED;
+  }
+}
+
+export default new GnssReceiverService();
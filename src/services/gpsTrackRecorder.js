@@ -0,0 +1,117 @@
+// src/services/gpsTrackRecorder.js
+import * as Location from 'expo-location';
+import * as FileSystem from 'expo-file-system/legacy';
+import settings from './settings';
+import gnssReceiver from './gnssReceiver';
+import { toTrackPoint, interpolateTrack } from '../utils/gpsTrack';
+
+// Samples the location stream for the length of a video recording
+class GpsTrackRecorder {
+  constructor() {
+    this.subscription = null;
+    this.startTime = null;
+    this.points = [];
+    this.trackCache = new Map();
+  }
+
+  isRecording() {
+    return this.subscription !== null;
+  }
+
+  // Begin a new track; `startTime` should match the moment recording starts
+  async start(startTime = Date.now()) {
+    try {
+      if (this.isRecording()) {
+        await this.stop();
+      }
+
+      this.startTime = startTime;
+      this.points = [];
+
+      // Own subscription with no distance filter, so standing still still yields samples.
+      // While an external receiver has a live fix its fixes arrive through addFix and
+      // the phone's are dropped, so one track never mixes the two.
+      this.subscription = await Location.watchPositionAsync(
+        {
+          accuracy: Location.Accuracy.BestForNavigation,
+          timeInterval: settings.get('CAPTURE.TRACK_SAMPLE_INTERVAL'),
+          distanceInterval: 0
+        },
+        (location) => {
+          if (gnssReceiver.getLiveFix()) return;
+          this.addFix(location);
+        }
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('GPS track recording failed to start:', error);
+      this.subscription = null;
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Also accepts fixes from other watchers (e.g. the UI's, which passes receiver fixes
+  // and phone fixes only when no receiver is live) to densify the track
+  addFix(location) {
+    if (this.startTime === null) return;
+
+    const last = this.points[this.points.length - 1];
+    if (last && location.timestamp <= last.timestamp) return;
+
+    this.points.push(toTrackPoint(location, this.startTime));
+  }
+
+  // Finish the track and hand it back for storage with the video
+  async stop() {
+    if (this.subscription) {
+      this.subscription.remove();
+      this.subscription = null;
+    }
+
+    const track = {
+      startTime: this.startTime,
+      endTime: Date.now(),
+      sampleInterval: settings.get('CAPTURE.TRACK_SAMPLE_INTERVAL'),
+      points: this.points
+    };
+
+    this.startTime = null;
+    this.points = [];
+    return track;
+  }
+
+  // Read a stored track from disk
+  async loadTrack(trackUri) {
+    try {
+      if (!this.trackCache.has(trackUri)) {
+        const contents = await FileSystem.readAsStringAsync(trackUri);
+        this.trackCache.set(trackUri, JSON.parse(contents));
+      }
+      return { success: true, track: this.trackCache.get(trackUri) };
+    } catch (error) {
+      console.error('GPS track load failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Interpolated position and heading `videoTime` ms into a stored video
+  async getPositionAt(video, videoTime) {
+    if (!video.trackUri) {
+      return { success: false, error: 'Video has no GPS track' };
+    }
+
+    const loaded = await this.loadTrack(video.trackUri);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    const position = interpolateTrack(loaded.track, videoTime);
+    if (!position) {
+      return { success: false, error: 'GPS track is empty' };
+    }
+    return { success: true, position };
+  }
+}
+
+export default new GpsTrackRecorder();
@@ -0,0 +1,131 @@
+// src/services/httpClient.js
+import axios from 'axios';
+import { ServiceError, ERROR_TYPES, errorTypeForStatus } from './errors';
+
+const DEFAULT_OPTIONS = {
+  timeout: 30000,
+  retryAttempts: 3,
+  retryBaseDelay: 1000,
+  retryMaxDelay: 30000
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Turn an axios failure into a typed ServiceError
+export const toServiceError = (error, serviceName = 'Service') => {
+  if (error instanceof ServiceError) {
+    return error;
+  }
+
+  if (axios.isCancel(error)) {
+    return new ServiceError(ERROR_TYPES.CANCELLED, 'Request cancelled');
+  }
+
+  if (!error.response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new ServiceError(
+      ERROR_TYPES.NETWORK,
+      timedOut ? `${serviceName} did not respond in time` : `Cannot reach ${serviceName}`,
+      { details: error.message }
+    );
+  }
+
+  const { status, data, headers } = error.response;
+  const type = errorTypeForStatus(status);
+  const serverMessage = data && (data.message || data.error);
+  const fallbackMessages = {
+    [ERROR_TYPES.AUTH]: `${serviceName} rejected the API key`,
+    [ERROR_TYPES.QUOTA]: `${serviceName} quota exceeded`,
+    [ERROR_TYPES.VALIDATION]: `${serviceName} rejected the request`,
+    [ERROR_TYPES.SERVER]: `${serviceName} is having problems`
+  };
+
+  return new ServiceError(
+    type,
+    typeof serverMessage === 'string' ? serverMessage : (fallbackMessages[type] || error.message),
+    {
+      status,
+      retryAfter: parseRetryAfter(headers && headers['retry-after']),
+      details: data
+    }
+  );
+};
+
+// Shared request layer: timeout, exponential backoff with jitter, typed errors
+export class HttpClient {
+  constructor({ baseUrl, serviceName = 'Service', getHeaders = () => ({}), ...options } = {}) {
+    this.baseUrl = baseUrl;
+    this.serviceName = serviceName;
+    this.getHeaders = getHeaders;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Equal jitter keeps many clients from retrying in lockstep
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(
+      this.options.retryMaxDelay,
+      this.options.retryBaseDelay * Math.pow(2, attempt)
+    );
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  // Non-idempotent requests only retry when the server refused them outright
+  shouldRetry(error, idempotent) {
+    if (error.status === 429 || error.status === 503) return true;
+    return idempotent && error.retryable;
+  }
+
+  async request({ method = 'get', path, data, headers = {}, idempotent, ...config }) {
+    const isIdempotent = idempotent !== undefined ? idempotent : method.toLowerCase() === 'get';
+    let attempt = 0;
+
+    while (true) {
+      try {
+        const response = await axios.request({
+          method,
+          url: `${this.baseUrl}${path}`,
+          data,
+          timeout: this.options.timeout,
+          ...config,
+          headers: { ...this.getHeaders(), ...headers }
+        });
+        return response.data;
+      } catch (rawError) {
+        const error = toServiceError(rawError, this.serviceName);
+
+        if (attempt >= this.options.retryAttempts || !this.shouldRetry(error, isIdempotent)) {
+          throw error;
+        }
+
+        const delay = error.retryAfter !== null
+          ? Math.min(error.retryAfter, this.options.retryMaxDelay)
+          : this.getBackoffDelay(attempt);
+        console.warn(`${this.serviceName} request to ${path} failed (${error.type}), retrying in ${delay}ms`);
+
+        attempt += 1;
+        await sleep(delay);
+      }
+    }
+  }
+
+  get(path, config = {}) {
+    return this.request({ ...config, method: 'get', path });
+  }
+
+  post(path, data, config = {}) {
+    return this.request({ ...config, method: 'post', path, data });
+  }
+}
@@ -0,0 +1,306 @@
+// src/services/mediaImport.js
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { File } from 'expo-file-system';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import settings from './settings';
+import sessionStore from './sessionStore';
+import provenance from './provenance';
+import captureController, { CAPTURE_EVENTS } from './captureController';
+import { ERROR_TYPES } from './errors';
+import { getFileExtension, getFileName, getMimeType, hasPosition, isVideoFile } from '../utils/media';
+import { readJpegMetadata, readPngMetadata, readVideoMetadata } from '../utils/mediaMetadata';
+import { buildSurveyMetadata } from '../utils/surveyMetadata';
+import { VERTICAL_DATUMS } from '../utils/geodesy';
+import { FIX_QUALITY } from '../utils/nmea';
+
+export const IMPORT_SOURCES = {
+  LIBRARY: 'library',
+  FILES: 'files'
+};
+
+const IMAGE_HEAD_SIZE = 512 * 1024; // bytes; EXIF and XMP sit before the image data
+
+// Picker MIME type -> extension, for library assets that come without a file name
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov'
+};
+
+// Random access to a picked file without loading it whole. Browser picks are blob: or
+// data: URLs, which expo-file-system cannot open; those are sliced as a Blob.
+const openReader = async (uri) => {
+  if (Platform.OS === 'web') {
+    const blob = await (await fetch(uri)).blob();
+    return {
+      size: blob.size,
+      read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer()),
+      close: () => {}
+    };
+  }
+
+  const file = new File(uri);
+  if (!file.exists) {
+    throw new Error(`File not found: ${uri}`);
+  }
+  const handle = file.open();
+  return {
+    size: file.size,
+    read: async (offset, length) => {
+      handle.offset = offset;
+      return handle.readBytes(Math.min(length, file.size - offset));
+    },
+    close: () => handle.close()
+  };
+};
+
+const NO_METADATA = {
+  width: null,
+  height: null,
+  duration: null,
+  timestamp: null,
+  position: null,
+  make: null,
+  model: null,
+  exif: null
+};
+
+// Metadata that cannot be parsed leaves the file to import without a position
+const readMetadata = async (uri, extension) => {
+  const reader = await openReader(uri);
+  try {
+    if (isVideoFile(`file.${extension}`)) {
+      return await readVideoMetadata(reader);
+    }
+    const head = await reader.read(0, IMAGE_HEAD_SIZE);
+    return extension === 'png' ? readPngMetadata(head) : readJpegMetadata(head);
+  } catch (error) {
+    console.warn('Media metadata unreadable, importing without it:', error);
+    return NO_METADATA;
+  } finally {
+    reader.close();
+  }
+};
+
+// The fix stored with an imported asset, shaped like captureController.snapshotFix()
+const buildGpsData = (position, timestamp) => ({
+  latitude: position.latitude,
+  longitude: position.longitude,
+  altitude: position.altitude || 0,
+  accuracy: position.accuracy,
+  altitudeAccuracy: position.altitudeAccuracy,
+  heading: position.cameraHeading || 0,
+  speed: 0,
+  cameraHeading: position.cameraHeading,
+  cameraHeadingAccuracy: null,
+  timestamp,
+  isRTK: position.fixQuality === FIX_QUALITY.RTK_FIXED,
+  fixQuality: position.fixQuality,
+  fixSource: position.source
+});
+
+// Brings photos and videos taken elsewhere (drones, DSLRs, the phone's own gallery)
+// into a session with the position, time and camera their metadata records
+class MediaImportService {
+  // Let the user pick from the photo library; returns [{ uri, name, mimeType, lastModified }]
+  async pickFromLibrary() {
+    try {
+      const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (!permission.granted) {
+        return { success: false, error: 'Photo library access was denied', errorType: ERROR_TYPES.VALIDATION };
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ['images', 'videos'],
+        allowsMultipleSelection: true,
+        quality: 1,
+        exif: false
+      });
+      if (result.canceled) return { success: true, files: [] };
+
+      return {
+        success: true,
+        files: result.assets.map(asset => ({
+          uri: asset.uri,
+          name: asset.fileName || getFileName(asset.uri),
+          mimeType: asset.mimeType || null,
+          lastModified: null
+        }))
+      };
+    } catch (error) {
+      console.error('Library picker failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.UNKNOWN };
+    }
+  }
+
+  // Let the user pick files (SD cards, cloud drives, the web file dialog)
+  async pickFiles() {
+    try {
+      const formats = settings.get('RENDER_NETWORK.SUPPORTED_FORMATS');
+      const result = await DocumentPicker.getDocumentAsync({
+        type: [...new Set(formats.map(format => getMimeType(`file.${format}`)))],
+        multiple: true,
+        copyToCacheDirectory: true
+      });
+      if (result.canceled) return { success: true, files: [] };
+
+      return {
+        success: true,
+        files: result.assets.map(asset => ({
+          uri: asset.uri,
+          name: asset.name || getFileName(asset.uri),
+          mimeType: asset.mimeType || null,
+          lastModified: asset.lastModified || null
+        }))
+      };
+    } catch (error) {
+      console.error('File picker failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.UNKNOWN };
+    }
+  }
+
+  pick(source) {
+    return source === IMPORT_SOURCES.LIBRARY ? this.pickFromLibrary() : this.pickFiles();
+  }
+
+  // Copy a picked file under an unambiguous extension; sessionStore moves it from here.
+  // The web has no file system to stage into, so browser picks keep their blob URL.
+  async stage(file, extension, position) {
+    if (Platform.OS === 'web') return file.uri;
+
+    const directory = `${FileSystem.cacheDirectory}imports/`;
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+    const uri = `${directory}${Date.now()}_${position}.${extension}`;
+    await FileSystem.copyAsync({ from: file.uri, to: uri });
+    return uri;
+  }
+
+  async discardStaged(uri) {
+    if (Platform.OS === 'web') return;
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.error('Staged import cleanup failed:', error);
+    }
+  }
+
+  // Read, stage and store one picked file. Returns { success, asset } or a reason.
+  async importFile(file, position, source) {
+    const extension = getFileExtension(file.name || '') || EXTENSIONS[file.mimeType] || getFileExtension(file.uri);
+    if (!settings.get('RENDER_NETWORK.SUPPORTED_FORMATS').includes(extension)) {
+      return { success: false, error: extension ? `Unsupported format .${extension}` : 'Unknown file type' };
+    }
+
+    // Refuse before anything is copied, so a full session leaves no staged files behind
+    const isVideo = isVideoFile(`file.${extension}`);
+    const type = isVideo ? CAPTURE_EVENTS.VIDEO : CAPTURE_EVENTS.PHOTO;
+    const refused = captureController.checkImportable(type);
+    if (refused) return refused;
+
+    let metadata;
+    try {
+      metadata = await readMetadata(file.uri, extension);
+    } catch (error) {
+      console.error('Media file open failed:', error);
+      return { success: false, error: `Could not open file: ${error.message}` };
+    }
+
+    // A session started without a fix takes its base from the first located file
+    if (!captureController.session.baseLocation && metadata.position) {
+      const baseLocation = {
+        latitude: metadata.position.latitude,
+        longitude: metadata.position.longitude,
+        altitude: metadata.position.altitude || 0,
+        accuracy: metadata.position.accuracy,
+        timestamp: metadata.timestamp,
+        isRTK: metadata.position.fixQuality === FIX_QUALITY.RTK_FIXED,
+        fixQuality: metadata.position.fixQuality,
+        verticalDatum: VERTICAL_DATUMS.MEAN_SEA_LEVEL
+      };
+      await sessionStore.updateSession(captureController.session.id, { baseLocation });
+      captureController.updateSession({ baseLocation });
+    }
+
+    let uri;
+    try {
+      uri = await this.stage(file, extension, position);
+    } catch (error) {
+      console.error('Import staging failed:', error);
+      return { success: false, error: `Could not copy file: ${error.message}` };
+    }
+
+    const timestamp = metadata.timestamp || file.lastModified || Date.now();
+    const fix = metadata.position ? buildGpsData(metadata.position, timestamp) : null;
+    const asset = {
+      uri,
+      width: metadata.width,
+      height: metadata.height,
+      exif: metadata.exif,
+      timestamp,
+      gpsData: fix && isVideo ? { startLocation: fix } : fix,
+      // Camera files record their altitude above mean sea level
+      surveyMetadata: metadata.position
+        ? buildSurveyMetadata(metadata.position, captureController.session.baseLocation, {
+          accuracy: metadata.position.accuracy,
+          isRTK: fix.isRTK,
+          verticalDatum: VERTICAL_DATUMS.MEAN_SEA_LEVEL
+        })
+        : null,
+      imported: {
+        source,
+        originalName: file.name,
+        importedAt: Date.now(),
+        make: metadata.make,
+        model: metadata.model
+      }
+    };
+    if (isVideo) {
+      asset.duration = metadata.duration !== null ? Math.round(metadata.duration) : null;
+    } else {
+      asset.geotagged = hasPosition(asset);
+    }
+
+    const integrity = await provenance.hashAsset(asset.uri);
+    if (integrity.success) {
+      asset.sha256 = integrity.sha256;
+      asset.size = integrity.size;
+    }
+
+    const stored = await captureController.importAsset(type, asset);
+    if (!stored.success) await this.discardStaged(asset.uri);
+    return stored;
+  }
+
+  // Import picked files into the controller's session, one at a time.
+  // Returns the stored assets, the names of files with no position, rejected files and
+  // the session as updated (it may have gained a base location).
+  async importFiles(files, source, { onProgress = () => {} } = {}) {
+    if (!captureController.session) {
+      return { success: false, error: 'Start a session before importing', errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    const imported = [];
+    const unlocated = [];
+    const rejected = [];
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      onProgress({ processed: i, total: files.length, name: file.name });
+
+      const result = await this.importFile(file, i, source);
+      if (!result.success) {
+        rejected.push({ name: file.name, reason: result.error });
+        continue;
+      }
+      imported.push(result.asset);
+      if (!hasPosition(result.asset)) unlocated.push(file.name);
+    }
+    onProgress({ processed: files.length, total: files.length, name: null });
+
+    return { success: true, total: files.length, imported, unlocated, rejected, session: captureController.session };
+  }
+}
+
+export default new MediaImportService();
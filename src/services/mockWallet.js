@@ -0,0 +1,110 @@
+// src/services/mockWallet.js
+// In-app stand-in for a Mobile Wallet Adapter wallet, for simulators, iOS and tests
+// against solana-test-validator. Speaks the same base64 request/response shapes as the
+// MWA protocol `transact` session, signing with a keypair kept on the device.
+import * as FileSystem from 'expo-file-system/legacy';
+import { getRandomBytes } from 'expo-crypto';
+import { ed25519 } from '@noble/curves/ed25519';
+import { Keypair, VersionedTransaction } from '@solana/web3.js';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+const KEY_FILE = 'mock-wallet.json';
+const AUTH_TOKEN_PREFIX = 'mock-auth-';
+
+const authorizationError = () => {
+  const error = new Error('Mock wallet: authorization token is not valid');
+  error.code = -1; // ERROR_AUTHORIZATION_FAILED in the MWA protocol
+  return error;
+};
+
+class MockWallet {
+  constructor() {
+    this.keypair = null;
+    this.seed = null;
+  }
+
+  // One stable identity per install, so reconnecting shows the same address
+  async loadKeypair() {
+    if (this.keypair) return this.keypair;
+
+    const path = `${FileSystem.documentDirectory}${KEY_FILE}`;
+    const info = await FileSystem.getInfoAsync(path);
+    if (info.exists) {
+      this.seed = base64ToBytes(JSON.parse(await FileSystem.readAsStringAsync(path)).seed);
+    } else {
+      this.seed = getRandomBytes(32);
+      await FileSystem.writeAsStringAsync(path, JSON.stringify({ seed: bytesToBase64(this.seed) }));
+    }
+
+    this.keypair = Keypair.fromSeed(this.seed);
+    return this.keypair;
+  }
+
+  account() {
+    return {
+      address: bytesToBase64(this.keypair.publicKey.toBytes()),
+      label: 'Mock Wallet'
+    };
+  }
+
+  // The wallet API handed to a `transact` callback; like a real wallet, signing is only
+  // allowed after the session has been authorized
+  createSession() {
+    let authorized = false;
+    const requireAuthorization = () => {
+      if (!authorized) throw authorizationError();
+    };
+
+    return {
+      authorize: async ({ chain, auth_token: authToken }) => {
+        await this.loadKeypair();
+        // Tokens survive app restarts, as a real wallet's would, but only ones we issued
+        if (authToken && !authToken.startsWith(AUTH_TOKEN_PREFIX)) throw authorizationError();
+        authorized = true;
+        return {
+          accounts: [this.account()],
+          auth_token: authToken || `${AUTH_TOKEN_PREFIX}${Date.now()}`,
+          wallet_uri_base: null,
+          chain
+        };
+      },
+
+      deauthorize: async () => {
+        authorized = false;
+      },
+
+      signMessages: async ({ payloads }) => {
+        requireAuthorization();
+        return {
+          signed_payloads: payloads.map(payload => {
+            const message = base64ToBytes(payload);
+            const signature = ed25519.sign(message, this.seed);
+            // MWA returns the message with its signature appended
+            const signed = new Uint8Array(message.length + signature.length);
+            signed.set(message, 0);
+            signed.set(signature, message.length);
+            return bytesToBase64(signed);
+          })
+        };
+      },
+
+      signTransactions: async ({ payloads }) => {
+        requireAuthorization();
+        return {
+          signed_payloads: payloads.map(payload => {
+            const transaction = VersionedTransaction.deserialize(base64ToBytes(payload));
+            transaction.sign([this.keypair]);
+            return bytesToBase64(transaction.serialize());
+          })
+        };
+      }
+    };
+  }
+
+  // Drop-in for the protocol's transact(callback)
+  async transact(callback) {
+    return callback(this.createSession());
+  }
+}
+
+export default new MockWallet();
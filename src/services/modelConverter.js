@@ -0,0 +1,129 @@
+// src/services/modelConverter.js
+import { File } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import settings from './settings';
+import { ERROR_TYPES } from './errors';
+import { getFileName, getMimeType } from '../utils/media';
+import { detectSplatFormat, filterSplats, parseSplatFile, transformSplats, writeSplatFile } from '../utils/splatFormats';
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Converts downloaded splat models on the phone: light previews for viewing and
+// compact copies for sharing, written beside the source model
+class ModelConverterService {
+  // models/gaussian_splatting.ply + '.preview' + 'splat' -> models/gaussian_splatting.preview.splat
+  getOutputUri(uri, format, suffix = '') {
+    const path = uri.split('?')[0];
+    const dot = path.lastIndexOf('.');
+    const base = dot > path.lastIndexOf('/') ? path.slice(0, dot) : path;
+    return `${base}${suffix}.${format}`;
+  }
+
+  async readBytes(uri, headers) {
+    // Remote models (e.g. on the web build, which has no local files) are fetched
+    if (/^(https?|blob):/.test(uri)) {
+      const response = await fetch(uri, { headers });
+      if (!response.ok) {
+        throw new Error(`Model download failed with HTTP ${response.status}`);
+      }
+      return new Uint8Array(await response.arrayBuffer());
+    }
+
+    const source = new File(uri);
+    if (!source.exists) {
+      throw new Error(`Model not found: ${getFileName(uri)}`);
+    }
+    if (source.size > settings.get('MODELS.MAX_CONVERT_SIZE')) {
+      throw new Error('Model is too large to open on this device');
+    }
+    return source.bytes();
+  }
+
+  // Read a model into memory; filters as for convertModel
+  async loadModel(uri, filters = {}, { headers = {} } = {}) {
+    try {
+      const bytes = await this.readBytes(uri, headers);
+      await yieldToUI();
+      const format = detectSplatFormat(bytes, getFileName(uri));
+      const cloud = filterSplats(parseSplatFile(bytes, format), filters);
+      if (cloud.count === 0) {
+        return { success: false, error: 'No splats left after filtering', errorType: ERROR_TYPES.VALIDATION };
+      }
+
+      return { success: true, cloud, format, size: bytes.length };
+    } catch (error) {
+      console.error('Model load failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.UNKNOWN };
+    }
+  }
+
+  // Options: to (format), suffix, bounds { min, max }, minOpacity (0-1), shDegree (0-3),
+  // transform { scale, rotation, translation } applied after filtering
+  async convertModel(uri, { to, suffix = '', transform = null, ...filters }) {
+    const loaded = await this.loadModel(uri, filters);
+    if (!loaded.success) return loaded;
+
+    try {
+      const cloud = transform ? transformSplats(loaded.cloud, transform) : loaded.cloud;
+      const bytes = writeSplatFile(cloud, to);
+      const outputUri = this.getOutputUri(uri, to, suffix);
+      const output = new File(outputUri);
+      if (output.exists) {
+        output.delete();
+      }
+      output.write(bytes);
+
+      return {
+        success: true,
+        uri: outputUri,
+        format: to,
+        count: cloud.count,
+        shDegree: cloud.shDegree,
+        size: bytes.length
+      };
+    } catch (error) {
+      console.error('Model conversion failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.UNKNOWN };
+    }
+  }
+
+  // Faint splats and view-dependent colour dropped so phones render it quickly
+  async createPreview(uri, filters = {}) {
+    return this.convertModel(uri, {
+      to: settings.get('MODELS.PREVIEW_FORMAT'),
+      suffix: '.preview',
+      minOpacity: settings.get('MODELS.PREVIEW_MIN_OPACITY'),
+      shDegree: 0,
+      ...filters
+    });
+  }
+
+  async createSharingCopy(uri, filters = {}) {
+    return this.convertModel(uri, {
+      to: settings.get('MODELS.SHARE_FORMAT'),
+      suffix: '.share',
+      shDegree: settings.get('MODELS.SHARE_SH_DEGREE'),
+      ...filters
+    });
+  }
+
+  // Hand a model file to the OS share sheet
+  async shareModel(uri) {
+    try {
+      if (!(await Sharing.isAvailableAsync())) {
+        return { success: false, error: 'Sharing is not available on this device' };
+      }
+
+      await Sharing.shareAsync(uri, {
+        mimeType: getMimeType(uri),
+        dialogTitle: `Share ${getFileName(uri)}`
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Model share failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new ModelConverterService();
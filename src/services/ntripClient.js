@@ -0,0 +1,285 @@
+// src/services/ntripClient.js
+import TcpSocket from 'react-native-tcp-socket';
+import gnssReceiver from './gnssReceiver';
+import settings from './settings';
+import { buildGgaSentence } from '../utils/nmea';
+import {
+  buildNtripRequest,
+  parseNtripResponse,
+  ChunkedDecoder,
+  Rtcm3FrameScanner,
+  NTRIP_VERSIONS
+} from '../utils/ntrip';
+
+export const NTRIP_STATUS = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  STREAMING: 'streaming',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed'
+};
+
+const STATS_INTERVAL = 1000;
+
+const createInitialState = () => ({
+  status: NTRIP_STATUS.DISCONNECTED,
+  mountpoint: null,
+  bytesReceived: 0,
+  dataRate: 0, // bytes per second
+  frames: 0,
+  crcErrors: 0,
+  lastDataAt: null,
+  correctionAge: null, // seconds since the last RTCM frame
+  forwarding: false,
+  error: null
+});
+
+const concatBytes = (a, b) => {
+  const output = new Uint8Array(a.length + b.length);
+  output.set(a, 0);
+  output.set(b, a.length);
+  return output;
+};
+
+// Streams RTCM3 corrections from an NTRIP caster into the attached GNSS receiver
+class NtripClientService {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.socket = null;
+    this.options = null;
+    this.connectionId = 0;
+    this.statsTimer = null;
+    this.reconnectTimer = null;
+    this.position = null;
+    this.samples = [];
+    this.lastGgaAt = 0;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Latest rover position, reported to the caster as GGA
+  setPosition(location) {
+    this.position = location;
+  }
+
+  isRunning() {
+    return this.options !== null;
+  }
+
+  // Connect to `host:port/mountpoint`; resolves once the caster accepts or refuses, or
+  // after CONNECT_TIMEOUT, when the attempt is dropped and retried in the background
+  connect(options = {}) {
+    const config = settings.get('NTRIP');
+    const resolved = {
+      host: options.host || config.HOST,
+      port: options.port || config.PORT,
+      mountpoint: options.mountpoint || config.MOUNTPOINT,
+      username: options.username ?? config.USERNAME,
+      password: options.password ?? config.PASSWORD,
+      version: options.version || config.VERSION,
+      useTls: options.useTls ?? config.USE_TLS
+    };
+
+    if (!resolved.host || !resolved.mountpoint) {
+      return Promise.resolve({ success: false, error: 'NTRIP caster host and mountpoint are required' });
+    }
+
+    this.disconnect();
+    this.options = resolved;
+    this.state = { ...createInitialState(), mountpoint: resolved.mountpoint };
+    this.startStatsTimer();
+    return this.open();
+  }
+
+  open() {
+    const connectionId = ++this.connectionId;
+    const options = this.options;
+    this.setState({ status: NTRIP_STATUS.CONNECTING, error: null });
+
+    return new Promise(resolve => {
+      let head = new Uint8Array(0);
+      let response = null;
+      let decoder = null;
+      const scanner = new Rtcm3FrameScanner();
+      let settled = false;
+      const settle = (result) => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          resolve(result);
+        }
+      };
+      const timer = setTimeout(() => {
+        settle({ success: false, error: 'Caster did not respond in time' });
+        if (connectionId !== this.connectionId) return;
+        // Closing the socket schedules the next attempt
+        this.setState({ error: 'Caster did not respond in time' });
+        if (this.socket) this.socket.destroy();
+      }, settings.get('NTRIP.CONNECT_TIMEOUT'));
+
+      const onConnect = () => {
+        const gga = this.position ? buildGgaSentence(this.position) : null;
+        socket.write(buildNtripRequest({ ...options, gga }));
+        if (gga && options.version === NTRIP_VERSIONS.V1) {
+          socket.write(`${gga}\r\n`);
+        }
+        this.lastGgaAt = gga ? Date.now() : 0;
+      };
+
+      const connectOptions = { host: options.host, port: options.port };
+      const socket = options.useTls
+        ? TcpSocket.connectTLS(connectOptions, onConnect)
+        : TcpSocket.createConnection(connectOptions, onConnect);
+      this.socket = socket;
+
+      socket.on('data', (data) => {
+        if (connectionId !== this.connectionId) return;
+        let bytes = data instanceof Uint8Array ? data : Uint8Array.from(data);
+
+        if (!response) {
+          head = concatBytes(head, bytes);
+          response = parseNtripResponse(head);
+          if (!response) return;
+
+          if (!response.ok) {
+            // Bad credentials or mountpoint will not fix themselves; stop retrying
+            this.options = null;
+            this.teardown();
+            this.stopStatsTimer();
+            this.setState({ status: NTRIP_STATUS.FAILED, error: response.error });
+            settle({ success: false, error: response.error });
+            return;
+          }
+
+          decoder = response.chunked ? new ChunkedDecoder() : null;
+          this.setState({ status: NTRIP_STATUS.STREAMING });
+          settle({ success: true });
+          bytes = head.subarray(response.bodyStart);
+        }
+
+        const payload = decoder ? decoder.push(bytes) : bytes;
+        if (payload.length > 0) {
+          this.handleCorrections(payload, scanner);
+        }
+      });
+
+      socket.on('error', (error) => {
+        if (connectionId !== this.connectionId) return;
+        console.error('NTRIP connection error:', error);
+        this.setState({ error: error.message || 'NTRIP connection error' });
+        settle({ success: false, error: error.message || 'NTRIP connection error' });
+      });
+
+      socket.on('close', () => {
+        if (connectionId !== this.connectionId) return;
+        this.socket = null;
+        settle({ success: false, error: this.state.error || 'Caster closed the connection' });
+        this.scheduleReconnect();
+      });
+    });
+  }
+
+  handleCorrections(payload, scanner) {
+    const frames = scanner.push(payload);
+    const forwarding = gnssReceiver.sendCorrections(payload);
+    const now = Date.now();
+
+    this.samples.push({ time: now, bytes: payload.length });
+    this.state = {
+      ...this.state,
+      bytesReceived: this.state.bytesReceived + payload.length,
+      frames: scanner.stats.frames,
+      crcErrors: scanner.stats.crcErrors,
+      lastDataAt: frames.length > 0 ? now : this.state.lastDataAt,
+      forwarding
+    };
+  }
+
+  // Throttled stats publishing and periodic GGA uplink
+  startStatsTimer() {
+    this.stopStatsTimer();
+    this.statsTimer = setInterval(() => {
+      const now = Date.now();
+      const windowStart = now - settings.get('NTRIP.RATE_WINDOW');
+      this.samples = this.samples.filter(sample => sample.time >= windowStart);
+      const windowBytes = this.samples.reduce((sum, sample) => sum + sample.bytes, 0);
+
+      this.setState({
+        dataRate: windowBytes / (settings.get('NTRIP.RATE_WINDOW') / 1000),
+        correctionAge: this.state.lastDataAt ? (now - this.state.lastDataAt) / 1000 : null
+      });
+
+      this.sendGga(now);
+    }, STATS_INTERVAL);
+  }
+
+  stopStatsTimer() {
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
+    }
+  }
+
+  sendGga(now) {
+    if (!this.socket || this.state.status !== NTRIP_STATUS.STREAMING || !this.position) return;
+    if (now - this.lastGgaAt < settings.get('NTRIP.GGA_INTERVAL')) return;
+
+    this.socket.write(`${buildGgaSentence(this.position)}\r\n`);
+    this.lastGgaAt = now;
+  }
+
+  scheduleReconnect() {
+    if (!this.options) {
+      this.setState({ status: NTRIP_STATUS.DISCONNECTED });
+      return;
+    }
+
+    this.setState({ status: NTRIP_STATUS.RECONNECTING });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.options) this.open();
+    }, settings.get('NTRIP.RECONNECT_DELAY'));
+  }
+
+  teardown() {
+    this.connectionId += 1;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.samples = [];
+  }
+
+  disconnect() {
+    this.options = null;
+    this.teardown();
+    this.stopStatsTimer();
+    this.setState({
+      status: NTRIP_STATUS.DISCONNECTED,
+      dataRate: 0,
+      correctionAge: null,
+      forwarding: false
+    });
+  }
+}
+
+export default new NtripClientService();
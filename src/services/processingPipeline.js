@@ -0,0 +1,519 @@
+// src/services/processingPipeline.js
+import * as FileSystem from 'expo-file-system/legacy';
+import sessionStore from './sessionStore';
+import georegistration from './georegistration';
+import { getBackend, JOB_STATUS } from './backends';
+import { ERROR_TYPES } from './errors';
+import settings from './settings';
+import { describeSessionCoordinateSystems } from '../utils/surveyMetadata';
+import { hashFile } from '../utils/hashing';
+import { OUTPUT_STATUS } from '../utils/jobOutputs';
+
+export const PROCESSING_STAGES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  UPLOADING: 'uploading',
+  SUBMITTING: 'submitting',
+  PROCESSING: 'processing',
+  RETRIEVING: 'retrieving',
+  DOWNLOADING: 'downloading',
+  GEOREGISTERING: 'georegistering',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STAGES = [
+  PROCESSING_STAGES.CONNECTING,
+  PROCESSING_STAGES.UPLOADING,
+  PROCESSING_STAGES.SUBMITTING,
+  PROCESSING_STAGES.PROCESSING,
+  PROCESSING_STAGES.RETRIEVING,
+  PROCESSING_STAGES.DOWNLOADING,
+  PROCESSING_STAGES.GEOREGISTERING
+];
+
+const createInitialState = () => ({
+  stage: PROCESSING_STAGES.IDLE,
+  sessionId: null,
+  backend: null,
+  backendName: null,
+  uploads: [],
+  resumableUploads: {},
+  uploadedFiles: 0,
+  totalFiles: 0,
+  jobId: null,
+  submitAttempt: 0,
+  resubmit: false,
+  progress: 0,
+  currentStage: null,
+  estimatedTime: null,
+  estimatedTimeRemaining: null,
+  cost: null,
+  results: null,
+  downloadErrors: 0,
+  error: null,
+  errorType: null,
+  failedStage: null
+});
+
+// Drives a capture session through upload -> submit -> poll -> results -> download
+// -> georegistration on whichever reconstruction backend the session chose
+class ProcessingPipeline {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.record = null;
+    this.backend = null;
+    this.pollTimer = null;
+    this.runId = 0;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  isActive() {
+    return ACTIVE_STAGES.includes(this.state.stage);
+  }
+
+  // Start processing a session record ({ session, photos, videos })
+  async start(record, backendType = record.session.backend) {
+    if (this.isActive()) {
+      return { success: false, error: 'A processing job is already running' };
+    }
+
+    // Pick up a job or chunked uploads still running when the app last closed,
+    // but only on the backend that owns them
+    const previous = record.session.processing || {};
+    const type = backendType || previous.backend || settings.get('PROCESSING.DEFAULT_BACKEND');
+    const sameBackend = !previous.backend || previous.backend === type;
+
+    try {
+      this.backend = getBackend(type);
+    } catch (error) {
+      return { success: false, error: error.message, errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    // A job the backend no longer knows about is submitted again
+    const pendingJobId = sameBackend && previous.status === 'submitted' && this.backend.canResumeJob(previous.jobId)
+      ? previous.jobId
+      : null;
+
+    this.record = record;
+    this.setState({
+      ...createInitialState(),
+      sessionId: record.session.id,
+      backend: this.backend.type,
+      backendName: this.backend.name,
+      jobId: pendingJobId,
+      submitAttempt: previous.submitAttempt || 0,
+      resubmit: sameBackend && Boolean(previous.resubmit),
+      resumableUploads: sameBackend ? previous.resumableUploads || {} : {}
+    });
+
+    return this.run();
+  }
+
+  // Re-run a failed or cancelled job, or a finished one whose downloads failed,
+  // skipping stages that already succeeded
+  async retry() {
+    if (!this.record) {
+      return { success: false, error: 'Nothing to retry' };
+    }
+    if (this.isActive()) {
+      return { success: false, error: 'A processing job is already running' };
+    }
+
+    if (this.state.stage === PROCESSING_STAGES.CANCELLED) {
+      this.setState({ jobId: null });
+    }
+
+    this.setState({ error: null, errorType: null, failedStage: null, progress: 0 });
+    return this.run();
+  }
+
+  // Stop polling and cancel the remote job if one was submitted
+  async cancel() {
+    if (!this.isActive()) {
+      return { success: false, error: 'No processing job is running' };
+    }
+
+    this.runId += 1;
+    this.clearPollTimer();
+
+    const { jobId, sessionId } = this.state;
+    this.setState({ stage: PROCESSING_STAGES.CANCELLED });
+
+    if (jobId) {
+      const result = await this.backend.cancelJob(jobId);
+      if (!result.success) {
+        console.warn('Remote job may still be running:', result.error);
+      }
+      await this.persist(sessionId, { jobId, status: 'cancelled' });
+    }
+
+    return { success: true };
+  }
+
+  // Return to idle, e.g. when a different session becomes active
+  reset() {
+    this.runId += 1;
+    this.clearPollTimer();
+    this.record = null;
+    this.backend = null;
+    this.setState(createInitialState());
+  }
+
+  async run() {
+    const runId = ++this.runId;
+
+    this.setState({ stage: PROCESSING_STAGES.CONNECTING });
+    const connected = await this.connect();
+    if (runId !== this.runId) return { success: false, error: 'Processing cancelled' };
+    if (!connected.success) return this.fail(connected.error, connected.errorType);
+
+    if (!this.state.jobId && this.getPendingAssets().length > 0) {
+      this.setState({ stage: PROCESSING_STAGES.UPLOADING });
+      const uploaded = await this.upload(runId);
+      if (runId !== this.runId) return { success: false, error: 'Processing cancelled' };
+      if (!uploaded.success) return this.fail(uploaded.error, uploaded.errorType);
+    }
+
+    if (!this.state.jobId) {
+      this.setState({ stage: PROCESSING_STAGES.SUBMITTING });
+      const submitted = await this.submit();
+      if (runId !== this.runId) return { success: false, error: 'Processing cancelled' };
+      if (!submitted.success) return this.fail(submitted.error, submitted.errorType);
+    }
+
+    this.setState({ stage: PROCESSING_STAGES.PROCESSING, progress: 0 });
+    this.schedulePoll(runId, 0);
+    return { success: true, jobId: this.state.jobId };
+  }
+
+  async connect() {
+    if (this.backend.isInitialized()) {
+      return { success: true };
+    }
+    return this.backend.initialize();
+  }
+
+  // Assets not yet uploaded, so a retry only resends what failed
+  getPendingAssets() {
+    const uploaded = new Set(this.state.uploads.map(upload => upload.originalUri));
+    const { photos, videos } = this.record;
+    return [...photos, ...videos].filter(asset => !uploaded.has(asset.uri));
+  }
+
+  async upload(runId) {
+    const pending = this.getPendingAssets();
+    const alreadyUploaded = this.state.uploads;
+    const totalFiles = alreadyUploaded.length + pending.length;
+
+    const result = await this.backend.uploadAssets(pending, {
+      resumableUploads: this.state.resumableUploads,
+      onProgress: ({ loadedBytes, totalBytes, completedFiles }) => {
+        if (runId !== this.runId) return;
+        this.setState({
+          progress: totalBytes > 0 ? (loadedBytes / totalBytes) * 100 : 0,
+          uploadedFiles: alreadyUploaded.length + completedFiles,
+          totalFiles
+        });
+      },
+      onResumableUpdate: (uri, entry) => {
+        const resumableUploads = { ...this.state.resumableUploads };
+        if (entry) {
+          resumableUploads[uri] = entry;
+        } else {
+          delete resumableUploads[uri];
+        }
+        this.setState({ resumableUploads });
+        this.persist(this.state.sessionId, { status: 'uploading', resumableUploads });
+      }
+    });
+
+    const uploads = [...alreadyUploaded, ...result.uploads];
+    this.setState({ uploads, uploadedFiles: uploads.length, totalFiles });
+    return result;
+  }
+
+  // Each submit is a new attempt with its own idempotency key, so a job that failed or
+  // was cancelled is never handed back. Only a resend after a network error, which the
+  // server may have received, reuses the key.
+  async submit() {
+    const { session, photos, videos } = this.record;
+    const submitAttempt = this.state.resubmit ? this.state.submitAttempt : this.state.submitAttempt + 1;
+    this.setState({ submitAttempt, resubmit: false });
+
+    const remoteUris = new Map(
+      this.state.uploads.map(upload => [upload.originalUri, upload.remoteUri])
+    );
+    const withRemoteUri = asset => ({ ...asset, uri: remoteUris.get(asset.uri) || asset.uri });
+
+    const result = await this.backend.submitReconstructionJob(
+      photos.map(withRemoteUri),
+      videos.map(withRemoteUri),
+      {
+        sessionId: session.id,
+        idempotencyKey: `${session.id}:${submitAttempt}`,
+        baseLocation: session.baseLocation,
+        totalAssets: photos.length + videos.length,
+        isRTKSurvey: Boolean(session.baseLocation && session.baseLocation.isRTK),
+        coordinateSystem: describeSessionCoordinateSystems(session.baseLocation)
+      }
+    );
+
+    if (!result.success) {
+      this.setState({ resubmit: result.errorType === ERROR_TYPES.NETWORK });
+    } else {
+      this.setState({
+        jobId: result.jobId,
+        estimatedTime: result.estimatedTime,
+        cost: result.cost
+      });
+      await this.persist(session.id, {
+        jobId: result.jobId,
+        status: 'submitted',
+        submittedAt: Date.now(),
+        estimatedTime: result.estimatedTime,
+        cost: result.cost
+      });
+    }
+    return result;
+  }
+
+  schedulePoll(runId, delay) {
+    this.clearPollTimer();
+    this.pollTimer = setTimeout(() => this.poll(runId), delay);
+  }
+
+  clearPollTimer() {
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  async poll(runId) {
+    const status = await this.backend.checkJobStatus(this.state.jobId);
+    if (runId !== this.runId) return;
+
+    if (!status.success) {
+      this.fail(status.error, status.errorType);
+      return;
+    }
+
+    this.setState({
+      progress: status.progress || 0,
+      currentStage: status.currentStage || null,
+      estimatedTimeRemaining: status.estimatedTimeRemaining
+    });
+
+    switch (status.status) {
+      case JOB_STATUS.COMPLETED:
+        await this.retrieve(runId);
+        break;
+      case JOB_STATUS.FAILED:
+        this.setState({ jobId: null });
+        this.fail(
+          status.currentStage ? `Job failed during ${status.currentStage}` : `Job failed on ${this.state.backendName}`,
+          ERROR_TYPES.SERVER
+        );
+        break;
+      case JOB_STATUS.CANCELLED:
+        this.setState({ stage: PROCESSING_STAGES.CANCELLED });
+        break;
+      default:
+        this.schedulePoll(runId, settings.get('RENDER_NETWORK.POLL_INTERVAL'));
+    }
+  }
+
+  async retrieve(runId) {
+    this.setState({ stage: PROCESSING_STAGES.RETRIEVING });
+
+    const result = await this.backend.getJobResults(this.state.jobId);
+    if (runId !== this.runId) return;
+
+    if (!result.success) {
+      this.fail(result.error, result.errorType);
+      return;
+    }
+
+    this.setState({ stage: PROCESSING_STAGES.DOWNLOADING, progress: 0 });
+    const outputs = await this.download(runId, result.results.outputs);
+    if (runId !== this.runId) return;
+
+    // Files sent without a checksum are kept, but listed so they are never taken as verified
+    const unverified = outputs
+      .filter(output => output.status === OUTPUT_STATUS.DOWNLOADED && !output.verified)
+      .map(({ method, label, format }) => ({
+        method,
+        label,
+        format,
+        reason: `No checksum from ${this.state.backendName}; not verified`
+      }));
+    let results = { ...result.results, outputs, missing: [...(result.results.missing || []), ...unverified] };
+    const downloadErrors = outputs.filter(output => output.status === OUTPUT_STATUS.FAILED).length;
+    this.setState({ results });
+
+    if (outputs.length > 0 && downloadErrors === outputs.length) {
+      this.fail(`No outputs could be downloaded: ${outputs[0].error}`, outputs[0].errorType);
+      return;
+    }
+    if (outputs.length === 0) {
+      this.fail(`${this.state.backendName} returned no outputs`, ERROR_TYPES.SERVER);
+      return;
+    }
+
+    results = await this.georegister(results);
+    if (runId !== this.runId) return;
+    this.setState({ results });
+
+    await this.persist(this.state.sessionId, {
+      jobId: this.state.jobId,
+      status: 'completed',
+      completedAt: Date.now(),
+      results,
+      downloadErrors
+    });
+
+    this.setState({
+      stage: PROCESSING_STAGES.COMPLETED,
+      progress: 100,
+      downloadErrors
+    });
+  }
+
+  // Move the models into the session's ENU frame using the returned camera centres.
+  // Without it the models are still usable, so a failed fit is reported on the
+  // results rather than failing the job.
+  async georegister(results) {
+    if (!results.cameras || results.cameras.length === 0) {
+      return { ...results, georegistration: { error: `${this.state.backendName} returned no camera positions` } };
+    }
+
+    this.setState({ stage: PROCESSING_STAGES.GEOREGISTERING, progress: 0 });
+    const registered = await georegistration.registerOutputs(this.record, results);
+    if (!registered.success) {
+      return {
+        ...results,
+        outputs: registered.outputs || results.outputs,
+        georegistration: { error: registered.error }
+      };
+    }
+
+    const { coordinateSystem, rmsError, cameraCount, inlierCount, transform } = registered.georegistration;
+    return {
+      ...results,
+      outputs: registered.outputs,
+      georegistration: { origin: coordinateSystem.origin, scale: transform.scale, rmsError, cameraCount, inlierCount }
+    };
+  }
+
+  // Fetch every output into the session's models/ folder; a failed file is reported
+  // on its entry and never stops the others
+  async download(runId, outputs) {
+    const directory = `${sessionStore.getSessionDirectory(this.state.sessionId)}models/`;
+    await sessionStore.ensureDirectory(directory);
+
+    const totalBytes = outputs.reduce((sum, output) => sum + (output.size || 0), 0);
+    let doneBytes = 0;
+    const downloaded = [];
+
+    for (const output of outputs) {
+      if (runId !== this.runId) break;
+      const localUri = `${directory}${output.method}.${output.format}`;
+      const entry = await this.downloadOutput(output, localUri, (written) => {
+        if (runId !== this.runId || totalBytes === 0) return;
+        this.setState({ progress: Math.min(((doneBytes + written) / totalBytes) * 100, 100) });
+      });
+      doneBytes += output.size || 0;
+      downloaded.push(entry);
+    }
+
+    return downloaded;
+  }
+
+  // Download one output and check it against the hash the backend reported
+  async downloadOutput(output, localUri, onProgress) {
+    const failed = (error, errorType = ERROR_TYPES.UNKNOWN) => ({
+      ...output, localUri: null, status: OUTPUT_STATUS.FAILED, error, errorType
+    });
+
+    try {
+      // A verified copy from an earlier attempt is kept rather than fetched again
+      const existing = await FileSystem.getInfoAsync(localUri);
+      if (existing.exists && output.hash && (await hashFile(localUri)).sha256 === output.hash) {
+        return { ...output, localUri, status: OUTPUT_STATUS.DOWNLOADED, verified: true, error: null };
+      }
+
+      const result = await this.backend.downloadOutput(output, localUri, onProgress);
+      if (!result.success) return failed(result.error, result.errorType);
+
+      const { sha256, size } = await hashFile(localUri);
+      if (output.hash && sha256 !== output.hash) {
+        await FileSystem.deleteAsync(localUri, { idempotent: true });
+        return failed(`Checksum mismatch (expected ${output.hash.slice(0, 12)}…, got ${sha256.slice(0, 12)}…)`, ERROR_TYPES.SERVER);
+      }
+
+      return {
+        ...output,
+        localUri,
+        size,
+        sha256,
+        status: OUTPUT_STATUS.DOWNLOADED,
+        verified: Boolean(output.hash),
+        error: null
+      };
+    } catch (error) {
+      console.error('Output download failed:', error);
+      return failed(error.message);
+    }
+  }
+
+  fail(error, errorType = ERROR_TYPES.UNKNOWN) {
+    const failedStage = this.state.stage;
+    this.clearPollTimer();
+
+    // A rejected key must be re-validated before the next attempt
+    if (errorType === ERROR_TYPES.AUTH && this.backend) {
+      this.backend.disconnect();
+    }
+
+    this.setState({ stage: PROCESSING_STAGES.FAILED, failedStage, error, errorType });
+
+    this.persist(this.state.sessionId, {
+      jobId: this.state.jobId,
+      status: this.state.jobId ? 'submitted' : 'failed',
+      resumableUploads: this.state.resumableUploads,
+      error,
+      errorType
+    });
+
+    return { success: false, error, errorType };
+  }
+
+  // Store job state with the session so results survive restarts
+  async persist(sessionId, processing) {
+    if (!sessionId) return;
+    const { backend, submitAttempt, resubmit } = this.state;
+    await sessionStore.updateSession(sessionId, {
+      processing: { ...processing, backend, submitAttempt, resubmit, updatedAt: Date.now() }
+    });
+  }
+}
+
+export default new ProcessingPipeline();
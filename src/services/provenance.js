@@ -0,0 +1,128 @@
+// src/services/provenance.js
+import * as FileSystem from 'expo-file-system/legacy';
+import sessionStore from './sessionStore';
+import { hashFile } from '../utils/hashing';
+import { getFileName } from '../utils/media';
+import { buildProvenanceManifest, compareWithManifest, PROVENANCE_FILE } from '../utils/provenance';
+
+// Folders inside a session directory that hold captured files
+const ASSET_FOLDERS = ['photos', 'videos'];
+
+// Hashes captures, writes the session's provenance manifest and checks files against it
+class ProvenanceService {
+  getManifestUri(sessionId) {
+    return `${sessionStore.getSessionDirectory(sessionId)}${PROVENANCE_FILE}`;
+  }
+
+  // SHA-256 of a captured file, taken as soon as it is final
+  async hashAsset(uri) {
+    try {
+      const { sha256, size } = await hashFile(uri);
+      return { success: true, sha256, size };
+    } catch (error) {
+      console.error('Asset hashing failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Hash anything captured before hashing existed or whose capture-time hash failed
+  async fillMissingHashes(record) {
+    const withHash = async (asset) => {
+      if (asset.sha256 || !asset.uri) return asset;
+      const { sha256, size } = await hashFile(asset.uri);
+      return { ...asset, sha256, size };
+    };
+
+    const photos = [];
+    for (const photo of record.photos) photos.push(await withHash(photo));
+
+    const videos = [];
+    for (const video of record.videos) {
+      let hashed = await withHash(video);
+      if (hashed.trackUri && !hashed.trackSha256) {
+        const track = await hashFile(hashed.trackUri);
+        hashed = { ...hashed, trackSha256: track.sha256, trackSize: track.size };
+      }
+      videos.push(hashed);
+    }
+
+    return { ...record, photos, videos };
+  }
+
+  // Build the manifest for a session record and store it beside the captures
+  async buildManifest(record) {
+    try {
+      const manifest = buildProvenanceManifest(await this.fillMissingHashes(record));
+      const uri = this.getManifestUri(record.session.id);
+      await FileSystem.writeAsStringAsync(uri, JSON.stringify(manifest, null, 2));
+
+      await sessionStore.updateSession(record.session.id, {
+        provenance: {
+          merkleRoot: manifest.merkleRoot,
+          assetCount: manifest.assets.length,
+          createdAt: manifest.createdAt
+        }
+      });
+
+      return { success: true, manifest, uri };
+    } catch (error) {
+      console.error('Manifest creation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async loadManifest(sessionId) {
+    try {
+      const contents = await FileSystem.readAsStringAsync(this.getManifestUri(sessionId));
+      return { success: true, manifest: JSON.parse(contents) };
+    } catch (error) {
+      console.error('Manifest load failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Hash `files` ([{ uri, name? }], name defaults to the file name) and report which
+  // manifest assets were modified, missing or added
+  async verifyFiles(manifest, files, { onProgress = () => {} } = {}) {
+    try {
+      const fileHashes = new Map();
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        fileHashes.set(file.name || getFileName(file.uri), (await hashFile(file.uri)).sha256);
+        onProgress({ verified: i + 1, total: files.length });
+      }
+
+      return { success: true, ...compareWithManifest(manifest, fileHashes) };
+    } catch (error) {
+      console.error('Manifest verification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check everything currently in a session's asset folders against its stored manifest
+  async verifySession(sessionId, options = {}) {
+    const loaded = await this.loadManifest(sessionId);
+    if (!loaded.success) {
+      return loaded;
+    }
+
+    try {
+      const files = [];
+      for (const folder of ASSET_FOLDERS) {
+        const directory = `${sessionStore.getSessionDirectory(sessionId)}${folder}/`;
+        const info = await FileSystem.getInfoAsync(directory);
+        if (!info.exists) continue;
+
+        const names = await FileSystem.readDirectoryAsync(directory);
+        names.forEach(name => files.push({ name, uri: `${directory}${name}` }));
+      }
+
+      return this.verifyFiles(loaded.manifest, files, options);
+    } catch (error) {
+      console.error('Session verification failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new ProvenanceService();
@@ -1,11 +1,18 @@
 // src/services/renderNetwork.js
-import axios from 'axios';
+import * as FileSystem from 'expo-file-system/legacy';
+import settings from './settings';
+import { HttpClient } from './httpClient';
+import { ERROR_TYPES, toErrorResult } from './errors';
+import { getFileName, getMimeType } from '../utils/media';
+import { listJobOutputs, listJobCameras } from '../utils/jobOutputs';
+import ReconstructionBackend, { BACKEND_TYPES } from './backends/reconstructionBackend';
 
 // Render Network configuration
 const RENDER_CONFIG = {
-  API_BASE_URL: 'https://api.rendernetwork.com/v1',
-  SUPPORTED_FORMATS: ['jpg', 'png', 'mp4'],
-  MAX_BATCH_SIZE: 50,
+  DEFAULT_API_BASE_URL: 'https://api.rendernetwork.com/v1',
+  CHUNKED_UPLOAD_THRESHOLD: 20 * 1024 * 1024, // bytes
+  CHUNK_SIZE: 8 * 1024 * 1024, // bytes
+  OUTPUT_FORMATS: ['ply', 'splat', 'obj', 'gltf'],
   PROCESSING_TYPES: {
     GAUSSIAN_SPLATTING: 'gaussian_splatting',
     CONVEX_SPLATTING: 'convex_splatting',
@@ -13,31 +20,51 @@ const RENDER_CONFIG = {
   }
 };
 
-class RenderNetworkService {
+const getApiBaseUrl = () => settings.get('RENDER_NETWORK.API_BASE_URL') || RENDER_CONFIG.DEFAULT_API_BASE_URL;
+
+class RenderNetworkService extends ReconstructionBackend {
   constructor( ) {
+    super({ type: BACKEND_TYPES.RENDER_NETWORK, name: 'Render Network' });
     this.apiKey = null;
     this.nodeId = null;
     this.jobQueue = [];
+    this.client = new HttpClient({
+      baseUrl: getApiBaseUrl(),
+      serviceName: 'Render Network',
+      timeout: settings.get('RENDER_NETWORK.TIMEOUT'),
+      retryAttempts: settings.get('RENDER_NETWORK.RETRY_ATTEMPTS'),
+      getHeaders: () => ({
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      })
+    });
   }
 
-  // Initialize connection to Render Network
-  async initialize(apiKey) {
+  // Initialize connection to Render Network (baseUrl may point at a local mock)
+  async initialize(apiKey = settings.get('RENDER_NETWORK.API_KEY'), baseUrl = getApiBaseUrl()) {
+    if (!apiKey) {
+      return {
+        success: false,
+        error: 'Render Network API key is not configured',
+        errorType: ERROR_TYPES.AUTH
+      };
+    }
+
     try {
       this.apiKey = apiKey;
+      this.client.baseUrl = baseUrl;
       
       // Test connection to Render Network
-      const response = await axios.get(`${RENDER_CONFIG.API_BASE_URL}/status`, {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+      const data = await this.client.get('/status');
       
-      console.log('Render Network connected:', response.data);
-      return { success: true, data: response.data };
+      console.log('Render Network connected:', data);
+      this.initialized = true;
+      return { success: true, data };
     } catch (error) {
       console.error('Render Network connection failed:', error);
-      return { success: false, error: error.message };
+      this.apiKey = null;
+      this.initialized = false;
+      return toErrorResult(error);
     }
   }
 
@@ -71,99 +98,107 @@ class RenderNetworkService {
           sessionId: sessionMetadata.sessionId,
           baseLocation: sessionMetadata.baseLocation,
           totalAssets: sessionMetadata.totalAssets,
-          coordinateSystem: 'WGS84',
+          coordinateSystem: sessionMetadata.coordinateSystem,
           isRTKSurvey: sessionMetadata.isRTKSurvey
         },
-        outputFormats: ['ply', 'splat', 'obj', 'gltf'],
+        outputFormats: RENDER_CONFIG.OUTPUT_FORMATS,
         quality: 'high',
         priority: 'normal'
       };
 
-      // Submit to Render Network
-      const response = await axios.post(
-        `${RENDER_CONFIG.API_BASE_URL}/jobs/submit`,
-        jobPayload,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      // Submit to Render Network; the idempotency key makes retries safe
+      const data = await this.client.post('/jobs/submit', jobPayload, {
+        idempotent: true,
+        headers: { 'Idempotency-Key': sessionMetadata.idempotencyKey }
+      });
 
-      const jobId = response.data.jobId;
+      const jobId = data.jobId;
       this.jobQueue.push(jobId);
 
       return {
         success: true,
         jobId: jobId,
-        estimatedTime: response.data.estimatedTime,
-        cost: response.data.cost
+        estimatedTime: data.estimatedTime,
+        cost: data.cost
       };
 
     } catch (error) {
       console.error('Job submission failed:', error);
-      return { success: false, error: error.message };
+      return toErrorResult(error);
     }
   }
 
   // Check job status and progress
   async checkJobStatus(jobId) {
     try {
-      const response = await axios.get(
-        `${RENDER_CONFIG.API_BASE_URL}/jobs/${jobId}/status`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          }
-        }
-      );
+      const data = await this.client.get(`/jobs/${jobId}/status`);
 
       return {
         success: true,
-        status: response.data.status,
-        progress: response.data.progress,
-        estimatedTimeRemaining: response.data.estimatedTimeRemaining,
-        currentStage: response.data.currentStage
+        status: data.status,
+        progress: data.progress,
+        estimatedTimeRemaining: data.estimatedTimeRemaining,
+        currentStage: data.currentStage
       };
 
     } catch (error) {
       console.error('Status check failed:', error);
-      return { success: false, error: error.message };
+      return toErrorResult(error);
+    }
+  }
+
+  // Cancel a queued or running job
+  async cancelJob(jobId) {
+    try {
+      const data = await this.client.post(`/jobs/${jobId}/cancel`, {}, { idempotent: true });
+
+      this.jobQueue = this.jobQueue.filter(id => id !== jobId);
+
+      return {
+        success: true,
+        status: data.status
+      };
+
+    } catch (error) {
+      console.error('Job cancellation failed:', error);
+      return toErrorResult(error);
     }
   }
 
+  // Result URLs sit behind the same API key as the job endpoints
+  getDownloadHeaders() {
+    return { 'Authorization': `Bearer ${this.apiKey}` };
+  }
+
   // Get completed job results
   async getJobResults(jobId) {
     try {
-      const response = await axios.get(
-        `${RENDER_CONFIG.API_BASE_URL}/jobs/${jobId}/results`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          }
-        }
-      );
+      const data = await this.client.get(`/jobs/${jobId}/results`);
+      const { outputs, missing } = listJobOutputs(data.outputs, {
+        formats: RENDER_CONFIG.OUTPUT_FORMATS,
+        readFile: (file, entry) => ({
+          url: file.url,
+          hash: file.hash,
+          size: file.fileSize,
+          pointCount: file.pointCount || entry.pointCount
+        })
+      });
+      const cameras = listJobCameras(data.cameras, camera => ({
+        name: camera.imageName,
+        index: camera.imageIndex,
+        position: camera.position
+      }));
 
       return {
         success: true,
         results: {
-          gaussianSplatting: {
-            modelUrl: response.data.outputs.gaussian_splatting.url,
-            modelHash: response.data.outputs.gaussian_splatting.hash,
-            pointCount: response.data.outputs.gaussian_splatting.pointCount,
-            fileSize: response.data.outputs.gaussian_splatting.fileSize
-          },
-          convexSplatting: {
-            modelUrl: response.data.outputs.convex_splatting.url,
-            modelHash: response.data.outputs.convex_splatting.hash,
-            pointCount: response.data.outputs.convex_splatting.pointCount,
-            fileSize: response.data.outputs.convex_splatting.fileSize
-          },
+          outputs,
+          missing,
+          cameras,
           metadata: {
-            processingTime: response.data.processingTime,
-            renderNodes: response.data.renderNodes,
-            qualityScore: response.data.qualityScore,
+            processingTime: data.processingTime,
+            renderNodes: data.renderNodes,
+            qualityScore: data.qualityScore,
             geoReferenced: true
           }
         }
@@ -171,84 +206,139 @@ class RenderNetworkService {
 
     } catch (error) {
       console.error('Results retrieval failed:', error);
-      return { success: false, error: error.message };
+      return toErrorResult(error);
     }
   }
 
-  // Upload assets to Render Network storage
-  async uploadAssets(assets) {
-    try {
-      const uploadPromises = assets.map(async (asset, index) => {
-        const formData = new FormData();
-        formData.append('file', {
-          uri: asset.uri,
-          type: asset.type || 'image/jpeg',
-          name: `asset_${index}.jpg`
-        });
-        formData.append('metadata', JSON.stringify({
-          gpsData: asset.gpsData,
-          timestamp: asset.timestamp,
-          index: asset.index
-        }));
-
-        const response = await axios.post(
-          `${RENDER_CONFIG.API_BASE_URL}/upload`,
-          formData,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'multipart/form-data'
-            }
-          }
-        );
+  // Upload assets with bounded concurrency; large files go up in resumable chunks
+  async uploadAssets(assets, options = {}) {
+    const { resumableUploads = {}, onResumableUpdate = () => {} } = options;
+
+    return this.uploadBatch(
+      assets,
+      { concurrency: settings.get('RENDER_NETWORK.UPLOAD_CONCURRENCY'), ...options },
+      (asset, size, onProgress) => (
+        size > RENDER_CONFIG.CHUNKED_UPLOAD_THRESHOLD
+          ? this.uploadChunked(asset, size, {
+            resume: resumableUploads[asset.uri],
+            onProgress,
+            onResumableUpdate
+          })
+          : this.uploadSingle(asset, onProgress)
+      )
+    );
+  }
+
+  // Single multipart POST for photos and short clips
+  async uploadSingle(asset, onProgress) {
+    const formData = new FormData();
+    formData.append('file', {
+      uri: asset.uri,
+      type: getMimeType(asset.uri),
+      name: getFileName(asset.uri)
+    });
+    formData.append('metadata', JSON.stringify(this.getAssetMetadata(asset)));
+
+    const data = await this.client.post('/upload', formData, {
+      idempotent: true,
+      timeout: settings.get('RENDER_NETWORK.UPLOAD_TIMEOUT'),
+      headers: { 'Content-Type': 'multipart/form-data', 'Idempotency-Key': this.getUploadKey(asset) },
+      onUploadProgress: event => onProgress(event.loaded)
+    });
+
+    return {
+      originalUri: asset.uri,
+      remoteUri: data.uri,
+      uploadId: data.uploadId
+    };
+  }
+
+  // Resumable upload in fixed-size chunks; picks up at the server's received offset
+  async uploadChunked(asset, size, { resume, onProgress, onResumableUpdate }) {
+    let uploadId = resume ? resume.uploadId : null;
+    let offset = 0;
+
+    if (uploadId) {
+      try {
+        const status = await this.client.get(`/uploads/${uploadId}`);
+        offset = status.receivedBytes || 0;
+      } catch (error) {
+        // Expired or unknown upload sessions start over
+        if (error.type !== ERROR_TYPES.VALIDATION) throw error;
+        uploadId = null;
+      }
+    }
+
+    if (!uploadId) {
+      const created = await this.client.post('/uploads', {
+        fileName: getFileName(asset.uri),
+        mimeType: getMimeType(asset.uri),
+        size,
+        metadata: this.getAssetMetadata(asset)
+      }, { idempotent: true });
+
+      uploadId = created.uploadId;
+      offset = 0;
+      onResumableUpdate(asset.uri, { uploadId });
+    }
+
+    onProgress(offset);
 
-        return {
-          originalUri: asset.uri,
-          renderNetworkUri: response.data.uri,
-          uploadId: response.data.uploadId
-        };
+    while (offset < size) {
+      const length = Math.min(RENDER_CONFIG.CHUNK_SIZE, size - offset);
+      const chunk = await FileSystem.readAsStringAsync(asset.uri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position: offset,
+        length
       });
 
-      const uploadResults = await Promise.all(uploadPromises);
-      
-      return {
-        success: true,
-        uploads: uploadResults
-      };
+      const ack = await this.client.request({
+        method: 'put',
+        path: `/uploads/${uploadId}/chunks`,
+        data: chunk,
+        idempotent: true,
+        timeout: settings.get('RENDER_NETWORK.UPLOAD_TIMEOUT'),
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'Content-Transfer-Encoding': 'base64',
+          'Content-Range': `bytes ${offset}-${offset + length - 1}/${size}`
+        }
+      });
 
-    } catch (error) {
-      console.error('Asset upload failed:', error);
-      return { success: false, error: error.message };
+      offset = typeof ack.receivedBytes === 'number' ? ack.receivedBytes : offset + length;
+      onProgress(offset);
     }
+
+    const completed = await this.client.post(`/uploads/${uploadId}/complete`, {}, { idempotent: true });
+    onResumableUpdate(asset.uri, null);
+
+    return {
+      originalUri: asset.uri,
+      remoteUri: completed.uri,
+      uploadId
+    };
   }
 
   // Get available render nodes and pricing
   async getNetworkInfo() {
     try {
-      const response = await axios.get(
-        `${RENDER_CONFIG.API_BASE_URL}/network/info`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`
-          }
-        }
-      );
+      const data = await this.client.get('/network/info');
 
       return {
         success: true,
         networkInfo: {
-          availableNodes: response.data.availableNodes,
-          averageProcessingTime: response.data.averageProcessingTime,
-          currentPricing: response.data.pricing,
-          queueLength: response.data.queueLength
+          availableNodes: data.availableNodes,
+          averageProcessingTime: data.averageProcessingTime,
+          currentPricing: data.pricing,
+          queueLength: data.queueLength
         }
       };
 
     } catch (error) {
       console.error('Network info retrieval failed:', error);
-      return { success: false, error: error.message };
+      return toErrorResult(error);
     }
   }
 }
 
-export default new RenderNetworkService();
+export default RenderNetworkService;
@@ -0,0 +1,307 @@
+// src/services/sessionStore.js
+import * as FileSystem from 'expo-file-system/legacy';
+import settings from './settings';
+import { hashText } from '../utils/hashing';
+
+const SESSION_FILE = 'session.json';
+const SESSION_TEMP_FILE = 'session.json.tmp';
+const RECORD_VERSION = 1;
+const TRACK_FILE_SUFFIX = '.track.json';
+
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  CLOSED: 'closed'
+};
+
+class SessionStore {
+  constructor() {
+    this.rootDirectory = `${FileSystem.documentDirectory}${settings.get('STORAGE.SESSIONS_DIRECTORY')}`;
+    this.records = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  getSessionDirectory(sessionId) {
+    return `${this.rootDirectory}${sessionId}/`;
+  }
+
+  // Run mutations one at a time so rapid captures never interleave writes
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async ensureDirectory(path) {
+    const info = await FileSystem.getInfoAsync(path);
+    if (!info.exists) {
+      await FileSystem.makeDirectoryAsync(path, { intermediates: true });
+    }
+  }
+
+  // Write to a temp file first so a crash mid-write never corrupts the record
+  async writeRecord(record) {
+    const directory = this.getSessionDirectory(record.session.id);
+    await this.ensureDirectory(directory);
+
+    record.updatedAt = Date.now();
+    await FileSystem.writeAsStringAsync(`${directory}${SESSION_TEMP_FILE}`, JSON.stringify(record));
+    await FileSystem.deleteAsync(`${directory}${SESSION_FILE}`, { idempotent: true });
+    await FileSystem.moveAsync({
+      from: `${directory}${SESSION_TEMP_FILE}`,
+      to: `${directory}${SESSION_FILE}`
+    });
+
+    this.records.set(record.session.id, record);
+  }
+
+  async readRecord(sessionId) {
+    if (this.records.has(sessionId)) {
+      return this.records.get(sessionId);
+    }
+
+    const directory = this.getSessionDirectory(sessionId);
+
+    // Fall back to the temp file if the app died between delete and move
+    for (const fileName of [SESSION_FILE, SESSION_TEMP_FILE]) {
+      const info = await FileSystem.getInfoAsync(`${directory}${fileName}`);
+      if (info.exists) {
+        const contents = await FileSystem.readAsStringAsync(`${directory}${fileName}`);
+        const record = JSON.parse(contents);
+        record.gcps = record.gcps || []; // sessions saved before GCP support
+        this.records.set(sessionId, record);
+        return record;
+      }
+    }
+
+    throw new Error(`Session ${sessionId} not found`);
+  }
+
+  // Move a captured file out of the camera cache into the session directory
+  async storeAssetFile(sessionId, asset, folder, baseName) {
+    if (!asset.uri) {
+      return asset;
+    }
+
+    const directory = `${this.getSessionDirectory(sessionId)}${folder}/`;
+    await this.ensureDirectory(directory);
+
+    const extension = asset.uri.split('.').pop().toLowerCase();
+    const destination = `${directory}${baseName}.${extension}`;
+    if (asset.uri !== destination) {
+      await FileSystem.moveAsync({ from: asset.uri, to: destination });
+    }
+
+    return { ...asset, uri: destination };
+  }
+
+  // Create and persist a new capture session
+  async createSession(session) {
+    try {
+      const record = {
+        version: RECORD_VERSION,
+        status: SESSION_STATUS.ACTIVE,
+        session: { ...session },
+        photos: [],
+        videos: [],
+        gcps: [],
+        createdAt: Date.now(),
+        updatedAt: null
+      };
+
+      await this.enqueue(() => this.writeRecord(record));
+      return { success: true, record };
+    } catch (error) {
+      console.error('Session creation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Persist a georeferenced photo and its metadata
+  async addPhoto(sessionId, photo) {
+    try {
+      const asset = await this.enqueue(async () => {
+        const record = await this.readRecord(sessionId);
+        const baseName = `photo_${String(photo.index).padStart(4, '0')}`;
+        const stored = await this.storeAssetFile(sessionId, photo, 'photos', baseName);
+
+        record.photos.push(stored);
+        record.session.totalAssets = record.photos.length + record.videos.length;
+        await this.writeRecord(record);
+        return stored;
+      });
+
+      return { success: true, asset };
+    } catch (error) {
+      console.error('Photo persistence failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Write a video's GPS track beside it; the record keeps only a summary
+  async storeTrackFile(sessionId, video, baseName) {
+    const { track, ...rest } = video;
+    if (!track) {
+      return video;
+    }
+
+    const directory = `${this.getSessionDirectory(sessionId)}videos/`;
+    await this.ensureDirectory(directory);
+
+    const trackUri = `${directory}${baseName}${TRACK_FILE_SUFFIX}`;
+    const contents = JSON.stringify(track);
+    await FileSystem.writeAsStringAsync(trackUri, contents);
+    const integrity = hashText(contents);
+
+    return {
+      ...rest,
+      trackUri,
+      trackSha256: integrity.sha256,
+      trackSize: integrity.size,
+      trackSummary: {
+        startTime: track.startTime,
+        endTime: track.endTime,
+        pointCount: track.points.length
+      }
+    };
+  }
+
+  // Persist a georeferenced video, its GPS track and metadata
+  async addVideo(sessionId, video) {
+    try {
+      const asset = await this.enqueue(async () => {
+        const record = await this.readRecord(sessionId);
+        const baseName = `video_${String(video.index || record.videos.length + 1).padStart(4, '0')}`;
+        const withTrack = await this.storeTrackFile(sessionId, video, baseName);
+        const stored = await this.storeAssetFile(sessionId, withTrack, 'videos', baseName);
+
+        record.videos.push(stored);
+        record.session.totalAssets = record.photos.length + record.videos.length;
+        await this.writeRecord(record);
+        return stored;
+      });
+
+      return { success: true, asset };
+    } catch (error) {
+      console.error('Video persistence failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Persist an averaged ground control point
+  async addGcp(sessionId, gcp) {
+    try {
+      await this.enqueue(async () => {
+        const record = await this.readRecord(sessionId);
+        record.gcps.push(gcp);
+        await this.writeRecord(record);
+      });
+
+      return { success: true, gcp };
+    } catch (error) {
+      console.error('GCP persistence failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Merge extra fields (processing results, exports, ...) into the session
+  async updateSession(sessionId, changes) {
+    try {
+      const record = await this.enqueue(async () => {
+        const current = await this.readRecord(sessionId);
+        current.session = { ...current.session, ...changes };
+        await this.writeRecord(current);
+        return current;
+      });
+
+      return { success: true, record };
+    } catch (error) {
+      console.error('Session update failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Load a full session record from disk
+  async loadSession(sessionId) {
+    try {
+      const record = await this.readRecord(sessionId);
+      return { success: true, record };
+    } catch (error) {
+      console.error('Session load failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // List every stored session, newest first
+  async listSessions() {
+    try {
+      const info = await FileSystem.getInfoAsync(this.rootDirectory);
+      if (!info.exists) {
+        return { success: true, sessions: [] };
+      }
+
+      const sessionIds = await FileSystem.readDirectoryAsync(this.rootDirectory);
+      const sessions = [];
+
+      for (const sessionId of sessionIds) {
+        try {
+          sessions.push(await this.readRecord(sessionId));
+        } catch (error) {
+          console.warn(`Skipping unreadable session ${sessionId}:`, error.message);
+        }
+      }
+
+      sessions.sort((a, b) => b.session.startTime - a.session.startTime);
+      return { success: true, sessions };
+    } catch (error) {
+      console.error('Session listing failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Sessions that were still active when the app last stopped
+  async findUnfinishedSessions() {
+    const result = await this.listSessions();
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      sessions: result.sessions.filter(record => record.status === SESSION_STATUS.ACTIVE)
+    };
+  }
+
+  // Mark a session finished; its data stays on disk
+  async closeSession(sessionId) {
+    try {
+      await this.enqueue(async () => {
+        const record = await this.readRecord(sessionId);
+        record.status = SESSION_STATUS.CLOSED;
+        record.session.endTime = Date.now();
+        await this.writeRecord(record);
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Session close failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remove a session and all of its captured files
+  async deleteSession(sessionId) {
+    try {
+      await this.enqueue(async () => {
+        await FileSystem.deleteAsync(this.getSessionDirectory(sessionId), { idempotent: true });
+        this.records.delete(sessionId);
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Session delete failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default new SessionStore();
@@ -0,0 +1,232 @@
+// src/services/settings.js
+import * as FileSystem from 'expo-file-system/legacy';
+import * as SecureStore from 'expo-secure-store';
+import { APP_CONFIG } from '../constants/config';
+import { SETTINGS_SCHEMA, SETTING_TYPES } from '../constants/settingsSchema';
+
+const SETTINGS_VERSION = 1;
+
+// Upgrades persisted overrides one version at a time; MIGRATIONS[n] turns version
+// n + 1 into n + 2. Add an entry here whenever a schema key is renamed or rescaled.
+const MIGRATIONS = [];
+
+const SCHEMA_BY_KEY = new Map(SETTINGS_SCHEMA.map(entry => [entry.key, entry]));
+
+// API keys live in the platform keystore (Keychain / Keystore), never in the JSON file
+const SECRET_KEYS = SETTINGS_SCHEMA.filter(entry => entry.type === SETTING_TYPES.SECRET).map(entry => entry.key);
+const secureStoreKey = (key) => `settings.${key}`;
+
+const cloneDefaults = () => JSON.parse(JSON.stringify(APP_CONFIG));
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    if (!node[part]) node[part] = {};
+    return node[part];
+  }, object);
+  parent[last] = value;
+};
+
+// Coerce and check one value against its schema entry; returns { value } or { error }
+export const validateSetting = (key, raw) => {
+  const entry = SCHEMA_BY_KEY.get(key);
+  if (!entry) return { error: 'Unknown setting' };
+
+  if (raw === null || raw === undefined || raw === '') {
+    return entry.nullable ? { value: null } : { error: 'Required' };
+  }
+
+  switch (entry.type) {
+    case SETTING_TYPES.NUMBER:
+    case SETTING_TYPES.INTEGER: {
+      const value = Number(raw);
+      if (!Number.isFinite(value)) return { error: 'Must be a number' };
+      if (entry.type === SETTING_TYPES.INTEGER && !Number.isInteger(value)) return { error: 'Must be a whole number' };
+      if (entry.min !== undefined && value < entry.min) return { error: `Minimum ${entry.min}` };
+      if (entry.max !== undefined && value > entry.max) return { error: `Maximum ${entry.max}` };
+      return { value };
+    }
+    case SETTING_TYPES.CHOICE:
+      return entry.options.includes(raw) ? { value: raw } : { error: `One of ${entry.options.join(', ')}` };
+    default: {
+      const value = String(raw).trim();
+      if (entry.pattern && !entry.pattern.test(value)) return { error: 'Invalid format' };
+      return { value };
+    }
+  }
+};
+
+// APP_CONFIG defaults overlaid with the user's validated overrides, persisted on device
+class SettingsStore {
+  constructor() {
+    this.filePath = `${FileSystem.documentDirectory}${APP_CONFIG.STORAGE.SETTINGS_FILE}`;
+    this.overrides = {};
+    this.values = cloneDefaults();
+    this.listeners = new Set();
+    this.loaded = false;
+  }
+
+  // Listen for changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.values);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.values));
+  }
+
+  // Current value for an APP_CONFIG path, e.g. get('CAPTURE.MAX_PHOTOS')
+  get(key) {
+    return getPath(this.values, key);
+  }
+
+  getAll() {
+    return this.values;
+  }
+
+  getDefault(key) {
+    return getPath(APP_CONFIG, key);
+  }
+
+  getOverrides() {
+    return { ...this.overrides };
+  }
+
+  // Rebuild values from defaults, dropping overrides the schema no longer accepts
+  apply(overrides) {
+    const values = cloneDefaults();
+    const accepted = {};
+
+    Object.entries(overrides).forEach(([key, raw]) => {
+      const result = validateSetting(key, raw);
+      if (result.error) {
+        console.warn(`Ignoring setting ${key}: ${result.error}`);
+        return;
+      }
+      accepted[key] = result.value;
+      setPath(values, key, result.value);
+    });
+
+    this.overrides = accepted;
+    this.values = values;
+  }
+
+  migrate(stored) {
+    let { version = 1, values = {} } = stored;
+    while (version < SETTINGS_VERSION) {
+      values = MIGRATIONS[version - 1](values);
+      version += 1;
+    }
+    return values;
+  }
+
+  // Read persisted overrides; safe to call more than once
+  async load() {
+    try {
+      let overrides = {};
+      const info = await FileSystem.getInfoAsync(this.filePath);
+      if (info.exists) {
+        overrides = this.migrate(JSON.parse(await FileSystem.readAsStringAsync(this.filePath)));
+      }
+      const plaintextSecrets = SECRET_KEYS.some(key => key in overrides);
+      this.apply({ ...overrides, ...(await this.loadSecrets()) });
+
+      // Files written before secrets moved to the keystore still hold them in plaintext
+      if (plaintextSecrets) {
+        await this.persist(this.overrides);
+      }
+      this.loaded = true;
+      this.notify();
+      return { success: true, values: this.values };
+    } catch (error) {
+      console.error('Settings load failed:', error);
+      this.loaded = true;
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Validate and persist changes ({ 'CAPTURE.BURST_COUNT': 10, ... }). Nothing is saved
+  // unless every field passes; a value equal to its default clears the override.
+  async update(changes) {
+    const errors = {};
+    const overrides = { ...this.overrides };
+
+    Object.entries(changes).forEach(([key, raw]) => {
+      const result = validateSetting(key, raw);
+      if (result.error) {
+        errors[key] = result.error;
+      } else if (result.value === this.getDefault(key)) {
+        delete overrides[key];
+      } else {
+        overrides[key] = result.value;
+      }
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return { success: false, error: 'Some settings are invalid', errors };
+    }
+
+    try {
+      await this.persist(overrides);
+      this.apply(overrides);
+      this.notify();
+      return { success: true, values: this.values };
+    } catch (error) {
+      console.error('Settings save failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Forget every override
+  async reset() {
+    try {
+      await FileSystem.deleteAsync(this.filePath, { idempotent: true });
+      await this.persistSecrets({});
+      this.apply({});
+      this.notify();
+      return { success: true, values: this.values };
+    } catch (error) {
+      console.error('Settings reset failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async persist(overrides) {
+    const values = { ...overrides };
+    SECRET_KEYS.forEach(key => delete values[key]);
+    await this.persistSecrets(overrides);
+    await FileSystem.writeAsStringAsync(
+      this.filePath,
+      JSON.stringify({ version: SETTINGS_VERSION, values })
+    );
+  }
+
+  // The keystore is missing on web, where secrets then last only for the session
+  async loadSecrets() {
+    if (!(await SecureStore.isAvailableAsync())) return {};
+    const secrets = {};
+    for (const key of SECRET_KEYS) {
+      const value = await SecureStore.getItemAsync(secureStoreKey(key));
+      if (value !== null) secrets[key] = value;
+    }
+    return secrets;
+  }
+
+  async persistSecrets(overrides) {
+    if (!(await SecureStore.isAvailableAsync())) return;
+    for (const key of SECRET_KEYS) {
+      if (overrides[key] !== undefined && overrides[key] !== null) {
+        await SecureStore.setItemAsync(secureStoreKey(key), String(overrides[key]));
+      } else {
+        await SecureStore.deleteItemAsync(secureStoreKey(key));
+      }
+    }
+  }
+}
+
+export default new SettingsStore();
@@ -0,0 +1,305 @@
+// src/services/wallet.js
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system/legacy';
+import { transact } from '@solana-mobile/mobile-wallet-adapter-protocol';
+import { Connection, PublicKey, VersionedTransaction, LAMPORTS_PER_SOL, clusterApiUrl } from '@solana/web3.js';
+import settings from './settings';
+import mockWallet from './mockWallet';
+import { ERROR_TYPES } from './errors';
+import { bytesToBase64, base64ToBytes } from '../utils/base64';
+
+export const WALLET_STATUS = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  ERROR: 'error'
+};
+
+export const WALLET_PROVIDERS = {
+  MWA: 'mwa',
+  MOCK: 'mock'
+};
+
+const APP_IDENTITY = {
+  name: 'omniSplat',
+  uri: 'https://omnisplat.app',
+  icon: 'favicon.ico' // relative to uri
+};
+
+const AUTH_FILE = 'wallet.json';
+const SIGNATURE_LENGTH = 64;
+const ERROR_AUTHORIZATION_FAILED = -1; // MWA protocol error code
+
+// MWA chain identifiers differ from web3.js cluster names for mainnet
+const CHAINS = {
+  'mainnet-beta': 'solana:mainnet',
+  devnet: 'solana:devnet',
+  testnet: 'solana:testnet'
+};
+
+const createInitialState = () => ({
+  status: WALLET_STATUS.DISCONNECTED,
+  provider: null,
+  publicKey: null,
+  label: null,
+  cluster: settings.get('SOLANA.NETWORK'),
+  error: null
+});
+
+// Shorten an address for the header, e.g. "7xKX…gAsU"
+export const formatPublicKey = (publicKey) => (
+  publicKey ? `${publicKey.slice(0, 4)}…${publicKey.slice(-4)}` : ''
+);
+
+// Connects to the user's wallet over Mobile Wallet Adapter (or the in-app mock) and
+// signs on its behalf. The auth token is kept so later sessions reauthorize silently.
+class WalletService {
+  constructor() {
+    this.state = createInitialState();
+    this.listeners = new Set();
+    this.authorization = null;
+    this.filePath = `${FileSystem.documentDirectory}${AUTH_FILE}`;
+  }
+
+  // Listen for state changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => this.listeners.delete(listener);
+  }
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isConnected() {
+    return this.state.status === WALLET_STATUS.CONNECTED;
+  }
+
+  getProvider() {
+    return settings.get('SOLANA.WALLET');
+  }
+
+  getCluster() {
+    return settings.get('SOLANA.NETWORK');
+  }
+
+  getChain() {
+    return CHAINS[this.getCluster()] || `solana:${this.getCluster()}`;
+  }
+
+  // RPC for reads and submission; SOLANA.RPC_URL points at e.g. solana-test-validator
+  getConnection() {
+    const endpoint = settings.get('SOLANA.RPC_URL') || clusterApiUrl(this.getCluster());
+    return new Connection(endpoint, settings.get('SOLANA.COMMITMENT'));
+  }
+
+  getPublicKey() {
+    return this.state.publicKey ? new PublicKey(this.state.publicKey) : null;
+  }
+
+  // Balance of the connected account in lamports
+  async getBalance() {
+    try {
+      const lamports = await this.getConnection().getBalance(this.getPublicKey());
+      return { success: true, lamports };
+    } catch (error) {
+      console.error('Balance lookup failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  // Free SOL for fees on devnet, testnet or a local validator
+  async requestAirdrop(sol = 1) {
+    if (this.getCluster() === 'mainnet-beta') {
+      return { success: false, error: 'Airdrops are not available on mainnet', errorType: ERROR_TYPES.VALIDATION };
+    }
+
+    try {
+      const connection = this.getConnection();
+      const signature = await connection.requestAirdrop(this.getPublicKey(), sol * LAMPORTS_PER_SOL);
+      await connection.confirmTransaction(signature, settings.get('SOLANA.COMMITMENT'));
+      return { success: true, signature };
+    } catch (error) {
+      console.error('Airdrop failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.QUOTA };
+    }
+  }
+
+  // Open a wallet session with the configured provider
+  transact(callback) {
+    if (this.getProvider() === WALLET_PROVIDERS.MOCK) {
+      return mockWallet.transact(callback);
+    }
+    if (Platform.OS !== 'android') {
+      throw new Error('Mobile Wallet Adapter is only available on Android; use the mock wallet here');
+    }
+    return transact(callback);
+  }
+
+  // Authorize inside a session, reusing the stored token when the wallet still accepts it
+  async authorizeSession(wallet) {
+    const request = { identity: APP_IDENTITY, chain: this.getChain() };
+    const stored = this.authorization && this.authorization.chain === request.chain
+      ? this.authorization.authToken
+      : null;
+
+    let result;
+    try {
+      result = await wallet.authorize(stored ? { ...request, auth_token: stored } : request);
+    } catch (error) {
+      // Revoked or expired token: ask the user again rather than failing
+      if (!stored || error.code !== ERROR_AUTHORIZATION_FAILED) throw error;
+      result = await wallet.authorize(request);
+    }
+
+    const [account] = result.accounts;
+    const publicKey = new PublicKey(base64ToBytes(account.address)).toBase58();
+
+    this.authorization = {
+      provider: this.getProvider(),
+      chain: request.chain,
+      authToken: result.auth_token,
+      walletUriBase: result.wallet_uri_base || null,
+      publicKey,
+      label: account.label || null
+    };
+    await this.persist();
+
+    this.setState({
+      status: WALLET_STATUS.CONNECTED,
+      provider: this.authorization.provider,
+      publicKey,
+      label: this.authorization.label,
+      cluster: this.getCluster(),
+      error: null
+    });
+
+    return this.authorization;
+  }
+
+  // Show the last authorized account without opening the wallet; the token is
+  // presented again on the next signing request. Call again when the network or
+  // wallet setting changes, since an authorization only holds for one of each.
+  async restore() {
+    try {
+      const info = await FileSystem.getInfoAsync(this.filePath);
+      const stored = info.exists ? JSON.parse(await FileSystem.readAsStringAsync(this.filePath)) : null;
+
+      if (!stored || stored.provider !== this.getProvider() || stored.chain !== this.getChain()) {
+        this.authorization = null;
+        this.state = createInitialState();
+        this.setState({});
+        return { success: true, restored: false };
+      }
+
+      this.authorization = stored;
+      this.setState({
+        status: WALLET_STATUS.CONNECTED,
+        provider: stored.provider,
+        publicKey: stored.publicKey,
+        label: stored.label,
+        cluster: this.getCluster(),
+        error: null
+      });
+      return { success: true, restored: true };
+    } catch (error) {
+      console.error('Wallet restore failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async connect() {
+    this.setState({ status: WALLET_STATUS.CONNECTING, error: null });
+    try {
+      const authorization = await this.transact(wallet => this.authorizeSession(wallet));
+      return { success: true, publicKey: authorization.publicKey };
+    } catch (error) {
+      console.error('Wallet connection failed:', error);
+      this.setState({ status: WALLET_STATUS.ERROR, error: error.message });
+      return { success: false, error: error.message, errorType: ERROR_TYPES.AUTH };
+    }
+  }
+
+  async disconnect() {
+    const authorization = this.authorization;
+    this.authorization = null;
+
+    try {
+      if (authorization) {
+        await this.transact(wallet => wallet.deauthorize({ auth_token: authorization.authToken }));
+      }
+    } catch (error) {
+      // The wallet may be gone already; forgetting the token locally is what matters
+      console.warn('Wallet deauthorize failed:', error.message);
+    }
+
+    await FileSystem.deleteAsync(this.filePath, { idempotent: true });
+    this.state = createInitialState();
+    this.setState({});
+    return { success: true };
+  }
+
+  // Sign arbitrary bytes; returns the 64-byte ed25519 signature
+  async signMessage(message) {
+    try {
+      const signature = await this.transact(async wallet => {
+        const { publicKey } = await this.authorizeSession(wallet);
+        const result = await wallet.signMessages({
+          addresses: [bytesToBase64(new PublicKey(publicKey).toBytes())],
+          payloads: [bytesToBase64(message)]
+        });
+        const signed = base64ToBytes(result.signed_payloads[0]);
+        return signed.slice(signed.length - SIGNATURE_LENGTH);
+      });
+      return { success: true, signature };
+    } catch (error) {
+      console.error('Message signing failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.AUTH };
+    }
+  }
+
+  // Sign (but don't send) a legacy or versioned transaction
+  async signTransaction(transaction) {
+    try {
+      const signed = await this.transact(async wallet => {
+        await this.authorizeSession(wallet);
+        const result = await wallet.signTransactions({
+          payloads: [bytesToBase64(transaction.serialize({ requireAllSignatures: false, verifySignatures: false }))]
+        });
+        return VersionedTransaction.deserialize(base64ToBytes(result.signed_payloads[0]));
+      });
+      return { success: true, transaction: signed };
+    } catch (error) {
+      console.error('Transaction signing failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.AUTH };
+    }
+  }
+
+  // Sign with the wallet, then submit through our own RPC so a local validator works
+  async signAndSendTransaction(transaction) {
+    const signed = await this.signTransaction(transaction);
+    if (!signed.success) return signed;
+
+    try {
+      const connection = this.getConnection();
+      const signature = await connection.sendRawTransaction(signed.transaction.serialize());
+      await connection.confirmTransaction(signature, settings.get('SOLANA.COMMITMENT'));
+      return { success: true, signature };
+    } catch (error) {
+      console.error('Transaction submission failed:', error);
+      return { success: false, error: error.message, errorType: ERROR_TYPES.NETWORK };
+    }
+  }
+
+  async persist() {
+    await FileSystem.writeAsStringAsync(this.filePath, JSON.stringify(this.authorization));
+  }
+}
+
+export default new WalletService();
@@ -0,0 +1,18 @@
+// src/shims/nodeCrypto.js
+// Stands in for Node's crypto module in native builds (see metro.config.js). arweave's
+// Node build requires it at load but its driver is replaced (utils/arweaveCrypto.js),
+// and node-forge only reaches for it under Node, so nothing here should ever run.
+const unavailable = (name) => () => {
+  throw new Error(`crypto.${name} is not available in React Native`);
+};
+
+export const constants = {};
+export const createHash = unavailable('createHash');
+export const createSign = unavailable('createSign');
+export const createVerify = unavailable('createVerify');
+export const createPublicKey = unavailable('createPublicKey');
+export const createCipheriv = unavailable('createCipheriv');
+export const createDecipheriv = unavailable('createDecipheriv');
+export const generateKeyPair = unavailable('generateKeyPair');
+export const pbkdf2Sync = unavailable('pbkdf2Sync');
+export const randomBytes = unavailable('randomBytes');
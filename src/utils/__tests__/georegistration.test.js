@@ -0,0 +1,56 @@
+// src/utils/__tests__/georegistration.test.js
+import { applySimilarity, estimateSimilarity } from '../georegistration';
+
+// A quarter turn about z, doubled in size and moved
+const truth = {
+  scale: 2,
+  rotation: [0, -1, 0, 1, 0, 0, 0, 0, 1],
+  translation: [100, -50, 10]
+};
+
+const source = [
+  [0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1], [1, 1, 0],
+  [2, 0, 1], [0, 2, 1], [3, 1, 0], [1, 3, 2], [2, 2, 2]
+];
+
+describe('estimateSimilarity', () => {
+  it('recovers an exact transform', () => {
+    const target = source.map(point => applySimilarity(truth, point));
+    const { transform, rmsError, inlierCount } = estimateSimilarity(source, target, { threshold: 0.1 });
+
+    expect(inlierCount).toBe(source.length);
+    expect(rmsError).toBeLessThan(1e-6);
+    expect(transform.scale).toBeCloseTo(2, 6);
+    transform.rotation.forEach((value, k) => expect(value).toBeCloseTo(truth.rotation[k], 6));
+    transform.translation.forEach((value, k) => expect(value).toBeCloseTo(truth.translation[k], 6));
+  });
+
+  it('ignores outliers and reports them', () => {
+    const target = source.map(point => applySimilarity(truth, point));
+    // Two cameras with bad positions, e.g. a GPS jump
+    target[3] = [target[3][0] + 40, target[3][1], target[3][2]];
+    target[7] = [target[7][0], target[7][1] - 25, target[7][2] + 5];
+
+    const { transform, inliers, inlierCount, residuals, rmsError } = estimateSimilarity(source, target, { threshold: 0.5 });
+
+    expect(inlierCount).toBe(source.length - 2);
+    expect(inliers[3]).toBe(false);
+    expect(inliers[7]).toBe(false);
+    expect(residuals[3]).toBeGreaterThan(30);
+    expect(rmsError).toBeLessThan(1e-6);
+    expect(transform.scale).toBeCloseTo(2, 6);
+    transform.translation.forEach((value, k) => expect(value).toBeCloseTo(truth.translation[k], 6));
+  });
+
+  it('is repeatable for a given seed', () => {
+    const target = source.map(point => applySimilarity(truth, point).map((value, axis) => value + ((axis + point[0]) % 3) * 0.05));
+    target[5] = [0, 0, 0];
+    const first = estimateSimilarity(source, target, { seed: 7 });
+    const second = estimateSimilarity(source, target, { seed: 7 });
+    expect(second.transform).toEqual(first.transform);
+  });
+
+  it('refuses too few cameras', () => {
+    expect(() => estimateSimilarity(source.slice(0, 2), source.slice(0, 2))).toThrow(/At least 3/);
+  });
+});
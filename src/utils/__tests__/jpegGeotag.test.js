@@ -0,0 +1,169 @@
+// src/utils/__tests__/jpegGeotag.test.js
+import { geotagJpeg, parseJpegSegments } from '../jpegGeotag';
+import { readJpegMetadata } from '../mediaMetadata';
+import { FIX_QUALITY } from '../nmea';
+
+const EXIF_HEADER = 'Exif\0\0';
+const MAX_EXIF_TIFF = 65533 - EXIF_HEADER.length;
+
+const ascii = (text) => Uint8Array.from(text, character => character.charCodeAt(0));
+
+const concat = (parts) => {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+
+const segment = (marker, payload) => concat([
+  Uint8Array.of(0xFF, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF),
+  payload
+]);
+
+// SOI, optional APP1 EXIF, a 640x480 baseline frame header and a stub scan
+const buildJpeg = (tiff = null) => concat([
+  Uint8Array.of(0xFF, 0xD8),
+  segment(0xE0, concat([ascii('JFIF\0'), Uint8Array.of(1, 1, 0, 0, 1, 0, 1, 0, 0)])),
+  ...(tiff ? [segment(0xE1, concat([ascii(EXIF_HEADER), tiff]))] : []),
+  segment(0xC0, Uint8Array.of(8, 0x01, 0xE0, 0x02, 0x80, 1, 1, 0x11, 0)),
+  Uint8Array.of(0xFF, 0xDA, 0x00, 0x08, 1, 1, 0, 0, 0x3F, 0, 0x12, 0x34, 0xFF, 0xD9)
+]);
+
+// Little-endian camera EXIF: IFD0 (Make, GPS pointer, MakerNote), the camera's GPS IFD
+// in the middle of the block, then a MakerNote filling most of the APP1 segment
+const buildCameraTiff = ({ processingMethodLength = 0, makerNoteLength }) => {
+  const ifd0 = 8;
+  const make = ifd0 + 2 + 3 * 12 + 4;
+  const gps = make + 6;
+  const gpsCount = processingMethodLength ? 3 : 2;
+  const latitude = gps + 2 + gpsCount * 12 + 4;
+  const processingMethod = latitude + 24;
+  const makerNote = processingMethod + processingMethodLength;
+
+  const tiff = new Uint8Array(makerNote + makerNoteLength);
+  const view = new DataView(tiff.buffer);
+  const entry = (at, tag, type, count, value) => {
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, count, true);
+    view.setUint32(at + 8, value, true);
+  };
+
+  tiff.set(ascii('II*\0'));
+  view.setUint32(4, ifd0, true);
+  view.setUint16(ifd0, 3, true);
+  entry(ifd0 + 2, 0x010F, 2, 6, make);
+  entry(ifd0 + 14, 0x8825, 4, 1, gps);
+  entry(ifd0 + 26, 0x927C, 7, makerNoteLength, makerNote);
+  tiff.set(ascii('Canon\0'), make);
+
+  view.setUint16(gps, gpsCount, true);
+  entry(gps + 2, 0x0001, 2, 2, 'N'.charCodeAt(0));
+  entry(gps + 14, 0x0002, 5, 3, latitude);
+  if (processingMethodLength) entry(gps + 26, 0x001B, 7, processingMethodLength, processingMethod);
+  [[10, 1], [0, 1], [0, 1]].forEach(([numerator, denominator], i) => {
+    view.setUint32(latitude + i * 8, numerator, true);
+    view.setUint32(latitude + i * 8 + 4, denominator, true);
+  });
+
+  for (let i = 0; i < makerNoteLength; i++) tiff[makerNote + i] = i & 0xFF;
+  return { tiff, makerNote };
+};
+
+const readTiff = (jpeg) => {
+  const exif = parseJpegSegments(jpeg).find(({ marker, payloadStart }) => (
+    marker === 0xE1 && String.fromCharCode(...jpeg.subarray(payloadStart, payloadStart + 4)) === 'Exif'
+  ));
+  return jpeg.subarray(exif.payloadStart + EXIF_HEADER.length, exif.end);
+};
+
+const countOccurrences = (bytes, text) => Buffer.from(bytes).toString('latin1').split(text).length - 1;
+
+const rtkFix = {
+  latitude: 52.0853723,
+  longitude: -4.3094617,
+  altitude: 12.345,
+  accuracy: 0.014,
+  altitudeAccuracy: 0.021,
+  heading: 87.5,
+  fixQuality: FIX_QUALITY.RTK_FIXED,
+  timestamp: Date.UTC(2026, 9, 19, 10, 0, 5)
+};
+
+const floatFix = {
+  ...rtkFix,
+  latitude: -33.8567844,
+  longitude: 151.2152967,
+  altitude: -3.5,
+  accuracy: 0.25,
+  fixQuality: FIX_QUALITY.RTK_FLOAT,
+  timestamp: Date.UTC(2026, 9, 19, 10, 1, 0)
+};
+
+describe('geotagJpeg', () => {
+  it('round-trips a fix through readJpegMetadata', () => {
+    const tagged = geotagJpeg(buildJpeg(), rtkFix);
+    const metadata = readJpegMetadata(tagged);
+
+    expect(metadata.width).toBe(640);
+    expect(metadata.height).toBe(480);
+    expect(metadata.timestamp).toBe(rtkFix.timestamp);
+    expect(metadata.position).toMatchObject({
+      altitude: rtkFix.altitude,
+      accuracy: rtkFix.accuracy,
+      altitudeAccuracy: rtkFix.altitudeAccuracy,
+      fixQuality: FIX_QUALITY.RTK_FIXED,
+      source: 'exif'
+    });
+    expect(metadata.position.latitude).toBeCloseTo(rtkFix.latitude, 8);
+    expect(metadata.position.longitude).toBeCloseTo(rtkFix.longitude, 8);
+    expect(metadata.exif.GPSImgDirection).toBe(87.5);
+  });
+
+  it('replaces the previous fix when a photo is tagged twice', () => {
+    const once = geotagJpeg(buildJpeg(), rtkFix);
+    const twice = geotagJpeg(once, floatFix);
+    const metadata = readJpegMetadata(twice);
+
+    expect(twice.length).toBe(once.length);
+    expect(readTiff(twice).length).toBe(readTiff(once).length);
+    expect(metadata.position.latitude).toBeCloseTo(floatFix.latitude, 8);
+    expect(metadata.position.longitude).toBeCloseTo(floatFix.longitude, 8);
+    expect(metadata.position.altitude).toBe(-3.5);
+    expect(metadata.position.fixQuality).toBe(FIX_QUALITY.RTK_FLOAT);
+    expect(metadata.timestamp).toBe(floatFix.timestamp);
+    expect(countOccurrences(twice, 'drone-dji:RtkFlag')).toBe(1);
+
+    // The tail of the scan data is untouched
+    expect(Array.from(twice.subarray(-4))).toEqual([0x12, 0x34, 0xFF, 0xD9]);
+  });
+
+  it('overwrites a camera GPS IFD in place when the new one fits', () => {
+    const { tiff, makerNote } = buildCameraTiff({ processingMethodLength: 512, makerNoteLength: 4096 });
+    const tagged = geotagJpeg(buildJpeg(tiff), rtkFix);
+    const taggedTiff = readTiff(tagged);
+
+    expect(taggedTiff.length).toBe(tiff.length);
+    expect(taggedTiff.subarray(makerNote)).toEqual(tiff.subarray(makerNote));
+    expect(readJpegMetadata(tagged).make).toBe('Canon');
+    expect(readJpegMetadata(tagged).position.latitude).toBeCloseTo(rtkFix.latitude, 8);
+  });
+
+  it('keeps a near-full EXIF segment bounded across repeated tagging', () => {
+    const { tiff, makerNote } = buildCameraTiff({ makerNoteLength: MAX_EXIF_TIFF - 1024 });
+    let jpeg = geotagJpeg(buildJpeg(tiff), rtkFix);
+    const firstLength = jpeg.length;
+
+    for (let i = 0; i < 20; i++) {
+      jpeg = geotagJpeg(jpeg, i % 2 ? rtkFix : floatFix);
+    }
+
+    const metadata = readJpegMetadata(jpeg);
+    expect(jpeg.length).toBe(firstLength);
+    expect(readTiff(jpeg).subarray(makerNote, tiff.length)).toEqual(tiff.subarray(makerNote));
+    expect(metadata.make).toBe('Canon');
+    expect(metadata.position.latitude).toBeCloseTo(rtkFix.latitude, 8);
+  });
+});
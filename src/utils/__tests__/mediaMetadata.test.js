@@ -0,0 +1,67 @@
+// src/utils/__tests__/mediaMetadata.test.js
+import { readJpegMetadata } from '../mediaMetadata';
+import { FIX_QUALITY } from '../nmea';
+
+const ascii = (text) => Uint8Array.from(text, character => character.charCodeAt(0));
+
+const concat = (parts) => {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+
+const app1 = (payload) => concat([
+  Uint8Array.of(0xFF, 0xE1, (payload.length + 2) >> 8, (payload.length + 2) & 0xFF),
+  payload
+]);
+
+// SOI, the given APP1 segments, a 4000x3000 frame header and a stub scan
+const buildJpeg = (...segments) => concat([
+  Uint8Array.of(0xFF, 0xD8),
+  ...segments,
+  Uint8Array.of(0xFF, 0xC0, 0x00, 0x0B, 8, 0x0B, 0xB8, 0x0F, 0xA0, 1, 1, 0x11, 0),
+  Uint8Array.of(0xFF, 0xDA, 0x00, 0x08, 1, 1, 0, 0, 0x3F, 0, 0xFF, 0xD9)
+]);
+
+// Vendor software that writes "Exif\0\0" ahead of something other than a TIFF header
+const brokenExif = app1(concat([ascii('Exif\0\0'), ascii('MM\0\0garbage')]));
+
+const droneXmp = app1(ascii(
+  'http://ns.adobe.com/xap/1.0/\0' +
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+  '<rdf:Description xmlns:drone-dji="http://www.dji.com/drone-dji/1.0/" ' +
+  'drone-dji:GpsLatitude="52.0853723" drone-dji:GpsLongitude="4.3094617" ' +
+  'drone-dji:AbsoluteAltitude="+61.25" drone-dji:RtkFlag="50"/>' +
+  '</rdf:RDF></x:xmpmeta>'
+));
+
+describe('readJpegMetadata', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('skips an unreadable EXIF block and keeps the rest of the metadata', () => {
+    const metadata = readJpegMetadata(buildJpeg(brokenExif, droneXmp));
+
+    expect(metadata.width).toBe(4000);
+    expect(metadata.height).toBe(3000);
+    expect(metadata.exif).toEqual({});
+    expect(metadata.position).toMatchObject({
+      latitude: 52.0853723,
+      longitude: 4.3094617,
+      altitude: 61.25,
+      fixQuality: FIX_QUALITY.RTK_FIXED,
+      source: 'xmp'
+    });
+  });
+
+  it('reports no position when the only location block is unreadable', () => {
+    const metadata = readJpegMetadata(buildJpeg(brokenExif));
+
+    expect(metadata.position).toBeNull();
+    expect(metadata.width).toBe(4000);
+  });
+});
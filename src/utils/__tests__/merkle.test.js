@@ -0,0 +1,46 @@
+// src/utils/__tests__/merkle.test.js
+import { hashLeaf, hashNode, getMerkleRoot, getMerkleProof, verifyMerkleProof } from '../merkle';
+
+const makeLeaves = (count) => Array.from({ length: count }, (_, i) => hashLeaf(`leaf ${i}`));
+
+describe('Merkle inclusion proofs', () => {
+  [1, 2, 3, 4, 5, 6, 7, 8, 13].forEach(count => {
+    it(`verifies every leaf of a ${count}-leaf tree`, () => {
+      const leaves = makeLeaves(count);
+      const root = getMerkleRoot(leaves);
+
+      leaves.forEach((leaf, index) => {
+        expect(verifyMerkleProof(leaf, getMerkleProof(leaves, index), root)).toBe(true);
+      });
+    });
+  });
+
+  it('rejects a proof for a different leaf or root', () => {
+    const leaves = makeLeaves(6);
+    const root = getMerkleRoot(leaves);
+    const proof = getMerkleProof(leaves, 2);
+
+    expect(verifyMerkleProof(leaves[3], proof, root)).toBe(false);
+    expect(verifyMerkleProof(hashLeaf('forged'), proof, root)).toBe(false);
+    expect(verifyMerkleProof(leaves[2], proof, getMerkleRoot(makeLeaves(7)))).toBe(false);
+  });
+
+  it('promotes an odd node instead of pairing it with itself', () => {
+    const leaves = makeLeaves(3);
+    expect(getMerkleRoot(leaves)).toBe(hashNode(hashNode(leaves[0], leaves[1]), leaves[2]));
+    // The promoted leaf has no sibling on the first level
+    expect(getMerkleProof(leaves, 2)).toEqual([{ side: 'left', hash: hashNode(leaves[0], leaves[1]) }]);
+  });
+
+  it('keeps leaves and inner nodes apart', () => {
+    const leaves = makeLeaves(2);
+    const node = hashNode(leaves[0], leaves[1]);
+    expect(node).not.toBe(hashLeaf(leaves[0] + leaves[1]));
+    expect(getMerkleRoot([leaves[0]])).toBe(leaves[0]);
+  });
+
+  it('refuses an empty tree and out-of-range leaves', () => {
+    expect(() => getMerkleRoot([])).toThrow();
+    expect(() => getMerkleProof(makeLeaves(4), 4)).toThrow();
+  });
+});
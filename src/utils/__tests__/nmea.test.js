@@ -0,0 +1,84 @@
+// src/utils/__tests__/nmea.test.js
+import fs from 'fs';
+import path from 'path';
+import { FIX_QUALITY, NmeaStreamParser, parseNmeaLog, parseSentence } from '../nmea';
+
+// A receiver going from autonomous through DGPS and RTK float to fixed, with one
+// sentence corrupted in transit and a final epoch after a gap in GST/RMC output
+const log = fs.readFileSync(path.join(__dirname, 'fixtures', 'receiver.nmea'), 'latin1');
+
+const KNOTS_TO_MS = 0.514444;
+
+describe('parseNmeaLog', () => {
+  const fixes = parseNmeaLog(log, { now: () => 0 });
+
+  it('classifies each epoch from the GGA quality indicator', () => {
+    expect(fixes.map(fix => fix.fix.quality)).toEqual([
+      FIX_QUALITY.AUTONOMOUS,
+      FIX_QUALITY.DGPS,
+      FIX_QUALITY.RTK_FLOAT,
+      FIX_QUALITY.RTK_FIXED,
+      FIX_QUALITY.RTK_FIXED
+    ]);
+    expect(fixes.map(fix => fix.fix.isRTK)).toEqual([false, false, false, true, true]);
+    expect(fixes[1].fix.ageOfCorrections).toBe(3);
+    expect(fixes[1].fix.referenceStation).toBe('0123');
+  });
+
+  it('reads positions and ellipsoidal heights', () => {
+    expect(fixes[0].coords.latitude).toBeCloseTo(52 + 5.1234 / 60, 9);
+    expect(fixes[0].coords.longitude).toBeCloseTo(4 + 18.5678 / 60, 9);
+    expect(fixes[0].coords.altitude).toBeCloseTo(10.123 + 47.456, 6);
+    expect(fixes[0].fix.altitudeMsl).toBe(10.123);
+    expect(fixes[0].fix.gnssTime).toBe(Date.UTC(2026, 9, 19, 10, 0, 0));
+  });
+
+  it('merges GST, RMC and GSA from the same epoch', () => {
+    const walking = fixes[3];
+    expect(walking.fix.accuracySource).toBe('gst');
+    expect(walking.coords.accuracy).toBeCloseTo(Math.hypot(0.012, 0.010), 9);
+    expect(walking.coords.altitudeAccuracy).toBe(0.020);
+    expect(walking.coords.speed).toBeCloseTo(2 * KNOTS_TO_MS, 6);
+    expect(walking.coords.heading).toBe(87.5);
+    expect(walking.fix.pdop).toBe(1.8);
+
+    // Too slow for course over ground to mean anything
+    expect(fixes[0].coords.heading).toBeNull();
+    expect(fixes[0].coords.accuracy).toBeCloseTo(Math.hypot(1.5, 1.2), 9);
+  });
+
+  it('does not carry stale companions into a later epoch', () => {
+    const afterGap = fixes[4];
+    expect(afterGap.fix.accuracySource).toBe('dop');
+    expect(afterGap.coords.accuracy).toBeCloseTo(0.02 * 0.7, 9); // RTK UERE x HDOP
+    expect(afterGap.coords.altitudeAccuracy).toBeCloseTo(0.02 * 1.5, 9); // x VDOP from GSA
+    expect(afterGap.coords.speed).toBeNull();
+  });
+});
+
+describe('checksums', () => {
+  const lines = log.split(/\r?\n/).filter(Boolean);
+  const corrupted = lines.find(line => line.includes('100004.00'));
+
+  it('rejects a sentence whose checksum does not match', () => {
+    expect(parseSentence(corrupted)).toBeNull();
+    expect(parseSentence(lines[1])).not.toBeNull();
+  });
+
+  it('counts rejected sentences and drops their epoch', () => {
+    const parser = new NmeaStreamParser();
+    const fixes = parser.push(log);
+
+    expect(parser.stats.invalid).toBe(1);
+    expect(fixes.some(fix => fix.fix.gnssTime === Date.UTC(2026, 9, 19, 10, 0, 4))).toBe(false);
+  });
+
+  it('handles sentences split across chunks', () => {
+    const parser = new NmeaStreamParser({ now: () => 0 });
+    const fixes = [];
+    for (let i = 0; i < log.length; i += 7) {
+      fixes.push(...parser.push(log.slice(i, i + 7)));
+    }
+    expect(fixes).toEqual(parseNmeaLog(log, { now: () => 0 }));
+  });
+});
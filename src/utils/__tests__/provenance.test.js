@@ -0,0 +1,129 @@
+// src/utils/__tests__/provenance.test.js
+import {
+  buildProvenanceManifest,
+  compareWithManifest,
+  getInclusionProof,
+  verifyInclusionProof
+} from '../provenance';
+import { hashText } from '../hashing';
+
+const sha = (text) => hashText(text).sha256;
+
+const record = {
+  session: { id: 'session-1', startTime: 1760868000000, baseLocation: { latitude: 52.1, longitude: 4.3, altitude: 57.6 } },
+  photos: ['photo_001.jpg', 'photo_002.jpg', 'photo_003.jpg'].map((name, index) => ({
+    uri: `file:///sessions/session-1/photos/${name}`,
+    sha256: sha(name),
+    size: 1000 + index,
+    index,
+    timestamp: 1760868000000 + index * 1000,
+    gpsData: { latitude: 52.1 + index * 1e-5, longitude: 4.3, altitude: 57.6 }
+  })),
+  videos: [{
+    uri: 'file:///sessions/session-1/videos/video_001.mp4',
+    sha256: sha('video_001.mp4'),
+    size: 50000,
+    index: 0,
+    timestamp: 1760868010000,
+    duration: 12,
+    trackUri: 'file:///sessions/session-1/videos/video_001.track.json',
+    trackSha256: sha('video_001.track.json'),
+    trackSize: 800,
+    trackSummary: { startTime: 1760868010000 }
+  }]
+};
+
+const manifest = buildProvenanceManifest(record, 1760868100000);
+
+// What hashing the untouched files on disk would give
+const originalHashes = () => new Map(manifest.assets.map(entry => [entry.name, entry.sha256]));
+
+describe('compareWithManifest', () => {
+  it('accepts untouched files', () => {
+    const report = compareWithManifest(manifest, originalHashes());
+    expect(report).toEqual({ valid: true, rootValid: true, modified: [], missing: [], added: [], unchanged: 5 });
+  });
+
+  it('reports a tampered file', () => {
+    const hashes = originalHashes();
+    hashes.set('photo_002.jpg', sha('edited'));
+    const report = compareWithManifest(manifest, hashes);
+
+    expect(report.valid).toBe(false);
+    expect(report.rootValid).toBe(true);
+    expect(report.modified).toEqual([{ name: 'photo_002.jpg', expected: sha('photo_002.jpg'), actual: sha('edited') }]);
+    expect(report.unchanged).toBe(4);
+  });
+
+  it('reports a missing file', () => {
+    const hashes = originalHashes();
+    hashes.delete('video_001.track.json');
+    const report = compareWithManifest(manifest, hashes);
+
+    expect(report.valid).toBe(false);
+    expect(report.missing).toEqual(['video_001.track.json']);
+    expect(report.modified).toEqual([]);
+  });
+
+  it('reports an extra file', () => {
+    const hashes = originalHashes();
+    hashes.set('photo_999.jpg', sha('photo_999.jpg'));
+    const report = compareWithManifest(manifest, hashes);
+
+    expect(report.valid).toBe(false);
+    expect(report.added).toEqual(['photo_999.jpg']);
+    expect(report.unchanged).toBe(5);
+  });
+
+  it('catches a manifest edited to match a tampered file', () => {
+    const edited = {
+      ...manifest,
+      assets: manifest.assets.map(entry => (entry.name === 'photo_001.jpg' ? { ...entry, sha256: sha('edited') } : entry))
+    };
+    const hashes = originalHashes();
+    hashes.set('photo_001.jpg', sha('edited'));
+    const report = compareWithManifest(edited, hashes);
+
+    expect(report.modified).toEqual([]);
+    expect(report.rootValid).toBe(false);
+    expect(report.valid).toBe(false);
+  });
+
+  it('takes a plain object and never treats inherited names as files', () => {
+    const named = buildProvenanceManifest({
+      ...record,
+      photos: ['constructor', 'toString'].map((name, index) => ({ ...record.photos[index], uri: `file:///photos/${name}`, sha256: sha(name) })),
+      videos: []
+    });
+    const report = compareWithManifest(named, {});
+
+    expect(report.missing).toEqual(['constructor', 'toString']);
+    expect(report.modified).toEqual([]);
+    expect(compareWithManifest(named, { constructor: sha('constructor'), toString: sha('toString') }).valid).toBe(true);
+  });
+});
+
+describe('inclusion proofs', () => {
+  // Five assets plus the session header make six leaves
+  it('proves every asset of a manifest with an even leaf count', () => {
+    manifest.assets.forEach(entry => {
+      expect(verifyInclusionProof(getInclusionProof(manifest, entry.name))).toBe(true);
+    });
+  });
+
+  it('proves every asset of a manifest with an odd leaf count', () => {
+    const odd = buildProvenanceManifest({ ...record, photos: record.photos.slice(0, 2), videos: [] });
+    expect(odd.assets.length + 1).toBe(3);
+
+    odd.assets.forEach(entry => {
+      expect(verifyInclusionProof(getInclusionProof(odd, entry.name))).toBe(true);
+    });
+  });
+
+  it('rejects a proof for an altered entry', () => {
+    const proof = getInclusionProof(manifest, 'photo_003.jpg');
+    const moved = { ...proof, entry: { ...proof.entry, gpsData: { ...proof.entry.gpsData, latitude: 48.8 } } };
+    expect(verifyInclusionProof(moved)).toBe(false);
+    expect(() => getInclusionProof(manifest, 'photo_999.jpg')).toThrow();
+  });
+});
@@ -0,0 +1,85 @@
+// src/utils/__tests__/splatFormats.test.js
+import {
+  createSplatCloud,
+  detectSplatFormat,
+  parsePly,
+  parseSpz,
+  writePly,
+  writeSpz,
+  SPLAT_FORMATS
+} from '../splatFormats';
+
+const createTestCloud = (shDegree) => {
+  const cloud = createSplatCloud(3, shDegree);
+  cloud.positions.set([0, 0, 0, 1.5, -2.25, 3, -10, 0.5, 7.75]);
+  cloud.scales.set([-1, -2, -3, 0, 0.5, -0.5, -4, -4, -4]);
+  const half = Math.SQRT1_2;
+  cloud.rotations.set([1, 0, 0, 0, half, half, 0, 0, 0.5, 0.5, 0.5, 0.5]);
+  cloud.opacities.set([2, 0, -2]);
+  cloud.colors.set([0.5, -0.5, 1, 0, 0.25, -1, 1.5, -1.5, 0]);
+  cloud.sh.forEach((_, k) => { cloud.sh[k] = ((k % 7) - 3) / 8; });
+  return cloud;
+};
+
+const expectClose = (actual, expected, tolerance) => {
+  expect(actual.length).toBe(expected.length);
+  actual.forEach((value, k) => expect(Math.abs(value - expected[k])).toBeLessThanOrEqual(tolerance));
+};
+
+// q and -q are the same rotation
+const expectSameRotations = (actual, expected, tolerance) => {
+  for (let i = 0; i < expected.length / 4; i++) {
+    const a = actual.subarray(i * 4, i * 4 + 4);
+    const b = expected.subarray(i * 4, i * 4 + 4);
+    const sign = Math.sign(a.reduce((sum, value, k) => sum + value * b[k], 0)) || 1;
+    expectClose(Array.from(a, value => value * sign), Array.from(b), tolerance);
+  }
+};
+
+describe('PLY', () => {
+  it.each([0, 1, 3])('round-trips every field at SH degree %i', (shDegree) => {
+    const cloud = createTestCloud(shDegree);
+    const bytes = writePly(cloud);
+    expect(detectSplatFormat(bytes)).toBe(SPLAT_FORMATS.PLY);
+
+    const parsed = parsePly(bytes);
+    expect(parsed.count).toBe(cloud.count);
+    expect(parsed.shDegree).toBe(shDegree);
+    ['positions', 'scales', 'opacities', 'colors', 'sh'].forEach(field => {
+      expectClose(Array.from(parsed[field]), Array.from(cloud[field]), 1e-6);
+    });
+    expectSameRotations(parsed.rotations, cloud.rotations, 1e-6);
+  });
+});
+
+describe('SPZ', () => {
+  it.each([0, 1, 3])('round-trips within its quantisation at SH degree %i', (shDegree) => {
+    const cloud = createTestCloud(shDegree);
+    const bytes = writeSpz(cloud);
+    expect(detectSplatFormat(bytes)).toBe(SPLAT_FORMATS.SPZ);
+
+    const parsed = parseSpz(bytes);
+    expect(parsed.count).toBe(cloud.count);
+    expect(parsed.shDegree).toBe(shDegree);
+    expectClose(Array.from(parsed.positions), Array.from(cloud.positions), 1 / 4096);
+    expectClose(Array.from(parsed.scales), Array.from(cloud.scales), 1 / 32);
+    expectClose(Array.from(parsed.colors), Array.from(cloud.colors), 0.5 / 255 / 0.15 + 1e-6);
+    expectSameRotations(parsed.rotations, cloud.rotations, 0.01);
+    // Opacity is stored after the sigmoid, so compare there
+    const sigmoid = value => 1 / (1 + Math.exp(-value));
+    expectClose(Array.from(parsed.opacities, sigmoid), Array.from(cloud.opacities, sigmoid), 0.5 / 255 + 1e-6);
+    expectClose(Array.from(parsed.sh), Array.from(cloud.sh), shDegree > 1 ? 8 / 128 : 4 / 128);
+  });
+
+  it('is unchanged by a second round trip', () => {
+    const once = parseSpz(writeSpz(createTestCloud(1)));
+    const twice = parseSpz(writeSpz(once));
+    ['positions', 'scales', 'colors', 'sh'].forEach(field => {
+      expectClose(Array.from(twice[field]), Array.from(once[field]), 1e-6);
+    });
+  });
+
+  it('rejects data that is not SPZ', () => {
+    expect(() => parseSpz(writePly(createTestCloud(0)))).toThrow();
+  });
+});
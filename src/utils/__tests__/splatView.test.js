@@ -0,0 +1,75 @@
+// src/utils/__tests__/splatView.test.js
+import { createSplatCloud } from '../splatFormats';
+import {
+  buildSplatAttributes,
+  createOrbitCamera,
+  getCameraPose,
+  getFocalLengths,
+  sortSplats
+} from '../splatView';
+
+// Eye at (0, -10, 0) looking north along +y, right is +x and down is -z
+const camera = createOrbitCamera({ target: [0, 0, 0], distance: 10, yaw: -Math.PI / 2, pitch: 0, fovY: Math.PI / 2 });
+const pose = getCameraPose(camera);
+const viewport = { ...getFocalLengths(camera, 100, 100), width: 100, height: 100 };
+
+const sort = (points) => {
+  const { order, count } = sortSplats(Float32Array.from(points.flat()), points.length, pose, viewport);
+  return Array.from(order.subarray(0, count));
+};
+
+describe('sortSplats', () => {
+  it('orders splats back to front', () => {
+    expect(sort([[0, 0, 0], [0, 5, 0], [0, -5, 0], [1, 20, -1]])).toEqual([3, 1, 0, 2]);
+  });
+
+  it('drops splats behind the camera or inside the near plane', () => {
+    expect(sort([[0, -12, 0], [0, -10, 0], [0, -9.99, 0], [0, -9, 0]])).toEqual([3]);
+  });
+
+  it('drops splats outside the view frustum, with a margin', () => {
+    // A 90° field of view puts the screen edge at |x| = depth; 20% more is kept
+    expect(sort([[11, 0, 0], [-11, 0, 0], [0, 0, 11], [12.1, 0, 0], [0, 0, -12.1], [-30, 0, 0]])).toEqual([0, 1, 2]);
+  });
+
+  it('reuses the scratch buffers it is given', () => {
+    const centers = Float32Array.from([0, 0, 0, 0, 5, 0]);
+    const first = sortSplats(centers, 2, pose, viewport);
+    const second = sortSplats(centers, 2, pose, viewport, first.scratch);
+    expect(second.order).toBe(first.order);
+    expect(Array.from(second.order.subarray(0, second.count))).toEqual([1, 0]);
+  });
+});
+
+describe('buildSplatAttributes', () => {
+  const cloud = createSplatCloud(2);
+  cloud.positions.set([1, 2, 3, 4, 5, 6]);
+  cloud.scales.set([Math.log(2), Math.log(3), Math.log(4), Math.log(2), Math.log(3), Math.log(4)]);
+  // Identity, then a quarter turn about z
+  cloud.rotations.set([1, 0, 0, 0, Math.SQRT1_2, 0, 0, Math.SQRT1_2]);
+  cloud.opacities.set([0, 0]);
+  cloud.colors.set([0, 0, 0, 1, -1, 0]);
+
+  const splats = buildSplatAttributes(cloud);
+
+  it('keeps the centres', () => {
+    expect(Array.from(splats.centers)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  it('turns SH DC colour and logit opacity into straight RGBA', () => {
+    expect(splats.colors[0]).toBeCloseTo(0.5);
+    expect(splats.colors[3]).toBeCloseTo(0.5);
+    expect(splats.colors[4]).toBeCloseTo(0.5 + 0.28209479177387814);
+    expect(splats.colors[5]).toBeCloseTo(0.5 - 0.28209479177387814);
+  });
+
+  it('builds the covariance upper triangle from scale and rotation', () => {
+    const expectCovariance = (index, expected) => {
+      Array.from(splats.covariances.subarray(index * 6, index * 6 + 6))
+        .forEach((value, k) => expect(value).toBeCloseTo(expected[k], 5));
+    };
+    expectCovariance(0, [4, 0, 0, 9, 0, 16]);
+    // The quarter turn swaps the x and y extents
+    expectCovariance(1, [9, 0, 0, 4, 0, 16]);
+  });
+});
@@ -0,0 +1,69 @@
+// src/utils/anchor.js
+// The on-chain record of a sealed session: a short canonical JSON memo carrying the
+// manifest's Merkle root, the session id, the capture time window, the geohash cell of
+// the base location and, once archived, the manifest's Arweave transaction. The precise
+// position stays off-chain, committed by the root.
+import { canonicalJson, computeManifestRoot } from './provenance';
+import { encodeGeohash, decodeGeohashBounds } from './geodesy';
+
+export const ANCHOR_PROTOCOL = 'omnisplat';
+export const ANCHOR_VERSION = 1;
+
+// First and last moment of capture, in ms since the epoch
+export const getCaptureWindow = (manifest) => {
+  const times = manifest.assets.map(entry => entry.timestamp).filter(Number.isFinite);
+  const start = Math.min(manifest.session.startTime, ...times);
+  const end = Math.max(manifest.session.startTime, ...times);
+  return { start, end };
+};
+
+// `arweaveTx` is the manifest's Arweave transaction, when it has been archived
+export const buildAnchorPayload = (manifest, { geohashPrecision, arweaveTx = null }) => {
+  const { start, end } = getCaptureWindow(manifest);
+  const base = manifest.session.baseLocation;
+  return {
+    p: ANCHOR_PROTOCOL,
+    v: ANCHOR_VERSION,
+    root: manifest.merkleRoot,
+    session: manifest.session.id,
+    from: start,
+    to: end,
+    geo: base ? encodeGeohash(base, geohashPrecision) : null,
+    ar: arweaveTx || undefined
+  };
+};
+
+export const encodeAnchorMemo = (payload) => canonicalJson(payload);
+
+// The payload of an omniSplat memo, or null for any other memo
+export const parseAnchorMemo = (text) => {
+  try {
+    const payload = JSON.parse(text);
+    return payload && payload.p === ANCHOR_PROTOCOL && payload.v === ANCHOR_VERSION ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check an on-chain payload against the manifest it claims to anchor
+export const checkAnchorPayload = (payload, manifest) => {
+  const { start, end } = getCaptureWindow(manifest);
+  const base = manifest.session.baseLocation;
+
+  let locationMatches = payload.geo === null && !base;
+  if (payload.geo && base) {
+    const cell = decodeGeohashBounds(payload.geo);
+    locationMatches = base.latitude >= cell.south && base.latitude <= cell.north
+      && base.longitude >= cell.west && base.longitude <= cell.east;
+  }
+
+  const checks = {
+    manifestIntact: computeManifestRoot(manifest) === manifest.merkleRoot,
+    rootMatches: payload.root === manifest.merkleRoot,
+    sessionMatches: payload.session === manifest.session.id,
+    windowMatches: payload.from === start && payload.to === end,
+    locationMatches
+  };
+
+  return { valid: Object.values(checks).every(Boolean), checks };
+};
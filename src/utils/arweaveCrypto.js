@@ -0,0 +1,127 @@
+// src/utils/arweaveCrypto.js
+// Arweave's crypto driver in pure JavaScript, for React Native: arweave's own driver
+// there is its Node build, which needs Node's crypto module. RSA-PSS keys and
+// signatures come from node-forge, hashes from @noble/hashes and randomness from the
+// platform's secure generator (expo-crypto).
+import forge from 'node-forge';
+import { getRandomBytes } from 'expo-crypto';
+import { sha256 } from '@noble/hashes/sha256';
+import { sha384 } from '@noble/hashes/sha512';
+import { bytesToHex, hexToBytes } from '@noble/hashes/utils';
+import { bytesToBase64, base64ToBytes } from './base64';
+
+const KEY_SIZE = 4096; // bits; Arweave wallets are RSA-4096 with e = 65537
+const PUBLIC_EXPONENT = 0x10001;
+const SALT_LENGTH = 32; // bytes; what arweave-js signs with
+const SHA256_LENGTH = 32; // bytes
+
+// forge works on binary strings
+const bytesToBinary = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return binary;
+};
+const binaryToBytes = (binary) => Uint8Array.from(binary, char => char.charCodeAt(0));
+
+const prng = { getBytesSync: (count) => bytesToBinary(getRandomBytes(count)) };
+
+// forge's shared generator, used for RSA blinding, reseeds from the same source
+forge.random.seedFileSync = prng.getBytesSync;
+forge.random.seedFile = (needed, callback) => callback(null, prng.getBytesSync(needed));
+
+const toBase64Url = (bytes) => bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+const toBigInteger = (value) => new forge.jsbn.BigInteger(bytesToHex(fromBase64Url(value)), 16);
+const fromBigInteger = (number) => {
+  const hex = number.toString(16);
+  const bytes = hexToBytes(hex.length % 2 ? `0${hex}` : hex);
+  return toBase64Url(bytes);
+};
+
+const pssScheme = (saltLength) => forge.pss.create({
+  md: forge.md.sha256.create(),
+  mgf: forge.mgf.mgf1.create(forge.md.sha256.create()),
+  saltLength,
+  prng
+});
+
+const digest = (data) => {
+  const md = forge.md.sha256.create();
+  md.update(bytesToBinary(data));
+  return md;
+};
+
+// Generate on forge's stepped path so the JS thread keeps serving the UI meanwhile
+const generateKeyPair = () => new Promise((resolve, reject) => {
+  forge.pki.rsa.generateKeyPair({ bits: KEY_SIZE, e: PUBLIC_EXPONENT, prng }, (error, keys) => {
+    if (error) reject(error);
+    else resolve(keys);
+  });
+});
+
+// Implements arweave's CryptoInterface
+export class ArweaveCryptoDriver {
+  async generateJWK() {
+    const { privateKey } = await generateKeyPair();
+    return {
+      kty: 'RSA',
+      e: fromBigInteger(privateKey.e),
+      n: fromBigInteger(privateKey.n),
+      d: fromBigInteger(privateKey.d),
+      p: fromBigInteger(privateKey.p),
+      q: fromBigInteger(privateKey.q),
+      dp: fromBigInteger(privateKey.dP),
+      dq: fromBigInteger(privateKey.dQ),
+      qi: fromBigInteger(privateKey.qInv)
+    };
+  }
+
+  async sign(jwk, data, { saltLength } = {}) {
+    const privateKey = forge.pki.setRsaPrivateKey(
+      toBigInteger(jwk.n), toBigInteger(jwk.e), toBigInteger(jwk.d),
+      toBigInteger(jwk.p), toBigInteger(jwk.q),
+      toBigInteger(jwk.dp), toBigInteger(jwk.dq), toBigInteger(jwk.qi)
+    );
+    return binaryToBytes(privateKey.sign(digest(data), pssScheme(saltLength ?? SALT_LENGTH)));
+  }
+
+  // Signatures in the wild use no salt, 32 bytes or (Node's default) the longest salt
+  // the key allows, so try each as arweave's WebCrypto driver does
+  async verify(publicModulus, data, signature) {
+    const publicKey = forge.pki.setRsaPublicKey(toBigInteger(publicModulus), new forge.jsbn.BigInteger(PUBLIC_EXPONENT.toString(16), 16));
+    const hash = digest(data).digest().getBytes();
+    const encoded = bytesToBinary(signature);
+    const maxSaltLength = Math.ceil((publicKey.n.bitLength() - 1) / 8) - SHA256_LENGTH - 2;
+    return [0, SALT_LENGTH, maxSaltLength].some(saltLength => {
+      try {
+        return publicKey.verify(hash, encoded, pssScheme(saltLength));
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  async hash(data, algorithm = 'SHA-256') {
+    switch (algorithm) {
+      case 'SHA-256':
+        return sha256(data);
+      case 'SHA-384':
+        return sha384(data);
+      default:
+        throw new Error(`Unsupported hash algorithm: ${algorithm}`);
+    }
+  }
+
+  // Only arweave's silo (encrypted data) uses these, and nothing here does
+  async encrypt() {
+    throw new Error('Arweave encryption is not available on this platform');
+  }
+
+  async decrypt() {
+    throw new Error('Arweave decryption is not available on this platform');
+  }
+}
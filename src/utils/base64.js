@@ -0,0 +1,22 @@
+// src/utils/base64.js
+// Byte <-> base64 conversion on top of the global btoa/atob (Hermes and browsers both
+// provide them), chunked so large payloads don't overflow the argument list.
+
+const CHUNK_SIZE = 0x8000;
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
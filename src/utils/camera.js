@@ -0,0 +1,14 @@
+// src/utils/camera.js
+// Typical phone main camera (~26mm equivalent) when EXIF has no focal length
+const DEFAULT_FOCAL_35MM = 26;
+export const FULL_FRAME_WIDTH_MM = 36;
+
+export const getFocal35mm = (exif) => {
+  if (!exif) return DEFAULT_FOCAL_35MM;
+  return exif.FocalLenIn35mmFilm || exif.FocalLengthIn35mmFilm || DEFAULT_FOCAL_35MM;
+};
+
+// Horizontal field of view in degrees along the long side of the frame
+export const getHorizontalFov = (exif) => (
+  2 * Math.atan(FULL_FRAME_WIDTH_MM / (2 * getFocal35mm(exif))) * 180 / Math.PI
+);
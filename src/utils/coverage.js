@@ -0,0 +1,174 @@
+// src/utils/coverage.js
+// Viewpoint coverage around a subject: where the operator has shot from, how much
+// neighbouring shots overlap, and which directions still need photos.
+import { wgs84ToEnu } from './geodesy';
+import { getHorizontalFov } from './camera';
+import { hasPosition } from './media';
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const ELEVATION_LABELS = ['low', 'mid', 'high'];
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+const angleDifference = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+export const toCompassPoint = (azimuth) => COMPASS_POINTS[Math.round(normalizeDegrees(azimuth) / 45) % 8];
+
+// Compass heading the camera pointed at. GPS `heading` is course over ground, which says
+// nothing about where a stationary operator is aiming, so only the magnetometer counts.
+const getCameraHeading = (gpsData) => {
+  if (typeof gpsData.cameraHeading === 'number' && gpsData.cameraHeading >= 0) return gpsData.cameraHeading;
+  return null;
+};
+
+const getElevationBand = (elevation, bands) => {
+  const index = bands.findIndex(limit => elevation < limit);
+  return index === -1 ? bands.length : index;
+};
+
+// Compass bearing of `point` as seen from `subject`
+export const getAzimuth = (point, subject) => {
+  const enu = wgs84ToEnu(point, subject);
+  return normalizeDegrees(Math.atan2(enu.east, enu.north) * 180 / Math.PI);
+};
+
+// Where each located photo was taken from, as seen from the subject
+export const computeViewpoints = (photos, subject, {
+  minSubjectDistance = 1,
+  facingTolerance = 45,
+  elevationBands = [15, 45]
+} = {}) => (
+  photos.filter(hasPosition).map(photo => {
+    const enu = wgs84ToEnu(photo.gpsData, subject);
+    const distance = Math.hypot(enu.east, enu.north);
+    const azimuth = normalizeDegrees(Math.atan2(enu.east, enu.north) * 180 / Math.PI);
+    const heading = getCameraHeading(photo.gpsData);
+    // Standing at `azimuth` from the subject, the camera must look back along azimuth + 180°
+    const facingError = heading === null ? null : angleDifference(heading, azimuth + 180);
+    const elevation = Math.atan2(enu.up, distance) * 180 / Math.PI;
+
+    return {
+      index: photo.index,
+      azimuth,
+      elevation,
+      band: getElevationBand(elevation, elevationBands),
+      distance,
+      fov: getHorizontalFov(photo.exif),
+      tooClose: distance < minSubjectDistance,
+      facingAway: facingError !== null && facingError > facingTolerance
+    };
+  })
+);
+
+// Contiguous uncovered runs on a 1° circle, widest first
+const findGaps = (covered) => {
+  if (covered.every(Boolean)) return [];
+  if (!covered.some(Boolean)) return [{ from: 0, to: 360, width: 360, centre: 0 }];
+
+  const start = covered.findIndex(Boolean); // begin inside a covered run so gaps never wrap
+  const gaps = [];
+  let gapStart = null;
+
+  for (let step = 1; step <= 360; step++) {
+    const degree = (start + step) % 360;
+    if (!covered[degree] && gapStart === null) gapStart = degree;
+    if (covered[degree] && gapStart !== null) {
+      const width = normalizeDegrees(degree - gapStart);
+      gaps.push({ from: gapStart, to: degree, width, centre: normalizeDegrees(gapStart + width / 2) });
+      gapStart = null;
+    }
+  }
+
+  return gaps.sort((a, b) => b.width - a.width);
+};
+
+// Full coverage summary for a set of photos around `subject`
+export const computeCoverage = (photos, subject, options = {}) => {
+  const {
+    azimuthSectors = 12,
+    elevationBands = [15, 45],
+    targetOverlap = 0.7,
+    minGap = 10
+  } = options;
+
+  const viewpoints = computeViewpoints(photos, subject, options);
+  const usable = viewpoints.filter(view => !view.tooClose && !view.facingAway);
+  const fov = usable.length > 0
+    ? usable.reduce((sum, view) => sum + view.fov, 0) / usable.length
+    : getHorizontalFov(null);
+
+  // Spacing between shots that keeps `targetOverlap` of the subject in common
+  const shotStep = fov * (1 - targetOverlap);
+
+  const bandCount = elevationBands.length + 1;
+  const sectorWidth = 360 / azimuthSectors;
+  const sectors = Array.from({ length: azimuthSectors }, (_, index) => ({
+    from: index * sectorWidth,
+    to: (index + 1) * sectorWidth,
+    bands: new Array(bandCount).fill(0),
+    total: 0
+  }));
+
+  const covered = new Array(360).fill(false);
+  const bandCovered = Array.from({ length: bandCount }, () => new Array(360).fill(false));
+
+  usable.forEach(view => {
+    const { band } = view;
+    const sector = sectors[Math.floor(view.azimuth / sectorWidth) % azimuthSectors];
+    sector.bands[band] += 1;
+    sector.total += 1;
+
+    for (let offset = -shotStep / 2; offset <= shotStep / 2; offset += 1) {
+      const degree = Math.floor(normalizeDegrees(view.azimuth + offset));
+      covered[degree] = true;
+      bandCovered[band][degree] = true;
+    }
+  });
+
+  // Overlap of each shot with its nearest angular neighbour, assuming it faces the subject
+  const overlaps = usable.length < 2
+    ? []
+    : usable.map((view, index) => {
+      const separation = Math.min(...usable
+        .filter((_, other) => other !== index)
+        .map(other => angleDifference(view.azimuth, other.azimuth)));
+      return Math.max(0, 1 - separation / fov);
+    });
+
+  const gaps = findGaps(covered)
+    .filter(gap => gap.width >= minGap)
+    .map(gap => ({ ...gap, direction: toCompassPoint(gap.centre) }));
+
+  const coveredFraction = covered.filter(Boolean).length / 360;
+  const bandCoverage = bandCovered.map(band => band.filter(Boolean).length / 360);
+
+  const suggestions = gaps.slice(0, 3).map(gap => (
+    `Shoot from ${gap.direction} (${Math.round(gap.from)}°–${Math.round(gap.to)}°)`
+  ));
+  if (coveredFraction > 0.5) {
+    bandCoverage.forEach((fraction, band) => {
+      if (band > 0 && fraction === 0) {
+        suggestions.push(`Add ${ELEVATION_LABELS[band] || 'higher'}-angle shots`);
+      }
+    });
+  }
+
+  return {
+    subject,
+    viewpoints,
+    usableCount: usable.length,
+    tooCloseCount: viewpoints.filter(view => view.tooClose).length,
+    facingAwayCount: viewpoints.filter(view => !view.tooClose && view.facingAway).length,
+    fov,
+    shotStep,
+    sectors,
+    coveredFraction,
+    bandCoverage,
+    gaps,
+    overlap: {
+      mean: overlaps.length > 0 ? overlaps.reduce((sum, value) => sum + value, 0) / overlaps.length : null,
+      min: overlaps.length > 0 ? Math.min(...overlaps) : null
+    },
+    suggestions
+  };
+};
@@ -0,0 +1,166 @@
+// src/utils/datasetFormats.js
+// Builders for the text inputs desktop photogrammetry pipelines expect.
+// All take plain photo records ({ fileName, gpsData, width, height, exif }).
+import { wgs84ToEnu, wgs84ToUtm, getUtmZone } from './geodesy';
+import { getFocal35mm, FULL_FRAME_WIDTH_MM } from './camera';
+
+const formatNumber = (value, digits) => Number(value || 0).toFixed(digits);
+
+// COLMAP model_aligner reference file; use with --ref_is_gps 1
+export const buildColmapGpsPriors = (photos) => photos
+  .map(photo => [
+    photo.fileName,
+    formatNumber(photo.gpsData.latitude, 9),
+    formatNumber(photo.gpsData.longitude, 9),
+    formatNumber(photo.gpsData.altitude, 4)
+  ].join(' '))
+  .join('\n') + '\n';
+
+// Same priors as local East-North-Up metres from the base; use with --ref_is_gps 0
+export const buildColmapEnuPriors = (photos, origin) => photos
+  .map(photo => {
+    const enu = wgs84ToEnu(photo.gpsData, origin);
+    return [
+      photo.fileName,
+      formatNumber(enu.east, 4),
+      formatNumber(enu.north, 4),
+      formatNumber(enu.up, 4)
+    ].join(' ');
+  })
+  .join('\n') + '\n';
+
+// OpenDroneMap geo.txt: projection header, then image_name lon lat alt
+export const buildOdmGeoTxt = (photos) => [
+  'EPSG:4326',
+  ...photos.map(photo => [
+    photo.fileName,
+    formatNumber(photo.gpsData.longitude, 9),
+    formatNumber(photo.gpsData.latitude, 9),
+    formatNumber(photo.gpsData.altitude, 4)
+  ].join(' '))
+].join('\n') + '\n';
+
+// Camera-to-world matrix in nerfstudio's OpenGL convention (x right, y up, z back).
+// Only heading is known, so cameras are assumed level.
+const buildCameraToWorld = (enu, headingDegrees) => {
+  const heading = (headingDegrees || 0) * Math.PI / 180;
+  const forward = [Math.sin(heading), Math.cos(heading), 0];
+  const right = [Math.cos(heading), -Math.sin(heading), 0];
+  const up = [0, 0, 1];
+  const back = forward.map(component => -component);
+
+  return [
+    [right[0], up[0], back[0], enu.east],
+    [right[1], up[1], back[1], enu.north],
+    [right[2], up[2], back[2], enu.up],
+    [0, 0, 0, 1]
+  ];
+};
+
+// nerfstudio transforms.json skeleton with GPS-derived positions in ENU metres
+export const buildNerfstudioTransforms = (photos, origin, imagePrefix = '../images/') => {
+  const reference = photos[0] || {};
+  const width = reference.width || 0;
+  const height = reference.height || 0;
+  const focal = getFocal35mm(reference.exif) / FULL_FRAME_WIDTH_MM * Math.max(width, height);
+
+  return {
+    camera_model: 'OPENCV',
+    w: width,
+    h: height,
+    fl_x: focal,
+    fl_y: focal,
+    cx: width / 2,
+    cy: height / 2,
+    k1: 0,
+    k2: 0,
+    p1: 0,
+    p2: 0,
+    omnisplat_origin: {
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      altitude: origin.altitude,
+      frame: 'ENU'
+    },
+    frames: photos.map(photo => ({
+      file_path: `${imagePrefix}${photo.fileName}`,
+      transform_matrix: buildCameraToWorld(
+        wgs84ToEnu(photo.gpsData, origin),
+        photo.gpsData.heading
+      )
+    }))
+  };
+};
+
+// proj4 definition ODM reads from the gcp_list.txt header
+const utmProj4 = ({ zone, hemisphere }) => (
+  `+proj=utm +zone=${zone}${hemisphere === 'south' ? ' +south' : ''} +datum=WGS84 +units=m +no_defs`
+);
+
+// Pixel the marker was aimed at; captures in GCP mode centre it in the crosshair
+const getGcpPixel = (photo) => (
+  photo.gcp.pixel || { x: (photo.width || 0) / 2, y: (photo.height || 0) / 2 }
+);
+
+// OpenDroneMap gcp_list.txt in the first GCP's UTM zone:
+// geo_x geo_y geo_z im_x im_y image_name gcp_name
+export const buildOdmGcpList = (gcps, photos) => {
+  const zone = getUtmZone(gcps[0]);
+  const byId = new Map(gcps.map(gcp => [gcp.id, gcp]));
+
+  const lines = photos
+    .filter(photo => photo.gcp && byId.has(photo.gcp.id))
+    .map(photo => {
+      const gcp = byId.get(photo.gcp.id);
+      const utm = wgs84ToUtm(gcp, zone);
+      const pixel = getGcpPixel(photo);
+      return [
+        formatNumber(utm.easting, 4),
+        formatNumber(utm.northing, 4),
+        formatNumber(gcp.altitude, 4),
+        formatNumber(pixel.x, 1),
+        formatNumber(pixel.y, 1),
+        photo.fileName,
+        gcp.name
+      ].join(' ');
+    });
+
+  return [utmProj4(zone), ...lines].join('\n') + '\n';
+};
+
+const csvText = (value) => (/[",\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : value);
+
+// One row per control point with both geographic and UTM coordinates
+export const buildGcpCsv = (gcps, photos) => {
+  const zone = getUtmZone(gcps[0]);
+  const header = [
+    'name', 'latitude', 'longitude', 'altitude', 'easting', 'northing', 'utm_zone',
+    'std_east', 'std_north', 'std_up', 'samples', 'rejected', 'fix_quality', 'images'
+  ];
+
+  const rows = gcps.map(gcp => {
+    const utm = wgs84ToUtm(gcp, zone);
+    const images = photos
+      .filter(photo => photo.gcp && photo.gcp.id === gcp.id)
+      .map(photo => photo.fileName)
+      .join(' ');
+    return [
+      csvText(gcp.name),
+      formatNumber(gcp.latitude, 9),
+      formatNumber(gcp.longitude, 9),
+      formatNumber(gcp.altitude, 4),
+      formatNumber(utm.easting, 4),
+      formatNumber(utm.northing, 4),
+      `${zone.zone}${zone.hemisphere === 'south' ? 'S' : 'N'}`,
+      formatNumber(gcp.stdEast, 4),
+      formatNumber(gcp.stdNorth, 4),
+      formatNumber(gcp.stdUp, 4),
+      gcp.sampleCount,
+      gcp.rejectedCount,
+      gcp.fixQuality,
+      csvText(images)
+    ].join(',');
+  });
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+};
@@ -0,0 +1,310 @@
+// src/utils/geodesy.js
+// WGS84 ellipsoid
+const WGS84_A = 6378137.0;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Geodetic (degrees, metres above ellipsoid) -> Earth-centred Earth-fixed metres
+export const wgs84ToEcef = ({ latitude, longitude, altitude = 0 }) => {
+  const lat = toRadians(latitude);
+  const lon = toRadians(longitude);
+  const sinLat = Math.sin(lat);
+  const primeVertical = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+
+  return {
+    x: (primeVertical + altitude) * Math.cos(lat) * Math.cos(lon),
+    y: (primeVertical + altitude) * Math.cos(lat) * Math.sin(lon),
+    z: (primeVertical * (1 - WGS84_E2) + altitude) * sinLat
+  };
+};
+
+// East-North-Up metres of `point` in the tangent plane at `origin`
+export const wgs84ToEnu = (point, origin) => {
+  const p = wgs84ToEcef(point);
+  const o = wgs84ToEcef(origin);
+  const dx = p.x - o.x;
+  const dy = p.y - o.y;
+  const dz = p.z - o.z;
+
+  const lat = toRadians(origin.latitude);
+  const lon = toRadians(origin.longitude);
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  return {
+    east: -sinLon * dx + cosLon * dy,
+    north: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+    up: cosLat * cosLon * dx + cosLat * sinLon * dy + sinLat * dz
+  };
+};
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Earth-centred Earth-fixed metres -> geodetic (Bowring's method, sub-millimetre at survey heights)
+export const ecefToWgs84 = ({ x, y, z }) => {
+  const b = WGS84_A * (1 - WGS84_F);
+  const ep2 = (WGS84_A * WGS84_A - b * b) / (b * b);
+  const p = Math.sqrt(x * x + y * y);
+  const theta = Math.atan2(z * WGS84_A, p * b);
+  const sinTheta = Math.sin(theta);
+  const cosTheta = Math.cos(theta);
+
+  const lat = Math.atan2(
+    z + ep2 * b * sinTheta * sinTheta * sinTheta,
+    p - WGS84_E2 * WGS84_A * cosTheta * cosTheta * cosTheta
+  );
+  const sinLat = Math.sin(lat);
+  const primeVertical = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinLat * sinLat);
+
+  // Near the poles p/cos(lat) is unstable; use the z form instead
+  const altitude = Math.abs(Math.cos(lat)) > 1e-10
+    ? p / Math.cos(lat) - primeVertical
+    : Math.abs(z) / Math.abs(sinLat) - primeVertical * (1 - WGS84_E2);
+
+  return {
+    latitude: toDegrees(lat),
+    longitude: toDegrees(Math.atan2(y, x)),
+    altitude
+  };
+};
+
+// Geodetic position of `enu` metres in the tangent plane at `origin`
+export const enuToWgs84 = ({ east, north, up }, origin) => {
+  const o = wgs84ToEcef(origin);
+  const lat = toRadians(origin.latitude);
+  const lon = toRadians(origin.longitude);
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  return ecefToWgs84({
+    x: o.x - sinLon * east - sinLat * cosLon * north + cosLat * cosLon * up,
+    y: o.y + cosLon * east - sinLat * sinLon * north + cosLat * sinLon * up,
+    z: o.z + cosLat * north + sinLat * up
+  });
+};
+
+// --- UTM ---------------------------------------------------------------------
+// Krüger series to third order in n (well under a millimetre inside a zone)
+
+const UTM_SCALE = 0.9996;
+const UTM_FALSE_EASTING = 500000;
+const UTM_FALSE_NORTHING_SOUTH = 10000000;
+
+const N = WGS84_F / (2 - WGS84_F);
+const RECTIFYING_RADIUS = WGS84_A / (1 + N) * (1 + N * N / 4 + N ** 4 / 64);
+const ALPHA = [
+  N / 2 - 2 * N * N / 3 + 5 * N ** 3 / 16,
+  13 * N * N / 48 - 3 * N ** 3 / 5,
+  61 * N ** 3 / 240
+];
+const BETA = [
+  N / 2 - 2 * N * N / 3 + 37 * N ** 3 / 96,
+  N * N / 48 + N ** 3 / 15,
+  17 * N ** 3 / 480
+];
+const DELTA = [
+  2 * N - 2 * N * N / 3 - 2 * N ** 3,
+  7 * N * N / 3 - 8 * N ** 3 / 5,
+  56 * N ** 3 / 15
+];
+
+// Standard zone, including the Norway and Svalbard exceptions
+export const getUtmZone = ({ latitude, longitude }) => {
+  const normalized = ((longitude + 180) % 360 + 360) % 360 - 180;
+  let zone = Math.floor((normalized + 180) / 6) + 1;
+  if (zone > 60) zone = 60;
+
+  if (latitude >= 56 && latitude < 64 && normalized >= 3 && normalized < 12) {
+    zone = 32;
+  }
+  if (latitude >= 72 && latitude < 84) {
+    if (normalized >= 0 && normalized < 9) zone = 31;
+    else if (normalized >= 9 && normalized < 21) zone = 33;
+    else if (normalized >= 21 && normalized < 33) zone = 35;
+    else if (normalized >= 33 && normalized < 42) zone = 37;
+  }
+
+  return { zone, hemisphere: latitude >= 0 ? 'north' : 'south' };
+};
+
+const centralMeridian = (zone) => toRadians((zone - 1) * 6 - 180 + 3);
+
+// Geodetic -> UTM easting/northing in metres. Zone is picked from the point unless
+// given, so a whole survey can be projected into the base station's zone.
+export const wgs84ToUtm = (point, { zone, hemisphere } = getUtmZone(point)) => {
+  if (point.latitude < -80 || point.latitude > 84) {
+    throw new Error('UTM is undefined beyond 80°S / 84°N');
+  }
+
+  const lat = toRadians(point.latitude);
+  const dLon = toRadians(point.longitude) - centralMeridian(zone);
+  const eccentricityTerm = 2 * Math.sqrt(N) / (1 + N);
+  const t = Math.sinh(
+    Math.atanh(Math.sin(lat)) - eccentricityTerm * Math.atanh(eccentricityTerm * Math.sin(lat))
+  );
+  const xiPrime = Math.atan2(t, Math.cos(dLon));
+  const etaPrime = Math.atanh(Math.sin(dLon) / Math.sqrt(1 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  ALPHA.forEach((alpha, index) => {
+    const j = 2 * (index + 1);
+    xi += alpha * Math.sin(j * xiPrime) * Math.cosh(j * etaPrime);
+    eta += alpha * Math.cos(j * xiPrime) * Math.sinh(j * etaPrime);
+  });
+
+  const falseNorthing = hemisphere === 'south' ? UTM_FALSE_NORTHING_SOUTH : 0;
+  return {
+    easting: UTM_FALSE_EASTING + UTM_SCALE * RECTIFYING_RADIUS * eta,
+    northing: falseNorthing + UTM_SCALE * RECTIFYING_RADIUS * xi,
+    altitude: point.altitude ?? 0,
+    zone,
+    hemisphere
+  };
+};
+
+// UTM easting/northing in metres -> geodetic
+export const utmToWgs84 = ({ easting, northing, zone, hemisphere, altitude = 0 }) => {
+  const falseNorthing = hemisphere === 'south' ? UTM_FALSE_NORTHING_SOUTH : 0;
+  const xi = (northing - falseNorthing) / (UTM_SCALE * RECTIFYING_RADIUS);
+  const eta = (easting - UTM_FALSE_EASTING) / (UTM_SCALE * RECTIFYING_RADIUS);
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  BETA.forEach((beta, index) => {
+    const j = 2 * (index + 1);
+    xiPrime -= beta * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaPrime -= beta * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  let lat = chi;
+  DELTA.forEach((delta, index) => {
+    lat += delta * Math.sin(2 * (index + 1) * chi);
+  });
+
+  return {
+    latitude: toDegrees(lat),
+    longitude: toDegrees(centralMeridian(zone) + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))),
+    altitude
+  };
+};
+
+// --- Coordinate reference systems --------------------------------------------
+// Descriptors attached to exports and job payloads so consumers never have to guess.
+
+export const VERTICAL_DATUMS = {
+  ELLIPSOID: 'WGS84 ellipsoid',
+  MEAN_SEA_LEVEL: 'mean sea level'
+};
+
+export const WGS84_GEOGRAPHIC = {
+  name: 'WGS 84',
+  type: 'geographic',
+  epsg: 4326,
+  units: 'degrees',
+  axisOrder: 'latitude,longitude'
+};
+
+export const WGS84_GEOCENTRIC = {
+  name: 'WGS 84 (geocentric)',
+  type: 'geocentric',
+  epsg: 4978,
+  units: 'metres'
+};
+
+export const utmCrs = ({ zone, hemisphere }) => ({
+  name: `WGS 84 / UTM zone ${zone}${hemisphere === 'south' ? 'S' : 'N'}`,
+  type: 'projected',
+  epsg: (hemisphere === 'south' ? 32700 : 32600) + zone,
+  units: 'metres',
+  zone,
+  hemisphere
+});
+
+export const enuFrame = (origin) => ({
+  name: 'Local East-North-Up',
+  type: 'local_enu',
+  units: 'metres',
+  axes: ['east', 'north', 'up'],
+  origin: {
+    latitude: origin.latitude,
+    longitude: origin.longitude,
+    altitude: origin.altitude || 0
+  }
+});
+
+// Every frame a session's coordinates are expressed in, anchored at `origin`
+export const describeCoordinateSystems = (origin, verticalDatum = VERTICAL_DATUMS.ELLIPSOID) => ({
+  geographic: WGS84_GEOGRAPHIC,
+  verticalDatum,
+  local: origin ? enuFrame(origin) : null,
+  projected: origin ? utmCrs(getUtmZone(origin)) : null
+});
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash cell containing a point; each extra character narrows the cell ~32x
+// (precision 5 is ~5 km, 6 is ~1.2 km x 0.6 km)
+export const encodeGeohash = ({ latitude, longitude }, precision = 6) => {
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lon : lat;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Latitude/longitude bounds of a geohash cell
+export const decodeGeohashBounds = (hash) => {
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let evenBit = true;
+
+  for (const character of hash) {
+    const value = GEOHASH_ALPHABET.indexOf(character);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character "${character}"`);
+    }
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return { south: lat[0], north: lat[1], west: lon[0], east: lon[1] };
+};
@@ -0,0 +1,214 @@
+// src/utils/georegistration.js
+// Fits the similarity transform (scale, rotation, translation) that carries a
+// reconstruction's arbitrary frame onto the session's East-North-Up metres, from
+// reconstructed camera centres paired with the photos' GPS positions. Outliers
+// (bad fixes, mis-registered images) are rejected with RANSAC before a final
+// least-squares fit on the inliers.
+import { wgs84ToEnu } from './geodesy';
+import { getFileName } from './media';
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+const MIN_SAMPLE_AREA = 1e-6; // relative; rejects near-collinear triples
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const centroid = (points) => [0, 1, 2].map(axis => (
+  points.reduce((sum, point) => sum + point[axis], 0) / points.length
+));
+
+export const applySimilarity = ({ scale, rotation, translation }, point) => [0, 1, 2].map(axis => (
+  scale * (rotation[axis * 3] * point[0] + rotation[axis * 3 + 1] * point[1] + rotation[axis * 3 + 2] * point[2])
+    + translation[axis]
+));
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (cyclic Jacobi)
+const dominantEigenvector = (input) => {
+  const a = input.map(row => [...row]);
+  const v = [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-20) break;
+
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const best = [0, 1, 2, 3].reduce((top, i) => (a[i][i] > a[top][top] ? i : top), 0);
+  return [0, 1, 2, 3].map(k => v[k][best]);
+};
+
+const quaternionToRotation = ([w, x, y, z]) => [
+  1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+  2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+  2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+];
+
+// Least-squares similarity taking `source` points onto `target` (Horn's closed form
+// with unit quaternions). Needs at least three non-collinear pairs.
+export const solveSimilarity = (source, target) => {
+  if (source.length < 3 || source.length !== target.length) {
+    throw new Error('At least three point pairs are needed to solve a similarity');
+  }
+
+  const sourceCentre = centroid(source);
+  const targetCentre = centroid(target);
+  const s = source.map(point => subtract(point, sourceCentre));
+  const t = target.map(point => subtract(point, targetCentre));
+
+  // Cross-covariance M[i][j] = sum of s_i * t_j
+  const m = [0, 1, 2].map(i => [0, 1, 2].map(j => s.reduce((sum, point, k) => sum + point[i] * t[k][j], 0)));
+  const [[sxx, sxy, sxz], [syx, syy, syz], [szx, szy, szz]] = m;
+  const q = dominantEigenvector([
+    [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+    [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+    [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+    [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+  ]);
+  const rotation = quaternionToRotation(q);
+
+  const spread = s.reduce((sum, point) => sum + dot(point, point), 0);
+  if (spread === 0) {
+    throw new Error('Reconstructed cameras are all at one point');
+  }
+  const rotated = s.map(point => applySimilarity({ scale: 1, rotation, translation: [0, 0, 0] }, point));
+  const scale = rotated.reduce((sum, point, k) => sum + dot(point, t[k]), 0) / spread;
+  if (!(scale > 0)) {
+    throw new Error('Reconstructed cameras do not match the capture positions');
+  }
+
+  const moved = applySimilarity({ scale, rotation, translation: [0, 0, 0] }, sourceCentre);
+  return { scale, rotation, translation: subtract(targetCentre, moved) };
+};
+
+const residualsFor = (transform, source, target) => source.map((point, k) => {
+  const predicted = applySimilarity(transform, point);
+  return Math.hypot(...subtract(predicted, target[k]));
+});
+
+// Small deterministic PRNG so the same session always registers the same way
+const createRandom = (seed) => {
+  let state = seed >>> 0 || 1;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+};
+
+// RANSAC over three-point samples: the model with the most pairs within
+// `threshold` metres (ties broken by summed residual) seeds an iterated
+// least-squares refit on its inliers. Returns the transform, per-pair residuals,
+// inlier flags and the inlier RMS in metres.
+export const estimateSimilarity = (source, target, { threshold = 3, iterations = 200, seed = 1 } = {}) => {
+  if (source.length < 3) {
+    throw new Error(`At least 3 matched cameras are needed (got ${source.length})`);
+  }
+
+  const random = createRandom(seed);
+  const extent = Math.max(...target.map(point => Math.hypot(...subtract(point, target[0]))), 1);
+  const score = (transform) => {
+    const residuals = residualsFor(transform, source, target);
+    const inliers = residuals.filter(residual => residual <= threshold);
+    return { inliers: inliers.length, cost: inliers.reduce((sum, residual) => sum + residual, 0) };
+  };
+
+  let best = { transform: { scale: 1, rotation: IDENTITY, translation: [0, 0, 0] }, inliers: -1, cost: Infinity };
+  const trials = source.length === 3 ? 1 : iterations;
+  for (let trial = 0; trial < trials; trial++) {
+    const picked = new Set();
+    while (picked.size < 3) picked.add(Math.floor(random() * source.length));
+    const indices = [...picked];
+    const [a, b, c] = indices.map(i => target[i]);
+    if (Math.hypot(...cross(subtract(b, a), subtract(c, a))) < MIN_SAMPLE_AREA * extent * extent) continue;
+
+    try {
+      const transform = solveSimilarity(indices.map(i => source[i]), indices.map(i => target[i]));
+      const { inliers, cost } = score(transform);
+      if (inliers > best.inliers || (inliers === best.inliers && cost < best.cost)) {
+        best = { transform, inliers, cost };
+      }
+    } catch (error) {
+      // Degenerate sample; try another
+    }
+  }
+  if (best.inliers < 3) {
+    throw new Error('Too few cameras agree with the capture positions to register the model');
+  }
+
+  let { transform } = best;
+  let inliers = residualsFor(transform, source, target).map(residual => residual <= threshold);
+  for (let round = 0; round < 5; round++) {
+    const keep = source.map((_, k) => k).filter(k => inliers[k]);
+    let refined;
+    try {
+      refined = solveSimilarity(keep.map(k => source[k]), keep.map(k => target[k]));
+    } catch (error) {
+      break;
+    }
+    const next = residualsFor(refined, source, target).map(residual => residual <= threshold);
+    if (next.filter(Boolean).length < 3) break;
+    transform = refined;
+    const settled = next.every((flag, k) => flag === inliers[k]);
+    inliers = next;
+    if (settled) break;
+  }
+
+  const residuals = residualsFor(transform, source, target);
+  const kept = residuals.filter((_, k) => inliers[k]);
+  const rmsError = Math.sqrt(kept.reduce((sum, residual) => sum + residual * residual, 0) / kept.length);
+  return { transform, residuals, inliers, inlierCount: kept.length, rmsError };
+};
+
+// Pair reconstructed cameras (from listJobCameras) with the session's geotagged
+// photos, by file name first and capture index otherwise.
+// Returns [{ photo, name, source, target }] with targets in ENU metres about `origin`.
+export const matchCameras = (cameras, photos, origin) => {
+  const byName = new Map(photos.map(photo => [getFileName(photo.uri), photo]));
+  const byIndex = new Map(photos.map((photo, position) => [photo.index ?? position, photo]));
+
+  return cameras
+    .map(camera => {
+      const photo = (camera.name && byName.get(getFileName(camera.name)))
+        || (Number.isInteger(camera.index) ? byIndex.get(camera.index) : null);
+      return { camera, photo };
+    })
+    .filter(({ photo }) => photo && photo.gpsData && Number.isFinite(photo.gpsData.latitude))
+    .map(({ camera, photo }) => {
+      const enu = wgs84ToEnu(photo.gpsData, origin);
+      return {
+        photo,
+        name: getFileName(photo.uri),
+        source: camera.position,
+        target: [enu.east, enu.north, enu.up]
+      };
+    });
+};
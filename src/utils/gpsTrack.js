@@ -0,0 +1,162 @@
+// src/utils/gpsTrack.js
+// Timestamped GNSS tracks recorded alongside video.
+// A track is { startTime, endTime, points: [{ offset, timestamp, latitude, longitude, ... }] }
+// where `offset` is milliseconds since recording started, i.e. the video timestamp.
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Interpolate compass headings the short way round (350° -> 10° passes through 0°)
+const lerpHeading = (a, b, t) => {
+  const delta = ((b - a + 540) % 360) - 180;
+  return (a + delta * t + 360) % 360;
+};
+
+const optionalLerp = (a, b, t) => {
+  if (a == null) return b ?? null;
+  if (b == null) return a;
+  return lerp(a, b, t);
+};
+
+// Convert an expo-location fix into a track point relative to the recording start
+export const toTrackPoint = (location, startTime) => ({
+  offset: location.timestamp - startTime,
+  timestamp: location.timestamp,
+  latitude: location.coords.latitude,
+  longitude: location.coords.longitude,
+  altitude: location.coords.altitude ?? null,
+  accuracy: location.coords.accuracy ?? null,
+  altitudeAccuracy: location.coords.altitudeAccuracy ?? null,
+  heading: location.coords.heading != null && location.coords.heading >= 0
+    ? location.coords.heading
+    : null,
+  speed: location.coords.speed ?? null
+});
+
+// Index of the last point at or before `offset` (binary search; points are time-ordered)
+const findSegmentStart = (points, offset) => {
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (points[mid].offset <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+// Position and heading at `offset` ms into the video. Outside the track the nearest
+// sample is returned; `gap` is the spacing of the samples used, to judge reliability.
+export const interpolateTrack = (track, offset) => {
+  const { points } = track;
+  if (!points || points.length === 0) return null;
+
+  if (offset <= points[0].offset || points.length === 1) {
+    return { ...points[0], offset, interpolated: false, gap: 0 };
+  }
+  const last = points[points.length - 1];
+  if (offset >= last.offset) {
+    return { ...last, offset, interpolated: false, gap: 0 };
+  }
+
+  const index = findSegmentStart(points, offset);
+  const before = points[index];
+  const after = points[index + 1];
+  const span = after.offset - before.offset;
+  const t = span > 0 ? (offset - before.offset) / span : 0;
+
+  let heading = null;
+  if (before.heading != null && after.heading != null) {
+    heading = lerpHeading(before.heading, after.heading, t);
+  } else {
+    heading = before.heading ?? after.heading ?? null;
+  }
+
+  return {
+    offset,
+    timestamp: Math.round(lerp(before.timestamp, after.timestamp, t)),
+    latitude: lerp(before.latitude, after.latitude, t),
+    longitude: lerp(before.longitude, after.longitude, t),
+    altitude: optionalLerp(before.altitude, after.altitude, t),
+    // Never report better accuracy than the worse of the two samples
+    accuracy: before.accuracy != null && after.accuracy != null
+      ? Math.max(before.accuracy, after.accuracy)
+      : before.accuracy ?? after.accuracy ?? null,
+    heading,
+    speed: optionalLerp(before.speed, after.speed, t),
+    interpolated: true,
+    gap: span
+  };
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// GPX 1.1 track. GPX 1.1 dropped course/speed and hdop is unitless, so heading,
+// speed and accuracy in metres go in an omniSplat extension.
+export const buildGpx = (track, name = 'omniSplat track') => {
+  const points = track.points.map(point => {
+    const extensions = [
+      point.accuracy != null && `<omnisplat:accuracy>${point.accuracy.toFixed(2)}</omnisplat:accuracy>`,
+      point.heading != null && `<omnisplat:course>${point.heading.toFixed(2)}</omnisplat:course>`,
+      point.speed != null && `<omnisplat:speed>${point.speed.toFixed(3)}</omnisplat:speed>`
+    ].filter(Boolean);
+
+    const lines = [
+      `      <trkpt lat="${point.latitude.toFixed(9)}" lon="${point.longitude.toFixed(9)}">`
+    ];
+    if (point.altitude != null) lines.push(`        <ele>${point.altitude.toFixed(3)}</ele>`);
+    lines.push(`        <time>${new Date(point.timestamp).toISOString()}</time>`);
+    if (extensions.length > 0) {
+      lines.push(`        <extensions>${extensions.join('')}</extensions>`);
+    }
+    lines.push('      </trkpt>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="omniSplat" xmlns="http://www.topografix.com/GPX/1/1"',
+    '     xmlns:omnisplat="https://omnisplat.app/xmlschemas/track/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${new Date(track.startTime).toISOString()}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+const CSV_COLUMNS = [
+  'video_time_ms', 'timestamp', 'latitude', 'longitude', 'altitude',
+  'accuracy', 'altitude_accuracy', 'heading', 'speed'
+];
+
+const csvValue = (value, digits) => (value == null ? '' : Number(value).toFixed(digits));
+
+// One row per sample; video_time_ms lines up with the video's own timeline
+export const buildTrackCsv = (track) => [
+  CSV_COLUMNS.join(','),
+  ...track.points.map(point => [
+    point.offset,
+    new Date(point.timestamp).toISOString(),
+    csvValue(point.latitude, 9),
+    csvValue(point.longitude, 9),
+    csvValue(point.altitude, 3),
+    csvValue(point.accuracy, 2),
+    csvValue(point.altitudeAccuracy, 2),
+    csvValue(point.heading, 2),
+    csvValue(point.speed, 3)
+  ].join(','))
+].join('\n') + '\n';
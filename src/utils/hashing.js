@@ -0,0 +1,63 @@
+// src/utils/hashing.js
+import { Platform } from 'react-native';
+import { File } from 'expo-file-system';
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+
+const READ_CHUNK_SIZE = 1024 * 1024; // bytes
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export const hashBytes = (bytes) => ({ sha256: bytesToHex(sha256(bytes)), size: bytes.length });
+
+// Hash generated text exactly as it is written to disk (UTF-8)
+export const hashText = (text) => hashBytes(utf8ToBytes(text));
+
+// Browser files are blob: or data: URLs that expo-file-system cannot open
+const hashBlobUrl = async (uri, onProgress) => {
+  const blob = await (await fetch(uri)).blob();
+  const hash = sha256.create();
+  let processedBytes = 0;
+
+  while (processedBytes < blob.size) {
+    const chunk = new Uint8Array(await blob.slice(processedBytes, processedBytes + READ_CHUNK_SIZE).arrayBuffer());
+    if (chunk.length === 0) break;
+    hash.update(chunk);
+    processedBytes += chunk.length;
+    onProgress({ processedBytes, totalBytes: blob.size });
+  }
+
+  return { sha256: bytesToHex(hash.digest()), size: processedBytes };
+};
+
+// Hash a file in chunks so multi-gigabyte videos never sit in memory whole
+export const hashFile = async (uri, { onProgress = () => {} } = {}) => {
+  if (Platform.OS === 'web') {
+    return hashBlobUrl(uri, onProgress);
+  }
+
+  const file = new File(uri);
+  if (!file.exists) {
+    throw new Error(`File not found: ${uri}`);
+  }
+
+  const hash = sha256.create();
+  const size = file.size;
+  const reader = file.open();
+  let processedBytes = 0;
+
+  try {
+    while (processedBytes < size) {
+      const chunk = reader.readBytes(Math.min(READ_CHUNK_SIZE, size - processedBytes));
+      if (chunk.length === 0) break;
+      hash.update(chunk);
+      processedBytes += chunk.length;
+      onProgress({ processedBytes, totalBytes: size });
+      await yieldToUI();
+    }
+  } finally {
+    reader.close();
+  }
+
+  return { sha256: bytesToHex(hash.digest()), size: processedBytes };
+};
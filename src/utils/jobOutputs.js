@@ -0,0 +1,85 @@
+// src/utils/jobOutputs.js
+// Normalises whatever a reconstruction job returned into one flat list of files, one
+// per method and format, plus a list of what was requested but never came back.
+import { getFileExtension } from './media';
+
+export const RECONSTRUCTION_METHODS = {
+  GAUSSIAN_SPLATTING: 'gaussian_splatting',
+  CONVEX_SPLATTING: 'convex_splatting'
+};
+
+export const METHOD_LABELS = {
+  [RECONSTRUCTION_METHODS.GAUSSIAN_SPLATTING]: 'Gaussian',
+  [RECONSTRUCTION_METHODS.CONVEX_SPLATTING]: 'Convex'
+};
+
+export const OUTPUT_STATUS = {
+  PENDING: 'pending',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed'
+};
+
+// "sha256:AB12..." and "ab12..." name the same digest
+export const normalizeHash = (hash) => (
+  typeof hash === 'string' ? hash.replace(/^sha-?256:/i, '').toLowerCase() : null
+);
+
+// `outputs` is the backend's { method: entry } map. An entry is either one file or
+// { formats: { ply: file, splat: file }, ...shared }; `readFile(file, shared)` maps a
+// backend's field names to { url, hash, size, pointCount }.
+export const listJobOutputs = (outputs, { methods = Object.values(RECONSTRUCTION_METHODS), formats = [], readFile }) => {
+  const files = [];
+  const missing = [];
+  const source = outputs || {};
+
+  Object.entries(source).forEach(([method, entry]) => {
+    if (!entry) return;
+
+    const byFormat = entry.formats
+      ? Object.entries(entry.formats).filter(([, file]) => file)
+      : [[null, entry]];
+
+    byFormat.forEach(([format, file]) => {
+      const read = readFile(file, entry);
+      if (!read.url) return;
+      files.push({
+        method,
+        label: METHOD_LABELS[method] || method,
+        format: (format || file.format || getFileExtension(read.url)).toLowerCase(),
+        url: read.url,
+        hash: normalizeHash(read.hash),
+        size: read.size || null,
+        pointCount: read.pointCount || null,
+        status: OUTPUT_STATUS.PENDING
+      });
+    });
+  });
+
+  // Report every requested method/format pair that did not come back
+  methods.forEach(method => {
+    const produced = files.filter(file => file.method === method);
+    if (produced.length === 0) {
+      missing.push({ method, label: METHOD_LABELS[method] || method, format: null, reason: 'Not produced by the job' });
+      return;
+    }
+    formats
+      .filter(format => !produced.some(file => file.format === format))
+      .forEach(format => missing.push({
+        method,
+        label: METHOD_LABELS[method] || method,
+        format,
+        reason: 'Format not returned'
+      }));
+  });
+
+  return { outputs: files, missing };
+};
+
+// Reconstructed camera centres as [{ name, index, position: [x, y, z] }] in the model's
+// own frame; `readCamera` maps a backend's fields. Cameras the job failed to place
+// (no finite position) are dropped.
+export const listJobCameras = (cameras, readCamera) => (cameras || [])
+  .map(readCamera)
+  .filter(camera => (
+    camera && Array.isArray(camera.position) && camera.position.length === 3 && camera.position.every(Number.isFinite)
+  ));
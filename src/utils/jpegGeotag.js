@@ -0,0 +1,487 @@
+// src/utils/jpegGeotag.js
+// Writes GNSS position and accuracy into a JPEG's EXIF GPS IFD and XMP packet.
+// Existing camera EXIF never moves, so no offset into it (MakerNote, thumbnail)
+// breaks: the GPS IFD is rewritten where it stands, or appended to the TIFF block.
+
+import { FIX_QUALITY } from './nmea';
+
+const MARKER_SOI = 0xD8;
+const MARKER_EOI = 0xD9;
+const MARKER_SOS = 0xDA;
+const MARKER_APP0 = 0xE0;
+const MARKER_APP1 = 0xE1;
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+const TAG_GPS_INFO = 0x8825;
+
+const TYPES = { BYTE: 1, ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5 };
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const GPS_TAGS = {
+  VERSION_ID: 0x0000,
+  LATITUDE_REF: 0x0001,
+  LATITUDE: 0x0002,
+  LONGITUDE_REF: 0x0003,
+  LONGITUDE: 0x0004,
+  ALTITUDE_REF: 0x0005,
+  ALTITUDE: 0x0006,
+  TIME_STAMP: 0x0007,
+  IMG_DIRECTION_REF: 0x0010,
+  IMG_DIRECTION: 0x0011,
+  MAP_DATUM: 0x0012,
+  DATE_STAMP: 0x001D,
+  DIFFERENTIAL: 0x001E,
+  H_POSITIONING_ERROR: 0x001F
+};
+
+// DJI RtkFlag values read by ODM and most desktop pipelines
+const DJI_RTK_FLAGS = {
+  SINGLE: 16,
+  FLOAT: 34,
+  FIXED: 50
+};
+
+const DIFFERENTIAL_QUALITIES = [FIX_QUALITY.DGPS, FIX_QUALITY.RTK_FLOAT, FIX_QUALITY.RTK_FIXED];
+
+// Older records only carry isRTK
+const getFixQuality = (gps) => gps.fixQuality || (gps.isRTK ? FIX_QUALITY.RTK_FIXED : FIX_QUALITY.AUTONOMOUS);
+
+const getRtkFlag = (gps) => {
+  switch (getFixQuality(gps)) {
+    case FIX_QUALITY.RTK_FIXED:
+      return DJI_RTK_FLAGS.FIXED;
+    case FIX_QUALITY.RTK_FLOAT:
+      return DJI_RTK_FLAGS.FLOAT;
+    default:
+      return DJI_RTK_FLAGS.SINGLE;
+  }
+};
+
+const asciiBytes = (text) => Uint8Array.from(text, character => character.charCodeAt(0) & 0xFF);
+
+const concatBytes = (parts) => {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const output = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+};
+
+const startsWithAscii = (bytes, offset, text) => {
+  if (offset + text.length > bytes.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+const indexOfAscii = (bytes, text, from = 0) => {
+  for (let i = from; i <= bytes.length - text.length; i++) {
+    if (startsWithAscii(bytes, i, text)) return i;
+  }
+  return -1;
+};
+
+// Split a JPEG into marker segments up to the start of scan
+export const parseJpegSegments = (bytes) => {
+  if (bytes[0] !== 0xFF || bytes[1] !== MARKER_SOI) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const segments = [];
+  let offset = 2;
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      throw new Error(`Corrupt JPEG marker at byte ${offset}`);
+    }
+
+    const marker = bytes[offset + 1];
+    if (marker === 0xFF) {
+      offset += 1; // fill byte
+      continue;
+    }
+
+    // Everything from SOS on is entropy-coded image data we never touch
+    if (marker === MARKER_SOS || marker === MARKER_EOI) {
+      segments.push({ marker, start: offset, end: bytes.length });
+      break;
+    }
+
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    segments.push({ marker, start: offset, end: offset + 2 + length, payloadStart: offset + 4 });
+    offset += 2 + length;
+  }
+
+  return segments;
+};
+
+const isExifSegment = (bytes, segment) => (
+  segment.marker === MARKER_APP1 && startsWithAscii(bytes, segment.payloadStart, EXIF_HEADER)
+);
+
+const isXmpSegment = (bytes, segment) => (
+  segment.marker === MARKER_APP1 && startsWithAscii(bytes, segment.payloadStart, XMP_HEADER)
+);
+
+const buildSegment = (marker, payload) => {
+  if (payload.length > MAX_SEGMENT_PAYLOAD) {
+    throw new Error('Metadata segment too large for JPEG APP1');
+  }
+  const length = payload.length + 2;
+  return concatBytes([
+    Uint8Array.of(0xFF, marker, length >> 8, length & 0xFF),
+    payload
+  ]);
+};
+
+// --- TIFF / EXIF -------------------------------------------------------------
+
+const createWriter = (littleEndian) => ({
+  u16: (value) => {
+    const out = new Uint8Array(2);
+    new DataView(out.buffer).setUint16(0, value, littleEndian);
+    return out;
+  },
+  u32: (value) => {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value, littleEndian);
+    return out;
+  }
+});
+
+const encodeValues = (type, values, writer) => {
+  switch (type) {
+    case TYPES.BYTE:
+      return Uint8Array.from(values);
+    case TYPES.ASCII:
+      return asciiBytes(`${values}\0`);
+    case TYPES.SHORT:
+      return concatBytes(values.map(value => writer.u16(value)));
+    case TYPES.LONG:
+      return concatBytes(values.map(value => writer.u32(value)));
+    case TYPES.RATIONAL:
+      return concatBytes(values.map(([numerator, denominator]) => concatBytes([
+        writer.u32(numerator),
+        writer.u32(denominator)
+      ])));
+    default:
+      throw new Error(`Unsupported TIFF type ${type}`);
+  }
+};
+
+// Lay out an IFD at absolute TIFF offset `base`: entries, next pointer, then values
+const buildIfd = (entries, base, writer, nextIfdOffset = 0) => {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  const headerSize = 2 + sorted.length * 12 + 4;
+  const entryBytes = [];
+  const valueBytes = [];
+  let valueOffset = base + headerSize;
+
+  sorted.forEach(entry => {
+    if (entry.raw) {
+      entryBytes.push(entry.raw);
+      return;
+    }
+
+    const data = encodeValues(entry.type, entry.values, writer);
+    const count = entry.type === TYPES.ASCII || entry.type === TYPES.BYTE
+      ? data.length
+      : data.length / TYPE_SIZES[entry.type];
+    const header = concatBytes([writer.u16(entry.tag), writer.u16(entry.type), writer.u32(count)]);
+
+    if (data.length <= 4) {
+      const inline = new Uint8Array(4);
+      inline.set(data);
+      entryBytes.push(concatBytes([header, inline]));
+    } else {
+      entryBytes.push(concatBytes([header, writer.u32(valueOffset)]));
+      const padded = data.length % 2 === 0 ? data : concatBytes([data, Uint8Array.of(0)]);
+      valueBytes.push(padded);
+      valueOffset += padded.length;
+    }
+  });
+
+  return concatBytes([
+    writer.u16(sorted.length),
+    ...entryBytes,
+    writer.u32(nextIfdOffset),
+    ...valueBytes
+  ]);
+};
+
+const toRational = (value, denominator) => [Math.round(Math.abs(value) * denominator), denominator];
+
+const toDmsRationals = (degrees) => {
+  const absolute = Math.abs(degrees);
+  const wholeDegrees = Math.floor(absolute);
+  const minutesFloat = (absolute - wholeDegrees) * 60;
+  const wholeMinutes = Math.floor(minutesFloat);
+  const seconds = (minutesFloat - wholeMinutes) * 60;
+  return [[wholeDegrees, 1], [wholeMinutes, 1], toRational(seconds, 1000000)];
+};
+
+// EXIF 2.31 GPS IFD entries for a fix
+export const buildGpsEntries = (gps) => {
+  const time = new Date(gps.timestamp || Date.now());
+  const entries = [
+    { tag: GPS_TAGS.VERSION_ID, type: TYPES.BYTE, values: [2, 3, 0, 0] },
+    { tag: GPS_TAGS.LATITUDE_REF, type: TYPES.ASCII, values: gps.latitude >= 0 ? 'N' : 'S' },
+    { tag: GPS_TAGS.LATITUDE, type: TYPES.RATIONAL, values: toDmsRationals(gps.latitude) },
+    { tag: GPS_TAGS.LONGITUDE_REF, type: TYPES.ASCII, values: gps.longitude >= 0 ? 'E' : 'W' },
+    { tag: GPS_TAGS.LONGITUDE, type: TYPES.RATIONAL, values: toDmsRationals(gps.longitude) },
+    { tag: GPS_TAGS.ALTITUDE_REF, type: TYPES.BYTE, values: [(gps.altitude || 0) < 0 ? 1 : 0] },
+    { tag: GPS_TAGS.ALTITUDE, type: TYPES.RATIONAL, values: [toRational(gps.altitude || 0, 1000)] },
+    {
+      tag: GPS_TAGS.TIME_STAMP,
+      type: TYPES.RATIONAL,
+      values: [
+        [time.getUTCHours(), 1],
+        [time.getUTCMinutes(), 1],
+        toRational(time.getUTCSeconds() + time.getUTCMilliseconds() / 1000, 1000)
+      ]
+    },
+    { tag: GPS_TAGS.MAP_DATUM, type: TYPES.ASCII, values: 'WGS-84' },
+    {
+      tag: GPS_TAGS.DATE_STAMP,
+      type: TYPES.ASCII,
+      values: `${time.getUTCFullYear()}:${String(time.getUTCMonth() + 1).padStart(2, '0')}:${String(time.getUTCDate()).padStart(2, '0')}`
+    },
+    { tag: GPS_TAGS.DIFFERENTIAL, type: TYPES.SHORT, values: [DIFFERENTIAL_QUALITIES.includes(getFixQuality(gps)) ? 1 : 0] }
+  ];
+
+  if (typeof gps.heading === 'number' && gps.heading >= 0) {
+    entries.push(
+      { tag: GPS_TAGS.IMG_DIRECTION_REF, type: TYPES.ASCII, values: 'T' },
+      { tag: GPS_TAGS.IMG_DIRECTION, type: TYPES.RATIONAL, values: [toRational(gps.heading % 360, 100)] }
+    );
+  }
+
+  if (typeof gps.accuracy === 'number') {
+    entries.push({
+      tag: GPS_TAGS.H_POSITIONING_ERROR,
+      type: TYPES.RATIONAL,
+      values: [toRational(gps.accuracy, 1000)]
+    });
+  }
+
+  return entries;
+};
+
+// Minimal little-endian TIFF with an empty IFD0, for JPEGs without EXIF
+const createEmptyTiff = () => Uint8Array.of(
+  0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+  0x00, 0x00,
+  0x00, 0x00, 0x00, 0x00
+);
+
+// Size of the IFD at `offset` with its out-of-line values, when they form one block
+// after it as writers lay them out (at most a pad byte between values); null otherwise
+const getIfdExtent = (view, offset, littleEndian) => {
+  if (offset + 2 > view.byteLength) return null;
+  const entryCount = view.getUint16(offset, littleEndian);
+  let end = offset + 2 + entryCount * 12 + 4;
+  if (end > view.byteLength) return null;
+
+  const values = [];
+  for (let i = 0; i < entryCount; i++) {
+    const entry = offset + 2 + i * 12;
+    const size = TYPE_SIZES[view.getUint16(entry + 2, littleEndian)];
+    if (!size) return null;
+    const length = size * view.getUint32(entry + 4, littleEndian);
+    if (length > 4) values.push({ start: view.getUint32(entry + 8, littleEndian), length });
+  }
+
+  values.sort((a, b) => a.start - b.start);
+  for (const { start, length } of values) {
+    if (start < end || start > end + 1) return null;
+    end = start + length;
+  }
+  return end > view.byteLength ? null : end - offset;
+};
+
+const appendAligned = (tiff, ...parts) => concatBytes([
+  tiff,
+  tiff.length % 2 === 0 ? new Uint8Array(0) : Uint8Array.of(0),
+  ...parts
+]);
+
+// Point IFD0 at a GPS IFD for `gps`, reusing the space of one already there: a GPS
+// IFD at the end of the block (as an earlier geotag leaves it) is replaced, one inside
+// is overwritten when the new one fits, and otherwise a new one is appended and
+// IFD0's pointer moved to it. Re-tagging therefore never grows the EXIF.
+export const addGpsToTiff = (tiff, gps) => {
+  const littleEndian = tiff[0] === 0x49;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const writer = createWriter(littleEndian);
+
+  const ifd0Offset = view.getUint32(4, littleEndian);
+  const entryCount = view.getUint16(ifd0Offset, littleEndian);
+  const nextIfdOffset = view.getUint32(ifd0Offset + 2 + entryCount * 12, littleEndian);
+
+  const ifd0Entries = [];
+  let gpsPointer = null;
+  for (let i = 0; i < entryCount; i++) {
+    const entryStart = ifd0Offset + 2 + i * 12;
+    const tag = view.getUint16(entryStart, littleEndian);
+    if (tag === TAG_GPS_INFO) {
+      gpsPointer = entryStart + 8;
+    } else {
+      ifd0Entries.push({ tag, raw: tiff.slice(entryStart, entryStart + 12) });
+    }
+  }
+
+  if (gpsPointer !== null) {
+    const oldOffset = view.getUint32(gpsPointer, littleEndian);
+    const extent = getIfdExtent(view, oldOffset, littleEndian);
+
+    if (extent !== null) {
+      const gpsIfd = buildIfd(buildGpsEntries(gps), oldOffset, writer);
+      // A trailing pad byte still counts as the end of the block
+      if (oldOffset + extent >= tiff.length - 1) {
+        return concatBytes([tiff.subarray(0, oldOffset), gpsIfd]);
+      }
+      if (gpsIfd.length <= extent) {
+        const output = tiff.slice();
+        output.fill(0, oldOffset, oldOffset + extent);
+        output.set(gpsIfd, oldOffset);
+        return output;
+      }
+    }
+
+    const gpsOffset = tiff.length + (tiff.length % 2);
+    const output = appendAligned(tiff, buildIfd(buildGpsEntries(gps), gpsOffset, writer));
+    new DataView(output.buffer).setUint32(gpsPointer, gpsOffset, littleEndian);
+    return output;
+  }
+
+  // No GPS IFD yet: IFD0 has no room for the pointer, so a copy of it with the pointer
+  // added goes at the end, followed by the GPS IFD. IFD0 holds only inline values and
+  // verbatim entries (whose value offsets stay valid), so its size is fixed.
+  const newIfd0Offset = tiff.length + (tiff.length % 2);
+  const gpsOffset = newIfd0Offset + 2 + (ifd0Entries.length + 1) * 12 + 4;
+  const newIfd0 = buildIfd(
+    [...ifd0Entries, { tag: TAG_GPS_INFO, type: TYPES.LONG, values: [gpsOffset] }],
+    newIfd0Offset,
+    writer,
+    nextIfdOffset
+  );
+  const gpsIfd = buildIfd(buildGpsEntries(gps), gpsOffset, writer);
+
+  const output = appendAligned(tiff, newIfd0, gpsIfd);
+  new DataView(output.buffer).setUint32(4, newIfd0Offset, littleEndian);
+  return output;
+};
+
+// --- XMP ---------------------------------------------------------------------
+
+const formatMetres = (value) => Number(value).toFixed(3);
+
+// Pix4D camera and DJI RTK accuracy tags, which ODM, Metashape and Pix4D read
+export const buildXmpDescription = (gps) => {
+  const attributes = [
+    'rdf:about=""',
+    'xmlns:Camera="http://pix4d.com/camera/1.0/"',
+    'xmlns:drone-dji="http://www.dji.com/drone-dji/1.0/"'
+  ];
+
+  if (typeof gps.accuracy === 'number') {
+    attributes.push(
+      `Camera:GPSXYAccuracy="${formatMetres(gps.accuracy)}"`,
+      `drone-dji:RtkStdLon="${formatMetres(gps.accuracy)}"`,
+      `drone-dji:RtkStdLat="${formatMetres(gps.accuracy)}"`
+    );
+  }
+  if (typeof gps.altitudeAccuracy === 'number') {
+    attributes.push(
+      `Camera:GPSZAccuracy="${formatMetres(gps.altitudeAccuracy)}"`,
+      `drone-dji:RtkStdHgt="${formatMetres(gps.altitudeAccuracy)}"`
+    );
+  }
+  attributes.push(`drone-dji:RtkFlag="${getRtkFlag(gps)}"`);
+
+  return `<rdf:Description ${attributes.join(' ')}/>`;
+};
+
+const buildXmpPacket = (description) => concatBytes([
+  asciiBytes('<?xpacket begin="'),
+  Uint8Array.of(0xEF, 0xBB, 0xBF), // UTF-8 BOM, as the XMP spec requires
+  asciiBytes(
+    '" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    `${description}</rdf:RDF></x:xmpmeta><?xpacket end="w"?>`
+  )
+]);
+
+const XMP_DESCRIPTION_PREFIX = '<rdf:Description rdf:about="" xmlns:Camera="http://pix4d.com/camera/1.0/"';
+
+// Drop a description written by an earlier geotag so re-tagging never duplicates it
+const removeOwnDescription = (packet) => {
+  const start = indexOfAscii(packet, XMP_DESCRIPTION_PREFIX);
+  if (start === -1) return packet;
+  const end = indexOfAscii(packet, '/>', start) + 2;
+  return concatBytes([packet.subarray(0, start), packet.subarray(end)]);
+};
+
+// Add our description to an existing packet, or build a fresh one
+const buildXmpPayload = (existingPacket, gps) => {
+  const description = buildXmpDescription(gps);
+  const cleaned = existingPacket ? removeOwnDescription(existingPacket) : null;
+  const closing = cleaned ? indexOfAscii(cleaned, '</rdf:RDF>') : -1;
+
+  const packet = closing === -1
+    ? buildXmpPacket(description)
+    : concatBytes([
+      cleaned.subarray(0, closing),
+      asciiBytes(description),
+      cleaned.subarray(closing)
+    ]);
+
+  return concatBytes([asciiBytes(XMP_HEADER), packet]);
+};
+
+// --- Public entry point -------------------------------------------------------
+
+// Return a copy of `bytes` with GPS EXIF and accuracy XMP for `gps`
+export const geotagJpeg = (bytes, gps) => {
+  const segments = parseJpegSegments(bytes);
+  const exifSegment = segments.find(segment => isExifSegment(bytes, segment));
+  const xmpSegment = segments.find(segment => isXmpSegment(bytes, segment));
+
+  const tiff = exifSegment
+    ? bytes.slice(exifSegment.payloadStart + EXIF_HEADER.length, exifSegment.end)
+    : createEmptyTiff();
+  const exif = buildSegment(
+    MARKER_APP1,
+    concatBytes([asciiBytes(EXIF_HEADER), addGpsToTiff(tiff, gps)])
+  );
+
+  const existingXmp = xmpSegment
+    ? bytes.subarray(xmpSegment.payloadStart + XMP_HEADER.length, xmpSegment.end)
+    : null;
+  const xmp = buildSegment(MARKER_APP1, buildXmpPayload(existingXmp, gps));
+
+  // EXIF goes first (after JFIF APP0 if present), XMP right behind it
+  const parts = [Uint8Array.of(0xFF, MARKER_SOI)];
+  let inserted = false;
+  const insertMetadata = () => {
+    parts.push(exif, xmp);
+    inserted = true;
+  };
+
+  segments.forEach(segment => {
+    if (segment === exifSegment || segment === xmpSegment) return;
+    if (!inserted && segment.marker !== MARKER_APP0) insertMetadata();
+    parts.push(bytes.subarray(segment.start, segment.end));
+  });
+  if (!inserted) insertMetadata();
+
+  return concatBytes(parts);
+};
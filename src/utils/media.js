@@ -0,0 +1,31 @@
+// src/utils/media.js
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  heic: 'image/heic',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  json: 'application/json',
+  ply: 'application/ply'
+};
+
+// Lower-case extension without the dot, ignoring query strings
+export const getFileExtension = (uri) => {
+  const path = uri.split('?')[0];
+  const fileName = path.split('/').pop();
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+};
+
+export const getFileName = (uri) => uri.split('?')[0].split('/').pop();
+
+export const getMimeType = (uri) => MIME_TYPES[getFileExtension(uri)] || 'application/octet-stream';
+
+export const isVideoFile = (uri) => getMimeType(uri).startsWith('video/');
+
+// Whether a photo or video record says where it was taken; imported files may not
+export const hasPosition = (asset) => {
+  const position = asset.gpsData && (asset.gpsData.startLocation || asset.gpsData);
+  return Boolean(position && Number.isFinite(position.latitude) && Number.isFinite(position.longitude));
+};
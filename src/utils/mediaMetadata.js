@@ -0,0 +1,472 @@
+// src/utils/mediaMetadata.js
+// Reads where, when and with what existing photos and videos were taken, so imported
+// files carry the same position data as live captures:
+//  - JPEG: EXIF (IFD0, Exif and GPS IFDs) plus XMP, including DJI and Pix4D drone tags
+//  - PNG: the eXIf chunk and an XMP iTXt chunk
+//  - MP4 / MOV: ISO 6709 location, make, model and creation time from QuickTime metadata
+// Every reader returns { width, height, timestamp, position, make, model, exif };
+// position is null when the file does not say where it was taken.
+import { parseJpegSegments } from './jpegGeotag';
+import { FIX_QUALITY } from './nmea';
+
+const MARKER_APP1 = 0xE1;
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+// Start-of-frame markers carry the image size (C4, C8 and CC are not frames)
+const SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const QUICKTIME_EPOCH = Date.UTC(1904, 0, 1); // QuickTime times count seconds from here
+const MAX_MOOV_SIZE = 64 * 1024 * 1024; // bytes; larger movie headers are not read
+
+// TIFF field type -> bytes per value
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = {
+  0x010F: 'Make',
+  0x0110: 'Model',
+  0x0112: 'Orientation',
+  0x0132: 'DateTime',
+  0x8769: 'ExifIFDPointer',
+  0x8825: 'GPSInfoIFDPointer'
+};
+
+const EXIF_TAGS = {
+  0x9003: 'DateTimeOriginal',
+  0x9011: 'OffsetTimeOriginal',
+  0x9291: 'SubSecTimeOriginal',
+  0x920A: 'FocalLength',
+  0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension',
+  0xA405: 'FocalLengthIn35mmFilm',
+  0xA434: 'LensModel'
+};
+
+const GPS_TAGS = {
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x000B: 'GPSDOP',
+  0x0011: 'GPSImgDirection',
+  0x001D: 'GPSDateStamp',
+  0x001F: 'GPSHPositioningError'
+};
+
+// DJI RtkFlag -> fix class (the inverse of what jpegGeotag writes)
+const DJI_RTK_QUALITIES = {
+  50: FIX_QUALITY.RTK_FIXED,
+  34: FIX_QUALITY.RTK_FLOAT,
+  16: FIX_QUALITY.AUTONOMOUS
+};
+
+const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+const startsWithAscii = (bytes, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+const readAscii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+// --- TIFF / EXIF ---
+
+const readTiffValue = (view, type, count, offset, littleEndian) => {
+  if (type === 2) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+    return readAscii(bytes, 0, count).replace(/\0+$/, '').trim();
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * TIFF_TYPE_SIZES[type];
+    switch (type) {
+      case 3:
+        values.push(view.getUint16(at, littleEndian));
+        break;
+      case 4:
+        values.push(view.getUint32(at, littleEndian));
+        break;
+      case 9:
+        values.push(view.getInt32(at, littleEndian));
+        break;
+      case 5:
+      case 10: {
+        const read = type === 5 ? 'getUint32' : 'getInt32';
+        const denominator = view[read](at + 4, littleEndian);
+        values.push(denominator === 0 ? null : view[read](at, littleEndian) / denominator);
+        break;
+      }
+      default:
+        values.push(view.getUint8(at));
+    }
+  }
+  return count === 1 ? values[0] : values;
+};
+
+// Named tags of the IFD at `offset`; unknown tags and out-of-range values are skipped
+const readIfd = (view, offset, littleEndian, names) => {
+  const tags = {};
+  if (!offset || offset + 2 > view.byteLength) return tags;
+
+  const entryCount = view.getUint16(offset, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const name = names[view.getUint16(entry, littleEndian)];
+    const type = view.getUint16(entry + 2, littleEndian);
+    const count = view.getUint32(entry + 4, littleEndian);
+    if (!name || !TIFF_TYPE_SIZES[type]) continue;
+
+    const length = TIFF_TYPE_SIZES[type] * count;
+    const valueOffset = length <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+    if (valueOffset + length > view.byteLength) continue;
+    tags[name] = readTiffValue(view, type, count, valueOffset, littleEndian);
+  }
+  return tags;
+};
+
+// Flat tag dictionary (the same names expo-camera reports) from a TIFF block
+export const readTiffTags = (tiff) => {
+  const littleEndian = tiff[0] === 0x49;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  if (view.byteLength < 8 || view.getUint16(2, littleEndian) !== 42) {
+    throw new Error('Not a TIFF block');
+  }
+
+  const { ExifIFDPointer, GPSInfoIFDPointer, ...ifd0 } = readIfd(view, view.getUint32(4, littleEndian), littleEndian, IFD0_TAGS);
+  return {
+    ...ifd0,
+    ...readIfd(view, ExifIFDPointer, littleEndian, EXIF_TAGS),
+    ...readIfd(view, GPSInfoIFDPointer, littleEndian, GPS_TAGS)
+  };
+};
+
+// A damaged EXIF block costs the file its tags, not the rest of its metadata
+const readTiffTagsOrEmpty = (tiff) => {
+  try {
+    return readTiffTags(tiff);
+  } catch (error) {
+    console.warn('Skipping unreadable EXIF block:', error.message);
+    return {};
+  }
+};
+
+const dmsToDegrees = (dms, ref) => {
+  const [degrees, minutes = 0, seconds = 0] = Array.isArray(dms) ? dms : [dms];
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return ref === 'S' || ref === 'W' ? -value : value;
+};
+
+// "2024:05:01 14:03:22" (+ optional "+02:00") -> epoch ms. Without an offset the
+// camera clock is taken to be in the phone's time zone.
+const parseExifDate = (text, offset, subSeconds) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  const millis = subSeconds ? Number(`0.${subSeconds}`) * 1000 : 0;
+  const zone = /^([+-])(\d{2}):?(\d{2})$/.exec(offset || '');
+  if (!zone) {
+    return new Date(year, month - 1, day, hours, minutes, seconds, millis).getTime();
+  }
+  const zoneMinutes = (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3]));
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds, millis) - zoneMinutes * 60000;
+};
+
+// GPS date and time are always UTC
+const parseGpsDate = (dateStamp, timeStamp) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(dateStamp || '');
+  if (!match || !Array.isArray(timeStamp)) return null;
+  const [hours, minutes, seconds] = timeStamp;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), hours, minutes, 0, Math.round(seconds * 1000));
+};
+
+// --- XMP ---
+
+// A property in either attribute (ns:Name="v") or element (<ns:Name>v</ns:Name>) form
+const readXmpValue = (xmp, names) => {
+  for (const name of names) {
+    const attribute = new RegExp(`${name}="([^"]*)"`).exec(xmp);
+    if (attribute) return attribute[1];
+    const element = new RegExp(`<${name}>([^<]*)</${name}>`).exec(xmp);
+    if (element) return element[1];
+  }
+  return null;
+};
+
+const readXmpNumber = (xmp, ...names) => {
+  const value = xmp ? readXmpValue(xmp, names) : null;
+  return value === null ? null : finiteOrNull(parseFloat(value));
+};
+
+// --- Position ---
+
+// Merge EXIF GPS and drone XMP into one fix; EXIF wins where both are present
+const buildPosition = (tags, xmp) => {
+  let latitude = Array.isArray(tags.GPSLatitude) ? dmsToDegrees(tags.GPSLatitude, tags.GPSLatitudeRef) : null;
+  let longitude = Array.isArray(tags.GPSLongitude) ? dmsToDegrees(tags.GPSLongitude, tags.GPSLongitudeRef) : null;
+  let source = 'exif';
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+    latitude = readXmpNumber(xmp, 'drone-dji:GpsLatitude', 'drone-dji:Latitude');
+    longitude = readXmpNumber(xmp, 'drone-dji:GpsLongitude', 'drone-dji:GpsLongtitude', 'drone-dji:Longitude');
+    source = 'xmp';
+  }
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || (latitude === 0 && longitude === 0)) {
+    return null;
+  }
+
+  const exifAltitude = typeof tags.GPSAltitude === 'number'
+    ? tags.GPSAltitude * (tags.GPSAltitudeRef === 1 ? -1 : 1)
+    : null;
+  const rtkStdLat = readXmpNumber(xmp, 'drone-dji:RtkStdLat');
+  const rtkStdLon = readXmpNumber(xmp, 'drone-dji:RtkStdLon');
+  const yaw = readXmpNumber(xmp, 'drone-dji:GimbalYawDegree', 'Camera:Yaw');
+  const rtkFlag = readXmpNumber(xmp, 'drone-dji:RtkFlag');
+
+  return {
+    latitude,
+    longitude,
+    altitude: exifAltitude ?? readXmpNumber(xmp, 'drone-dji:AbsoluteAltitude') ?? 0,
+    relativeAltitude: readXmpNumber(xmp, 'drone-dji:RelativeAltitude'),
+    accuracy: finiteOrNull(tags.GPSHPositioningError)
+      ?? readXmpNumber(xmp, 'Camera:GPSXYAccuracy')
+      ?? (rtkStdLat !== null && rtkStdLon !== null ? Math.max(rtkStdLat, rtkStdLon) : null),
+    altitudeAccuracy: readXmpNumber(xmp, 'Camera:GPSZAccuracy', 'drone-dji:RtkStdHgt'),
+    cameraHeading: yaw !== null ? normalizeDegrees(yaw) : finiteOrNull(tags.GPSImgDirection),
+    cameraPitch: readXmpNumber(xmp, 'drone-dji:GimbalPitchDegree', 'Camera:Pitch'),
+    fixQuality: DJI_RTK_QUALITIES[rtkFlag] || FIX_QUALITY.AUTONOMOUS,
+    source
+  };
+};
+
+const buildImageMetadata = ({ width, height, tags = {}, xmp = null }) => {
+  // EXIF orientations 5-8 are rotated a quarter turn from the stored pixels
+  const rotated = tags.Orientation >= 5 && tags.Orientation <= 8;
+
+  return {
+    width: (rotated ? height : width) || tags.PixelXDimension || null,
+    height: (rotated ? width : height) || tags.PixelYDimension || null,
+    timestamp: parseGpsDate(tags.GPSDateStamp, tags.GPSTimeStamp)
+      ?? parseExifDate(tags.DateTimeOriginal || tags.DateTime, tags.OffsetTimeOriginal, tags.SubSecTimeOriginal),
+    position: buildPosition(tags, xmp),
+    make: tags.Make || (xmp && readXmpValue(xmp, ['tiff:Make'])) || null,
+    model: tags.Model || (xmp && readXmpValue(xmp, ['tiff:Model'])) || null,
+    exif: tags
+  };
+};
+
+// --- Images ---
+
+export const readJpegMetadata = (bytes) => {
+  const segments = parseJpegSegments(bytes);
+  let tags = {};
+  let xmp = null;
+  let width = null;
+  let height = null;
+
+  segments.forEach(({ marker, payloadStart, end }) => {
+    if (marker === MARKER_APP1 && startsWithAscii(bytes, payloadStart, EXIF_HEADER)) {
+      tags = readTiffTagsOrEmpty(bytes.subarray(payloadStart + EXIF_HEADER.length, end));
+    } else if (marker === MARKER_APP1 && startsWithAscii(bytes, payloadStart, XMP_HEADER)) {
+      xmp = decodeText(bytes.subarray(payloadStart + XMP_HEADER.length, end));
+    } else if (SOF_MARKERS.includes(marker) && width === null && payloadStart + 5 <= bytes.length) {
+      height = (bytes[payloadStart + 1] << 8) | bytes[payloadStart + 2];
+      width = (bytes[payloadStart + 3] << 8) | bytes[payloadStart + 4];
+    }
+  });
+
+  return buildImageMetadata({ width, height, tags, xmp });
+};
+
+export const readPngMetadata = (bytes) => {
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let tags = {};
+  let xmp = null;
+  let width = null;
+  let height = null;
+
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    const data = bytes.subarray(offset + 8, Math.min(offset + 8 + length, bytes.length));
+
+    if (type === 'IHDR' && data.length >= 8) {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+    } else if (type === 'eXIf') {
+      tags = readTiffTagsOrEmpty(data);
+    } else if (type === 'iTXt' && startsWithAscii(data, 0, 'XML:com.adobe.xmp\0')) {
+      // keyword, compression flag and method, then empty language and translated keyword
+      xmp = decodeText(data.subarray('XML:com.adobe.xmp\0'.length + 4));
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  return buildImageMetadata({ width, height, tags, xmp });
+};
+
+// --- Videos ---
+
+// ISO 6709 "+47.6062-122.3321+050.123/" -> { latitude, longitude, altitude }
+export const parseIso6709 = (text) => {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec((text || '').trim());
+  if (!match) return null;
+  return {
+    latitude: Number(match[1]),
+    longitude: Number(match[2]),
+    altitude: match[3] ? Number(match[3]) : 0
+  };
+};
+
+// Child boxes of `bytes[start, end)` as { type, start (payload), end }
+const listBoxes = (bytes, start = 0, end = bytes.length) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = [];
+  for (let offset = start; offset + 8 <= end;) {
+    let size = view.getUint32(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+    boxes.push({ type: readAscii(bytes, offset + 4, 4), start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+  return boxes;
+};
+
+const findBox = (bytes, parent, type) => listBoxes(bytes, parent.start, parent.end).find(box => box.type === type);
+
+// Apple's moov/meta has no version field; the ISO one does
+const getMetaChildren = (bytes, meta) => {
+  const start = startsWithAscii(bytes, meta.start + 4, 'hdlr') ? meta.start : meta.start + 4;
+  return { start, end: meta.end };
+};
+
+// QuickTime mdta keys and their ilst values as { 'com.apple.quicktime.make': 'Apple', ... }
+const readQuickTimeKeys = (bytes, meta) => {
+  const container = getMetaChildren(bytes, meta);
+  const keysBox = findBox(bytes, container, 'keys');
+  const ilst = findBox(bytes, container, 'ilst');
+  if (!keysBox || !ilst) return {};
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const keys = [];
+  const count = view.getUint32(keysBox.start + 4);
+  for (let i = 0, offset = keysBox.start + 8; i < count && offset + 8 <= keysBox.end; i++) {
+    const size = view.getUint32(offset);
+    keys.push(readAscii(bytes, offset + 8, size - 8));
+    offset += size;
+  }
+
+  const values = {};
+  listBoxes(bytes, ilst.start, ilst.end).forEach(item => {
+    const key = keys[view.getUint32(item.start - 4) - 1];
+    const data = findBox(bytes, item, 'data');
+    if (key && data) {
+      values[key] = decodeText(bytes.subarray(data.start + 8, data.end));
+    }
+  });
+  return values;
+};
+
+// Width and height of the first video track, turned for a rotated display matrix
+const readTrackSize = (bytes, moov) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (const trak of listBoxes(bytes, moov.start, moov.end).filter(box => box.type === 'trak')) {
+    const tkhd = findBox(bytes, trak, 'tkhd');
+    if (!tkhd) continue;
+    const matrixOffset = tkhd.start + (bytes[tkhd.start] === 1 ? 52 : 40);
+    const width = view.getUint32(matrixOffset + 36) / 65536;
+    const height = view.getUint32(matrixOffset + 40) / 65536;
+    if (width > 0 && height > 0) {
+      const quarterTurn = view.getInt32(matrixOffset) === 0;
+      return quarterTurn ? { width: height, height: width } : { width, height };
+    }
+  }
+  return { width: null, height: null };
+};
+
+// Movie header box only; `reader` is { size, read(offset, length) -> Uint8Array } so
+// multi-gigabyte videos are never loaded whole
+export const readVideoMetadata = async (reader) => {
+  let moovBytes = null;
+  for (let offset = 0; offset + 8 <= reader.size;) {
+    const header = await reader.read(offset, 16);
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    let size = view.getUint32(0);
+    if (size === 1) size = Number(view.getBigUint64(8));
+    if (size === 0) size = reader.size - offset;
+    if (size < 8) break;
+
+    if (readAscii(header, 4, 4) === 'moov') {
+      if (size > MAX_MOOV_SIZE) throw new Error('Video header is too large to read');
+      moovBytes = await reader.read(offset, size);
+      break;
+    }
+    offset += size;
+  }
+  if (!moovBytes) {
+    throw new Error('No movie header found');
+  }
+
+  const [moov] = listBoxes(moovBytes);
+  const view = new DataView(moovBytes.buffer, moovBytes.byteOffset, moovBytes.byteLength);
+  let timestamp = null;
+  let duration = null;
+  const mvhd = findBox(moovBytes, moov, 'mvhd');
+  if (mvhd) {
+    const version = moovBytes[mvhd.start];
+    const created = version === 1 ? Number(view.getBigUint64(mvhd.start + 4)) : view.getUint32(mvhd.start + 4);
+    const timescale = view.getUint32(mvhd.start + (version === 1 ? 20 : 12));
+    const length = version === 1 ? Number(view.getBigUint64(mvhd.start + 24)) : view.getUint32(mvhd.start + 16);
+    timestamp = created > 0 ? QUICKTIME_EPOCH + created * 1000 : null;
+    duration = timescale > 0 ? length / timescale : null;
+  }
+
+  // Apple writes mdta keys in moov/meta; Android and most cameras write udta/©xyz
+  const meta = findBox(moovBytes, moov, 'meta');
+  const keys = meta ? readQuickTimeKeys(moovBytes, meta) : {};
+  const udta = findBox(moovBytes, moov, 'udta');
+  const xyz = udta ? findBox(moovBytes, udta, '©xyz') : null;
+  const location = parseIso6709(keys['com.apple.quicktime.location.ISO6709'])
+    || (xyz ? parseIso6709(readAscii(moovBytes, xyz.start + 4, xyz.end - xyz.start - 4)) : null);
+  const creationDate = Date.parse(keys['com.apple.quicktime.creationdate'] || '');
+  const accuracy = parseFloat(keys['com.apple.quicktime.location.accuracy.horizontal']);
+
+  return {
+    ...readTrackSize(moovBytes, moov),
+    duration,
+    timestamp: Number.isFinite(creationDate) ? creationDate : timestamp,
+    position: location && !(location.latitude === 0 && location.longitude === 0)
+      ? {
+        ...location,
+        accuracy: finiteOrNull(accuracy),
+        altitudeAccuracy: null,
+        cameraHeading: null,
+        fixQuality: FIX_QUALITY.AUTONOMOUS,
+        source: 'quicktime'
+      }
+      : null,
+    make: keys['com.apple.quicktime.make'] || null,
+    model: keys['com.apple.quicktime.model'] || null,
+    exif: null
+  };
+};
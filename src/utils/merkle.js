@@ -0,0 +1,79 @@
+// src/utils/merkle.js
+// Binary SHA-256 Merkle tree over hex leaf hashes. Leaves and inner nodes are hashed with
+// different prefix bytes (as in RFC 6962) so a leaf can never be passed off as a node, and
+// an odd node is promoted to the next level rather than paired with a copy of itself.
+import { sha256 } from '@noble/hashes/sha256';
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils';
+
+const LEAF_PREFIX = 0x00;
+const NODE_PREFIX = 0x01;
+
+const prefixed = (prefix, ...parts) => {
+  const length = parts.reduce((sum, part) => sum + part.length, 1);
+  const bytes = new Uint8Array(length);
+  bytes[0] = prefix;
+  let offset = 1;
+  parts.forEach(part => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+// Leaf hash of a canonical string (e.g. one manifest entry)
+export const hashLeaf = (text) => bytesToHex(sha256(prefixed(LEAF_PREFIX, utf8ToBytes(text))));
+
+export const hashNode = (left, right) => bytesToHex(sha256(prefixed(NODE_PREFIX, hexToBytes(left), hexToBytes(right))));
+
+// Every level from the leaves (levels[0]) up to the root (last level, one hash)
+export const buildMerkleLevels = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const levels = [leaves];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+export const getMerkleRoot = (leaves) => {
+  const levels = buildMerkleLevels(leaves);
+  return levels[levels.length - 1][0];
+};
+
+// Sibling hashes from leaf `index` to the root; side says where the sibling sits
+export const getMerkleProof = (leaves, index) => {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf ${index} is outside the tree`);
+  }
+
+  const levels = buildMerkleLevels(leaves);
+  const proof = [];
+  let position = index;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      proof.push({ side: sibling < position ? 'left' : 'right', hash: level[sibling] });
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+};
+
+export const verifyMerkleProof = (leaf, proof, root) => {
+  const computed = proof.reduce(
+    (hash, step) => (step.side === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash)),
+    leaf
+  );
+  return computed === root;
+};
@@ -0,0 +1,325 @@
+// src/utils/nmea.js
+// NMEA 0183 parsing for external GNSS receivers (GGA, GST, RMC, GSA from any talker).
+
+export const FIX_QUALITY = {
+  NO_FIX: 'no_fix',
+  AUTONOMOUS: 'autonomous',
+  DGPS: 'dgps',
+  RTK_FLOAT: 'rtk_float',
+  RTK_FIXED: 'rtk_fixed'
+};
+
+export const FIX_LABELS = {
+  [FIX_QUALITY.NO_FIX]: 'NO FIX',
+  [FIX_QUALITY.AUTONOMOUS]: 'GPS',
+  [FIX_QUALITY.DGPS]: 'DGPS',
+  [FIX_QUALITY.RTK_FLOAT]: 'RTK FLOAT',
+  [FIX_QUALITY.RTK_FIXED]: 'RTK FIX'
+};
+
+// GGA quality indicator -> fix class (6 dead reckoning, 7 manual, 8 simulator are not fixes)
+const GGA_QUALITY = {
+  0: FIX_QUALITY.NO_FIX,
+  1: FIX_QUALITY.AUTONOMOUS,
+  2: FIX_QUALITY.DGPS,
+  3: FIX_QUALITY.DGPS,
+  4: FIX_QUALITY.RTK_FIXED,
+  5: FIX_QUALITY.RTK_FLOAT,
+  9: FIX_QUALITY.DGPS
+};
+
+// Rough 1-sigma horizontal error per metre of HDOP when the receiver sends no GST
+const UERE_BY_QUALITY = {
+  [FIX_QUALITY.NO_FIX]: null,
+  [FIX_QUALITY.AUTONOMOUS]: 3.0,
+  [FIX_QUALITY.DGPS]: 0.7,
+  [FIX_QUALITY.RTK_FLOAT]: 0.3,
+  [FIX_QUALITY.RTK_FIXED]: 0.02
+};
+
+const KNOTS_TO_MS = 0.514444;
+const MIN_COURSE_SPEED = 0.5; // m/s
+
+const toNumber = (field) => (field === undefined || field === '' ? null : Number(field));
+
+// XOR of everything between '$' and '*'
+export const validateChecksum = (sentence) => {
+  const star = sentence.lastIndexOf('*');
+  if (!sentence.startsWith('$') || star === -1) return false;
+
+  let checksum = 0;
+  for (let i = 1; i < star; i++) {
+    checksum ^= sentence.charCodeAt(i);
+  }
+  return checksum === parseInt(sentence.slice(star + 1, star + 3), 16);
+};
+
+// ddmm.mmmm + hemisphere -> signed decimal degrees
+const parseCoordinate = (value, hemisphere) => {
+  if (!value) return null;
+  const dot = value.indexOf('.');
+  const degreeDigits = (dot === -1 ? value.length : dot) - 2;
+  const degrees = Number(value.slice(0, degreeDigits));
+  const minutes = Number(value.slice(degreeDigits));
+  const decimal = degrees + minutes / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+};
+
+// hhmmss.ss -> milliseconds since UTC midnight
+const parseTimeOfDay = (value) => {
+  if (!value || value.length < 6) return null;
+  const hours = Number(value.slice(0, 2));
+  const minutes = Number(value.slice(2, 4));
+  const seconds = Number(value.slice(4));
+  return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+};
+
+// ddmmyy -> milliseconds at UTC midnight
+const parseDate = (value) => {
+  if (!value || value.length !== 6) return null;
+  const day = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  const shortYear = Number(value.slice(4, 6));
+  const year = shortYear < 80 ? 2000 + shortYear : 1900 + shortYear;
+  return Date.UTC(year, month - 1, day);
+};
+
+const parseGGA = (fields) => {
+  const quality = toNumber(fields[6]);
+  const altitudeMsl = toNumber(fields[9]);
+  const geoidSeparation = toNumber(fields[11]);
+
+  return {
+    timeOfDay: parseTimeOfDay(fields[1]),
+    latitude: parseCoordinate(fields[2], fields[3]),
+    longitude: parseCoordinate(fields[4], fields[5]),
+    quality: GGA_QUALITY[quality] || FIX_QUALITY.NO_FIX,
+    qualityIndicator: quality,
+    satellites: toNumber(fields[7]),
+    hdop: toNumber(fields[8]),
+    altitudeMsl,
+    geoidSeparation,
+    // Ellipsoidal height, to match the WGS84 datum of everything downstream
+    altitude: altitudeMsl === null ? null : altitudeMsl + (geoidSeparation || 0),
+    ageOfCorrections: toNumber(fields[13]),
+    referenceStation: fields[14] || null
+  };
+};
+
+const parseGST = (fields) => ({
+  timeOfDay: parseTimeOfDay(fields[1]),
+  rms: toNumber(fields[2]),
+  latitudeError: toNumber(fields[6]),
+  longitudeError: toNumber(fields[7]),
+  altitudeError: toNumber(fields[8])
+});
+
+const parseRMC = (fields) => {
+  const speedKnots = toNumber(fields[7]);
+  return {
+    timeOfDay: parseTimeOfDay(fields[1]),
+    valid: fields[2] === 'A',
+    latitude: parseCoordinate(fields[3], fields[4]),
+    longitude: parseCoordinate(fields[5], fields[6]),
+    speed: speedKnots === null ? null : speedKnots * KNOTS_TO_MS,
+    course: toNumber(fields[8]),
+    date: parseDate(fields[9]),
+    mode: fields[12] || null
+  };
+};
+
+const parseGSA = (fields) => ({
+  fixType: toNumber(fields[2]), // 1 none, 2 2D, 3 3D
+  satelliteIds: fields.slice(3, 15).filter(Boolean).map(Number),
+  pdop: toNumber(fields[15]),
+  hdop: toNumber(fields[16]),
+  vdop: toNumber(fields[17])
+});
+
+const PARSERS = { GGA: parseGGA, GST: parseGST, RMC: parseRMC, GSA: parseGSA };
+
+// Parse one sentence; returns null for bad checksums and unsupported types
+export const parseSentence = (line) => {
+  const sentence = line.trim();
+  if (!validateChecksum(sentence)) return null;
+
+  const fields = sentence.slice(1, sentence.lastIndexOf('*')).split(',');
+  const address = fields[0];
+  const type = address.slice(-3);
+  const parser = PARSERS[type];
+  if (!parser) return null;
+
+  return { type, talker: address.slice(0, -3), ...parser(fields) };
+};
+
+// Horizontal and vertical 1-sigma accuracy in metres, preferring GST statistics
+const estimateAccuracy = (gga, gst, gsa) => {
+  if (gst && gst.latitudeError !== null && gst.longitudeError !== null) {
+    return {
+      accuracy: Math.hypot(gst.latitudeError, gst.longitudeError),
+      altitudeAccuracy: gst.altitudeError,
+      accuracySource: 'gst'
+    };
+  }
+
+  const uere = UERE_BY_QUALITY[gga.quality];
+  const vdop = gsa ? gsa.vdop : null;
+  return {
+    accuracy: uere && gga.hdop ? uere * gga.hdop : null,
+    altitudeAccuracy: uere && vdop ? uere * vdop : null,
+    accuracySource: 'dop'
+  };
+};
+
+// Turns a raw byte/text stream into expo-location-shaped fixes, one per GGA epoch.
+// GST, RMC and GSA are merged in when they belong to the same (or previous) epoch.
+export class NmeaStreamParser {
+  constructor({ now = () => Date.now() } = {}) {
+    this.now = now;
+    this.buffer = '';
+    this.latest = {};
+    this.date = null;
+    this.stats = { sentences: 0, invalid: 0 };
+  }
+
+  // Feed a chunk of text; returns the fixes completed by it
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    return lines
+      .filter(line => line.trim().length > 0)
+      .map(line => this.handleLine(line))
+      .filter(Boolean);
+  }
+
+  // Handle one complete sentence; returns a fix when it closes an epoch
+  handleLine(line) {
+    if (!validateChecksum(line.trim())) {
+      this.stats.invalid += 1;
+      return null;
+    }
+
+    const sentence = parseSentence(line);
+    if (!sentence) return null; // valid but unsupported (GSV, VTG, ...)
+
+    this.stats.sentences += 1;
+    if (sentence.type === 'RMC' && sentence.date !== null) {
+      this.date = sentence.date;
+    }
+    if (sentence.type !== 'GGA') {
+      this.latest[sentence.type] = sentence;
+      return null;
+    }
+
+    return this.buildFix(sentence);
+  }
+
+  // Only trust companion sentences from this epoch or the one just before it
+  companion(type, timeOfDay) {
+    const sentence = this.latest[type];
+    if (!sentence) return null;
+    // GSA carries no time of its own
+    if (sentence.timeOfDay == null || timeOfDay === null) return sentence;
+    return Math.abs(sentence.timeOfDay - timeOfDay) <= 1000 ? sentence : null;
+  }
+
+  buildFix(gga) {
+    if (gga.latitude === null || gga.longitude === null) {
+      return null;
+    }
+
+    const gst = this.companion('GST', gga.timeOfDay);
+    const rmc = this.companion('RMC', gga.timeOfDay);
+    const gsa = this.companion('GSA', gga.timeOfDay);
+    const { accuracy, altitudeAccuracy, accuracySource } = estimateAccuracy(gga, gst, gsa);
+    const gnssTime = this.date !== null && gga.timeOfDay !== null ? this.date + gga.timeOfDay : null;
+
+    return {
+      // Stamped on receipt so fixes share a clock with camera captures; GNSS time kept below
+      timestamp: this.now(),
+      coords: {
+        latitude: gga.latitude,
+        longitude: gga.longitude,
+        altitude: gga.altitude,
+        accuracy,
+        altitudeAccuracy,
+        // Course over ground is noise when standing still
+        heading: rmc && rmc.course !== null && rmc.speed >= MIN_COURSE_SPEED ? rmc.course : null,
+        speed: rmc ? rmc.speed : null
+      },
+      fix: {
+        source: 'nmea',
+        quality: gga.quality,
+        label: FIX_LABELS[gga.quality],
+        isRTK: gga.quality === FIX_QUALITY.RTK_FIXED,
+        qualityIndicator: gga.qualityIndicator,
+        satellites: gga.satellites,
+        hdop: gga.hdop,
+        pdop: gsa ? gsa.pdop : null,
+        vdop: gsa ? gsa.vdop : null,
+        ageOfCorrections: gga.ageOfCorrections,
+        referenceStation: gga.referenceStation,
+        altitudeMsl: gga.altitudeMsl,
+        geoidSeparation: gga.geoidSeparation,
+        accuracySource,
+        gnssTime
+      }
+    };
+  }
+}
+
+// Parse a whole recorded log (e.g. for replay or tests)
+export const parseNmeaLog = (text, options) => {
+  const parser = new NmeaStreamParser(options);
+  return parser.push(text.endsWith('\n') ? text : `${text}\n`);
+};
+
+// --- Sentence generation -------------------------------------------------------
+
+const formatCoordinate = (decimal, degreeDigits) => {
+  const absolute = Math.abs(decimal);
+  let degrees = Math.floor(absolute);
+  let minutes = (absolute - degrees) * 60;
+  if (Number(minutes.toFixed(5)) >= 60) {
+    degrees += 1;
+    minutes = 0;
+  }
+  return `${String(degrees).padStart(degreeDigits, '0')}${minutes.toFixed(5).padStart(8, '0')}`;
+};
+
+const withChecksum = (body) => {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return `$${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+};
+
+// GGA for an expo-location-shaped fix, as NTRIP casters expect for VRS / nearest-base selection
+export const buildGgaSentence = (location, quality = 1) => {
+  const time = new Date(location.timestamp);
+  const timeOfDay = [time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()]
+    .map(part => String(part).padStart(2, '0'))
+    .join('');
+  const { latitude, longitude, altitude } = location.coords;
+
+  return withChecksum([
+    'GPGGA',
+    `${timeOfDay}.00`,
+    formatCoordinate(latitude, 2),
+    latitude >= 0 ? 'N' : 'S',
+    formatCoordinate(longitude, 3),
+    longitude >= 0 ? 'E' : 'W',
+    quality,
+    '12',
+    '1.0',
+    (altitude || 0).toFixed(3),
+    'M',
+    '0.0',
+    'M',
+    '',
+    ''
+  ].join(','));
+};
@@ -0,0 +1,225 @@
+// src/utils/ntrip.js
+// NTRIP v1/v2 request building and response decoding, independent of the socket layer.
+
+const CRLF = '\r\n';
+const USER_AGENT = 'NTRIP omniSplat/1.0';
+
+export const NTRIP_VERSIONS = { V1: 1, V2: 2 };
+
+const textEncoder = (text) => Uint8Array.from(text, character => character.charCodeAt(0) & 0xFF);
+const textDecoder = (bytes) => String.fromCharCode(...bytes);
+
+const concatBytes = (a, b) => {
+  const output = new Uint8Array(a.length + b.length);
+  output.set(a, 0);
+  output.set(b, a.length);
+  return output;
+};
+
+const indexOfSequence = (bytes, sequence, from = 0) => {
+  for (let i = from; i <= bytes.length - sequence.length; i++) {
+    let match = true;
+    for (let j = 0; j < sequence.length; j++) {
+      if (bytes[i + j] !== sequence[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i;
+  }
+  return -1;
+};
+
+const HEADER_END = textEncoder(`${CRLF}${CRLF}`);
+const LINE_END = textEncoder(CRLF);
+
+// GET request for a mountpoint; v2 adds the Ntrip-Version header and expects chunked HTTP/1.1
+export const buildNtripRequest = ({ host, port, mountpoint, username, password, version, gga }) => {
+  const lines = [
+    version === NTRIP_VERSIONS.V2 ? `GET /${mountpoint} HTTP/1.1` : `GET /${mountpoint} HTTP/1.0`,
+    `Host: ${host}:${port}`,
+    `User-Agent: ${USER_AGENT}`
+  ];
+
+  if (version === NTRIP_VERSIONS.V2) {
+    lines.push('Ntrip-Version: Ntrip/2.0', 'Connection: close');
+  }
+  if (username) {
+    lines.push(`Authorization: Basic ${btoa(`${username}:${password || ''}`)}`);
+  }
+  // v2 casters accept the first GGA as a header; v1 casters read it from the body
+  if (gga && version === NTRIP_VERSIONS.V2) {
+    lines.push(`Ntrip-GGA: ${gga}`);
+  }
+
+  return `${lines.join(CRLF)}${CRLF}${CRLF}`;
+};
+
+// Inspect the caster's response head. Returns null until enough bytes have arrived.
+export const parseNtripResponse = (bytes) => {
+  const firstLineEnd = indexOfSequence(bytes, LINE_END);
+  if (firstLineEnd === -1) return null;
+
+  const statusLine = textDecoder(bytes.subarray(0, firstLineEnd));
+
+  // NTRIP v1: "ICY 200 OK" followed directly by RTCM
+  if (statusLine.startsWith('ICY 200')) {
+    let bodyStart = firstLineEnd + LINE_END.length;
+    if (bytes[bodyStart] === 0x0D && bytes[bodyStart + 1] === 0x0A) bodyStart += 2;
+    return { ok: true, version: NTRIP_VERSIONS.V1, chunked: false, bodyStart };
+  }
+
+  // A source table instead of data means the mountpoint does not exist
+  if (statusLine.startsWith('SOURCETABLE')) {
+    return { ok: false, status: 404, error: 'Mountpoint not found on caster' };
+  }
+
+  // v1 casters answer failures with a bare line such as "ERROR - Bad Password"
+  if (!statusLine.startsWith('HTTP/')) {
+    return { ok: false, status: null, error: `Caster responded ${statusLine}` };
+  }
+
+  const headerEnd = indexOfSequence(bytes, HEADER_END);
+  if (headerEnd === -1) return null;
+
+  const status = Number(statusLine.split(' ')[1]);
+  const headers = {};
+  textDecoder(bytes.subarray(firstLineEnd + LINE_END.length, headerEnd))
+    .split(CRLF)
+    .forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+
+  if (status === 401) {
+    return { ok: false, status, error: 'Caster rejected the credentials' };
+  }
+  if (status !== 200) {
+    return { ok: false, status, error: `Caster responded ${statusLine}` };
+  }
+  if ((headers['content-type'] || '').includes('gnss/sourcetable')) {
+    return { ok: false, status: 404, error: 'Mountpoint not found on caster' };
+  }
+
+  return {
+    ok: true,
+    version: NTRIP_VERSIONS.V2,
+    chunked: (headers['transfer-encoding'] || '').toLowerCase() === 'chunked',
+    bodyStart: headerEnd + HEADER_END.length
+  };
+};
+
+// Strips HTTP/1.1 chunked transfer framing from an NTRIP v2 stream
+export class ChunkedDecoder {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.remaining = 0;
+    this.finished = false;
+  }
+
+  push(bytes) {
+    this.buffer = concatBytes(this.buffer, bytes);
+    const output = [];
+
+    while (this.buffer.length > 0 && !this.finished) {
+      if (this.remaining > 0) {
+        const take = Math.min(this.remaining, this.buffer.length);
+        output.push(this.buffer.subarray(0, take));
+        this.buffer = this.buffer.subarray(take);
+        this.remaining -= take;
+        if (this.remaining === 0) this.remaining = -1; // expect CRLF after the chunk
+        continue;
+      }
+
+      if (this.remaining === -1) {
+        if (this.buffer.length < 2) break;
+        this.buffer = this.buffer.subarray(2);
+        this.remaining = 0;
+        continue;
+      }
+
+      const lineEnd = indexOfSequence(this.buffer, LINE_END);
+      if (lineEnd === -1) break;
+      const size = parseInt(textDecoder(this.buffer.subarray(0, lineEnd)).split(';')[0], 16);
+      this.buffer = this.buffer.subarray(lineEnd + LINE_END.length);
+      if (!size) {
+        this.finished = true;
+        break;
+      }
+      this.remaining = size;
+    }
+
+    return output.reduce((all, part) => concatBytes(all, part), new Uint8Array(0));
+  }
+}
+
+// --- RTCM3 ---------------------------------------------------------------------
+
+const RTCM3_PREAMBLE = 0xD3;
+const CRC24Q_POLY = 0x1864CFB;
+
+const CRC24Q_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 16;
+    for (let bit = 0; bit < 8; bit++) {
+      crc <<= 1;
+      if (crc & 0x1000000) crc ^= CRC24Q_POLY;
+    }
+    table[i] = crc & 0xFFFFFF;
+  }
+  return table;
+})();
+
+export const crc24q = (bytes) => {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) & 0xFFFFFF) ^ CRC24Q_TABLE[((crc >> 16) ^ bytes[i]) & 0xFF];
+  }
+  return crc;
+};
+
+// Finds CRC-checked RTCM3 frames in a byte stream, so the status bar reports real
+// corrections rather than any bytes the caster happens to send
+export class Rtcm3FrameScanner {
+  constructor() {
+    this.buffer = new Uint8Array(0);
+    this.stats = { frames: 0, crcErrors: 0, messageTypes: {} };
+  }
+
+  push(bytes) {
+    this.buffer = concatBytes(this.buffer, bytes);
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 6 <= this.buffer.length) {
+      if (this.buffer[offset] !== RTCM3_PREAMBLE) {
+        offset += 1;
+        continue;
+      }
+
+      const length = ((this.buffer[offset + 1] & 0x03) << 8) | this.buffer[offset + 2];
+      const frameLength = 3 + length + 3;
+      if (offset + frameLength > this.buffer.length) break;
+
+      const body = this.buffer.subarray(offset, offset + 3 + length);
+      const crcOffset = offset + 3 + length;
+      const crc = (this.buffer[crcOffset] << 16) | (this.buffer[crcOffset + 1] << 8) | this.buffer[crcOffset + 2];
+
+      if (crc24q(body) !== crc) {
+        this.stats.crcErrors += 1;
+        offset += 1;
+        continue;
+      }
+
+      const messageType = length >= 2 ? (this.buffer[offset + 3] << 4) | (this.buffer[offset + 4] >> 4) : 0;
+      this.stats.frames += 1;
+      this.stats.messageTypes[messageType] = (this.stats.messageTypes[messageType] || 0) + 1;
+      frames.push({ messageType, length });
+      offset += frameLength;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+    return frames;
+  }
+}
@@ -0,0 +1,69 @@
+// src/utils/positionAveraging.js
+// Averages repeated fixes of a stationary point (e.g. a ground control marker)
+// in local metres, rejecting outliers with a median / MAD test.
+import { wgs84ToEnu, enuToWgs84 } from './geodesy';
+
+// MAD -> standard deviation for normally distributed samples
+const MAD_SCALE = 1.4826;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+// Samples are { latitude, longitude, altitude, accuracy }. A sample is an outlier when its
+// horizontal or vertical distance from the median exceeds `threshold` robust sigmas
+// (never less than `minDistance` metres, so a tight RTK cluster is not over-trimmed).
+export const averagePositions = (samples, { threshold = 3, minDistance = 0.05 } = {}) => {
+  if (samples.length === 0) {
+    throw new Error('No position samples to average');
+  }
+
+  const origin = samples[0];
+  const points = samples.map(sample => ({ sample, ...wgs84ToEnu(sample, origin) }));
+
+  const centre = {
+    east: median(points.map(point => point.east)),
+    north: median(points.map(point => point.north)),
+    up: median(points.map(point => point.up))
+  };
+  const horizontal = points.map(point => Math.hypot(point.east - centre.east, point.north - centre.north));
+  const vertical = points.map(point => Math.abs(point.up - centre.up));
+  const horizontalLimit = Math.max(threshold * MAD_SCALE * median(horizontal), minDistance);
+  const verticalLimit = Math.max(threshold * MAD_SCALE * median(vertical), minDistance);
+
+  const kept = points.filter((point, index) => (
+    horizontal[index] <= horizontalLimit && vertical[index] <= verticalLimit
+  ));
+
+  const east = kept.map(point => point.east);
+  const north = kept.map(point => point.north);
+  const up = kept.map(point => point.up);
+  const position = enuToWgs84({ east: mean(east), north: mean(north), up: mean(up) }, origin);
+  const stdEast = standardDeviation(east);
+  const stdNorth = standardDeviation(north);
+
+  return {
+    latitude: position.latitude,
+    longitude: position.longitude,
+    altitude: position.altitude,
+    stdEast,
+    stdNorth,
+    stdUp: standardDeviation(up),
+    horizontalStd: Math.hypot(stdEast, stdNorth),
+    meanReportedAccuracy: mean(kept.map(point => point.sample.accuracy || 0)),
+    sampleCount: kept.length,
+    rejectedCount: samples.length - kept.length
+  };
+};
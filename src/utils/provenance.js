@@ -0,0 +1,167 @@
+// src/utils/provenance.js
+// Canonical, hash-committed description of a capture session. Every asset becomes one
+// manifest entry; the Merkle root over the session header and those entries commits to
+// each file's SHA-256 together with the GPS data and timestamps recorded beside it.
+import { hashLeaf, getMerkleRoot, getMerkleProof, verifyMerkleProof } from './merkle';
+import { getFileName } from './media';
+
+export const PROVENANCE_FORMAT = 'omnisplat-provenance';
+export const PROVENANCE_VERSION = 1;
+export const PROVENANCE_FILE = 'provenance.json';
+
+export const ASSET_TYPES = {
+  PHOTO: 'photo',
+  VIDEO: 'video',
+  TRACK: 'track'
+};
+
+// JSON with sorted keys and no whitespace, so equal data always hashes the same
+export const canonicalJson = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+};
+
+const requireHash = (asset, name) => {
+  if (!asset.sha256) {
+    throw new Error(`${name} has no hash`);
+  }
+  return asset.sha256;
+};
+
+// One entry per file, keyed by file name (unique within a session and kept on export)
+export const buildAssetEntries = (record) => {
+  const entries = [];
+
+  record.photos.forEach(photo => {
+    const name = getFileName(photo.uri);
+    entries.push({
+      name,
+      type: ASSET_TYPES.PHOTO,
+      sha256: requireHash(photo, name),
+      size: photo.size,
+      index: photo.index,
+      timestamp: photo.timestamp,
+      gpsData: photo.gpsData || null
+    });
+  });
+
+  record.videos.forEach(video => {
+    const name = getFileName(video.uri);
+    entries.push({
+      name,
+      type: ASSET_TYPES.VIDEO,
+      sha256: requireHash(video, name),
+      size: video.size,
+      index: video.index,
+      timestamp: video.timestamp,
+      duration: video.duration,
+      gpsData: video.gpsData || null
+    });
+
+    if (video.trackUri) {
+      const trackName = getFileName(video.trackUri);
+      entries.push({
+        name: trackName,
+        type: ASSET_TYPES.TRACK,
+        sha256: requireHash({ sha256: video.trackSha256 }, trackName),
+        size: video.trackSize,
+        video: name,
+        timestamp: video.trackSummary ? video.trackSummary.startTime : null
+      });
+    }
+  });
+
+  return entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+};
+
+export const buildSessionHeader = (session) => ({
+  id: session.id,
+  startTime: session.startTime,
+  baseLocation: session.baseLocation || null
+});
+
+// Leaf 0 is the session header, followed by the assets in name order
+const getLeaves = (manifest) => [
+  hashLeaf(canonicalJson(manifest.session)),
+  ...manifest.assets.map(entry => hashLeaf(canonicalJson(entry)))
+];
+
+export const computeManifestRoot = (manifest) => getMerkleRoot(getLeaves(manifest));
+
+// Build the manifest for a session record whose assets already carry their hashes
+export const buildProvenanceManifest = (record, createdAt = Date.now()) => {
+  const manifest = {
+    format: PROVENANCE_FORMAT,
+    version: PROVENANCE_VERSION,
+    hashAlgorithm: 'sha256',
+    merkleTree: 'leaf = sha256(0x00 || canonical json), node = sha256(0x01 || left || right), odd node promoted',
+    createdAt: new Date(createdAt).toISOString(),
+    session: buildSessionHeader(record.session),
+    assets: buildAssetEntries(record)
+  };
+  manifest.merkleRoot = computeManifestRoot(manifest);
+  return manifest;
+};
+
+// Proof that one asset entry is committed to by the manifest's root
+export const getInclusionProof = (manifest, name) => {
+  const index = manifest.assets.findIndex(entry => entry.name === name);
+  if (index === -1) {
+    throw new Error(`${name} is not in the manifest`);
+  }
+
+  const entry = manifest.assets[index];
+  return {
+    entry,
+    leaf: hashLeaf(canonicalJson(entry)),
+    proof: getMerkleProof(getLeaves(manifest), index + 1),
+    root: manifest.merkleRoot
+  };
+};
+
+export const verifyInclusionProof = ({ entry, proof, root }) => (
+  verifyMerkleProof(hashLeaf(canonicalJson(entry)), proof, root)
+);
+
+// Compare file hashes (a Map or object of name -> sha256) against the manifest's entries.
+// Names are looked up in a Map so files called e.g. "constructor" are not mistaken for present.
+export const compareWithManifest = (manifest, fileHashes) => {
+  const expected = new Map(manifest.assets.map(entry => [entry.name, entry.sha256]));
+  const actual = fileHashes instanceof Map ? fileHashes : new Map(Object.entries(fileHashes));
+  const modified = [];
+  const missing = [];
+  const added = [];
+  let unchanged = 0;
+
+  expected.forEach((sha256, name) => {
+    if (!actual.has(name)) {
+      missing.push(name);
+    } else if (actual.get(name) !== sha256) {
+      modified.push({ name, expected: sha256, actual: actual.get(name) });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  actual.forEach((sha256, name) => {
+    if (!expected.has(name)) added.push(name);
+  });
+
+  // A manifest edited to match tampered files no longer reproduces its own root
+  const rootValid = computeManifestRoot(manifest) === manifest.merkleRoot;
+
+  return {
+    valid: rootValid && modified.length === 0 && missing.length === 0 && added.length === 0,
+    rootValid,
+    modified,
+    missing,
+    added: added.sort(),
+    unchanged
+  };
+};
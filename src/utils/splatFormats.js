@@ -0,0 +1,696 @@
+// src/utils/splatFormats.js
+// Reads and writes Gaussian splat models in the three formats in circulation:
+//  - PLY: the reference 3DGS export; float properties per splat, full spherical harmonics
+//  - .splat: 32 bytes per splat (position, scale, RGBA, rotation); no view-dependent colour
+//  - SPZ: Niantic's gzipped, quantised layout, roughly a tenth of the PLY size
+// Every parser returns the same in-memory cloud so any format converts to any other:
+//   { count, shDegree, positions, scales, rotations, opacities, colors, sh }
+// positions x,y,z; scales log-space x,y,z; rotations unit quaternions w,x,y,z;
+// opacities pre-sigmoid; colors degree-0 SH (f_dc) r,g,b; sh the higher bands
+// as [splat][coefficient][channel]. Coordinates stay in the 3DGS (RDF) frame.
+import { gzipSync, gunzipSync } from 'fflate';
+
+export const SPLAT_FORMATS = {
+  PLY: 'ply',
+  SPLAT: 'splat',
+  SPZ: 'spz'
+};
+
+export const SH_C0 = 0.28209479177387814;
+const SPLAT_ROW_BYTES = 32;
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_VERSION = 3;
+const SPZ_HEADER_BYTES = 16;
+const SPZ_FRACTIONAL_BITS = 12; // 1/4096 m position steps
+const SPZ_COLOR_SCALE = 0.15;
+
+// Higher-order coefficients per colour channel for an SH degree (0-3)
+export const getShCoefficientCount = (degree) => (degree + 1) * (degree + 1) - 1;
+
+const getShDegreeForCount = (coefficients) => {
+  const degree = [0, 1, 2, 3].find(candidate => getShCoefficientCount(candidate) === coefficients);
+  if (degree === undefined) {
+    throw new Error(`Unsupported spherical harmonics layout (${coefficients} coefficients per channel)`);
+  }
+  return degree;
+};
+
+const sigmoid = (value) => 1 / (1 + Math.exp(-value));
+const logit = (value) => {
+  const clamped = Math.min(Math.max(value, 1e-6), 1 - 1e-6);
+  return Math.log(clamped / (1 - clamped));
+};
+const toByte = (value) => Math.min(Math.max(Math.round(value), 0), 255);
+
+// Store a normalised quaternion (w, x, y, z); degenerate input becomes the identity
+const writeQuaternion = (target, index, [w, x, y, z]) => {
+  const length = Math.hypot(w, x, y, z);
+  const values = length > 0 ? [w / length, x / length, y / length, z / length] : [1, 0, 0, 0];
+  target.set(values, index * 4);
+};
+
+export const createSplatCloud = (count, shDegree = 0) => ({
+  count,
+  shDegree,
+  positions: new Float32Array(count * 3),
+  scales: new Float32Array(count * 3),
+  rotations: new Float32Array(count * 4),
+  opacities: new Float32Array(count),
+  colors: new Float32Array(count * 3),
+  sh: new Float32Array(count * getShCoefficientCount(shDegree) * 3)
+});
+
+// Sniff the format from the leading bytes, falling back to the file extension
+export const detectSplatFormat = (bytes, fileName = '') => {
+  if (bytes.length >= 4 && bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && bytes[3] === 0x0a) {
+    return SPLAT_FORMATS.PLY;
+  }
+  if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return SPLAT_FORMATS.SPZ;
+  }
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (Object.values(SPLAT_FORMATS).includes(extension)) {
+    return extension;
+  }
+  if (bytes.length % SPLAT_ROW_BYTES === 0) {
+    return SPLAT_FORMATS.SPLAT;
+  }
+  throw new Error('Unrecognised splat file');
+};
+
+// --- PLY ---
+
+const PLY_TYPES = {
+  char: { size: 1, read: 'getInt8' },
+  int8: { size: 1, read: 'getInt8' },
+  uchar: { size: 1, read: 'getUint8' },
+  uint8: { size: 1, read: 'getUint8' },
+  short: { size: 2, read: 'getInt16' },
+  int16: { size: 2, read: 'getInt16' },
+  ushort: { size: 2, read: 'getUint16' },
+  uint16: { size: 2, read: 'getUint16' },
+  int: { size: 4, read: 'getInt32' },
+  int32: { size: 4, read: 'getInt32' },
+  uint: { size: 4, read: 'getUint32' },
+  uint32: { size: 4, read: 'getUint32' },
+  float: { size: 4, read: 'getFloat32' },
+  float32: { size: 4, read: 'getFloat32' },
+  double: { size: 8, read: 'getFloat64' },
+  float64: { size: 8, read: 'getFloat64' }
+};
+
+const readPlyHeader = (bytes) => {
+  const terminator = 'end_header\n';
+  const limit = Math.min(bytes.length, 64 * 1024);
+  let text = '';
+  for (let i = 0; i < limit; i++) {
+    text += String.fromCharCode(bytes[i]);
+    if (text.endsWith(terminator)) {
+      return { lines: text.split('\n').map(line => line.trim()).filter(Boolean), dataOffset: i + 1 };
+    }
+  }
+  throw new Error('PLY header is missing end_header');
+};
+
+const parsePlyElements = (lines) => {
+  const elements = [];
+  let format = null;
+
+  lines.forEach(line => {
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'format') {
+      format = rest[0];
+    } else if (keyword === 'element') {
+      elements.push({ name: rest[0], count: Number(rest[1]), properties: [], stride: 0 });
+    } else if (keyword === 'property') {
+      const element = elements[elements.length - 1];
+      if (!element) throw new Error('PLY property outside an element');
+      if (rest[0] === 'list') {
+        element.properties.push({ name: rest[3], list: true });
+        return;
+      }
+      const type = PLY_TYPES[rest[0]];
+      if (!type) throw new Error(`Unsupported PLY property type ${rest[0]}`);
+      element.properties.push({ name: rest[1], offset: element.stride, ...type });
+      element.stride += type.size;
+    }
+  });
+
+  return { format, elements };
+};
+
+export const parsePly = (bytes) => {
+  const { lines, dataOffset } = readPlyHeader(bytes);
+  if (lines[0] !== 'ply') throw new Error('Not a PLY file');
+
+  const { format, elements } = parsePlyElements(lines);
+  if (format !== 'binary_little_endian') {
+    throw new Error(`Unsupported PLY encoding ${format}; export binary_little_endian`);
+  }
+
+  // Skip fixed-size elements written ahead of the splats
+  let offset = dataOffset;
+  const vertexIndex = elements.findIndex(element => element.name === 'vertex');
+  if (vertexIndex < 0) throw new Error('PLY has no vertex element');
+  elements.slice(0, vertexIndex).forEach(element => {
+    if (element.properties.some(property => property.list)) {
+      throw new Error(`Cannot skip PLY element ${element.name} with list properties`);
+    }
+    offset += element.count * element.stride;
+  });
+
+  const vertex = elements[vertexIndex];
+  if (vertex.properties.some(property => property.list)) {
+    throw new Error('PLY vertex element has list properties');
+  }
+  const byName = {};
+  vertex.properties.forEach(property => { byName[property.name] = property; });
+  ['x', 'y', 'z', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3', 'opacity', 'f_dc_0', 'f_dc_1', 'f_dc_2']
+    .forEach(name => {
+      if (!byName[name]) throw new Error(`PLY is not a Gaussian splat model (missing ${name})`);
+    });
+
+  const restCount = vertex.properties.filter(property => property.name.startsWith('f_rest_')).length;
+  if (restCount % 3 !== 0) throw new Error('PLY has an incomplete f_rest set');
+  const shDegree = getShDegreeForCount(restCount / 3);
+  const coefficients = restCount / 3;
+
+  const { count, stride } = vertex;
+  if (offset + count * stride > bytes.length) throw new Error('PLY is truncated');
+
+  const cloud = createSplatCloud(count, shDegree);
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset, count * stride);
+  const read = (base, property) => view[property.read](base + property.offset, true);
+  const rest = Array.from({ length: restCount }, (_, k) => byName[`f_rest_${k}`]);
+
+  for (let i = 0; i < count; i++) {
+    const base = i * stride;
+    for (let axis = 0; axis < 3; axis++) {
+      cloud.positions[i * 3 + axis] = read(base, byName['xyz'[axis]]);
+      cloud.scales[i * 3 + axis] = read(base, byName[`scale_${axis}`]);
+      cloud.colors[i * 3 + axis] = read(base, byName[`f_dc_${axis}`]);
+    }
+    writeQuaternion(cloud.rotations, i, [0, 1, 2, 3].map(k => read(base, byName[`rot_${k}`])));
+    cloud.opacities[i] = read(base, byName.opacity);
+
+    // PLY stores f_rest channel by channel; the cloud interleaves channels per coefficient
+    for (let channel = 0; channel < 3; channel++) {
+      for (let j = 0; j < coefficients; j++) {
+        cloud.sh[(i * coefficients + j) * 3 + channel] = read(base, rest[channel * coefficients + j]);
+      }
+    }
+  }
+
+  return cloud;
+};
+
+export const writePly = (cloud) => {
+  const coefficients = getShCoefficientCount(cloud.shDegree);
+  const names = [
+    'x', 'y', 'z', 'nx', 'ny', 'nz', 'f_dc_0', 'f_dc_1', 'f_dc_2',
+    ...Array.from({ length: coefficients * 3 }, (_, k) => `f_rest_${k}`),
+    'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'
+  ];
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    `element vertex ${cloud.count}`,
+    ...names.map(name => `property float ${name}`),
+    'end_header',
+    ''
+  ].join('\n');
+
+  const headerBytes = new TextEncoder().encode(header);
+  const stride = names.length * 4;
+  const bytes = new Uint8Array(headerBytes.length + cloud.count * stride);
+  bytes.set(headerBytes);
+  const view = new DataView(bytes.buffer, headerBytes.length);
+
+  for (let i = 0; i < cloud.count; i++) {
+    let offset = i * stride;
+    const put = (value) => {
+      view.setFloat32(offset, value, true);
+      offset += 4;
+    };
+    for (let axis = 0; axis < 3; axis++) put(cloud.positions[i * 3 + axis]);
+    put(0); put(0); put(0);
+    for (let channel = 0; channel < 3; channel++) put(cloud.colors[i * 3 + channel]);
+    for (let channel = 0; channel < 3; channel++) {
+      for (let j = 0; j < coefficients; j++) put(cloud.sh[(i * coefficients + j) * 3 + channel]);
+    }
+    put(cloud.opacities[i]);
+    for (let axis = 0; axis < 3; axis++) put(cloud.scales[i * 3 + axis]);
+    for (let k = 0; k < 4; k++) put(cloud.rotations[i * 4 + k]);
+  }
+
+  return bytes;
+};
+
+// --- .splat ---
+
+export const parseSplat = (bytes) => {
+  if (bytes.length % SPLAT_ROW_BYTES !== 0) {
+    throw new Error('.splat size is not a multiple of 32 bytes');
+  }
+
+  const count = bytes.length / SPLAT_ROW_BYTES;
+  const cloud = createSplatCloud(count, 0);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+
+  for (let i = 0; i < count; i++) {
+    const base = i * SPLAT_ROW_BYTES;
+    for (let axis = 0; axis < 3; axis++) {
+      cloud.positions[i * 3 + axis] = view.getFloat32(base + axis * 4, true);
+      cloud.scales[i * 3 + axis] = Math.log(Math.max(view.getFloat32(base + 12 + axis * 4, true), 1e-12));
+      cloud.colors[i * 3 + axis] = (bytes[base + 24 + axis] / 255 - 0.5) / SH_C0;
+    }
+    cloud.opacities[i] = logit(bytes[base + 27] / 255);
+    writeQuaternion(cloud.rotations, i, [0, 1, 2, 3].map(k => (bytes[base + 28 + k] - 128) / 128));
+  }
+
+  return cloud;
+};
+
+// Largest, most opaque splats first, the order progressive web viewers expect
+export const writeSplat = (cloud) => {
+  const importance = (i) => Math.exp(cloud.scales[i * 3] + cloud.scales[i * 3 + 1] + cloud.scales[i * 3 + 2])
+    * sigmoid(cloud.opacities[i]);
+  const order = Array.from({ length: cloud.count }, (_, i) => i)
+    .sort((a, b) => importance(b) - importance(a));
+
+  const bytes = new Uint8Array(cloud.count * SPLAT_ROW_BYTES);
+  const view = new DataView(bytes.buffer);
+
+  order.forEach((i, row) => {
+    const base = row * SPLAT_ROW_BYTES;
+    for (let axis = 0; axis < 3; axis++) {
+      view.setFloat32(base + axis * 4, cloud.positions[i * 3 + axis], true);
+      view.setFloat32(base + 12 + axis * 4, Math.exp(cloud.scales[i * 3 + axis]), true);
+      bytes[base + 24 + axis] = toByte((0.5 + SH_C0 * cloud.colors[i * 3 + axis]) * 255);
+    }
+    bytes[base + 27] = toByte(sigmoid(cloud.opacities[i]) * 255);
+    for (let k = 0; k < 4; k++) {
+      bytes[base + 28 + k] = toByte(cloud.rotations[i * 4 + k] * 128 + 128);
+    }
+  });
+
+  return bytes;
+};
+
+// --- SPZ ---
+
+// SPZ is defined in a y-up, z-back frame; PLY and .splat are y-down, z-forward. The
+// switch flips y and z, which also flips the odd SH bases in y and z.
+const SPZ_SH_FLIP = [-1, -1, 1, -1, 1, 1, -1, 1, -1, 1, -1, -1, 1, -1, 1];
+
+const flipFrame = (cloud) => {
+  const coefficients = getShCoefficientCount(cloud.shDegree);
+  for (let i = 0; i < cloud.count; i++) {
+    cloud.positions[i * 3 + 1] = -cloud.positions[i * 3 + 1];
+    cloud.positions[i * 3 + 2] = -cloud.positions[i * 3 + 2];
+    cloud.rotations[i * 4 + 2] = -cloud.rotations[i * 4 + 2];
+    cloud.rotations[i * 4 + 3] = -cloud.rotations[i * 4 + 3];
+    for (let j = 0; j < coefficients; j++) {
+      if (SPZ_SH_FLIP[j] > 0) continue;
+      for (let channel = 0; channel < 3; channel++) {
+        const index = (i * coefficients + j) * 3 + channel;
+        cloud.sh[index] = -cloud.sh[index];
+      }
+    }
+  }
+  return cloud;
+};
+
+// Degree-1 SH keeps 5 bits, higher bands 4, as the reference encoder does
+const quantizeSh = (value, bucket) => {
+  const quantized = Math.round(value * 128 + 128);
+  return toByte(Math.floor((quantized + bucket / 2) / bucket) * bucket);
+};
+
+// Smallest-three quaternion packing: index of the largest component in the top two
+// bits, then the other three as sign + 9-bit magnitude
+const packQuaternion = (w, x, y, z) => {
+  const q = [x, y, z, w];
+  let largest = 0;
+  for (let k = 1; k < 4; k++) {
+    if (Math.abs(q[k]) > Math.abs(q[largest])) largest = k;
+  }
+  const negate = q[largest] < 0;
+
+  let packed = largest;
+  for (let k = 0; k < 4; k++) {
+    if (k === largest) continue;
+    const negative = (q[k] < 0) !== negate ? 1 : 0;
+    const magnitude = Math.min(Math.floor((511 * Math.abs(q[k])) / Math.SQRT1_2 + 0.5), 511);
+    packed = packed * 1024 + negative * 512 + magnitude;
+  }
+  return packed;
+};
+
+const unpackQuaternion = (packed) => {
+  const q = [0, 0, 0, 0];
+  const largest = Math.floor(packed / 0x40000000);
+  let remaining = packed;
+  let sumSquares = 0;
+  for (let k = 3; k >= 0; k--) {
+    if (k === largest) continue;
+    const magnitude = remaining % 512;
+    const negative = Math.floor(remaining / 512) % 2;
+    remaining = Math.floor(remaining / 1024);
+    q[k] = (Math.SQRT1_2 * magnitude / 511) * (negative ? -1 : 1);
+    sumSquares += q[k] * q[k];
+  }
+  q[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+  return [q[3], q[0], q[1], q[2]];
+};
+
+export const parseSpz = (compressed) => {
+  const bytes = gunzipSync(compressed);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  if (bytes.length < SPZ_HEADER_BYTES || view.getUint32(0, true) !== SPZ_MAGIC) {
+    throw new Error('Not an SPZ file');
+  }
+
+  const version = view.getUint32(4, true);
+  if (version < 2 || version > 3) throw new Error(`Unsupported SPZ version ${version}`);
+  const count = view.getUint32(8, true);
+  const shDegree = bytes[12];
+  const fractionalBits = bytes[13];
+  if (shDegree > 3) throw new Error(`Unsupported SPZ SH degree ${shDegree}`);
+
+  const coefficients = getShCoefficientCount(shDegree);
+  const rotationBytes = version === 2 ? 3 : 4;
+  const expected = SPZ_HEADER_BYTES + count * (9 + 1 + 3 + 3 + rotationBytes + coefficients * 3);
+  if (bytes.length < expected) throw new Error('SPZ is truncated');
+
+  const cloud = createSplatCloud(count, shDegree);
+  const positionScale = 1 / (1 << fractionalBits);
+  let offset = SPZ_HEADER_BYTES;
+
+  for (let k = 0; k < count * 3; k++) {
+    let fixed = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    if (fixed & 0x800000) fixed -= 0x1000000;
+    cloud.positions[k] = fixed * positionScale;
+    offset += 3;
+  }
+  for (let i = 0; i < count; i++) cloud.opacities[i] = logit(bytes[offset++] / 255);
+  for (let k = 0; k < count * 3; k++) cloud.colors[k] = (bytes[offset++] / 255 - 0.5) / SPZ_COLOR_SCALE;
+  for (let k = 0; k < count * 3; k++) cloud.scales[k] = bytes[offset++] / 16 - 10;
+  for (let i = 0; i < count; i++) {
+    if (version === 2) {
+      const [x, y, z] = [0, 1, 2].map(k => bytes[offset + k] / 127.5 - 1);
+      writeQuaternion(cloud.rotations, i, [Math.sqrt(Math.max(0, 1 - x * x - y * y - z * z)), x, y, z]);
+    } else {
+      writeQuaternion(cloud.rotations, i, unpackQuaternion(view.getUint32(offset, true)));
+    }
+    offset += rotationBytes;
+  }
+  for (let k = 0; k < count * coefficients * 3; k++) cloud.sh[k] = (bytes[offset++] - 128) / 128;
+
+  return flipFrame(cloud);
+};
+
+export const writeSpz = (source) => {
+  const cloud = flipFrame(cloneCloud(source));
+  const { count } = cloud;
+  const coefficients = getShCoefficientCount(cloud.shDegree);
+  const bytes = new Uint8Array(SPZ_HEADER_BYTES + count * (9 + 1 + 3 + 3 + 4 + coefficients * 3));
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, SPZ_MAGIC, true);
+  view.setUint32(4, SPZ_VERSION, true);
+  view.setUint32(8, count, true);
+  bytes[12] = cloud.shDegree;
+  bytes[13] = SPZ_FRACTIONAL_BITS;
+  let offset = SPZ_HEADER_BYTES;
+
+  const positionScale = 1 << SPZ_FRACTIONAL_BITS;
+  const limit = 0x7fffff;
+  for (let k = 0; k < count * 3; k++) {
+    const fixed = Math.min(Math.max(Math.round(cloud.positions[k] * positionScale), -limit - 1), limit);
+    const unsigned = fixed < 0 ? fixed + 0x1000000 : fixed;
+    bytes[offset++] = unsigned & 0xff;
+    bytes[offset++] = (unsigned >> 8) & 0xff;
+    bytes[offset++] = (unsigned >> 16) & 0xff;
+  }
+  for (let i = 0; i < count; i++) bytes[offset++] = toByte(sigmoid(cloud.opacities[i]) * 255);
+  for (let k = 0; k < count * 3; k++) bytes[offset++] = toByte((cloud.colors[k] * SPZ_COLOR_SCALE + 0.5) * 255);
+  for (let k = 0; k < count * 3; k++) bytes[offset++] = toByte((cloud.scales[k] + 10) * 16);
+  for (let i = 0; i < count; i++) {
+    const [w, x, y, z] = cloud.rotations.subarray(i * 4, i * 4 + 4);
+    view.setUint32(offset, packQuaternion(w, x, y, z), true);
+    offset += 4;
+  }
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < coefficients; j++) {
+      const bucket = j < 3 ? 8 : 16;
+      for (let channel = 0; channel < 3; channel++) {
+        bytes[offset++] = quantizeSh(cloud.sh[(i * coefficients + j) * 3 + channel], bucket);
+      }
+    }
+  }
+
+  return gzipSync(bytes);
+};
+
+// --- Filters ---
+
+export const cloneCloud = (cloud) => ({
+  count: cloud.count,
+  shDegree: cloud.shDegree,
+  positions: cloud.positions.slice(),
+  scales: cloud.scales.slice(),
+  rotations: cloud.rotations.slice(),
+  opacities: cloud.opacities.slice(),
+  colors: cloud.colors.slice(),
+  sh: cloud.sh.slice()
+});
+
+// Keep only the splats at `indices`, optionally dropping SH bands above `shDegree`
+const selectSplats = (cloud, indices, shDegree = cloud.shDegree) => {
+  const from = getShCoefficientCount(cloud.shDegree);
+  const to = getShCoefficientCount(shDegree);
+  const selected = createSplatCloud(indices.length, shDegree);
+
+  indices.forEach((i, n) => {
+    selected.positions.set(cloud.positions.subarray(i * 3, i * 3 + 3), n * 3);
+    selected.scales.set(cloud.scales.subarray(i * 3, i * 3 + 3), n * 3);
+    selected.rotations.set(cloud.rotations.subarray(i * 4, i * 4 + 4), n * 4);
+    selected.colors.set(cloud.colors.subarray(i * 3, i * 3 + 3), n * 3);
+    selected.opacities[n] = cloud.opacities[i];
+    if (to > 0) {
+      selected.sh.set(cloud.sh.subarray(i * from * 3, (i * from + to) * 3), n * to * 3);
+    }
+  });
+
+  return selected;
+};
+
+const allIndices = (cloud) => Array.from({ length: cloud.count }, (_, i) => i);
+
+// Bands are nested, so lowering the degree keeps the leading coefficients
+export const reduceShDegree = (cloud, shDegree) => (
+  shDegree >= cloud.shDegree ? cloud : selectSplats(cloud, allIndices(cloud), shDegree)
+);
+
+// Drop splats whose opacity (0-1) is below `minOpacity`
+export const pruneByOpacity = (cloud, minOpacity) => selectSplats(
+  cloud,
+  allIndices(cloud).filter(i => sigmoid(cloud.opacities[i]) >= minOpacity)
+);
+
+// Keep splats whose centre lies inside { min: [x, y, z], max: [x, y, z] }
+export const cropToBox = (cloud, { min, max }) => selectSplats(
+  cloud,
+  allIndices(cloud).filter(i => [0, 1, 2].every(axis => {
+    const value = cloud.positions[i * 3 + axis];
+    return value >= min[axis] && value <= max[axis];
+  }))
+);
+
+export const getSplatBounds = (cloud) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < cloud.count; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = cloud.positions[i * 3 + axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+  return cloud.count > 0 ? { min, max } : null;
+};
+
+// --- Transforms ---
+
+// Real SH basis for bands 1-3 exactly as the 3DGS renderer evaluates it, in
+// coefficient order, for a unit direction
+const SH_C1 = 0.4886025119029199;
+const SH_C2 = [1.0925484305920792, -1.0925484305920792, 0.31539156525252005, -1.0925484305920792, 0.5462742152960396];
+const SH_C3 = [-0.5900435899266435, 2.890611442640554, -0.4570457994644658, 0.3731763325901154, -0.4570457994644658, 1.445305721320277, -0.5900435899266435];
+const SH_BANDS = [
+  ([x, y, z]) => [-SH_C1 * y, SH_C1 * z, -SH_C1 * x],
+  ([x, y, z]) => [
+    SH_C2[0] * x * y,
+    SH_C2[1] * y * z,
+    SH_C2[2] * (2 * z * z - x * x - y * y),
+    SH_C2[3] * x * z,
+    SH_C2[4] * (x * x - y * y)
+  ],
+  ([x, y, z]) => [
+    SH_C3[0] * y * (3 * x * x - y * y),
+    SH_C3[1] * x * y * z,
+    SH_C3[2] * y * (4 * z * z - x * x - y * y),
+    SH_C3[3] * z * (2 * z * z - 3 * x * x - 3 * y * y),
+    SH_C3[4] * x * (4 * z * z - x * x - y * y),
+    SH_C3[5] * z * (x * x - y * y),
+    SH_C3[6] * x * (x * x - 3 * y * y)
+  ]
+];
+
+// Spread of directions (Fibonacci sphere) to fit band rotations on
+const SH_SAMPLE_DIRECTIONS = Array.from({ length: 32 }, (_, k) => {
+  const z = 1 - (2 * k + 1) / 32;
+  const radius = Math.sqrt(1 - z * z);
+  const angle = k * Math.PI * (3 - Math.sqrt(5));
+  return [radius * Math.cos(angle), radius * Math.sin(angle), z];
+});
+
+// Solve A X = B for square A (rows of arrays) by Gaussian elimination
+const solveLinear = (a, b) => {
+  const n = a.length;
+  const m = a.map((row, r) => [...row, ...b[r]]);
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let r = column + 1; r < n; r++) {
+      if (Math.abs(m[r][column]) > Math.abs(m[pivot][column])) pivot = r;
+    }
+    [m[column], m[pivot]] = [m[pivot], m[column]];
+    for (let r = 0; r < n; r++) {
+      if (r === column) continue;
+      const factor = m[r][column] / m[column][column];
+      for (let c = column; c < m[r].length; c++) m[r][c] -= factor * m[column][c];
+    }
+  }
+  return m.map((row, r) => row.slice(n).map(value => value / m[r][r]));
+};
+
+// Matrix D taking one band's coefficients to the rotated model's: the rotated colour
+// in direction d is the original colour in direction Rᵀd, fitted over sample directions
+const getShBandRotation = (band, rotation) => {
+  const basis = SH_BANDS[band];
+  const unrotate = ([x, y, z]) => [0, 1, 2].map(axis => (
+    rotation[axis] * x + rotation[3 + axis] * y + rotation[6 + axis] * z
+  ));
+  const a = SH_SAMPLE_DIRECTIONS.map(basis);
+  const b = SH_SAMPLE_DIRECTIONS.map(direction => basis(unrotate(direction)));
+  const size = a[0].length;
+  // Least squares through the normal equations: (AᵀA) D = AᵀB
+  const gram = (left, right) => Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (
+    left.reduce((sum, row, k) => sum + row[i] * right[k][j], 0)
+  )));
+  return solveLinear(gram(a, a), gram(a, b));
+};
+
+// Row-major 3x3 rotation -> unit quaternion (w, x, y, z)
+export const rotationToQuaternion = (r) => {
+  const trace = r[0] + r[4] + r[8];
+  let q;
+  if (trace > 0) {
+    const s = Math.sqrt(trace + 1) * 2;
+    q = [s / 4, (r[7] - r[5]) / s, (r[2] - r[6]) / s, (r[3] - r[1]) / s];
+  } else if (r[0] > r[4] && r[0] > r[8]) {
+    const s = Math.sqrt(1 + r[0] - r[4] - r[8]) * 2;
+    q = [(r[7] - r[5]) / s, s / 4, (r[1] + r[3]) / s, (r[2] + r[6]) / s];
+  } else if (r[4] > r[8]) {
+    const s = Math.sqrt(1 + r[4] - r[0] - r[8]) * 2;
+    q = [(r[2] - r[6]) / s, (r[1] + r[3]) / s, s / 4, (r[5] + r[7]) / s];
+  } else {
+    const s = Math.sqrt(1 + r[8] - r[0] - r[4]) * 2;
+    q = [(r[3] - r[1]) / s, (r[2] + r[6]) / s, (r[5] + r[7]) / s, s / 4];
+  }
+  return q;
+};
+
+// Move a model by the similarity x' = scale * R x + translation. `rotation` is a
+// row-major 3x3 matrix. Splat extents grow with the scale, orientations and
+// view-dependent colour turn with R.
+export const transformSplats = (cloud, { scale = 1, rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1], translation = [0, 0, 0] }) => {
+  const result = cloneCloud(cloud);
+  const [qw, qx, qy, qz] = rotationToQuaternion(rotation);
+  const logScale = Math.log(scale);
+  const coefficients = getShCoefficientCount(cloud.shDegree);
+  const bands = Array.from({ length: cloud.shDegree }, (_, band) => getShBandRotation(band, rotation));
+
+  for (let i = 0; i < cloud.count; i++) {
+    const [x, y, z] = cloud.positions.subarray(i * 3, i * 3 + 3);
+    for (let axis = 0; axis < 3; axis++) {
+      result.positions[i * 3 + axis] = scale * (rotation[axis * 3] * x + rotation[axis * 3 + 1] * y + rotation[axis * 3 + 2] * z)
+        + translation[axis];
+      result.scales[i * 3 + axis] = cloud.scales[i * 3 + axis] + logScale;
+    }
+
+    const [w, a, b, c] = cloud.rotations.subarray(i * 4, i * 4 + 4);
+    writeQuaternion(result.rotations, i, [
+      qw * w - qx * a - qy * b - qz * c,
+      qw * a + qx * w + qy * c - qz * b,
+      qw * b - qx * c + qy * w + qz * a,
+      qw * c + qx * b - qy * a + qz * w
+    ]);
+
+    let offset = 0;
+    bands.forEach(matrix => {
+      for (let channel = 0; channel < 3; channel++) {
+        const source = matrix.map((_, m) => cloud.sh[(i * coefficients + offset + m) * 3 + channel]);
+        matrix.forEach((row, m) => {
+          result.sh[(i * coefficients + offset + m) * 3 + channel] = row.reduce((sum, value, k) => sum + value * source[k], 0);
+        });
+      }
+      offset += matrix.length;
+    });
+  }
+
+  return result;
+};
+
+// --- Conversion ---
+
+const PARSERS = {
+  [SPLAT_FORMATS.PLY]: parsePly,
+  [SPLAT_FORMATS.SPLAT]: parseSplat,
+  [SPLAT_FORMATS.SPZ]: parseSpz
+};
+
+const WRITERS = {
+  [SPLAT_FORMATS.PLY]: writePly,
+  [SPLAT_FORMATS.SPLAT]: writeSplat,
+  [SPLAT_FORMATS.SPZ]: writeSpz
+};
+
+export const parseSplatFile = (bytes, format = detectSplatFormat(bytes)) => {
+  const parse = PARSERS[format];
+  if (!parse) throw new Error(`Unsupported splat format ${format}`);
+  return parse(bytes);
+};
+
+export const writeSplatFile = (cloud, format) => {
+  const write = WRITERS[format];
+  if (!write) throw new Error(`Unsupported splat format ${format}`);
+  return write(cloud);
+};
+
+// Apply crop, opacity pruning and SH reduction in that order; unset options are skipped
+export const filterSplats = (cloud, { bounds = null, minOpacity = null, shDegree = null } = {}) => {
+  let result = cloud;
+  if (bounds) result = cropToBox(result, bounds);
+  if (minOpacity !== null && minOpacity > 0) result = pruneByOpacity(result, minOpacity);
+  if (shDegree !== null) result = reduceShDegree(result, shDegree);
+  return result;
+};
+
+// Convert file bytes between formats -> { bytes, cloud }
+export const convertSplatFile = (bytes, { from, to, ...filters }) => {
+  const cloud = filterSplats(parseSplatFile(bytes, from), filters);
+  return { bytes: writeSplatFile(cloud, to), cloud };
+};
@@ -0,0 +1,256 @@
+// src/utils/splatView.js
+// Camera, sorting and culling maths for the splat viewer, kept free of GL so it runs
+// anywhere. Georeferenced models are in the session's East-North-Up frame (z up);
+// unregistered ones keep the reconstruction's frame, whose cameras follow the 3DGS
+// convention (x right, y down, z forward), so -y is up. The view camera uses that
+// same convention in either frame.
+import { SH_C0 } from './splatFormats';
+import { wgs84ToEnu } from './geodesy';
+import { getHorizontalFov } from './camera';
+
+export const SPLAT_STRIDE = 13; // floats per splat: centre xyz, rgba, covariance (6)
+
+// World frames a model can be in, and the up axis the orbit camera keeps level to
+export const MODEL_FRAMES = {
+  ENU: 'enu',
+  RECONSTRUCTION: 'reconstruction'
+};
+
+const FRAME_UP = {
+  [MODEL_FRAMES.ENU]: [0, 0, 1],
+  [MODEL_FRAMES.RECONSTRUCTION]: [0, -1, 0]
+};
+const X_AXIS = [1, 0, 0]; // horizontal in both frames
+const MAX_PITCH = Math.PI / 2 - 0.01;
+const SORT_BUCKETS = 65536;
+const CULL_MARGIN = 1.2; // splats just off screen still spill into view
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = (a) => {
+  const length = Math.hypot(a[0], a[1], a[2]) || 1;
+  return [a[0] / length, a[1] / length, a[2] / length];
+};
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// --- Splats ---
+
+// Per-splat GPU inputs: centre, straight-alpha RGBA and the 3D covariance
+// R S Sᵀ Rᵀ as its upper triangle (xx, xy, xz, yy, yz, zz)
+export const buildSplatAttributes = (cloud) => {
+  const { count } = cloud;
+  const centers = cloud.positions.slice();
+  const colors = new Float32Array(count * 4);
+  const covariances = new Float32Array(count * 6);
+
+  for (let i = 0; i < count; i++) {
+    for (let channel = 0; channel < 3; channel++) {
+      colors[i * 4 + channel] = clamp(0.5 + SH_C0 * cloud.colors[i * 3 + channel], 0, 1);
+    }
+    colors[i * 4 + 3] = 1 / (1 + Math.exp(-cloud.opacities[i]));
+
+    const [w, x, y, z] = cloud.rotations.subarray(i * 4, i * 4 + 4);
+    const sx = Math.exp(cloud.scales[i * 3]);
+    const sy = Math.exp(cloud.scales[i * 3 + 1]);
+    const sz = Math.exp(cloud.scales[i * 3 + 2]);
+    // Rotation matrix columns scaled by the splat's extent
+    const m = [
+      (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y - w * z) * sy, 2 * (x * z + w * y) * sz,
+      2 * (x * y + w * z) * sx, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z - w * x) * sz,
+      2 * (x * z - w * y) * sx, 2 * (y * z + w * x) * sy, (1 - 2 * (x * x + y * y)) * sz
+    ];
+    const row = (r) => m.slice(r * 3, r * 3 + 3);
+    covariances.set([
+      dot(row(0), row(0)), dot(row(0), row(1)), dot(row(0), row(2)),
+      dot(row(1), row(1)), dot(row(1), row(2)), dot(row(2), row(2))
+    ], i * 6);
+  }
+
+  return { count, centers, colors, covariances };
+};
+
+// Interleave the splats listed in `order` into `target` (SPLAT_STRIDE floats each)
+export const packSortedSplats = (splats, order, count, target) => {
+  for (let n = 0; n < count; n++) {
+    const i = order[n];
+    const base = n * SPLAT_STRIDE;
+    target[base] = splats.centers[i * 3];
+    target[base + 1] = splats.centers[i * 3 + 1];
+    target[base + 2] = splats.centers[i * 3 + 2];
+    for (let k = 0; k < 4; k++) target[base + 3 + k] = splats.colors[i * 4 + k];
+    for (let k = 0; k < 6; k++) target[base + 7 + k] = splats.covariances[i * 6 + k];
+  }
+  return target;
+};
+
+// --- Camera ---
+
+// Orbit camera around `target` in `frame`; yaw is measured from +x towards up × x
+// (east towards north in ENU, +x towards +z in a reconstruction)
+export const createOrbitCamera = ({ frame = MODEL_FRAMES.ENU, target = [0, 0, 0], distance = 10, yaw = -Math.PI / 2, pitch = 0.5, fovY = Math.PI / 3 } = {}) => ({
+  frame,
+  target,
+  distance,
+  yaw,
+  pitch: clamp(pitch, -MAX_PITCH, MAX_PITCH),
+  fovY,
+  minDistance: distance / 100,
+  maxDistance: distance * 20
+});
+
+// Frame a bounding box ({ min, max }) from the south (ENU) or behind, looking slightly down
+export const fitCameraToBounds = (bounds, options = {}) => {
+  if (!bounds) return createOrbitCamera(options);
+  const target = [0, 1, 2].map(axis => (bounds.min[axis] + bounds.max[axis]) / 2);
+  const radius = Math.max(Math.hypot(...subtract(bounds.max, bounds.min)) / 2, 0.1);
+  const fovY = options.fovY || Math.PI / 3;
+  return createOrbitCamera({ ...options, target, fovY, distance: (radius / Math.sin(fovY / 2)) * 1.1 });
+};
+
+export const orbitCamera = (camera, deltaYaw, deltaPitch) => ({
+  ...camera,
+  yaw: camera.yaw + deltaYaw,
+  pitch: clamp(camera.pitch + deltaPitch, -MAX_PITCH, MAX_PITCH)
+});
+
+// Slide the target in the view plane; deltas are fractions of the view height
+export const panCamera = (camera, deltaX, deltaY) => {
+  const { right, down } = getCameraPose(camera);
+  const scale = 2 * camera.distance * Math.tan(camera.fovY / 2);
+  return {
+    ...camera,
+    target: camera.target.map((value, axis) => value - (right[axis] * deltaX + down[axis] * deltaY) * scale)
+  };
+};
+
+// factor < 1 moves closer
+export const zoomCamera = (camera, factor) => ({
+  ...camera,
+  distance: clamp(camera.distance * factor, camera.minDistance, camera.maxDistance)
+});
+
+export const getCameraPose = (camera) => {
+  const { target, distance, yaw, pitch } = camera;
+  const up = FRAME_UP[camera.frame || MODEL_FRAMES.ENU];
+  const ahead = cross(up, X_AXIS);
+  const outward = [0, 1, 2].map(axis => (
+    Math.cos(pitch) * (Math.cos(yaw) * X_AXIS[axis] + Math.sin(yaw) * ahead[axis]) + Math.sin(pitch) * up[axis]
+  ));
+  const eye = target.map((value, axis) => value + outward[axis] * distance);
+  const forward = outward.map(value => -value);
+  const right = normalize(cross(forward, up));
+  const down = cross(forward, right);
+  return { eye, forward, right, down };
+};
+
+// Column-major world -> camera matrix
+export const getViewMatrix = ({ eye, forward, right, down }) => new Float32Array([
+  right[0], down[0], forward[0], 0,
+  right[1], down[1], forward[1], 0,
+  right[2], down[2], forward[2], 0,
+  -dot(right, eye), -dot(down, eye), -dot(forward, eye), 1
+]);
+
+// Focal lengths in pixels for a viewport
+export const getFocalLengths = (camera, width, height) => {
+  const fy = height / (2 * Math.tan(camera.fovY / 2));
+  return { fx: fy, fy };
+};
+
+// Column-major projection for a camera looking down +z with y down
+export const getProjectionMatrix = ({ fx, fy, width, height, near = 0.05, far = 1000 }) => new Float32Array([
+  (2 * fx) / width, 0, 0, 0,
+  0, -(2 * fy) / height, 0, 0,
+  0, 0, far / (far - near), 1,
+  0, 0, -(far * near) / (far - near), 0
+]);
+
+// --- Sorting ---
+
+// Drop splats behind the camera or off screen, then order the rest back to front for
+// alpha blending. A counting sort on quantised depth keeps this linear in splat count.
+// Returns { order, count, scratch } where order[0..count) are splat indices; pass
+// scratch back on the next call to reuse its buffers.
+export const sortSplats = (centers, total, pose, { fx, fy, width, height, near = 0.05 }, scratch = {}) => {
+  const { eye, forward, right, down } = pose;
+  const depths = scratch.depths && scratch.depths.length >= total ? scratch.depths : new Float32Array(total);
+  const visible = scratch.visible && scratch.visible.length >= total ? scratch.visible : new Uint32Array(total);
+  const order = scratch.order && scratch.order.length >= total ? scratch.order : new Uint32Array(total);
+  const limitX = (width / (2 * fx)) * CULL_MARGIN;
+  const limitY = (height / (2 * fy)) * CULL_MARGIN;
+
+  let count = 0;
+  let minDepth = Infinity;
+  let maxDepth = -Infinity;
+  for (let i = 0; i < total; i++) {
+    const dx = centers[i * 3] - eye[0];
+    const dy = centers[i * 3 + 1] - eye[1];
+    const dz = centers[i * 3 + 2] - eye[2];
+    const depth = dx * forward[0] + dy * forward[1] + dz * forward[2];
+    if (depth <= near) continue;
+    const x = dx * right[0] + dy * right[1] + dz * right[2];
+    const y = dx * down[0] + dy * down[1] + dz * down[2];
+    if (Math.abs(x) > depth * limitX || Math.abs(y) > depth * limitY) continue;
+
+    depths[count] = depth;
+    visible[count] = i;
+    count += 1;
+    if (depth < minDepth) minDepth = depth;
+    if (depth > maxDepth) maxDepth = depth;
+  }
+
+  const bucketScale = maxDepth > minDepth ? (SORT_BUCKETS - 1) / (maxDepth - minDepth) : 0;
+  const counts = new Uint32Array(SORT_BUCKETS);
+  const buckets = new Uint32Array(count);
+  for (let n = 0; n < count; n++) {
+    // Farthest splats land in bucket 0
+    buckets[n] = Math.floor((maxDepth - depths[n]) * bucketScale);
+    counts[buckets[n]] += 1;
+  }
+  for (let b = 1; b < SORT_BUCKETS; b++) counts[b] += counts[b - 1];
+  for (let n = count - 1; n >= 0; n--) {
+    counts[buckets[n]] -= 1;
+    order[counts[buckets[n]]] = visible[n];
+  }
+
+  return { order, count, scratch: { depths, visible, order } };
+};
+
+// --- Capture cameras ---
+
+// Wireframe pyramids for each geotagged photo, as line-segment vertex pairs in the
+// ENU frame of `origin`, so only for georeferenced models. Cameras are drawn level
+// since only heading is recorded.
+export const buildCaptureFrustums = (photos, origin, { size = 0.5 } = {}) => {
+  const up = FRAME_UP[MODEL_FRAMES.ENU];
+  const located = origin ? photos.filter(photo => photo.gpsData && Number.isFinite(photo.gpsData.latitude)) : [];
+  const lines = new Float32Array(located.length * 16 * 3);
+
+  located.forEach((photo, n) => {
+    const enu = wgs84ToEnu(photo.gpsData, origin);
+    const apex = [enu.east, enu.north, enu.up];
+    const heading = ((photo.gpsData.cameraHeading ?? photo.gpsData.heading) || 0) * Math.PI / 180;
+    const forward = [Math.sin(heading), Math.cos(heading), 0];
+    const right = [Math.cos(heading), -Math.sin(heading), 0];
+    // The field of view spans the long side; phones shoot portrait by default
+    const aspect = photo.width && photo.height ? photo.width / photo.height : 3 / 4;
+    const halfLong = size * Math.tan((getHorizontalFov(photo.exif) * Math.PI / 180) / 2);
+    const halfWidth = aspect >= 1 ? halfLong : halfLong * aspect;
+    const halfHeight = aspect >= 1 ? halfLong / aspect : halfLong;
+
+    const corners = [[-1, 1], [1, 1], [1, -1], [-1, -1]].map(([sx, sy]) => (
+      apex.map((value, axis) => value + forward[axis] * size + right[axis] * sx * halfWidth + up[axis] * sy * halfHeight)
+    ));
+    const segments = [
+      ...corners.map(corner => [apex, corner]),
+      ...corners.map((corner, k) => [corner, corners[(k + 1) % 4]])
+    ];
+    segments.forEach(([from, to], k) => {
+      lines.set(from, (n * 16 + k * 2) * 3);
+      lines.set(to, (n * 16 + k * 2 + 1) * 3);
+    });
+  });
+
+  return { lines, count: located.length };
+};
@@ -0,0 +1,69 @@
+// src/utils/surveyMetadata.js
+import { Platform } from 'react-native';
+import {
+  wgs84ToEnu,
+  wgs84ToUtm,
+  getUtmZone,
+  describeCoordinateSystems,
+  VERTICAL_DATUMS,
+  WGS84_GEOGRAPHIC
+} from './geodesy';
+
+// expo-location reports ellipsoidal height on Android but CLLocation's
+// mean-sea-level altitude on iOS
+export const DEVICE_VERTICAL_DATUM = Platform.OS === 'ios'
+  ? VERTICAL_DATUMS.MEAN_SEA_LEVEL
+  : VERTICAL_DATUMS.ELLIPSOID;
+
+// Datum of a live fix's altitude by its source (fix.source). External receivers report
+// mean-sea-level height plus the geoid separation, i.e. ellipsoidal height.
+export const getVerticalDatum = (fixSource) => (
+  fixSource === 'nmea' ? VERTICAL_DATUMS.ELLIPSOID : DEVICE_VERTICAL_DATUM
+);
+
+// Coordinate systems for a session anchored at its base location; bases saved before
+// they recorded a datum came from the phone
+export const describeSessionCoordinateSystems = (baseLocation) => (
+  describeCoordinateSystems(baseLocation, (baseLocation && baseLocation.verticalDatum) || DEVICE_VERTICAL_DATUM)
+);
+
+// Metric offsets of a fix from the base, in local ENU and in the base's UTM zone
+export const buildRelativeToBase = (position, baseLocation) => {
+  if (!baseLocation) return null;
+
+  const enu = wgs84ToEnu(position, baseLocation);
+  const zone = getUtmZone(baseLocation);
+  const utm = wgs84ToUtm(position, zone);
+  const baseUtm = wgs84ToUtm(baseLocation, zone);
+  const horizontalDistance = Math.hypot(enu.east, enu.north);
+
+  return {
+    frame: 'ENU',
+    units: 'metres',
+    east: enu.east,
+    north: enu.north,
+    up: enu.up,
+    horizontalDistance,
+    distance: Math.hypot(horizontalDistance, enu.up),
+    utm: {
+      zone: utm.zone,
+      hemisphere: utm.hemisphere,
+      easting: utm.easting,
+      northing: utm.northing,
+      deltaEasting: utm.easting - baseUtm.easting,
+      deltaNorthing: utm.northing - baseUtm.northing
+    }
+  };
+};
+
+// Survey metadata stored with every photo and video, with the datum its altitude was
+// recorded in (see getVerticalDatum; imported files pass their own)
+export const buildSurveyMetadata = (position, baseLocation, { accuracy, isRTK, verticalDatum = DEVICE_VERTICAL_DATUM }) => ({
+  relativeToBase: buildRelativeToBase(position, baseLocation),
+  captureQuality: {
+    gpsAccuracy: accuracy,
+    isRTKEnabled: isRTK,
+    coordinateSystem: `EPSG:${WGS84_GEOGRAPHIC.epsg}`,
+    verticalDatum
+  }
+});
@@ -0,0 +1,86 @@
+// src/utils/zipArchive.js
+import { File } from 'expo-file-system';
+import { Zip, ZipDeflate, ZipPassThrough, strToU8 } from 'fflate';
+
+const READ_CHUNK_SIZE = 1024 * 1024; // bytes
+const ZIP32_LIMIT = 0xFFFFFFFF; // fflate does not write zip64
+
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Stream entries into a zip on disk without holding whole files in memory.
+// Entries are { name, uri } for files on disk or { name, text } for generated text.
+export const writeZipArchive = async (destinationUri, entries, { onProgress = () => {} } = {}) => {
+  const encoded = entries.map(entry => (
+    entry.text !== undefined
+      ? { ...entry, bytes: strToU8(entry.text) }
+      : { ...entry, file: new File(entry.uri) }
+  ));
+  const totalBytes = encoded.reduce(
+    (sum, entry) => sum + (entry.bytes ? entry.bytes.length : entry.file.size),
+    0
+  );
+  if (totalBytes >= ZIP32_LIMIT) {
+    throw new Error('Archive would exceed 4 GB; export fewer captures');
+  }
+
+  const output = new File(destinationUri);
+  if (output.exists) {
+    output.delete();
+  }
+  output.create();
+
+  const handle = output.open();
+  let zipError = null;
+  let processedBytes = 0;
+
+  const zip = new Zip((error, chunk) => {
+    if (error) {
+      zipError = error;
+      return;
+    }
+    handle.writeBytes(chunk);
+  });
+
+  try {
+    for (const entry of encoded) {
+      if (entry.bytes) {
+        const stream = new ZipDeflate(entry.name, { level: 6 });
+        zip.add(stream);
+        stream.push(entry.bytes, true);
+        processedBytes += entry.bytes.length;
+      } else {
+        // Images and video are already compressed; store them as-is
+        const stream = new ZipPassThrough(entry.name);
+        zip.add(stream);
+
+        const reader = entry.file.open();
+        try {
+          let remaining = entry.file.size;
+          if (remaining === 0) {
+            stream.push(new Uint8Array(0), true);
+          }
+          while (remaining > 0) {
+            const chunk = reader.readBytes(Math.min(READ_CHUNK_SIZE, remaining));
+            remaining = chunk.length === 0 ? 0 : remaining - chunk.length;
+            stream.push(chunk, remaining === 0);
+            processedBytes += chunk.length;
+            onProgress({ processedBytes, totalBytes });
+            await yieldToUI();
+          }
+        } finally {
+          reader.close();
+        }
+      }
+
+      if (zipError) throw zipError;
+      onProgress({ processedBytes, totalBytes });
+    }
+
+    zip.end();
+    if (zipError) throw zipError;
+  } finally {
+    handle.close();
+  }
+
+  return { uri: output.uri, size: output.size };
+};